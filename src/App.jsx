@@ -1,23 +1,34 @@
-import { useState, useCallback, useEffect, useRef } from 'react'
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react'
 import styled from 'styled-components'
 import GlobalStyles from './styles/GlobalStyles'
 import Canvas from './components/canvas/Canvas'
 import Sidebar from './components/sidebar/Sidebar'
+import LayersPanel from './components/sidebar/LayersPanel'
+import PalettePanel from './components/sidebar/PalettePanel'
+import AnimationTimeline from './components/animation/AnimationTimeline'
 import GridEdgeControls from './components/canvas/GridEdgeControls'
+import VoxelPreview from './components/canvas/VoxelPreview'
 import Header from './components/navigation/Header'
 import NavMenu from './components/navigation/NavMenu'
 import ImageCropModal from './components/modals/ImageCropModal'
 import CustomShapeModal from './components/modals/CustomShapeModal'
 import ExportModal from './components/modals/ExportModal'
+import RecentProjectsModal from './components/modals/RecentProjectsModal'
+import SaveProjectModal from './components/modals/SaveProjectModal'
+import SessionRecoveryModal from './components/modals/SessionRecoveryModal'
 import PerformanceMonitor from './components/performance/PerformanceMonitor'
-import { hexToRgba, rgbaToHex, rgbToHex } from './utils/colorUtils'
+import { hexToRgba, rgbaToHex } from './utils/colorUtils'
 import { useArtworkState } from './hooks/useArtworkState'
 import { useToolState } from './hooks/useToolState'
 import { useEffectState } from './hooks/useEffectState'
 import { useUIState } from './hooks/useUIState'
 import { useHistoryState } from './hooks/useHistoryState'
-import { formatFilenameWithDimensions, stripDimensionsFromFilename, getDimensionsFromFilename } from './utils/filenameUtils'
-import { kMeansClustering } from './utils/imageProcessing'
+import { useAnimationState } from './hooks/useAnimationState'
+import { useAutosave } from './hooks/useAutosave'
+import { formatFilenameWithDimensions, stripDimensionsFromFilename } from './utils/filenameUtils'
+import { quantizeInWorker } from './utils/quantizeClient'
+import { parseClipboardText, getFileKind } from './utils/clipboardData'
+import { MAX_EXACT_IMPORT_SIZE } from './utils/imageProcessing'
 import { 
     drawGlowLayer, 
     drawCrispPixel, 
@@ -25,6 +36,36 @@ import {
     drawGrid
 } from './utils/canvasEffects'
 import { exportToFigma } from './utils/figmaExport'
+import { encodeGif } from './utils/gifEncoder'
+import { encodeApng } from './utils/apngEncoder'
+import { layoutSpriteSheet, extrudeSpriteEdges, buildSpriteAtlas } from './utils/spriteSheet'
+import { parseProject, serializeProject } from './utils/projectSchema'
+import { encodeProjectFile, decodeProjectFile } from './utils/projectFormat'
+import { parseAseprite, writeAseprite } from './utils/asepriteFormat'
+import { isPiskelFile, parsePiskel } from './utils/piskelFormat'
+import { buildSvg } from './utils/svgExport'
+import { buildLedHeader, buildWledPresets } from './utils/ledExport'
+import { matchCraftColors, buildCraftChart, buildMaterialsCsv } from './utils/craftPattern'
+import { buildVoxelFaces } from './utils/voxelMesh'
+import { writeVoxelObj, writeVoxelStl, writeVoxelGlb } from './utils/voxelExport'
+import { buildAppIconFiles } from './utils/iconExport'
+import { buildBoxShadowCss, buildReactComponent, svgToDataUri, toComponentName } from './utils/codeExport'
+import { cloneLayers, createLayer } from './utils/layerUtils'
+import { applyOnionSkin, createFrame, DEFAULT_ONION_SKIN } from './utils/animationUtils'
+import {
+  createPalette,
+  parsePaletteFile,
+  serializePaletteFile,
+  isLospecPalette,
+  parseLospecPalette,
+  COLOR_MODES,
+  findNearestPaletteIndex,
+  indexGrid,
+  resolveIndexedGrid,
+  remapIndexedGrid,
+  countUsedPaletteSlots,
+  extendPaletteWithGridColors
+} from './utils/paletteUtils'
 
 const AppContainer = styled.div`
   display: flex;
@@ -51,6 +92,15 @@ const MainContent = styled.main`
   }
 `
 
+// Stacks the canvas area above the animation timeline
+const CanvasColumn = styled.div`
+  flex: 1;
+  display: flex;
+  flex-direction: column;
+  min-width: 0;
+  min-height: 0;
+`
+
 const CanvasWrapper = styled.div`
   flex: 1;
   overflow: auto;
@@ -60,6 +110,8 @@ const CanvasWrapper = styled.div`
   justify-content: center;
   background-color: ${props => props.$backgroundColor || '#f0f0f0'};
   pointer-events: auto; /* Ensure mouse events are captured */
+  outline: ${props => (props.$isDropTarget ? '3px dashed var(--accent-color)' : 'none')};
+  outline-offset: -3px;
 `
 
 const Title = styled.h1`
@@ -70,6 +122,22 @@ const Title = styled.h1`
 `
 
 const MAX_HISTORY_LENGTH = 256;
+// Action types that commit a history entry once their state update has rendered
+const HISTORY_ACTION_TYPES = ['draw', 'cut', 'grid_change', 'layer_change', 'frame_change', 'color_mode_change', 'palette_change'];
+
+// Several files from one click: download them directly, since every save picker needs its own user gesture
+const downloadFiles = (files) => {
+  files.forEach(([fileBlob, name]) => {
+    const url = URL.createObjectURL(fileBlob);
+    const link = document.createElement('a');
+    link.download = name;
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  });
+};
 
 function App() {
   const canvasRef = useRef(null);
@@ -79,45 +147,90 @@ function App() {
   const [hasDrawn, setHasDrawn] = useState(false);
   const [lastActionType, setLastActionType] = useState(null);
   const [importImageUrl, setImportImageUrl] = useState(null);
+  const [importProgress, setImportProgress] = useState(null); // 0-1 while an import is quantizing
+  const importAbortRef = useRef(null);
   const [filename, setFilename] = useState('Untitled Pixel Art');
+  const [saveFormat, setSaveFormat] = useState('json'); // 'json', 'compact' or 'binary'
   const [importSettings, setImportSettings] = useState({ 
     width: null, 
     height: null, 
-    maxColors: 32 
+    maxColors: 32,
+    quantizer: 'kmeans',
+    colorMetric: 'rgb',
+    seed: 1,
+    dither: 'none',
+    ditherStrength: 100, // Percent
+    alphaMode: 'threshold',
+    alphaCutoff: 128,
+    alphaLevels: 4,
+    importMode: 'resample', // 'exact' copies upscaled pixel art 1:1
+    pixelScale: '' // Exact mode scale; empty to detect it
   });
   const [lineStartPoint, setLineStartPoint] = useState(null);
   const [selectionArea, setSelectionArea] = useState(null);
   const [copyBuffer, setCopyBuffer] = useState(null);
   const [sidebarVisible, setSidebarVisible] = useState(true);
+  const [isFileDragOver, setIsFileDragOver] = useState(false); // A file is dragged over the canvas
+
+  // Use the custom hook for tool state (first, since indexed artwork resolves through its palette)
+  const {
+    activeTool,
+    setActiveTool,
+    shapeFilled,
+    setShapeFilled,
+    activeColor,
+    pickerColor,
+    updatePickerColor,
+    selectColor,
+    colorHistory,
+    setColorHistory,
+    palettes,
+    activePaletteId,
+    setActivePaletteId,
+    addPalette,
+    renamePalette,
+    deletePalette,
+    addPaletteColor,
+    setPaletteMaxColors,
+    removePaletteColor,
+    movePaletteColor,
+    setPaletteColor,
+    replacePalettes,
+    colorMode,
+    setColorMode,
+    indexedPalette,
+    activePaletteColors,
+    activeColorRef,
+  } = useToolState();
 
   // Use the custom hook for artwork state
   const {
     gridDimensions,
     setGridDimensions,
     resizeGrid,
+    reframeLayers,
     setInternalGridDimensions,
     pixelGrid,
     setPixelGrid,
+    compositeGrid,
+    layers,
+    activeLayerId,
+    activeLayer,
+    setActiveLayerId,
+    replaceLayers,
+    addLayer,
+    duplicateLayer,
+    deleteLayer,
+    moveLayer,
+    updateLayer,
+    mergeLayerDown,
     pixelSize,
     setPixelSize,
     gridGap,
     setGridGap,
     backgroundColor,
     setBackgroundColor,
-  } = useArtworkState(32, 32, setLastActionType);
-
-  // Use the custom hook for tool state
-  const {
-    activeTool,
-    setActiveTool,
-    activeColor,
-    pickerColor,
-    updatePickerColor,
-    selectColor,
-    colorHistory,
-    setColorHistory,
-    activeColorRef,
-  } = useToolState();
+  } = useArtworkState(32, 32, setLastActionType, indexedPalette);
 
   // Use the custom hook for effects state
   const {
@@ -150,34 +263,109 @@ function App() {
     showGrid,
     rendererType,
     showPerformanceMonitor,
+    symmetry,
+    voxel,
     modals,
     setMode,
     toggleGrid,
     setRendererType,
+    setSymmetry,
+    setVoxelSettings,
     togglePerformanceMonitor,
     toggleExportModal,
     toggleImportModal,
     toggleCustomShapeModal,
     toggleSettingsModal,
+    toggleRecentProjectsModal,
+    toggleSaveProjectModal,
   } = useUIState();
 
+  // Use the custom hook for animation frames and playback
+  const {
+    frames,
+    resolvedFrames,
+    frameGrids,
+    currentFrameIndex,
+    selectFrame,
+    addFrame,
+    duplicateFrame,
+    deleteFrame,
+    moveFrame,
+    setFrameDuration,
+    reframeFrames,
+    restoreFrames,
+    isPlaying,
+    playbackIndex,
+    togglePlayback,
+    onionSkin,
+    setOnionSkin,
+  } = useAnimationState({
+    layers,
+    activeLayerId,
+    gridDimensions,
+    replaceLayers,
+    mode,
+    setMode,
+    setLastActionType,
+    indexedPalette,
+  });
+
+  // During playback the canvas shows the playing frame; while editing, neighbours can be onion skinned
+  const canvasGrid = isPlaying ? frameGrids[playbackIndex] : compositeGrid;
+  const onionSkinGrid = useMemo(() => {
+    if (isPlaying || mode !== 'edit' || !onionSkin.enabled || frameGrids.length < 2) return null;
+    return applyOnionSkin(
+      compositeGrid,
+      onionSkin.previous ? frameGrids[currentFrameIndex - 1] : null,
+      onionSkin.next ? frameGrids[currentFrameIndex + 1] : null,
+      onionSkin.opacity,
+      gridDimensions.width,
+      gridDimensions.height
+    );
+  }, [isPlaying, mode, onionSkin, frameGrids, currentFrameIndex, compositeGrid, gridDimensions]);
+
+  // In indexed mode the drawing tools paint the palette slot closest to the active color
+  const encodePaintColor = useMemo(() => (
+    indexedPalette ? (color) => findNearestPaletteIndex(color, indexedPalette) : undefined
+  ), [indexedPalette]);
+
   // Extract modal states for compatibility
   const showExportModal = modals.export;
   const importModalOpen = modals.import;
   const showCustomShapeModal = modals.customShape;
+  const showRecentProjectsModal = modals.recentProjects;
+  const showSaveProjectModal = modals.saveProject;
   
   // Handler for when history changes via undo/redo
   const handleHistoryChange = useCallback((historyEntry) => {
     if (!historyEntry) return;
     
-    // Update the pixel grid from history
-    setPixelGrid(historyEntry.pixelGrid);
+    // Restore the frame list before the current frame's layers
+    if (historyEntry.frames) {
+      restoreFrames(historyEntry.frames, historyEntry.currentFrameIndex);
+    }
+
+    // Restore the full layer stack; older entries only carry a single grid
+    if (historyEntry.layers) {
+      replaceLayers(cloneLayers(historyEntry.layers), historyEntry.activeLayerId);
+    } else {
+      setPixelGrid(historyEntry.pixelGrid);
+    }
     
     // If the grid dimensions changed, update those too
     if (historyEntry.gridDimensions) {
       setInternalGridDimensions(historyEntry.gridDimensions);
     }
-  }, [setPixelGrid, setInternalGridDimensions]);
+
+    // Grids store palette slots or colors depending on the mode they were recorded in
+    if (historyEntry.colorMode) {
+      setColorMode(historyEntry.colorMode);
+    }
+    // Indexed slots point into the palette they were drawn with
+    if (historyEntry.colorMode === 'indexed' && historyEntry.activePaletteId) {
+      setActivePaletteId(historyEntry.activePaletteId);
+    }
+  }, [setPixelGrid, replaceLayers, restoreFrames, setInternalGridDimensions, setColorMode, setActivePaletteId]);
   
   // Use the history hook
   const {
@@ -194,48 +382,35 @@ function App() {
     maxHistory: 256,
   });
   
+  // Snapshot of everything undo/redo restores
+  const createHistoryEntry = useCallback((type) => ({
+    pixelGrid: pixelGrid.map(row => [...row]),
+    layers: cloneLayers(layers),
+    activeLayerId,
+    frames, // Frames are never mutated in place, so sharing them is safe
+    currentFrameIndex,
+    gridDimensions: { ...gridDimensions },
+    colorMode,
+    activePaletteId,
+    type
+  }), [pixelGrid, layers, activeLayerId, frames, currentFrameIndex, gridDimensions, colorMode, activePaletteId]);
+
   // Initialize history with the initial grid state
   const isInitializedRef = useRef(false);
   useEffect(() => {
     if (!isInitializedRef.current && pixelGrid) {
-      const initialHistoryEntry = {
-        pixelGrid: pixelGrid.map(row => [...row]),
-        gridDimensions: { ...gridDimensions },
-        type: 'initial'
-      };
-      
-      pushHistory(initialHistoryEntry, 'initial');
+      pushHistory(createHistoryEntry('initial'), 'initial');
       isInitializedRef.current = true;
     }
-  }, [pixelGrid, gridDimensions, pushHistory]);
-
-  // Add effect to handle history entries for drawing operations
-  useEffect(() => {
-    if (lastActionType === 'draw' && isInitializedRef.current) {
-      const newHistoryEntry = {
-        pixelGrid: pixelGrid.map(row => [...row]),
-        gridDimensions: { ...gridDimensions },
-        type: 'draw'
-      };
-
-      pushHistory(newHistoryEntry, 'draw');
-      setLastActionType(null);
-    }
-  }, [lastActionType, pushHistory, pixelGrid, gridDimensions]);
+  }, [pixelGrid, createHistoryEntry, pushHistory]);
 
-  // Add effect to handle history entries for grid changes
+  // Add effect to handle history entries for drawing, cut, grid and layer changes
   useEffect(() => {
-    if (lastActionType === 'grid_change' && isInitializedRef.current) {
-      const newHistoryEntry = {
-        pixelGrid: pixelGrid.map(row => [...row]),
-        gridDimensions: { ...gridDimensions },
-        type: 'grid_change'
-      };
-
-      pushHistory(newHistoryEntry, 'grid_change');
+    if (HISTORY_ACTION_TYPES.includes(lastActionType) && isInitializedRef.current) {
+      pushHistory(createHistoryEntry(lastActionType), lastActionType);
       setLastActionType(null);
     }
-  }, [lastActionType, pushHistory, pixelGrid, gridDimensions]);
+  }, [lastActionType, pushHistory, createHistoryEntry]);
 
   // Handlers for undo/redo - simply call the hook methods
   const handleUndo = useCallback(() => {
@@ -246,6 +421,11 @@ function App() {
     redo();
   }, [redo]);
 
+  // Layer property edits (visibility, lock, opacity, ...) commit here once they are finished
+  const handleLayerCommit = useCallback(() => {
+    setLastActionType('layer_change');
+  }, []);
+
   const notifyDrawingStarted = useCallback(() => {
     if (!hasDrawn) {
       setHasDrawn(true);
@@ -255,129 +435,63 @@ function App() {
 
   // --- Grid Manipulation Functions ---
 
+  // Resize the live layers and every stored animation frame together
+  const reframeArtwork = useCallback((newWidth, newHeight, offsetX = 0, offsetY = 0) => {
+    reframeLayers(newWidth, newHeight, offsetX, offsetY);
+    reframeFrames(newWidth, newHeight, offsetX, offsetY);
+  }, [reframeLayers, reframeFrames]);
+
+  // Size changes from the sidebar and image import keep every frame in step too
+  const handleResizeGrid = useCallback((newWidth, newHeight) => {
+    if (newWidth === gridDimensions.width && newHeight === gridDimensions.height) return;
+    resizeGrid(newWidth, newHeight);
+    reframeFrames(newWidth, newHeight);
+  }, [gridDimensions, resizeGrid, reframeFrames]);
+
+  // Edge controls resize every layer; offsets shift content when adding/removing at the top or left
   const addRowTop = useCallback(() => {
-    const newGrid = Array(gridDimensions.height + 1).fill().map(() => 
-      Array(gridDimensions.width).fill(null)
-    );
-    // Copy existing grid data, shifting down
-    for (let y = 0; y < gridDimensions.height; y++) {
-      for (let x = 0; x < gridDimensions.width; x++) {
-        newGrid[y + 1][x] = pixelGrid[y][x];
-      }
-    }
-    setPixelGrid(newGrid);
-    setInternalGridDimensions(prev => ({ ...prev, height: prev.height + 1 }));
+    reframeArtwork(gridDimensions.width, gridDimensions.height + 1, 0, 1);
     setLastActionType('grid_change');
-  }, [gridDimensions, pixelGrid, setPixelGrid, setInternalGridDimensions]);
+  }, [gridDimensions, reframeArtwork]);
 
   const addRowBottom = useCallback(() => {
-    const newGrid = Array(gridDimensions.height + 1).fill().map(() => 
-      Array(gridDimensions.width).fill(null)
-    );
-    // Copy existing grid data
-    for (let y = 0; y < gridDimensions.height; y++) {
-      for (let x = 0; x < gridDimensions.width; x++) {
-        newGrid[y][x] = pixelGrid[y][x]; // Copy to same position
-      }
-    }
-    setPixelGrid(newGrid);
-    setInternalGridDimensions(prev => ({ ...prev, height: prev.height + 1 }));
+    reframeArtwork(gridDimensions.width, gridDimensions.height + 1);
     setLastActionType('grid_change');
-  }, [gridDimensions, pixelGrid, setPixelGrid, setInternalGridDimensions]);
+  }, [gridDimensions, reframeArtwork]);
 
   const removeRowTop = useCallback(() => {
     if (gridDimensions.height <= 1) return; // Prevent removing last row
-    const newGrid = Array(gridDimensions.height - 1).fill().map(() => 
-      Array(gridDimensions.width).fill(null)
-    );
-    // Copy existing grid data, skipping the first row
-    for (let y = 0; y < gridDimensions.height - 1; y++) {
-      for (let x = 0; x < gridDimensions.width; x++) {
-        newGrid[y][x] = pixelGrid[y + 1][x];
-      }
-    }
-    setPixelGrid(newGrid);
-    setInternalGridDimensions(prev => ({ ...prev, height: prev.height - 1 }));
+    reframeArtwork(gridDimensions.width, gridDimensions.height - 1, 0, -1);
     setLastActionType('grid_change');
-  }, [gridDimensions, pixelGrid, setPixelGrid, setInternalGridDimensions]);
+  }, [gridDimensions, reframeArtwork]);
 
   const removeRowBottom = useCallback(() => {
     if (gridDimensions.height <= 1) return; // Prevent removing last row
-    const newGrid = Array(gridDimensions.height - 1).fill().map(() => 
-      Array(gridDimensions.width).fill(null)
-    );
-    // Copy existing grid data, skipping the last row
-    for (let y = 0; y < gridDimensions.height - 1; y++) {
-      for (let x = 0; x < gridDimensions.width; x++) {
-        newGrid[y][x] = pixelGrid[y][x];
-      }
-    }
-    setPixelGrid(newGrid);
-    setInternalGridDimensions(prev => ({ ...prev, height: prev.height - 1 }));
+    reframeArtwork(gridDimensions.width, gridDimensions.height - 1);
     setLastActionType('grid_change');
-  }, [gridDimensions, pixelGrid, setPixelGrid, setInternalGridDimensions]);
+  }, [gridDimensions, reframeArtwork]);
 
   const addColLeft = useCallback(() => {
-    const newGrid = Array(gridDimensions.height).fill().map(() => 
-      Array(gridDimensions.width + 1).fill(null)
-    );
-    // Copy existing grid data, shifting right
-    for (let y = 0; y < gridDimensions.height; y++) {
-      for (let x = 0; x < gridDimensions.width; x++) {
-        newGrid[y][x + 1] = pixelGrid[y][x];
-      }
-    }
-    setPixelGrid(newGrid);
-    setInternalGridDimensions(prev => ({ ...prev, width: prev.width + 1 }));
+    reframeArtwork(gridDimensions.width + 1, gridDimensions.height, 1, 0);
     setLastActionType('grid_change');
-  }, [gridDimensions, pixelGrid, setPixelGrid, setInternalGridDimensions]);
+  }, [gridDimensions, reframeArtwork]);
 
   const addColRight = useCallback(() => {
-    const newGrid = Array(gridDimensions.height).fill().map(() => 
-      Array(gridDimensions.width + 1).fill(null)
-    );
-    // Copy existing grid data
-    for (let y = 0; y < gridDimensions.height; y++) {
-      for (let x = 0; x < gridDimensions.width; x++) {
-        newGrid[y][x] = pixelGrid[y][x]; // Copy to same position
-      }
-    }
-    setPixelGrid(newGrid);
-    setInternalGridDimensions(prev => ({ ...prev, width: prev.width + 1 }));
+    reframeArtwork(gridDimensions.width + 1, gridDimensions.height);
     setLastActionType('grid_change');
-  }, [gridDimensions, pixelGrid, setPixelGrid, setInternalGridDimensions]);
+  }, [gridDimensions, reframeArtwork]);
 
   const removeColLeft = useCallback(() => {
     if (gridDimensions.width <= 1) return; // Prevent removing last column
-    const newGrid = Array(gridDimensions.height).fill().map(() => 
-      Array(gridDimensions.width - 1).fill(null)
-    );
-    // Copy existing grid data, skipping the first column
-    for (let y = 0; y < gridDimensions.height; y++) {
-      for (let x = 0; x < gridDimensions.width - 1; x++) {
-        newGrid[y][x] = pixelGrid[y][x + 1];
-      }
-    }
-    setPixelGrid(newGrid);
-    setInternalGridDimensions(prev => ({ ...prev, width: prev.width - 1 }));
+    reframeArtwork(gridDimensions.width - 1, gridDimensions.height, -1, 0);
     setLastActionType('grid_change');
-  }, [gridDimensions, pixelGrid, setPixelGrid, setInternalGridDimensions]);
+  }, [gridDimensions, reframeArtwork]);
 
   const removeColRight = useCallback(() => {
     if (gridDimensions.width <= 1) return; // Prevent removing last column
-    const newGrid = Array(gridDimensions.height).fill().map(() => 
-      Array(gridDimensions.width - 1).fill(null)
-    );
-    // Copy existing grid data, skipping the last column
-    for (let y = 0; y < gridDimensions.height; y++) {
-      for (let x = 0; x < gridDimensions.width - 1; x++) {
-        newGrid[y][x] = pixelGrid[y][x];
-      }
-    }
-    setPixelGrid(newGrid);
-    setInternalGridDimensions(prev => ({ ...prev, width: prev.width - 1 }));
+    reframeArtwork(gridDimensions.width - 1, gridDimensions.height);
     setLastActionType('grid_change');
-  }, [gridDimensions, pixelGrid, setPixelGrid, setInternalGridDimensions]);
+  }, [gridDimensions, reframeArtwork]);
 
   // ---------------------------------
 
@@ -386,50 +500,90 @@ function App() {
     const reader = new FileReader();
     reader.onload = (e) => {
        // Initialize import settings *before* setting URL and opening modal
-      setImportSettings({
+      setImportSettings(prev => ({
+        ...prev, // Keep the color, dithering and alpha choices from the last import
         width: gridDimensions.width, // Use current grid width
         height: gridDimensions.height, // Use current grid height
         maxColors: 32 // <-- Set default max colors to 32
-      });
+      }));
       setImportImageUrl(e.target.result);
       toggleImportModal(true);
     };
     reader.readAsDataURL(file);
   }, [gridDimensions, toggleImportModal]); // Keep dependencies
 
-  const handleSaveProject = useCallback(async () => {
-    const projectData = {
-      version: '1.0.1', // Bump version to indicate new structure
-      filename: stripDimensionsFromFilename(filename), // Save base filename
-      // Artwork State
-      gridDimensions,
-      pixelSize,
-      gridGap,
-      backgroundColor,
-      pixelGrid, 
-      // Tool State
-      activeTool,
-      activeColor, // Save the primary active color
-      colorHistory,
-      // Effect State
-      effects: { // Group effects for clarity
-        cornerRadius,
-        glowEnabled,
-        glowSettings,
-        bulbEnabled,
-        bulbSettings,
-        pixelShape,
-        customShape,
-      },
-      // UI State
-      ui: {
-        mode,
-        showGrid,
-        rendererType,
-      }
-    };
+  // Everything a project file (or an autosave) stores, stamped with the schema version
+  const buildProjectData = useCallback(() => serializeProject({
+    filename: stripDimensionsFromFilename(filename), // Save base filename
+    // Artwork State
+    gridDimensions,
+    pixelSize,
+    gridGap,
+    backgroundColor,
+    pixelGrid: compositeGrid, // Flattened artwork for readers without layer support
+    layers: layers.map(({ id, name, visible, opacity, locked, blendMode, grid }) => ({
+      id, name, visible, opacity, locked, blendMode, grid
+    })),
+    activeLayerId,
+    // Animation State (the top-level layers are the current frame)
+    animation: {
+      frames: resolvedFrames.map(({ id, duration, layers: frameLayers }) => ({
+        id,
+        duration,
+        layers: frameLayers.map(({ id: layerId, name, visible, opacity, locked, blendMode, grid }) => ({
+          id: layerId, name, visible, opacity, locked, blendMode, grid
+        })),
+      })),
+      currentFrameIndex,
+      onionSkin,
+    },
+    // Tool State
+    activeTool,
+    activeColor, // Save the primary active color
+    colorHistory,
+    palettes,
+    activePaletteId,
+    colorMode, // 'indexed' layer grids hold slots of the active palette; pixelGrid is always colors
+    // Effect State
+    effects: { // Group effects for clarity
+      cornerRadius,
+      glowEnabled,
+      glowSettings,
+      bulbEnabled,
+      bulbSettings,
+      pixelShape,
+      customShape,
+    },
+    // UI State
+    ui: {
+      mode,
+      showGrid,
+      rendererType,
+      symmetry,
+    }
+  }), [
+    gridDimensions, pixelSize, gridGap, backgroundColor, compositeGrid, layers, activeLayerId,
+    resolvedFrames, currentFrameIndex, onionSkin,
+    activeTool, activeColor, colorHistory, palettes, activePaletteId, colorMode,
+    cornerRadius, glowEnabled, glowSettings, bulbEnabled, bulbSettings, 
+    pixelShape, customShape,
+    mode, showGrid, rendererType, symmetry,
+    filename, stripDimensionsFromFilename
+  ]);
 
-    const blob = new Blob([JSON.stringify(projectData, null, 2)], { type: 'application/json' });
+  const handleSaveProject = useCallback(async (format = saveFormat) => {
+    setSaveFormat(format);
+    toggleSaveProjectModal(false);
+    let file;
+    try {
+      file = await encodeProjectFile(buildProjectData(), format);
+    } catch (error) {
+      console.error('Error saving project:', error);
+      alert(`Failed to save project. ${error.message}`);
+      return;
+    }
+
+    const blob = new Blob([file.bytes], { type: file.mimeType });
 
     // Format filename with dimensions for the SAVE DIALOG only
     const suggestedFilename = formatFilenameWithDimensions(
@@ -442,10 +596,10 @@ function App() {
     if ('showSaveFilePicker' in window) {
       try {
         const handle = await window.showSaveFilePicker({
-          suggestedName: `${suggestedFilename}.json`, // Use suggested name
+          suggestedName: `${suggestedFilename}.${file.extension}`, // Use suggested name
           types: [{
             description: 'Pixel Pop Project',
-            accept: { 'application/json': ['.json'] },
+            accept: { [file.mimeType]: [`.${file.extension}`] },
           }],
         });
         const writable = await handle.createWritable();
@@ -464,117 +618,407 @@ function App() {
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `${suggestedFilename}.json`; // Use suggested name
+      a.download = `${suggestedFilename}.${file.extension}`; // Use suggested name
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
       URL.revokeObjectURL(url);
     }
+  }, [saveFormat, toggleSaveProjectModal, buildProjectData, filename, gridDimensions, formatFilenameWithDimensions]);
+
+  // Applies parsed project data, replacing the current project; throws if it is not a valid project
+  const loadProjectData = useCallback((data, fallbackName = 'Untitled Pixel Art') => {
+    // Migrates older versions, validates and fills in defaults for missing fields
+    const projectData = parseProject(data);
+    const hasPalettes = Array.isArray(projectData.palettes) && projectData.palettes.length > 0;
+
+    // --- Filename and Dimensions --- 
+    const loadedBaseFilename = projectData.filename || fallbackName;
+    const finalDimensions = projectData.gridDimensions;
+    
+    // --- Update State ---
+    // Artwork
+    setInternalGridDimensions(finalDimensions);
+    setPixelSize(projectData.pixelSize);
+    setGridGap(projectData.gridGap);
+    // Projects saved before layers existed become a single layer
+    const toLayers = (savedLayers) => savedLayers.map((layer, index) => ({
+      ...createLayer({ name: `Layer ${index + 1}`, grid: layer.grid }),
+      ...layer
+    }));
+    let loadedLayers = Array.isArray(projectData.layers) && projectData.layers.length > 0
+      ? toLayers(projectData.layers)
+      : [createLayer({ name: 'Layer 1', grid: projectData.pixelGrid })];
+    // Projects saved before animation existed become a single frame
+    const savedFrames = projectData.animation?.frames;
+    let loadedFrames = [createFrame({ layers: loadedLayers })];
+    let loadedFrameIndex = 0;
+    if (Array.isArray(savedFrames) && savedFrames.length > 0) {
+      loadedFrames = savedFrames.map(frame => ({
+        ...createFrame({ layers: toLayers(frame.layers), duration: frame.duration }),
+        ...(frame.id ? { id: frame.id } : {})
+      }));
+      loadedFrameIndex = Math.min(Math.max(0, projectData.animation.currentFrameIndex || 0), loadedFrames.length - 1);
+      loadedLayers = loadedFrames[loadedFrameIndex].layers;
+    }
+    restoreFrames(loadedFrames, loadedFrameIndex);
+    setOnionSkin(projectData.animation?.onionSkin || DEFAULT_ONION_SKIN);
+    replaceLayers(loadedLayers, projectData.activeLayerId);
+    setBackgroundColor(projectData.backgroundColor);
+    
+    // Tools
+    setActiveTool(projectData.activeTool);
+    selectColor(projectData.activeColor); // Use selectColor to update history too
+    setColorHistory(projectData.colorHistory);
+    // Projects saved before palettes existed keep the current palettes
+    let loadedPaletteId = projectData.activePaletteId;
+    if (hasPalettes) {
+      const loadedPalettes = projectData.palettes.map(palette => ({
+        ...createPalette({ name: palette.name, colors: palette.colors, maxColors: palette.maxColors || null }),
+        ...(palette.id ? { id: palette.id } : {})
+      }));
+      replacePalettes(loadedPalettes, projectData.activePaletteId);
+      // replacePalettes falls back to the first palette for an unknown id
+      if (!loadedPalettes.some(palette => palette.id === loadedPaletteId)) loadedPaletteId = loadedPalettes[0].id;
+    }
+    setColorMode(projectData.colorMode);
+
+    // Effects
+    const { effects, ui } = projectData;
+    setCornerRadius(effects.cornerRadius);
+    setGlowEnabled(effects.glowEnabled);
+    setGlowSettings(effects.glowSettings);
+    setBulbEnabled(effects.bulbEnabled);
+    setBulbSettings(effects.bulbSettings);
+    setPixelShape(effects.pixelShape);
+    setCustomShape(effects.customShape);
+    
+    // UI
+    setMode(ui.mode);
+    toggleGrid(ui.showGrid);
+    setRendererType(ui.rendererType);
+    setSymmetry(ui.symmetry);
+
+    // Final Setup
+    setFilename(stripDimensionsFromFilename(loadedBaseFilename)); // Display base name
+    setHasDrawn(true); // Assume loaded project has content
+    
+    // Reset history for loaded project
+    const initialHistoryEntry = {
+      pixelGrid: projectData.pixelGrid.map(row => [...row]),
+      layers: cloneLayers(loadedLayers),
+      activeLayerId: projectData.activeLayerId,
+      frames: loadedFrames,
+      currentFrameIndex: loadedFrameIndex,
+      gridDimensions: { ...finalDimensions },
+      colorMode: projectData.colorMode,
+      activePaletteId: loadedPaletteId,
+      type: 'load'
+    };
+    // Use replaceHistory to clear previous states
+    pushHistory(initialHistoryEntry, 'load', true);
   }, [
-    // Add ALL the state variables being saved to the dependency array
-    gridDimensions, pixelSize, gridGap, backgroundColor, pixelGrid, 
-    activeTool, activeColor, colorHistory, 
-    cornerRadius, glowEnabled, glowSettings, bulbEnabled, bulbSettings, 
-    pixelShape, customShape,
-    mode, showGrid, rendererType,
-    filename, formatFilenameWithDimensions, stripDimensionsFromFilename
+    // Add ALL setters for the state being loaded
+    setInternalGridDimensions, setPixelSize, setGridGap, replaceLayers, restoreFrames, setOnionSkin,
+    setBackgroundColor, setActiveTool, selectColor, setColorHistory, replacePalettes, setColorMode,
+    setCornerRadius, setGlowEnabled, setGlowSettings, setBulbEnabled, setBulbSettings,
+    setPixelShape, setCustomShape,
+    setMode, toggleGrid, setRendererType, setSymmetry,
+    setFilename, setHasDrawn, pushHistory, 
+    stripDimensionsFromFilename
   ]);
 
+  // Autosave to browser storage, session recovery and the recent-projects gallery
+  const {
+    projectId,
+    recentProjects,
+    recoverableProject,
+    startNewProject,
+    openProject,
+    duplicateProject,
+    deleteProject,
+    restoreRecoverableProject,
+    dismissRecovery,
+  } = useAutosave({
+    enabled: hasDrawn,
+    getProjectData: buildProjectData,
+    onOpen: loadProjectData,
+  });
+
+  // Reads JSON, compact JSON or binary .pixelpop files (detected from the contents),
+  // Piskel sprites, and Lospec palette JSON, which adds a palette instead of replacing the project
   const handleLoadProject = useCallback((file) => {
     const reader = new FileReader();
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
       try {
-        const projectData = JSON.parse(e.target.result);
-        const version = projectData.version || '1.0.0'; // Assume 1.0.0 if missing
-        
-        // --- Basic Validation ---
-        if (!projectData.gridDimensions || !projectData.pixelGrid) {
-          throw new Error('Invalid project file format: Missing gridDimensions or pixelGrid');
-        }
-
-        // --- Filename and Dimensions --- 
-        const loadedBaseFilename = projectData.filename || file.name.replace(/\.json$/, '');
-        const dimensionsFromFilename = getDimensionsFromFilename(loadedBaseFilename);
-        const finalDimensions = dimensionsFromFilename || projectData.gridDimensions;
-        
-        // --- Update State (use defaults for missing fields in older versions) ---
-        // Artwork
-        setInternalGridDimensions(finalDimensions);
-        setPixelSize(projectData.pixelSize || 24);
-        setGridGap(projectData.gridGap || 0);
-        setPixelGrid(projectData.pixelGrid);
-        setBackgroundColor(projectData.backgroundColor || 'rgba(240, 240, 240, 1)');
-        
-        // Tools
-        setActiveTool(projectData.activeTool || 'pencil');
-        selectColor(projectData.activeColor || 'rgba(0, 0, 0, 1)'); // Use selectColor to update history too
-        setColorHistory(projectData.colorHistory || [projectData.activeColor || 'rgba(0, 0, 0, 1)']);
-
-        // Effects (check if 'effects' group exists for v1.0.1+)
-        if (projectData.effects) {
-          setCornerRadius(projectData.effects.cornerRadius || { enabled: false, topLeft: 0, topRight: 0, bottomLeft: 0, bottomRight: 0 });
-          setGlowEnabled(projectData.effects.glowEnabled || false);
-          setGlowSettings(projectData.effects.glowSettings || { size: 5, intensity: 100, spread: 0, offsetX: 0, offsetY: 0 });
-          setBulbEnabled(projectData.effects.bulbEnabled || false);
-          setBulbSettings(projectData.effects.bulbSettings || { intensity: 50, radius: 50, positionX: 50, positionY: 50, color: '#ffffff', blend: 'overlay' });
-          setPixelShape(projectData.effects.pixelShape || 'rectangle');
-          setCustomShape(projectData.effects.customShape || { path: '', viewBox: '0 0 100 100' });
-        } else {
-          // Reset effects if loading older version without them
-          setCornerRadius({ enabled: false, topLeft: 0, topRight: 0, bottomLeft: 0, bottomRight: 0 });
-          setGlowEnabled(false);
-          setBulbEnabled(false);
-          setPixelShape('rectangle');
-          setCustomShape({ path: '', viewBox: '0 0 100 100' });
-        }
-        
-        // UI (check if 'ui' group exists for v1.0.1+)
-        if (projectData.ui) {
-          setMode(projectData.ui.mode || 'edit');
-          toggleGrid(projectData.ui.showGrid === true); // Explicitly check for true
-          setRendererType(projectData.ui.rendererType || 'canvas');
-        } else {
-          // Set defaults if loading older version
-          setMode('edit');
-          toggleGrid(true);
-          setRendererType('canvas');
+        const data = await decodeProjectFile(e.target.result);
+        const baseName = file.name.replace(/\.(json|pixelpop|piskel)$/i, '');
+        if (isLospecPalette(data)) {
+          const palette = parseLospecPalette(data, baseName);
+          // Indexed artwork stays on its palette, like palettes imported from the palette panel
+          addPalette(palette, { activate: colorMode !== 'indexed' });
+          setColorHistory(prevHistory => [...new Set([...palette.colors, ...prevHistory])].slice(0, MAX_HISTORY_LENGTH));
+          return;
         }
-
-        // Final Setup
-        setFilename(stripDimensionsFromFilename(loadedBaseFilename)); // Display base name
-        setHasDrawn(true); // Assume loaded project has content
-        
-        // Reset history for loaded project
-        const initialHistoryEntry = {
-          pixelGrid: projectData.pixelGrid.map(row => [...row]),
-          gridDimensions: { ...finalDimensions },
-          type: 'load'
-        };
-        // Use replaceHistory to clear previous states
-        pushHistory(initialHistoryEntry, 'load', true); 
-
+        const projectData = isPiskelFile(data) ? await parsePiskel(data, { name: baseName }) : data;
+        loadProjectData(projectData, baseName);
+        startNewProject(); // A loaded file autosaves as a new recent project
       } catch (error) {
         console.error('Error loading project:', error);
         alert(`Failed to load project file. ${error.message}`);
       }
     };
-    reader.readAsText(file);
-  }, [
-    // Add ALL setters for the state being loaded
-    setInternalGridDimensions, setPixelSize, setGridGap, setPixelGrid, 
-    setBackgroundColor, setActiveTool, selectColor, setColorHistory,
-    setCornerRadius, setGlowEnabled, setGlowSettings, setBulbEnabled, setBulbSettings,
-    setPixelShape, setCustomShape,
-    setMode, toggleGrid, setRendererType, 
-    setFilename, setHasDrawn, pushHistory, 
-    getDimensionsFromFilename, stripDimensionsFromFilename
-  ]);
+    reader.readAsArrayBuffer(file);
+  }, [loadProjectData, startNewProject, addPalette, colorMode, setColorHistory]);
+
+  // Aseprite sprites open as a new project with their layers, frames and palette
+  const handleLoadAseprite = useCallback((file) => {
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      try {
+        const name = file.name.replace(/\.(ase|aseprite)$/i, '');
+        loadProjectData(await parseAseprite(e.target.result, { name }), name);
+        startNewProject();
+      } catch (error) {
+        console.error('Error importing Aseprite file:', error);
+        alert(`Failed to import Aseprite file. ${error.message}`);
+      }
+    };
+    reader.readAsArrayBuffer(file);
+  }, [loadProjectData, startNewProject]);
+
+  const handleOpenRecentProject = useCallback(async (id) => {
+    try {
+      await openProject(id);
+      toggleRecentProjectsModal(false);
+    } catch (error) {
+      console.error('Error opening saved project:', error);
+      alert(`Failed to open project. ${error.message}`);
+    }
+  }, [openProject, toggleRecentProjectsModal]);
+
+  const handleDuplicateRecentProject = useCallback(async (id) => {
+    try {
+      await duplicateProject(id);
+    } catch (error) {
+      console.error('Error duplicating saved project:', error);
+      alert(`Failed to duplicate project. ${error.message}`);
+    }
+  }, [duplicateProject]);
+
+  const handleDeleteRecentProject = useCallback(async (id) => {
+    const project = recentProjects.find(item => item.id === id);
+    if (!window.confirm(`Delete "${project?.name || 'this project'}" from recent projects?`)) return;
+    try {
+      await deleteProject(id);
+    } catch (error) {
+      console.error('Error deleting saved project:', error);
+      alert(`Failed to delete project. ${error.message}`);
+    }
+  }, [recentProjects, deleteProject]);
+
+  const handleRestoreSession = useCallback(async () => {
+    try {
+      await restoreRecoverableProject();
+    } catch (error) {
+      console.error('Error restoring last session:', error);
+      alert(`Failed to restore the last session. ${error.message}`);
+      dismissRecovery();
+    }
+  }, [restoreRecoverableProject, dismissRecovery]);
+
+  // Opens an imported, pasted or dropped file: images go through the import flow,
+  // Aseprite sprites and project files are loaded
+  const openFile = useCallback((file) => {
+    const kind = getFileKind(file);
+    if (kind === 'image') {
+      handleFileSelect(file);
+    } else if (kind === 'aseprite') {
+      handleLoadAseprite(file);
+    } else if (kind === 'project') {
+      handleLoadProject(file);
+    } else {
+      alert('Only images, Aseprite sprites and PixelPop project files can be opened here.');
+    }
+  }, [handleFileSelect, handleLoadAseprite, handleLoadProject]);
+
+  // Paste from the system clipboard. PixelPop pixel data becomes a floating selection
+  // that the select tool places with a click, like an internal copy.
+  useEffect(() => {
+    const handlePaste = (event) => {
+      const targetTagName = event.target.tagName?.toUpperCase();
+      if (targetTagName === 'INPUT' || targetTagName === 'TEXTAREA' || event.target.isContentEditable) {
+        return;
+      }
+      const clipboardData = event.clipboardData;
+      if (!clipboardData) return;
+
+      const imageItem = [...(clipboardData.items || [])].find(item => item.kind === 'file' && item.type.startsWith('image/'));
+      const imageFile = imageItem?.getAsFile();
+      if (imageFile) {
+        event.preventDefault();
+        handleFileSelect(imageFile);
+        return;
+      }
+
+      const pasted = parseClipboardText(clipboardData.getData('text/plain'));
+      if (!pasted) return;
+      event.preventDefault();
+
+      if (pasted.type === 'selection') {
+        const { buffer } = pasted;
+        // Indexed artwork stores palette slots, so the pasted colors snap to the palette
+        setCopyBuffer(indexedPalette ? { ...buffer, data: indexGrid(buffer.data, indexedPalette) } : buffer);
+        setSelectionArea(null);
+        setActiveTool('select');
+      } else if (window.confirm('Load the pasted project? The current artwork and its undo history will be replaced.')) {
+        handleLoadProject(new File([pasted.json], 'Pasted project.json', { type: 'application/json' }));
+      }
+    };
+
+    document.addEventListener('paste', handlePaste);
+    return () => {
+      document.removeEventListener('paste', handlePaste);
+    };
+  }, [handleFileSelect, handleLoadProject, indexedPalette, setActiveTool]);
+
+  const handleCanvasDragOver = useCallback((event) => {
+    if (!event.dataTransfer?.types?.includes('Files')) return;
+    event.preventDefault(); // Allow dropping
+    event.dataTransfer.dropEffect = 'copy';
+    setIsFileDragOver(true);
+  }, []);
+
+  const handleCanvasDragLeave = useCallback((event) => {
+    // Ignore moves between the wrapper's own children
+    if (event.currentTarget.contains(event.relatedTarget)) return;
+    setIsFileDragOver(false);
+  }, []);
+
+  const handleCanvasDrop = useCallback((event) => {
+    setIsFileDragOver(false);
+    const file = event.dataTransfer?.files?.[0];
+    if (!file) return;
+    event.preventDefault();
+    openFile(file);
+  }, [openFile]);
 
   const handleExport = useCallback(() => {
     toggleExportModal(true);
   }, [toggleExportModal]);
 
-  const performExport = useCallback(async ({ format, scale, padding, includeGrid, rendererType: exportRenderer, includeBackground }) => {
+  // Draws a grid through the same glow, crisp pixel and bulb passes as CanvasRenderer.
+  // Used for still exports and for every frame of an animated export.
+  const renderExportCanvas = useCallback((grid, { scale, padding, includeGrid, fillStyle }) => {
+    const exportCanvas = document.createElement('canvas');
+    const exportCtx = exportCanvas.getContext('2d');
+    // Size comes from the grid itself, so artworks of other sizes render too (sprite sheets)
+    const gridHeight = grid.length;
+    const gridWidth = grid[0]?.length || 0;
+    
+    // Calculate base dimensions (one pixel unit in the grid)
+    const cellSize = pixelSize + gridGap;
+    const baseWidth = gridWidth * cellSize;
+    const baseHeight = gridHeight * cellSize;
+    
+    // --- Calculate scaled and padded dimensions ---
+    const scaledWidth = Math.floor(baseWidth * scale);
+    const scaledHeight = Math.floor(baseHeight * scale);
+    const paddedWidth = scaledWidth + (padding * 2);
+    const paddedHeight = scaledHeight + (padding * 2);
+    exportCanvas.width = paddedWidth;
+    exportCanvas.height = paddedHeight;
+    
+    exportCtx.fillStyle = fillStyle;
+    exportCtx.fillRect(0, 0, paddedWidth, paddedHeight);
+    exportCtx.save();
+    exportCtx.translate(padding, padding);
+    exportCtx.scale(scale, scale);
+    
+    // --- Replicate multi-pass rendering from CanvasRenderer --- 
+    
+    // Current effect settings
+    const currentGlowEnabled = glowEnabled; 
+    const currentGlowSettings = glowSettings;
+    const currentBulbEnabled = bulbEnabled;
+    const currentBulbSettings = bulbSettings;
+    const currentCornerRadius = cornerRadius.enabled ? cornerRadius : null;
+    const currentPixelShape = pixelShape;
+
+    // <<< Use a unique name for cell size in export >>>
+    const exportCellSize = pixelSize + gridGap;
+
+    // --- Glow Rendering Pass --- 
+    if (currentGlowEnabled) {
+        for (let y = 0; y < gridHeight; y++) {
+            for (let x = 0; x < gridWidth; x++) {
+                const color = grid[y]?.[x];
+                if (color) {
+                    // <<< Use renamed variable AND add offset >>>
+                    const xPos = x * exportCellSize + (gridGap / 2);
+                    const yPos = y * exportCellSize + (gridGap / 2);
+                    // Assumes drawGlowLayer is accessible here
+                    drawGlowLayer(exportCtx, xPos, yPos, pixelSize, color, currentGlowSettings, currentCornerRadius, currentPixelShape);
+                }
+            }
+        }
+    }
+
+    // --- Crisp Pixel Rendering Pass --- 
+    for (let y = 0; y < gridHeight; y++) {
+        for (let x = 0; x < gridWidth; x++) {
+            const color = grid[y]?.[x];
+            if (color) {
+                // <<< Use renamed variable AND add offset >>>
+                const xPos = x * exportCellSize + (gridGap / 2);
+                const yPos = y * exportCellSize + (gridGap / 2);
+                // Assumes drawCrispPixel is accessible here
+                drawCrispPixel(exportCtx, xPos, yPos, pixelSize, color, currentCornerRadius, currentPixelShape);
+            }
+        }
+    }
+    
+    // --- Bulb Effect Rendering Pass --- 
+    if (currentBulbEnabled) {
+        for (let y = 0; y < gridHeight; y++) {
+            for (let x = 0; x < gridWidth; x++) { 
+                const color = grid[y]?.[x];
+                if (color) {
+                    // <<< Use renamed variable AND add offset >>>
+                    const xPos = x * exportCellSize + (gridGap / 2);
+                    const yPos = y * exportCellSize + (gridGap / 2);
+                    // Assumes drawBulbEffect is accessible here (the per-pixel one)
+                    drawBulbEffect(exportCtx, xPos, yPos, pixelSize, currentBulbSettings, currentPixelShape, currentCornerRadius);
+                }
+            }
+        }
+    }
+
+    if (includeGrid) {
+      drawGrid(exportCtx, baseWidth, baseHeight, gridWidth, gridHeight, pixelSize, gridGap);
+    }
+    exportCtx.restore();
+    return exportCanvas;
+  }, [pixelSize, gridGap, glowEnabled, glowSettings, bulbEnabled, bulbSettings, cornerRadius, pixelShape]);
+
+  // Standalone SVG of the current artwork and effects, shared by SVG and code exports
+  const buildExportSvg = useCallback(({ scale, padding, includeGrid, background }) => buildSvg(compositeGrid, {
+    pixelSize,
+    gridGap,
+    pixelShape,
+    cornerRadius,
+    customShape,
+    glowEnabled,
+    glowSettings,
+    bulbEnabled,
+    bulbSettings,
+    scale,
+    padding,
+    includeGrid,
+    background,
+  }), [compositeGrid, pixelSize, gridGap, pixelShape, cornerRadius, customShape, glowEnabled, glowSettings, bulbEnabled, bulbSettings]);
+
+  const performExport = useCallback(async ({ format, scale, padding, includeGrid, rendererType: exportRenderer, includeBackground, frameDelay, loopCount = 0, spriteSheet, led, craft, voxel: voxelOptions, icon }) => {
     // No need for Promise wrapper when using async/await directly
     try {
       // Format filename with dimensions for export
@@ -584,51 +1028,14 @@ function App() {
         gridDimensions.height
       );
 
-      // Handle SVG export directly
-      if (format === 'svg' && rendererType === 'svg') {
-        const svgElement = canvasRef.current?.svgRef?.current;
-        if (!svgElement) {
-          throw new Error('No SVG element found');
-        }
-        
-        // Create a deep clone with all content preserved
-        const svgClone = svgElement.cloneNode(true);
-        
-        // Add necessary XML namespaces for standalone SVG
-        svgClone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
-        svgClone.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
-        
-        // Ensure viewBox is set correctly
-        const cellSize = pixelSize + gridGap;
-        const totalWidth = gridDimensions.width * cellSize;
-        const totalHeight = gridDimensions.height * cellSize;
-        svgClone.setAttribute('viewBox', `0 0 ${totalWidth} ${totalHeight}`);
-        
-        // Set width and height attributes
-        svgClone.setAttribute('width', totalWidth);
-        svgClone.setAttribute('height', totalHeight);
-        
-        // Clean up any unwanted interactive elements or attributes
-        // Remove interaction overlays (just in case they're present and causing issues)
-        const interactionLayer = svgClone.querySelector('.interaction-layer');
-        if (interactionLayer) {
-          svgClone.removeChild(interactionLayer);
-        }
-        
-        // Ensure pixels layer is properly visible
-        const pixelsLayer = svgClone.querySelector('.pixels-layer');
-        if (pixelsLayer) {
-          // Make sure all pixels are rendered and visible
-          const pixels = pixelsLayer.querySelectorAll('path, circle, rect');
-          pixels.forEach(pixel => {
-            // Ensure no display:none or visibility:hidden
-            pixel.style.visibility = 'visible';
-            pixel.style.display = 'block';
-          });
-        }
-        
-        // Serialize to XML
-        const svgData = new XMLSerializer().serializeToString(svgClone);
+      // Handle SVG export directly: built from the grid, so it works with any renderer
+      if (format === 'svg') {
+        const svgData = buildExportSvg({
+          scale,
+          padding,
+          includeGrid,
+          background: includeBackground ? backgroundColor || null : null,
+        });
         const svgBlob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
         
         // Use File System Access API if available
@@ -666,107 +1073,164 @@ function App() {
         return; // Exit after handling SVG export
       }
       
-      // --- Handle PNG and JPG exports using canvas ---
-      const exportCanvas = document.createElement('canvas');
-      const exportCtx = exportCanvas.getContext('2d');
-      
-      // Calculate base dimensions (one pixel unit in the grid)
-      const cellSize = pixelSize + gridGap;
-      const baseWidth = gridDimensions.width * cellSize;
-      const baseHeight = gridDimensions.height * cellSize;
-      
-      // --- Calculate scaled and padded dimensions ---
-      const scaledWidth = Math.floor(baseWidth * scale);
-      const scaledHeight = Math.floor(baseHeight * scale);
-      const paddedWidth = scaledWidth + (padding * 2);
-      const paddedHeight = scaledHeight + (padding * 2);
-      exportCanvas.width = paddedWidth;
-      exportCanvas.height = paddedHeight;
-      
+      // --- Handle PNG, JPG, GIF and APNG exports using canvas ---
       // Set background color based on includeBackground parameter
+      let fillStyle;
       if (includeBackground) {
         // Use background color if includeBackground is true
-        exportCtx.fillStyle = format === 'jpg' ? 
+        fillStyle = format === 'jpg' ? 
           (backgroundColor || '#ffffff') : 
           (backgroundColor || 'transparent');
       } else {
-        // Use transparent for PNG, white for JPG if includeBackground is false
-        exportCtx.fillStyle = format === 'jpg' ? '#ffffff' : 'transparent';
+        // Use transparent for PNG/GIF/APNG/sprite sheets, white for JPG if includeBackground is false
+        fillStyle = format === 'jpg' ? '#ffffff' : 'transparent';
       }
-      
-      exportCtx.fillRect(0, 0, paddedWidth, paddedHeight);
-      exportCtx.save();
-      exportCtx.translate(padding, padding);
-      exportCtx.scale(scale, scale);
-      
-      // --- Replicate multi-pass rendering from CanvasRenderer --- 
-      
-      // Get current effect settings (assuming they are available in this scope)
-      const currentGlowEnabled = glowEnabled; 
-      const currentGlowSettings = glowSettings;
-      const currentBulbEnabled = bulbEnabled;
-      const currentBulbSettings = bulbSettings;
-      const currentCornerRadius = cornerRadius.enabled ? cornerRadius : null;
-      const currentPixelShape = pixelShape;
-
-      // <<< Use a unique name for cell size in export >>>
-      const exportCellSize = pixelSize + gridGap;
-
-      // --- Glow Rendering Pass --- 
-      if (currentGlowEnabled) {
-          for (let y = 0; y < gridDimensions.height; y++) {
-              for (let x = 0; x < gridDimensions.width; x++) {
-                  const color = pixelGrid[y]?.[x];
-                  if (color) {
-                      // <<< Use renamed variable AND add offset >>>
-                      const xPos = x * exportCellSize + (gridGap / 2);
-                      const yPos = y * exportCellSize + (gridGap / 2);
-                      // Assumes drawGlowLayer is accessible here
-                      drawGlowLayer(exportCtx, xPos, yPos, pixelSize, color, currentGlowSettings, currentCornerRadius, currentPixelShape);
-                  }
-              }
-          }
+      const renderOptions = { scale, padding, includeGrid, fillStyle };
+
+      let blob;
+      let mimeType;
+      let extension = format;
+      if (format === 'sprite') {
+        // --- Sprite sheet: timeline frames plus any added artworks, packed into one PNG ---
+        const { layout, columns, padding: spritePadding, extrude, atlasFormat, artworks = [] } = spriteSheet;
+        const sprites = [
+          ...frameGrids.map((grid, index) => ({
+            name: `${exportFilename}_${index}`,
+            grid,
+            duration: resolvedFrames[index].duration,
+          })),
+          ...artworks,
+        ];
+        const spriteCanvases = sprites.map(sprite => renderExportCanvas(sprite.grid, renderOptions));
+        const sheet = layoutSpriteSheet(
+          spriteCanvases.map(spriteCanvas => ({ width: spriteCanvas.width, height: spriteCanvas.height })),
+          { layout, columns, padding: spritePadding, extrude }
+        );
+
+        const sheetCanvas = document.createElement('canvas');
+        sheetCanvas.width = sheet.width;
+        sheetCanvas.height = sheet.height;
+        const sheetCtx = sheetCanvas.getContext('2d');
+        spriteCanvases.forEach((spriteCanvas, index) => {
+          const rect = sheet.rects[index];
+          sheetCtx.drawImage(spriteCanvas, rect.x, rect.y);
+          extrudeSpriteEdges(sheetCtx, spriteCanvas, rect, extrude);
+        });
+        const sheetBlob = await new Promise(resolve => sheetCanvas.toBlob(resolve, 'image/png'));
+        if (!sheetBlob) {
+          throw new Error('Failed to create blob from canvas');
+        }
+
+        const atlas = buildSpriteAtlas(
+          sprites.map((sprite, index) => ({ name: sprite.name, rect: sheet.rects[index], duration: sprite.duration })),
+          { image: `${exportFilename}.png`, width: sheet.width, height: sheet.height, format: atlasFormat }
+        );
+        const atlasBlob = new Blob([JSON.stringify(atlas, null, 2)], { type: 'application/json' });
+
+        downloadFiles([[sheetBlob, `${exportFilename}.png`], [atlasBlob, `${exportFilename}.json`]]);
+        return;
       }
 
-      // --- Crisp Pixel Rendering Pass --- 
-      for (let y = 0; y < gridDimensions.height; y++) {
-          for (let x = 0; x < gridDimensions.width; x++) {
-              const color = pixelGrid[y]?.[x];
-              if (color) {
-                  // <<< Use renamed variable AND add offset >>>
-                  const xPos = x * exportCellSize + (gridGap / 2);
-                  const yPos = y * exportCellSize + (gridGap / 2);
-                  // Assumes drawCrispPixel is accessible here
-                  drawCrispPixel(exportCtx, xPos, yPos, pixelSize, color, currentCornerRadius, currentPixelShape);
-              }
-          }
+      if (format === 'craft') {
+        // --- Craft pattern: printable chart plus a materials list for the chosen catalog ---
+        const pattern = matchCraftColors(compositeGrid, craft.catalogId, { metric: craft.metric });
+        const chart = buildCraftChart(pattern, { title: stripDimensionsFromFilename(filename), boardSize: craft.boardSize });
+        downloadFiles([
+          [new Blob([chart], { type: 'image/svg+xml;charset=utf-8' }), `${exportFilename}-pattern.svg`],
+          [new Blob([buildMaterialsCsv(pattern)], { type: 'text/csv;charset=utf-8' }), `${exportFilename}-materials.csv`],
+        ]);
+        return;
       }
-      
-      // --- Bulb Effect Rendering Pass --- 
-      if (currentBulbEnabled) {
-          for (let y = 0; y < gridDimensions.height; y++) {
-              for (let x = 0; x < gridDimensions.width; x++) { 
-                  const color = pixelGrid[y]?.[x];
-                  if (color) {
-                      // <<< Use renamed variable AND add offset >>>
-                      const xPos = x * exportCellSize + (gridGap / 2);
-                      const yPos = y * exportCellSize + (gridGap / 2);
-                      // Assumes drawBulbEffect is accessible here (the per-pixel one)
-                      drawBulbEffect(exportCtx, xPos, yPos, pixelSize, currentBulbSettings, currentPixelShape, currentCornerRadius);
-                  }
-              }
-          }
+
+      if (format === 'icon') {
+        // --- App icons: a PNG per icon size, a multi-size .ico and the manifest snippet ---
+        // Named after the project alone; the sizes are in each file name
+        const iconFiles = await buildAppIconFiles(compositeGrid, {
+          baseName: stripDimensionsFromFilename(filename),
+          padding: icon.padding,
+          background: includeBackground ? backgroundColor : null,
+        });
+        downloadFiles(iconFiles.map(({ name, data, type }) => [new Blob([data], { type }), name]));
+        return;
       }
 
-      if (includeGrid) {
-        drawGrid(exportCtx, baseWidth, baseHeight, gridDimensions.width, gridDimensions.height, pixelSize, gridGap);
+      if (format === 'voxel' && voxelOptions.format === 'obj') {
+        // --- OBJ model: geometry plus its MTL palette ---
+        const { obj, mtl } = writeVoxelObj(
+          buildVoxelFaces(compositeGrid, { depth: voxelOptions.depth, bevel: voxelOptions.bevel }),
+          { name: exportFilename, unitSize: voxelOptions.unitSize }
+        );
+        downloadFiles([
+          [new Blob([obj], { type: 'text/plain' }), `${exportFilename}.obj`],
+          [new Blob([mtl], { type: 'text/plain' }), `${exportFilename}.mtl`],
+        ]);
+        return;
+      }
+
+      if (format === 'voxel') {
+        // --- STL or glTF model: one file, binary ---
+        const faces = buildVoxelFaces(compositeGrid, { depth: voxelOptions.depth, bevel: voxelOptions.bevel });
+        extension = voxelOptions.format;
+        if (extension === 'stl') {
+          mimeType = 'model/stl';
+          blob = new Blob([writeVoxelStl(faces, { unitSize: voxelOptions.unitSize })], { type: mimeType });
+        } else {
+          mimeType = 'model/gltf-binary';
+          blob = new Blob(
+            [await writeVoxelGlb(faces, { name: stripDimensionsFromFilename(filename), unitSize: voxelOptions.unitSize })],
+            { type: mimeType }
+          );
+        }
+      } else if (format === 'led') {
+        // --- LED matrix: one LED per cell of every frame, as text ---
+        const ledFrames = frameGrids.map((grid, index) => ({
+          grid,
+          duration: frameDelay || resolvedFrames[index].duration,
+        }));
+        const ledOptions = { name: stripDimensionsFromFilename(filename), wiring: led.wiring, brightness: led.brightness };
+        if (led.target === 'wled') {
+          mimeType = 'application/json';
+          extension = 'json';
+          blob = new Blob([buildWledPresets(ledFrames, ledOptions)], { type: mimeType });
+        } else {
+          mimeType = 'text/plain';
+          extension = 'h';
+          blob = new Blob([buildLedHeader(ledFrames, { ...ledOptions, colorFormat: led.colorFormat })], { type: mimeType });
+        }
+      } else if (format === 'aseprite') {
+        // --- Aseprite sprite: layers, frames and palette as they are, at one cell per pixel ---
+        mimeType = 'application/octet-stream';
+        blob = new Blob([await writeAseprite(buildProjectData())], { type: mimeType });
+      } else if (format === 'gif' || format === 'apng') {
+        // --- Animated export: render every frame, then encode ---
+        let outputWidth = 0;
+        let outputHeight = 0;
+        const encodedFrames = frameGrids.map((grid, index) => {
+          const frameCanvas = renderExportCanvas(grid, renderOptions);
+          outputWidth = frameCanvas.width;
+          outputHeight = frameCanvas.height;
+          return {
+            data: frameCanvas.getContext('2d').getImageData(0, 0, outputWidth, outputHeight).data,
+            // A fixed delay overrides the per-frame durations from the timeline
+            delay: frameDelay || resolvedFrames[index].duration,
+          };
+        });
+        if (format === 'gif') {
+          mimeType = 'image/gif';
+          blob = new Blob([encodeGif(encodedFrames, outputWidth, outputHeight, { loopCount })], { type: mimeType });
+        } else {
+          mimeType = 'image/png';
+          extension = 'png';
+          blob = new Blob([await encodeApng(encodedFrames, outputWidth, outputHeight, { loopCount })], { type: mimeType });
+        }
+      } else {
+        const exportCanvas = renderExportCanvas(compositeGrid, renderOptions);
+
+        // --- Generate the final image --- 
+        mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
+        const quality = format === 'png' ? 1.0 : 0.9;
+        blob = await new Promise(resolve => exportCanvas.toBlob(resolve, mimeType, quality));
       }
-      exportCtx.restore();
-      
-      // --- Generate and download the final image --- 
-      const mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
-      const quality = format === 'png' ? 1.0 : 0.9;
-      const blob = await new Promise(resolve => exportCanvas.toBlob(resolve, mimeType, quality));
 
       if (!blob) {
         throw new Error('Failed to create blob from canvas');
@@ -776,10 +1240,10 @@ function App() {
       if ('showSaveFilePicker' in window) {
         try {
           const handle = await window.showSaveFilePicker({
-            suggestedName: `${exportFilename}.${format}`,
+            suggestedName: `${exportFilename}.${extension}`,
             types: [{
               description: `${format.toUpperCase()} Image`,
-              accept: { [mimeType]: ['.' + format] },
+              accept: { [mimeType]: ['.' + extension] },
             }],
           });
           const writable = await handle.createWritable();
@@ -797,7 +1261,7 @@ function App() {
         // Fallback for older browsers
         const dataURL = URL.createObjectURL(blob); // Use blob URL for fallback too
         const link = document.createElement('a');
-        link.download = `${exportFilename}.${format}`;
+        link.download = `${exportFilename}.${extension}`;
         link.href = dataURL;
         document.body.appendChild(link);
         link.click();
@@ -810,7 +1274,20 @@ function App() {
       alert(`Failed to export artwork: ${error.message}`);
       // Removed reject() as we are not using the Promise wrapper anymore
     }
-  }, [gridDimensions, pixelSize, gridGap, rendererType, backgroundColor, canvasRef, pixelGrid, pixelShape, cornerRadius, filename]);
+  }, [gridDimensions, backgroundColor, compositeGrid, frameGrids, resolvedFrames, renderExportCanvas, buildExportSvg, buildProjectData, filename]);
+
+  // Code snippets for the export dialog's Code tab
+  const generateCodeExports = useCallback(({ scale, padding, includeGrid, includeBackground }) => {
+    const background = includeBackground ? backgroundColor || null : null;
+    const svg = buildExportSvg({ scale, padding, includeGrid, background });
+    const pngCanvas = renderExportCanvas(compositeGrid, { scale, padding, includeGrid, fillStyle: background || 'transparent' });
+    return {
+      css: buildBoxShadowCss(compositeGrid, { pixelSize, gridGap, pixelShape, cornerRadius, scale, padding, background }),
+      react: buildReactComponent(svg, { componentName: toComponentName(stripDimensionsFromFilename(filename)) }),
+      svgDataUri: svgToDataUri(svg),
+      pngDataUri: pngCanvas.toDataURL('image/png'),
+    };
+  }, [compositeGrid, pixelSize, gridGap, pixelShape, cornerRadius, backgroundColor, buildExportSvg, renderExportCanvas, filename]);
 
   // Handle export to Figma
   const handleExportToFigma = useCallback(async (options) => {
@@ -818,7 +1295,7 @@ function App() {
       console.log('Starting Figma export process');
       
       // Format the pixel data for Figma and copy to clipboard
-      const result = await exportToFigma(pixelGrid, {
+      const result = await exportToFigma(compositeGrid, {
         gridDimensions,
         pixelSize,
         gridGap,
@@ -848,7 +1325,7 @@ function App() {
       alert(errorMessage);
       return { success: false, error };
     }
-  }, [pixelGrid, gridDimensions, pixelSize, gridGap, pixelShape, cornerRadius, glowEnabled, glowSettings]);
+  }, [compositeGrid, gridDimensions, pixelSize, gridGap, pixelShape, cornerRadius, glowEnabled, glowSettings]);
 
   // --- Tool Handlers ---
 
@@ -925,6 +1402,155 @@ function App() {
     selectColor(color);
   }, [selectColor]);
 
+  const handleImportPalette = useCallback((file) => {
+    const isAse = /\.ase$/i.test(file.name);
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        // Indexed artwork stays on its palette; the imported one can be swapped in from the list
+        addPalette(parsePaletteFile(file.name, e.target.result), { activate: colorMode !== 'indexed' });
+      } catch (error) {
+        console.error('Error importing palette:', error);
+        alert(`Failed to import palette. ${error.message}`);
+      }
+    };
+    reader.onerror = () => {
+      console.error('Error reading palette file:', reader.error);
+      alert('Failed to read the palette file.');
+    };
+    if (isAse) {
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.readAsText(file);
+    }
+  }, [addPalette, colorMode]);
+
+  // Indexed artwork needs a palette with every slot it uses, so a new palette starts as a copy
+  // of the current one, ready to recolor for a palette swap
+  const handleAddPalette = useCallback(() => {
+    if (colorMode !== 'indexed') {
+      addPalette();
+      return;
+    }
+    const palette = palettes.find(item => item.id === activePaletteId);
+    if (!palette) return;
+    addPalette({ name: `${palette.name} copy`, colors: palette.colors, maxColors: palette.maxColors });
+    setLastActionType('palette_change');
+  }, [colorMode, palettes, activePaletteId, addPalette]);
+
+  // In indexed mode switching palettes recolors the artwork. Slots the new palette lacks
+  // are remapped to its nearest colors, after asking, since that cannot be swapped back.
+  const handleSelectPalette = useCallback((paletteId) => {
+    if (colorMode !== 'indexed') {
+      setActivePaletteId(paletteId);
+      return;
+    }
+    const current = palettes.find(item => item.id === activePaletteId);
+    const next = palettes.find(item => item.id === paletteId);
+    if (!current || !next || next.id === current.id) return;
+    if (next.colors.length === 0) {
+      alert(`"${next.name}" has no colors. Add colors to it in literal mode before using it for indexed artwork.`);
+      return;
+    }
+
+    const grids = resolvedFrames.flatMap(frame => frame.layers.map(layer => layer.grid));
+    const usedSlots = countUsedPaletteSlots(grids);
+    if (usedSlots > next.colors.length) {
+      const proceed = window.confirm(
+        `The artwork uses ${usedSlots} palette slots but "${next.name}" has ${next.colors.length} colors. ` +
+        'Pixels in the missing slots will be changed to the nearest colors of the new palette. Continue?'
+      );
+      if (!proceed) return;
+      const nextFrames = resolvedFrames.map(frame => ({
+        ...frame,
+        layers: frame.layers.map(layer => ({ ...layer, grid: remapIndexedGrid(layer.grid, current.colors, next.colors) })),
+      }));
+      restoreFrames(nextFrames, currentFrameIndex);
+      replaceLayers(nextFrames[currentFrameIndex].layers, activeLayerId);
+    }
+    setActivePaletteId(paletteId);
+    setLastActionType('palette_change');
+  }, [
+    colorMode, palettes, activePaletteId, resolvedFrames, currentFrameIndex, activeLayerId,
+    setActivePaletteId, restoreFrames, replaceLayers
+  ]);
+
+  // Converts every frame between color strings and slots of the active palette
+  const handleColorModeChange = useCallback((nextMode) => {
+    if (nextMode === colorMode || !COLOR_MODES.includes(nextMode)) return;
+    const palette = palettes.find(item => item.id === activePaletteId);
+    if (!palette) return;
+
+    const mapFrames = (mapGrid) => resolvedFrames.map(frame => ({
+      ...frame,
+      layers: frame.layers.map(layer => ({ ...layer, grid: mapGrid(layer.grid) })),
+    }));
+
+    let nextFrames;
+    if (nextMode === 'indexed') {
+      // Add the colors the palette is missing so the artwork looks the same afterwards
+      const grids = resolvedFrames.flatMap(frame => frame.layers.map(layer => layer.grid));
+      const colors = extendPaletteWithGridColors(palette.colors, grids, palette.maxColors);
+      if (colors.length === 0) {
+        alert('Add at least one color to the palette before switching to indexed color mode.');
+        return;
+      }
+      if (colors !== palette.colors) {
+        replacePalettes(palettes.map(item => (item.id === palette.id ? { ...item, colors } : item)), palette.id);
+      }
+      nextFrames = mapFrames(grid => indexGrid(grid, colors));
+    } else {
+      nextFrames = mapFrames(grid => resolveIndexedGrid(grid, palette.colors));
+    }
+
+    restoreFrames(nextFrames, currentFrameIndex);
+    replaceLayers(nextFrames[currentFrameIndex].layers, activeLayerId);
+    setColorMode(nextMode);
+    setLastActionType('color_mode_change');
+  }, [
+    colorMode, palettes, activePaletteId, resolvedFrames, currentFrameIndex, activeLayerId,
+    replacePalettes, restoreFrames, replaceLayers, setColorMode
+  ]);
+
+  const handleExportPalette = useCallback(async (format) => {
+    const palette = palettes.find(item => item.id === activePaletteId);
+    if (!palette) return;
+    const { data, mimeType, extension } = serializePaletteFile(palette, format);
+    const blob = new Blob([data], { type: mimeType });
+    const suggestedName = `${palette.name.replace(/[\\/:*?"<>|]/g, '_')}.${extension}`;
+
+    if ('showSaveFilePicker' in window) {
+      try {
+        const handle = await window.showSaveFilePicker({
+          suggestedName,
+          types: [{
+            description: 'Palette',
+            accept: { [mimeType]: [`.${extension}`] },
+          }],
+        });
+        const writable = await handle.createWritable();
+        await writable.write(blob);
+        await writable.close();
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          console.error('Error exporting palette with File System Access API:', err);
+          alert('Failed to export palette.');
+        } else {
+          console.log('Palette export aborted by user.');
+        }
+      }
+    } else {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = suggestedName;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }
+  }, [palettes, activePaletteId]);
+
   const handleToolChange = useCallback((tool) => {
     setActiveTool(tool);
   }, [setActiveTool]);
@@ -967,6 +1593,14 @@ function App() {
             setActiveTool('eraser');
             handled = true;
             break;
+          case 'r':
+            setActiveTool('rect');
+            handled = true;
+            break;
+          case 'o':
+            setActiveTool('ellipse');
+            handled = true;
+            break;
           case 'g':
             toggleGrid(); // Use the toggle function
             handled = true;
@@ -989,8 +1623,8 @@ function App() {
   }, [setActiveTool, toggleGrid, handleUndo, handleRedo]); // Dependencies: functions we call
 
   // Handler for image cropping and import
-  const handleImageImport = useCallback(async (croppedDataUrl, settings) => {
-    if (!croppedDataUrl || !settings) {
+  const handleImageImport = useCallback(async (source, settings) => {
+    if (!source?.image || !settings) {
         console.error("Import failed: Missing image data or settings.");
         toggleImportModal(false); // Close modal on error
         setImportImageUrl(null);
@@ -998,89 +1632,97 @@ function App() {
     }
 
     // --- 1. Validate Settings --- 
+    // Exact mode takes its grid size from the image, so only alpha settings apply
+    const isExact = settings.importMode === 'exact';
     const targetWidth = parseInt(settings.width, 10);
     const targetHeight = parseInt(settings.height, 10);
     const colorLimit = parseInt(settings.maxColors, 10);
+    const usesPalette = settings.quantizer === 'palette';
+
+    if (!isExact && usesPalette && activePaletteColors.length === 0) {
+      alert("The active palette has no colors. Add colors to it or pick another quantizer.");
+      return;
+    }
 
-    if (!(targetWidth > 0 && targetHeight > 0 && colorLimit >= 2 && colorLimit <= 256)) {
+    if (!isExact && !(targetWidth > 0 && targetHeight > 0 && (usesPalette || (colorLimit >= 2 && colorLimit <= 256)))) {
       console.error("Import failed: Invalid width, height, or max colors.", settings);
       alert("Invalid import settings. Width/Height must be > 0, Max Colors must be between 2 and 256.");
       // Do not close modal here, let user correct settings
       return; 
     }
 
-    try {
-      // --- 2. Update Grid Dimensions (BEFORE processing) --- 
-      // Use resizeGrid which handles state update and history correctly
-      resizeGrid(targetWidth, targetHeight); 
-
-      // --- 3. Load Cropped Image --- 
-      const img = new Image();
-      img.src = croppedDataUrl;
-      await new Promise((resolve, reject) => {
-        img.onload = resolve;
-        img.onerror = reject;
-      });
+    const abortController = new AbortController();
+    importAbortRef.current = abortController;
+    setImportProgress(0);
 
-      // --- 4. Create Final Canvas and Resize --- 
-      const finalCanvas = document.createElement('canvas');
-      finalCanvas.width = targetWidth; 
-      finalCanvas.height = targetHeight;
-      const finalCtx = finalCanvas.getContext('2d');
-
-      if (!finalCtx) {
-        throw new Error("Failed to get context for final canvas.");
-      }
-
-      // Disable smoothing for pixelated effect
-      finalCtx.imageSmoothingEnabled = false;
-      
-      // Draw the cropped image onto the final canvas (resizing it)
-      finalCtx.drawImage(img, 0, 0, targetWidth, targetHeight);
-
-      // --- 5. Extract Pixel Data from Final Canvas --- 
-      const imageData = finalCtx.getImageData(0, 0, targetWidth, targetHeight);
-      const pixels = [];
-      for (let i = 0; i < imageData.data.length; i += 4) {
-        const r = imageData.data[i];
-        const g = imageData.data[i + 1];
-        const b = imageData.data[i + 2];
-        const a = imageData.data[i + 3];
-        
-        // Consider alpha threshold for transparency if needed
-        if (a > 128) { // Example: Only include non-transparent pixels
-          pixels.push({ r, g, b, index: i / 4 });
+    try {
+      // --- 2. The Source Image --- 
+      // Decoding, cropping and reading pixels happen in the worker, with the quantization
+      const { image, crop } = source;
+
+      const alphaOptions = {
+        alphaMode: settings.alphaMode,
+        alphaCutoff: Number(settings.alphaCutoff ?? 128),
+        alphaLevels: parseInt(settings.alphaLevels, 10) || 4,
+      };
+      let newPixelGrid;
+      let quantizedColors;
+      let gridWidth = targetWidth;
+      let gridHeight = targetHeight;
+
+      if (isExact) {
+        // --- 3. Exact 1:1: one cell per logical pixel of the upscaled source, no quantization --- 
+        let detected;
+        ({ grid: newPixelGrid, colors: quantizedColors, detected } = await quantizeInWorker({ image, crop }, {
+          exact: true,
+          pixelScale: parseInt(settings.pixelScale, 10) || undefined,
+          ...alphaOptions,
+        }, {
+          signal: abortController.signal,
+        }));
+
+        // The worker sends no grid when it is over the limit
+        gridWidth = detected.width;
+        gridHeight = detected.height;
+        if (!(gridWidth > 0 && gridHeight > 0) || gridWidth > MAX_EXACT_IMPORT_SIZE || gridHeight > MAX_EXACT_IMPORT_SIZE) {
+          throw new Error(`The detected grid is ${gridWidth} × ${gridHeight} pixels. Exact import is for upscaled pixel art up to ${MAX_EXACT_IMPORT_SIZE} pixels per side.`);
         }
+      } else {
+        // --- 3. Resize, Quantize and Dither into a Pixel Grid (in a worker, so the UI stays responsive) --- 
+        ({ grid: newPixelGrid, colors: quantizedColors } = await quantizeInWorker({
+          image,
+          crop,
+          width: targetWidth,
+          height: targetHeight,
+        }, {
+          maxColors: colorLimit,
+          quantizer: settings.quantizer,
+          metric: settings.colorMetric,
+          seed: Number(settings.seed) || 0,
+          palette: activePaletteColors,
+          dither: settings.dither,
+          ditherStrength: (settings.ditherStrength ?? 100) / 100,
+          ...alphaOptions,
+        }, {
+          onProgress: setImportProgress,
+          signal: abortController.signal,
+        }));
       }
 
-      // --- 6. K-Means Clustering (using imported function) --- 
-      const clusters = kMeansClustering(pixels, colorLimit); 
-
-      // --- 7. Create New Pixel Grid --- 
-      const newPixelGrid = Array(targetHeight).fill().map(() => Array(targetWidth).fill(null));
-      const quantizedColors = new Set();
-
-      clusters.forEach(cluster => {
-        const hexColor = rgbToHex(cluster.center.r, cluster.center.g, cluster.center.b);
-        quantizedColors.add(hexColor);
-        cluster.pixels.forEach(pixel => {
-          const x = pixel.index % targetWidth;
-          const y = Math.floor(pixel.index / targetWidth);
-          if (y < newPixelGrid.length && x < newPixelGrid[0].length) {
-            newPixelGrid[y][x] = hexColor;
-          }
-        });
-      });
+      // --- 4. Update State --- 
+      // Resize only now, so a cancelled or failed import leaves the artwork untouched.
+      // handleResizeGrid handles state update, history and animation frames
+      handleResizeGrid(gridWidth, gridHeight);
 
-      // --- 8. Update State --- 
       // Update color history
       setColorHistory(prevHistory => {
         const combinedColors = [...quantizedColors, ...prevHistory];
         return [...new Set(combinedColors)].slice(0, MAX_HISTORY_LENGTH);
       });
       
-      // Set the final pixel grid (note: resizeGrid already updated dimensions)
-      setPixelGrid(newPixelGrid);
+      // Set the final pixel grid (note: resizeGrid already updated dimensions);
+      // indexed artwork snaps the imported colors to the palette
+      setPixelGrid(indexedPalette ? indexGrid(newPixelGrid, indexedPalette) : newPixelGrid);
       setHasDrawn(true);
       
       // Close modal and clear URL
@@ -1094,27 +1736,36 @@ function App() {
       // No explicit pushHistory needed here if resizeGrid handles its part
 
     } catch (error) {
+      if (error.name === 'AbortError') return; // Cancelled by the user
       console.error("Error during image import processing:", error);
       alert(`Image import failed: ${error.message}`);
       // Consider how to handle errors - maybe keep modal open?
       // toggleImportModal(false); // Close modal even on error?
       // setImportImageUrl(null);
+    } finally {
+      if (importAbortRef.current === abortController) {
+        importAbortRef.current = null;
+        setImportProgress(null);
+      }
     }
 
   }, [
-    resizeGrid, // Use resizeGrid instead of setGridDimensions directly
+    handleResizeGrid, // Use handleResizeGrid instead of setGridDimensions directly
     setPixelGrid, 
+    indexedPalette,
+    activePaletteColors,
     setColorHistory, 
     toggleImportModal, 
     setImportImageUrl, 
     setHasDrawn,
-    // Ensure kMeansClustering is stable or included if defined outside
-    // Ensure rgbToHex is stable or included if defined outside
     // MAX_HISTORY_LENGTH should be a constant
-    kMeansClustering,
-    rgbToHex,
   ]);
 
+  // Stops a running import; the modal stays open so settings can be adjusted
+  const handleCancelImport = useCallback(() => {
+    importAbortRef.current?.abort();
+  }, []);
+
   // Add effect to track global keydown/keyup for Shift key & other shortcuts
   useEffect(() => {
     const handleKeyDown = (event) => {
@@ -1226,12 +1877,8 @@ function App() {
               // 3. Update state and history if changes occurred
               if (changed) {
                   setPixelGrid(newGrid);
-                  // Push history for the cut operation
-                  pushHistory({
-                      pixelGrid: newGrid.map(row => [...row]), // Store a deep copy
-                      gridDimensions: { ...gridDimensions }, // Store current dimensions
-                      type: 'cut' // Action type
-                  });
+                  // Push history for the cut operation once the grid update renders
+                  setLastActionType('cut');
               }
 
               // 4. Clear the visual selection
@@ -1271,9 +1918,10 @@ function App() {
         titleElement={<Title>Pixel Pop</Title>}
         navMenuElement={
           <NavMenu
-            onImportImage={handleFileSelect}
-            onSaveProject={handleSaveProject}
+            onImportImage={openFile}
+            onSaveProject={() => toggleSaveProjectModal(true)}
             onLoadProject={handleLoadProject}
+            onOpenRecentProjects={() => toggleRecentProjectsModal(true)}
             onExport={handleExport}
           />
         }
@@ -1291,10 +1939,14 @@ function App() {
           handlePickerBlur={handlePickerBlur}
           activeTool={activeTool}
           handleToolChange={handleToolChange}
+          shapeFilled={shapeFilled}
+          setShapeFilled={setShapeFilled}
+          symmetry={symmetry}
+          setSymmetry={setSymmetry}
           
           // artwork state
           gridDimensions={gridDimensions}
-          setGridDimensions={resizeGrid}
+          setGridDimensions={handleResizeGrid}
           pixelSize={pixelSize}
           setPixelSize={setPixelSize}
           gridGap={gridGap}
@@ -1314,6 +1966,8 @@ function App() {
           setRendererType={setRendererType}
           showPerformanceMonitor={showPerformanceMonitor}
           setShowPerformanceMonitor={togglePerformanceMonitor}
+          voxel={voxel}
+          setVoxelSettings={setVoxelSettings}
           
           // history
           onUndo={handleUndo}
@@ -1337,17 +1991,70 @@ function App() {
           
           // modals
           onShowCustomShapeModal={handleCustomShapeModalOpen}
+
+          // palettes
+          palettePanelElement={
+            <PalettePanel
+              palettes={palettes}
+              activePaletteId={activePaletteId}
+              activeColor={activeColor}
+              onSelectPalette={handleSelectPalette}
+              onAddPalette={handleAddPalette}
+              onRenamePalette={renamePalette}
+              onDeletePalette={deletePalette}
+              onAddColor={addPaletteColor}
+              onSetMaxColors={setPaletteMaxColors}
+              onSetColor={setPaletteColor}
+              onRemoveColor={removePaletteColor}
+              onMoveColor={movePaletteColor}
+              onColorSelect={handleColorSelect}
+              onImportPalette={handleImportPalette}
+              onExportPalette={handleExportPalette}
+              colorMode={colorMode}
+              onColorModeChange={handleColorModeChange}
+            />
+          }
+
+          // layers
+          layersPanelElement={
+            <LayersPanel
+              layers={layers}
+              activeLayerId={activeLayerId}
+              onSelectLayer={setActiveLayerId}
+              onAddLayer={addLayer}
+              onDuplicateLayer={duplicateLayer}
+              onDeleteLayer={deleteLayer}
+              onMoveLayer={moveLayer}
+              onMergeLayerDown={mergeLayerDown}
+              onUpdateLayer={updateLayer}
+              onCommit={handleLayerCommit}
+            />
+          }
         />
-         <CanvasWrapper $backgroundColor={backgroundColor}>
+        <CanvasColumn>
+         <CanvasWrapper
+           $backgroundColor={backgroundColor}
+           $isDropTarget={isFileDragOver}
+           onDragOver={handleCanvasDragOver}
+           onDragLeave={handleCanvasDragLeave}
+           onDrop={handleCanvasDrop}
+         >
            <Canvas
              ref={canvasRef}
              gridDimensions={gridDimensions}
              pixelGrid={pixelGrid}
              setPixelGrid={setPixelGrid}
+             compositeGrid={canvasGrid}
+             renderGrid={onionSkinGrid}
+             encodeColor={encodePaintColor}
+             activeLayerLocked={activeLayer.locked}
              pixelSize={pixelSize}
              gridGap={gridGap}
              activeColor={activeColor}
              activeTool={activeTool}
+             shapeFilled={shapeFilled}
+             symmetry={symmetry}
+             setSymmetry={setSymmetry}
              onColorChange={selectColor}
              mode={mode}
              rendererType={rendererType}
@@ -1383,19 +2090,49 @@ function App() {
               gridWidth={gridDimensions.width}
               gridHeight={gridDimensions.height}
            />
+           {mode === 'preview' && voxel.preview && (
+             <VoxelPreview
+               grid={canvasGrid}
+               depth={voxel.depth}
+               bevel={voxel.bevel}
+               backgroundColor={backgroundColor}
+             />
+           )}
          </CanvasWrapper>
+         <AnimationTimeline
+           frames={resolvedFrames}
+           frameGrids={frameGrids}
+           gridDimensions={gridDimensions}
+           currentFrameIndex={currentFrameIndex}
+           playbackIndex={playbackIndex}
+           isPlaying={isPlaying}
+           onSelectFrame={selectFrame}
+           onAddFrame={addFrame}
+           onDuplicateFrame={duplicateFrame}
+           onDeleteFrame={deleteFrame}
+           onMoveFrame={moveFrame}
+           onDurationChange={setFrameDuration}
+           onTogglePlayback={togglePlayback}
+           onionSkin={onionSkin}
+           onOnionSkinChange={setOnionSkin}
+         />
+        </CanvasColumn>
       </MainContent>
       
       {importModalOpen && (
         <ImageCropModal
           imageUrl={importImageUrl}
           onClose={() => {
+            handleCancelImport();
             toggleImportModal(false);
             setImportImageUrl(null); // Clear image URL on close
           }}
           onImport={handleImageImport}
+          importProgress={importProgress}
+          onCancelImport={handleCancelImport}
           importSettings={importSettings}
           onSettingsChange={setImportSettings}
+          paletteColors={activePaletteColors}
         />
       )}
       
@@ -1413,6 +2150,7 @@ function App() {
           onClose={handleExportModalClose}
           onExport={performExport}
           onExportToFigma={handleExportToFigma}
+          onGenerateCode={generateCodeExports}
           canvasRef={canvasRef}
           svgRef={canvasRef.current?.svgRef}
           gridDimensions={gridDimensions}
@@ -1420,14 +2158,44 @@ function App() {
           gridGap={gridGap}
           showGrid={showGrid}
           backgroundColor={backgroundColor}
-          pixelData={pixelGrid}
+          pixelData={compositeGrid}
           rendererType={rendererType}
           glowEnabled={glowEnabled}
+          frameCount={resolvedFrames.length}
+          voxelSettings={voxel}
           pixelShape={pixelShape}
           cornerRadius={cornerRadius}
           glowSettings={glowSettings}
         />
       )}
+
+      {showSaveProjectModal && (
+        <SaveProjectModal
+          format={saveFormat}
+          getProjectData={buildProjectData}
+          onSave={handleSaveProject}
+          onClose={() => toggleSaveProjectModal(false)}
+        />
+      )}
+
+      {showRecentProjectsModal && (
+        <RecentProjectsModal
+          projects={recentProjects}
+          currentProjectId={projectId}
+          onOpen={handleOpenRecentProject}
+          onDuplicate={handleDuplicateRecentProject}
+          onDelete={handleDeleteRecentProject}
+          onClose={() => toggleRecentProjectsModal(false)}
+        />
+      )}
+
+      {recoverableProject && !showRecentProjectsModal && (
+        <SessionRecoveryModal
+          project={recoverableProject}
+          onRestore={handleRestoreSession}
+          onDismiss={dismissRecovery}
+        />
+      )}
       
       <PerformanceMonitor 
         visible={showPerformanceMonitor} 
@@ -0,0 +1,54 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import App from '../App';
+
+// An indexed project whose artwork uses three slots of palette "A"; "B" only has one
+const indexedProject = {
+  gridDimensions: { width: 3, height: 1 },
+  colorMode: 'indexed',
+  pixelGrid: [['#000000', '#808080', '#ffffff']],
+  layers: [{ grid: [[0, 1, 2]] }],
+  activePaletteId: 'a',
+  palettes: [
+    { id: 'a', name: 'A', colors: ['#000000', '#808080', '#ffffff'] },
+    { id: 'b', name: 'B', colors: ['#ff0000'] },
+  ],
+};
+
+const loadProject = (container, project) => {
+  const input = container.querySelector('input[type="file"][accept*=".json"]');
+  fireEvent.change(input, {
+    target: { files: [new File([JSON.stringify(project)], 'Indexed.json', { type: 'application/json' })] },
+  });
+};
+
+describe('App', () => {
+  beforeAll(() => {
+    globalThis.ResizeObserver ??= class {
+      observe() {}
+      unobserve() {}
+      disconnect() {}
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('restores the loaded palette when undoing a palette swap right after loading', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    const { container } = render(<App />);
+
+    loadProject(container, indexedProject);
+    const paletteSelect = await screen.findByRole('combobox', { name: 'Active palette' });
+    await waitFor(() => expect(paletteSelect).toHaveValue('a'));
+
+    fireEvent.change(paletteSelect, { target: { value: 'b' } });
+    expect(window.confirm).toHaveBeenCalled();
+    expect(paletteSelect).toHaveValue('b');
+
+    fireEvent.keyDown(document.body, { key: 'z', ctrlKey: true });
+    await waitFor(() => expect(paletteSelect).toHaveValue('a'));
+  });
+});
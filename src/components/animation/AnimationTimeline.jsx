@@ -0,0 +1,330 @@
+import React, { useEffect, useRef, useState, memo } from 'react';
+import styled from 'styled-components';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faPlay, faPause, faPlus, faClone, faTrash,
+  faChevronLeft, faChevronRight, faGhost, faChevronDown, faChevronUp
+} from '@fortawesome/free-solid-svg-icons';
+import { MIN_FRAME_DURATION, MAX_FRAME_DURATION } from '../../utils/animationUtils';
+
+const THUMBNAIL_SIZE = 48;
+
+const TimelineContainer = styled.div`
+  flex-shrink: 0;
+  display: flex;
+  flex-direction: column;
+  background: var(--bg-secondary);
+  border-top: 1px solid var(--border-color);
+  color: var(--text-secondary);
+  font-size: 0.8rem;
+`;
+
+const Toolbar = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.25rem;
+  padding: 0.35rem 0.5rem;
+
+  label {
+    display: flex;
+    align-items: center;
+    gap: 0.35rem;
+  }
+
+  input[type='range'] {
+    width: 80px;
+    accent-color: var(--accent-color);
+  }
+`;
+
+const Separator = styled.div`
+  width: 1px;
+  height: 20px;
+  margin: 0 0.25rem;
+  background: var(--border-color);
+`;
+
+const Spacer = styled.div`
+  flex: 1;
+`;
+
+const ActionButton = styled.button`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  width: 28px;
+  height: 28px;
+  background-color: ${props => (props.$isActive ? 'var(--accent-color)' : 'var(--input-bg)')};
+  border: 1px solid var(--border-color);
+  color: ${props => (props.$isActive ? 'white' : 'var(--text-secondary)')};
+  border-radius: 4px;
+  cursor: pointer;
+  font-size: 0.75rem;
+
+  &:hover:not(:disabled) {
+    background-color: ${props => (props.$isActive ? 'var(--accent-color)' : 'var(--bg-hover)')};
+    color: ${props => (props.$isActive ? 'white' : 'var(--text-primary)')};
+  }
+
+  &:disabled {
+    opacity: 0.4;
+    cursor: not-allowed;
+  }
+`;
+
+const DurationInput = styled.input`
+  width: 64px;
+  height: 26px;
+  padding: 0 6px;
+  border: 1px solid var(--border-color);
+  border-radius: 4px;
+  background: var(--input-bg);
+  color: var(--input-text);
+  font-size: 12px;
+`;
+
+const FrameStrip = styled.div`
+  display: flex;
+  gap: 0.4rem;
+  padding: 0 0.5rem 0.5rem;
+  overflow-x: auto;
+`;
+
+const FrameCell = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  gap: 2px;
+  flex-shrink: 0;
+  padding: 3px;
+  border-radius: 4px;
+  cursor: pointer;
+  border: 2px solid ${props => {
+    if (props.$isPlaying) return 'var(--text-primary)';
+    return props.$isActive ? 'var(--accent-color)' : 'transparent';
+  }};
+  background: ${props => (props.$isDropTarget ? 'var(--bg-hover)' : 'var(--bg-tertiary)')};
+
+  &:hover {
+    background: var(--bg-hover);
+  }
+
+  canvas {
+    display: block;
+    image-rendering: pixelated;
+    background: var(--bg-primary);
+  }
+
+  span {
+    font-size: 0.7rem;
+  }
+`;
+
+/**
+ * FrameThumbnail component - draws a small preview of a frame's composited grid
+ */
+const FrameThumbnail = memo(({ grid, width, height }) => {
+  const canvasRef = useRef(null);
+  const scale = Math.max(1, Math.floor(THUMBNAIL_SIZE / Math.max(width, height)));
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext('2d');
+    if (!ctx) return;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    grid.forEach((row, y) => {
+      row.forEach((color, x) => {
+        if (!color) return;
+        ctx.fillStyle = color;
+        ctx.fillRect(x * scale, y * scale, scale, scale);
+      });
+    });
+  }, [grid, scale]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={width * scale}
+      height={height * scale}
+      style={{ width: THUMBNAIL_SIZE, height: Math.round(THUMBNAIL_SIZE * (height / width)) }}
+    />
+  );
+});
+
+FrameThumbnail.displayName = 'FrameThumbnail';
+
+/**
+ * AnimationTimeline component - frame strip with playback, frame management,
+ * per-frame durations and onion skin settings. Frames can be reordered by dragging.
+ */
+const AnimationTimeline = ({
+  frames,
+  frameGrids,
+  gridDimensions,
+  currentFrameIndex,
+  playbackIndex,
+  isPlaying,
+  onSelectFrame,
+  onAddFrame,
+  onDuplicateFrame,
+  onDeleteFrame,
+  onMoveFrame,
+  onDurationChange,
+  onTogglePlayback,
+  onionSkin,
+  onOnionSkinChange
+}) => {
+  const [collapsed, setCollapsed] = useState(false);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const currentFrame = frames[currentFrameIndex];
+
+  const handleDrop = (index) => {
+    if (dragIndex !== null && dragIndex !== index) {
+      onMoveFrame(dragIndex, index);
+    }
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  return (
+    <TimelineContainer>
+      <Toolbar>
+        <ActionButton
+          onClick={onTogglePlayback}
+          $isActive={isPlaying}
+          title={isPlaying ? 'Pause' : 'Play'}
+        >
+          <FontAwesomeIcon icon={isPlaying ? faPause : faPlay} />
+        </ActionButton>
+        <Separator />
+        <ActionButton onClick={onAddFrame} disabled={isPlaying} title="New frame">
+          <FontAwesomeIcon icon={faPlus} />
+        </ActionButton>
+        <ActionButton onClick={() => onDuplicateFrame(currentFrameIndex)} disabled={isPlaying} title="Duplicate frame">
+          <FontAwesomeIcon icon={faClone} />
+        </ActionButton>
+        <ActionButton
+          onClick={() => onMoveFrame(currentFrameIndex, currentFrameIndex - 1)}
+          disabled={isPlaying || currentFrameIndex <= 0}
+          title="Move frame left"
+        >
+          <FontAwesomeIcon icon={faChevronLeft} />
+        </ActionButton>
+        <ActionButton
+          onClick={() => onMoveFrame(currentFrameIndex, currentFrameIndex + 1)}
+          disabled={isPlaying || currentFrameIndex >= frames.length - 1}
+          title="Move frame right"
+        >
+          <FontAwesomeIcon icon={faChevronRight} />
+        </ActionButton>
+        <ActionButton
+          onClick={() => onDeleteFrame(currentFrameIndex)}
+          disabled={isPlaying || frames.length <= 1}
+          title="Delete frame"
+        >
+          <FontAwesomeIcon icon={faTrash} />
+        </ActionButton>
+        <Separator />
+        <label htmlFor="frameDuration">
+          Duration
+          <DurationInput
+            id="frameDuration"
+            type="number"
+            min={MIN_FRAME_DURATION}
+            max={MAX_FRAME_DURATION}
+            step="10"
+            value={currentFrame?.duration ?? ''}
+            disabled={isPlaying}
+            onChange={(e) => {
+              const value = parseInt(e.target.value, 10);
+              if (!Number.isNaN(value)) onDurationChange(currentFrameIndex, value);
+            }}
+          />
+          ms
+        </label>
+        <Separator />
+        <ActionButton
+          onClick={() => onOnionSkinChange({ enabled: !onionSkin.enabled })}
+          $isActive={onionSkin.enabled}
+          title="Onion skin"
+        >
+          <FontAwesomeIcon icon={faGhost} />
+        </ActionButton>
+        {onionSkin.enabled && (
+          <>
+            <label>
+              <input
+                type="checkbox"
+                checked={onionSkin.previous}
+                onChange={(e) => onOnionSkinChange({ previous: e.target.checked })}
+              />
+              Prev
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={onionSkin.next}
+                onChange={(e) => onOnionSkinChange({ next: e.target.checked })}
+              />
+              Next
+            </label>
+            <input
+              type="range"
+              min="5"
+              max="80"
+              value={Math.round(onionSkin.opacity * 100)}
+              onChange={(e) => onOnionSkinChange({ opacity: parseInt(e.target.value, 10) / 100 })}
+              title="Onion skin opacity"
+            />
+          </>
+        )}
+        <Spacer />
+        <span>Frame {(isPlaying ? playbackIndex : currentFrameIndex) + 1} / {frames.length}</span>
+        <ActionButton
+          onClick={() => setCollapsed(prev => !prev)}
+          title={collapsed ? 'Show frames' : 'Hide frames'}
+        >
+          <FontAwesomeIcon icon={collapsed ? faChevronUp : faChevronDown} />
+        </ActionButton>
+      </Toolbar>
+
+      {!collapsed && (
+        <FrameStrip>
+          {frames.map((frame, index) => (
+            <FrameCell
+              key={frame.id}
+              $isActive={index === currentFrameIndex}
+              $isPlaying={isPlaying && index === playbackIndex}
+              $isDropTarget={dropIndex === index && dragIndex !== index}
+              draggable={!isPlaying}
+              onClick={() => !isPlaying && onSelectFrame(index)}
+              onDragStart={() => setDragIndex(index)}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDropIndex(index);
+              }}
+              onDragLeave={() => setDropIndex(null)}
+              onDrop={() => handleDrop(index)}
+              onDragEnd={() => {
+                setDragIndex(null);
+                setDropIndex(null);
+              }}
+              title={`Frame ${index + 1} (${frame.duration} ms)`}
+            >
+              <FrameThumbnail
+                grid={frameGrids[index]}
+                width={gridDimensions.width}
+                height={gridDimensions.height}
+              />
+              <span>{index + 1}</span>
+            </FrameCell>
+          ))}
+        </FrameStrip>
+      )}
+    </TimelineContainer>
+  );
+};
+
+export default AnimationTimeline;
@@ -4,11 +4,13 @@ import { TransformWrapper, TransformComponent } from 'react-zoom-pan-pinch';
 import CanvasRenderer from './CanvasRenderer';
 import SVGRenderer from './SVGRenderer';
 import WebGLRenderer from './WebGLRenderer';
-import { applyPixelColor, pickColor, applyFill, applyLine } from '../../core/drawingLogic';
+import { applyPixelColor, pickColor, applyFill, applyLine, applyRect, applyEllipse } from '../../core/drawingLogic';
 import GridOverlay from './GridOverlay';
 import { useRendererProps } from '../../hooks/useRendererProps';
-import { getLinePixels } from '../../utils/drawingUtils';
+import { getLinePixels, constrainToSquare } from '../../utils/drawingUtils';
 import SelectionOverlay from './SelectionOverlay';
+import SymmetryOverlay from './SymmetryOverlay';
+import { getSymmetryPoints, getSymmetryTransforms } from '../../utils/symmetryUtils';
 
 const CanvasContainer = styled.div`
   width: 100%;
@@ -44,6 +46,10 @@ const Canvas = memo(forwardRef(({
   onDrawStart,
   pixelGrid,
   setPixelGrid,
+  compositeGrid, // All visible layers blended; pixelGrid is only the active layer
+  renderGrid, // What the renderers draw (e.g. with onion skin); defaults to the composite
+  encodeColor, // Maps the paint color to the value stored in the grid (a palette slot in indexed mode)
+  activeLayerLocked = false,
   setGridDimensions,
   canUndo,
   canRedo,
@@ -55,6 +61,9 @@ const Canvas = memo(forwardRef(({
   glowSettings,
   bulbSettings,
   activeTool,
+  shapeFilled = false,
+  symmetry,
+  setSymmetry,
   showGrid,
   mode,
   interactionSettings,
@@ -91,13 +100,15 @@ const Canvas = memo(forwardRef(({
   const isDrawingRef = useRef(false);
   const drawingTimeoutRef = useRef(null);
   const drawingStartGridRef = useRef(null);
+  const shapeStartRef = useRef(null); // { x, y, isRightClick } while dragging a rect/ellipse
   const lastClickTimeRef = useRef(0);
   const wheelTimeoutRef = useRef(null);
   const CLICK_THRESHOLD = 200; // milliseconds
 
   // Group renderer props using the custom hook
+  const displayGrid = compositeGrid || pixelGrid;
   const { commonProps, effectProps, svgProps } = useRendererProps({
-    pixelGrid,
+    pixelGrid: renderGrid || displayGrid,
     gridWidth,
     gridHeight,
     pixelSize,
@@ -160,6 +171,11 @@ const Canvas = memo(forwardRef(({
     };
   }, [isDrawing]);
 
+  // All cells a stroke at (x, y) touches under the current symmetry mode
+  const getMirroredPoints = useCallback((x, y) => {
+    return getSymmetryPoints(x, y, symmetry, gridWidth, gridHeight);
+  }, [symmetry, gridWidth, gridHeight]);
+
   const getCurrentColor = useCallback((isRightClick = false) => {
     if (isRightClick || activeTool === 'eraser') {
       return null;
@@ -167,6 +183,11 @@ const Canvas = memo(forwardRef(({
     return activeColorRef.current;
   }, [activeTool, activeColorRef]);
 
+  // The value drawing tools write into the grid for the active color
+  const getPaintValue = useCallback(() => {
+    return encodeColor ? encodeColor(activeColorRef.current) : activeColorRef.current;
+  }, [encodeColor, activeColorRef]);
+
   // Process interaction (drawing, erasing, etc.)
   const processInteraction = useCallback((eventData) => {
     if (mode === 'preview') return;
@@ -182,7 +203,7 @@ const Canvas = memo(forwardRef(({
 
     // Handle CMD+Click color sampling (takes precedence)
     if (cmdKeyPressedRef.current) {
-      const color = pickColor(pixelGrid, gridX, gridY);
+      const color = pickColor(displayGrid, gridX, gridY);
       if (color) {
         onColorChange(color);
       }
@@ -191,24 +212,30 @@ const Canvas = memo(forwardRef(({
       return; 
     }
 
+    // Locked layers can still be sampled, but not edited
+    if (activeLayerLocked && activeTool !== 'colorPicker' && activeTool !== 'select') {
+      setLineStartPoint(null);
+      return;
+    }
+
     // --- Straight Line Logic --- 
     if (isShiftPressed && lineStartPoint && (activeTool === 'pencil' || activeTool === 'eraser')) {
         console.log("Drawing line from", lineStartPoint, "to", { gridX, gridY });
 
         const linePixels = getLinePixels(lineStartPoint.x, lineStartPoint.y, gridX, gridY);
-        const colorToApply = isRightClick || activeTool === 'eraser' ? null : activeColorRef.current;
+        const colorToApply = isRightClick || activeTool === 'eraser' ? null : getPaintValue();
 
         // Create a new grid copy to apply changes
         const newGrid = pixelGrid.map(row => [...row]);
         let changed = false;
 
-        linePixels.forEach(point => {
-            if (point.x >= 0 && point.x < gridWidth && point.y >= 0 && point.y < gridHeight) {
+        linePixels.forEach(linePoint => {
+            getMirroredPoints(linePoint.x, linePoint.y).forEach(point => {
                 if (newGrid[point.y][point.x] !== colorToApply) {
                     newGrid[point.y][point.x] = colorToApply;
                     changed = true;
                 }
-            }
+            });
         });
 
         if (changed) {
@@ -238,18 +265,22 @@ const Canvas = memo(forwardRef(({
     let currentToolProcessed = false;
 
     if (activeTool === 'colorPicker') {
-      const color = pickColor(pixelGrid, gridX, gridY);
+      const color = pickColor(displayGrid, gridX, gridY);
       if (color) onColorChange(color);
       setLineStartPoint(null);
       currentToolProcessed = true;
       return;
     }
 
-    const colorToApplyOnClick = isRightClick || activeTool === 'eraser' ? null : activeColorRef.current;
+    const colorToApplyOnClick = isRightClick || activeTool === 'eraser' ? null : getPaintValue();
 
     if (activeTool === 'fill') {
       if (!isRightClick) {
-        const newGrid = applyFill(pixelGrid, gridX, gridY, colorToApplyOnClick);
+        // Fill from every mirrored seed; seeds already covered by an earlier fill are no-ops
+        const newGrid = getMirroredPoints(gridX, gridY).reduce(
+          (grid, point) => applyFill(grid, point.x, point.y, colorToApplyOnClick),
+          pixelGrid
+        );
         if (newGrid !== pixelGrid) {
           setPixelGrid(newGrid);
           onDrawStart(); 
@@ -258,7 +289,10 @@ const Canvas = memo(forwardRef(({
       setLineStartPoint(null);
       currentToolProcessed = true;
     } else if (activeTool === 'pencil' || activeTool === 'eraser') {
-      const newGrid = applyPixelColor(pixelGrid, gridX, gridY, colorToApplyOnClick);
+      const newGrid = getMirroredPoints(gridX, gridY).reduce(
+        (grid, point) => applyPixelColor(grid, point.x, point.y, colorToApplyOnClick),
+        pixelGrid
+      );
       if (newGrid !== pixelGrid) {
         setPixelGrid(newGrid);
       }
@@ -276,21 +310,44 @@ const Canvas = memo(forwardRef(({
   }, [
     activeTool, gridWidth, gridHeight, 
     onColorChange, pixelGrid, setPixelGrid, 
-    mode, onDrawStart, activeColorRef, cmdKeyPressedRef, 
+    mode, onDrawStart, getPaintValue, cmdKeyPressedRef, 
     shiftKeyPressedRef, lineStartPoint, setLineStartPoint,
-    getLinePixels, setSelectionArea, selectionArea
+    getLinePixels, setSelectionArea, selectionArea, getMirroredPoints,
+    displayGrid, activeLayerLocked
   ]);
 
   const handleDrawLine = useCallback((x0, y0, x1, y1, isRightClick) => {
-    if (mode === 'preview') return;
+    if (mode === 'preview' || activeLayerLocked) return;
     
-    const colorToApply = isRightClick || activeTool === 'eraser' ? null : activeColorRef.current;
+    const colorToApply = isRightClick || activeTool === 'eraser' ? null : getPaintValue();
     
-    const newGrid = applyLine(pixelGrid, x0, y0, x1, y1, colorToApply);
+    // Draw the segment once per symmetry transform so drags mirror as well
+    const newGrid = getSymmetryTransforms(symmetry, gridWidth, gridHeight).reduce((grid, transform) => {
+      const start = transform(x0, y0);
+      const end = transform(x1, y1);
+      return applyLine(grid, start.x, start.y, end.x, end.y, colorToApply);
+    }, pixelGrid);
     if (newGrid !== pixelGrid) {
       setPixelGrid(newGrid);
     }
-  }, [pixelGrid, setPixelGrid, mode, activeTool, activeColorRef]);
+  }, [pixelGrid, setPixelGrid, mode, activeTool, getPaintValue, symmetry, gridWidth, gridHeight, activeLayerLocked]);
+
+  // Redraw the shape from the pre-drag snapshot so every move replaces the previous preview
+  const drawShapePreview = useCallback((gridX, gridY) => {
+    const start = shapeStartRef.current;
+    const baseGrid = drawingStartGridRef.current;
+    if (!start || !baseGrid) return null;
+
+    const end = shiftKeyPressedRef.current
+      ? constrainToSquare(start.x, start.y, gridX, gridY)
+      : { x: gridX, y: gridY };
+    const colorToApply = start.isRightClick ? null : getPaintValue();
+    const applyShape = activeTool === 'ellipse' ? applyEllipse : applyRect;
+
+    const newGrid = applyShape(baseGrid, start.x, start.y, end.x, end.y, colorToApply, shapeFilled);
+    setPixelGrid(newGrid);
+    return newGrid;
+  }, [activeTool, shapeFilled, setPixelGrid, getPaintValue, shiftKeyPressedRef]);
 
   const handleDrawStart = useCallback(() => {
     if (!isDrawingRef.current) {
@@ -361,8 +418,13 @@ const Canvas = memo(forwardRef(({
     // Only process the drawing interaction (pencil/eraser) if CMD is NOT pressed.
     if (activeTool === 'pencil' || activeTool === 'eraser') {
       processInteraction(coords); 
+    } else if ((activeTool === 'rect' || activeTool === 'ellipse') && !activeLayerLocked) {
+      setLineStartPoint(null);
+      if (selectionArea) setSelectionArea(null);
+      shapeStartRef.current = { x: gridX, y: gridY, isRightClick: buttons === 2 };
+      drawShapePreview(gridX, gridY);
     }
-  }, [mode, activeTool, handleDrawStart, processInteraction, spaceKeyPressedRef, cmdKeyPressedRef, setSelectionArea, setIsSelecting]);
+  }, [mode, activeTool, handleDrawStart, processInteraction, drawShapePreview, spaceKeyPressedRef, cmdKeyPressedRef, setSelectionArea, selectionArea, setLineStartPoint, setIsSelecting, activeLayerLocked]);
 
   const handleCanvasMouseMove = useCallback((coords) => {
     // Skip processing ONLY if space key is pressed for panning
@@ -407,8 +469,12 @@ const Canvas = memo(forwardRef(({
       const isRightClick = buttons === 2;
       handleDrawLine(lastPositionRef.current.x, lastPositionRef.current.y, gridX, gridY, isRightClick);
       lastPositionRef.current = { x: gridX, y: gridY };
+    } else if (shapeStartRef.current &&
+        (gridX !== lastPositionRef.current.x || gridY !== lastPositionRef.current.y)) {
+      drawShapePreview(gridX, gridY);
+      lastPositionRef.current = { x: gridX, y: gridY };
     }
-  }, [mode, activeTool, handleDrawLine, isDrawingRef, spaceKeyPressedRef, cmdKeyPressedRef, setSelectionArea, selectionArea]);
+  }, [mode, activeTool, handleDrawLine, drawShapePreview, isDrawingRef, spaceKeyPressedRef, cmdKeyPressedRef, setSelectionArea, selectionArea]);
 
   const handleCanvasMouseUp = useCallback((coords) => {
     // Skip processing ONLY if space key is pressed for panning 
@@ -426,7 +492,7 @@ const Canvas = memo(forwardRef(({
 
         if (isClick) {
             // --- Handle Click with Select Tool --- 
-            if (copyBuffer) {
+            if (copyBuffer && !activeLayerLocked) {
                 // Buffer exists: PASTE
                 console.log(`Pasting content at (${gridX}, ${gridY})`);
                 const { width: bufferWidth, height: bufferHeight, data: bufferData } = copyBuffer;
@@ -477,6 +543,20 @@ const Canvas = memo(forwardRef(({
         return; // Prevent drawing logic after selection/paste action
     }
 
+    // --- Commit Rect/Ellipse: the preview already lives in the grid, push one history entry ---
+    if (shapeStartRef.current) {
+      const baseGrid = drawingStartGridRef.current;
+      const finalGrid = drawShapePreview(gridX, gridY);
+      if (finalGrid && JSON.stringify(finalGrid) !== JSON.stringify(baseGrid)) {
+        onDrawStart();
+      }
+      shapeStartRef.current = null;
+      drawingStartGridRef.current = null;
+      setIsDrawing(false);
+      lastPositionRef.current = { x: -1, y: -1 };
+      return;
+    }
+
     // Existing drawing/fill logic (only runs if not selecting)
     if (!cmdKeyPressedRef.current && activeTool === 'fill' && buttons !== 2) {
       processInteraction(coords);
@@ -496,9 +576,9 @@ const Canvas = memo(forwardRef(({
     lastPositionRef.current = { x: -1, y: -1 };
 
   }, [
-      mode, activeTool, processInteraction, handleDrawEnd, spaceKeyPressedRef, 
+      mode, activeTool, processInteraction, handleDrawEnd, drawShapePreview, spaceKeyPressedRef, 
       cmdKeyPressedRef, setSelectionArea, setIsSelecting, 
-      copyBuffer, pixelGrid, setPixelGrid, onDrawStart, gridWidth, gridHeight // <-- Add new dependencies for paste logic
+      copyBuffer, pixelGrid, setPixelGrid, onDrawStart, gridWidth, gridHeight, activeLayerLocked // <-- Add new dependencies for paste logic
   ]);
 
   const handleCanvasMouseLeave = useCallback(() => {
@@ -510,6 +590,7 @@ const Canvas = memo(forwardRef(({
       handleDrawEnd();
       setIsDrawing(false);
     }
+    shapeStartRef.current = null;
     // --- NEW: Reset selection state on leave --- 
     if (isSelectingRef.current) {
         console.log("Clearing selection on mouse leave");
@@ -526,6 +607,7 @@ const Canvas = memo(forwardRef(({
   const getCursor = useCallback(() => {
     if (mode === 'interact') return 'pointer';
     if (isPanning) return 'grab';
+    if (activeLayerLocked && activeTool !== 'select' && activeTool !== 'colorPicker') return 'not-allowed';
     switch (activeTool) {
       case 'pencil':
         return 'crosshair';
@@ -533,12 +615,15 @@ const Canvas = memo(forwardRef(({
         return 'crosshair';
       case 'fill':
         return 'crosshair';
+      case 'rect':
+      case 'ellipse':
+        return 'crosshair';
       case 'colorPicker':
         return 'eyedropper';
       default:
         return 'default';
     }
-  }, [isPanning, activeTool, mode]);
+  }, [isPanning, activeTool, mode, activeLayerLocked]);
 
   // Handler for pixel interactions in SVG renderer
   const handlePixelInteraction = useCallback((coords) => {
@@ -785,6 +870,17 @@ const Canvas = memo(forwardRef(({
                   gridGap={gridGap}
                 />
               )}
+              {mode === 'edit' && (
+                <SymmetryOverlay
+                  symmetry={symmetry}
+                  gridWidth={gridWidth}
+                  gridHeight={gridHeight}
+                  pixelSize={pixelSize}
+                  gridGap={gridGap}
+                  onChange={setSymmetry}
+                  disabled={isDrawing || isSelecting || !setSymmetry}
+                />
+              )}
               <SelectionOverlay 
                 selectionArea={selectionArea}
                 gridDimensions={gridDimensions}
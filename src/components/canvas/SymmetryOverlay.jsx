@@ -0,0 +1,159 @@
+import React, { useRef } from 'react';
+import styled from 'styled-components';
+import { resolveSymmetryAxes, snapAxis } from '../../utils/symmetryUtils';
+
+const SymmetryOverlayContainer = styled.div`
+  position: absolute;
+  top: 0;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  pointer-events: none;
+  z-index: 8; /* Above the grid, below the selection */
+`;
+
+// Wide transparent hit area so thin axis lines are easy to grab
+const AxisHandle = styled.div`
+  position: absolute;
+  pointer-events: ${props => (props.$draggable ? 'auto' : 'none')};
+  cursor: ${props => props.$cursor};
+  touch-action: none;
+
+  &::after {
+    content: '';
+    position: absolute;
+    background: var(--accent-color);
+    opacity: 0.8;
+    ${props => (props.$orientation === 'vertical'
+      ? 'top: 0; bottom: 0; left: 50%; width: 2px; margin-left: -1px;'
+      : 'left: 0; right: 0; top: 50%; height: 2px; margin-top: -1px;')}
+  }
+
+  &:hover::after {
+    opacity: 1;
+  }
+`;
+
+const CenterHandle = styled.div`
+  position: absolute;
+  width: 12px;
+  height: 12px;
+  margin: -6px 0 0 -6px;
+  border-radius: 50%;
+  border: 2px solid white;
+  background: var(--accent-color);
+  box-shadow: 0 0 0 1px rgba(0, 0, 0, 0.4);
+  pointer-events: auto;
+  cursor: move;
+  touch-action: none;
+`;
+
+const HANDLE_THICKNESS = 10;
+
+/**
+ * SymmetryOverlay component - draws the mirror axes (or the radial center)
+ * above the renderer and lets the user drag them to a new position.
+ */
+const SymmetryOverlay = ({
+  symmetry,
+  gridWidth,
+  gridHeight,
+  pixelSize,
+  gridGap,
+  onChange,
+  disabled = false
+}) => {
+  const containerRef = useRef(null);
+  const dragAxisRef = useRef(null); // 'x', 'y' or 'both' while dragging
+
+  if (!symmetry || symmetry.mode === 'none') return null;
+
+  const cellSize = pixelSize + gridGap;
+  const { axisX, axisY } = resolveSymmetryAxes(symmetry, gridWidth, gridHeight);
+  const showVertical = symmetry.mode === 'vertical' || symmetry.mode === 'quad' || symmetry.mode === 'radial';
+  const showHorizontal = symmetry.mode === 'horizontal' || symmetry.mode === 'quad' || symmetry.mode === 'radial';
+  const isRadial = symmetry.mode === 'radial';
+
+  // Convert a pointer position to axis positions, independent of the current zoom
+  const getAxesFromEvent = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return {
+      axisX: snapAxis(((e.clientX - rect.left) / rect.width) * gridWidth, gridWidth),
+      axisY: snapAxis(((e.clientY - rect.top) / rect.height) * gridHeight, gridHeight),
+    };
+  };
+
+  const handlePointerDown = (axis) => (e) => {
+    if (disabled) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragAxisRef.current = axis;
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragAxisRef.current || !containerRef.current) return;
+    const next = getAxesFromEvent(e);
+    if (dragAxisRef.current === 'x' && next.axisX !== axisX) {
+      onChange({ axisX: next.axisX });
+    } else if (dragAxisRef.current === 'y' && next.axisY !== axisY) {
+      onChange({ axisY: next.axisY });
+    } else if (dragAxisRef.current === 'both' && (next.axisX !== axisX || next.axisY !== axisY)) {
+      onChange(next);
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    if (!dragAxisRef.current) return;
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    dragAxisRef.current = null;
+  };
+
+  // Stop react-zoom-pan-pinch and the renderers from seeing the drag
+  const stopMouse = (e) => e.stopPropagation();
+
+  const dragHandlers = {
+    onPointerMove: handlePointerMove,
+    onPointerUp: handlePointerUp,
+    onPointerCancel: handlePointerUp,
+    onMouseDown: stopMouse,
+    onMouseUp: stopMouse,
+  };
+
+  return (
+    <SymmetryOverlayContainer ref={containerRef}>
+      {showVertical && (
+        <AxisHandle
+          $orientation="vertical"
+          $draggable={!disabled && !isRadial}
+          $cursor="ew-resize"
+          style={{ top: 0, bottom: 0, left: axisX * cellSize - HANDLE_THICKNESS / 2, width: HANDLE_THICKNESS }}
+          onPointerDown={handlePointerDown('x')}
+          title="Drag to move the symmetry axis"
+          {...dragHandlers}
+        />
+      )}
+      {showHorizontal && (
+        <AxisHandle
+          $orientation="horizontal"
+          $draggable={!disabled && !isRadial}
+          $cursor="ns-resize"
+          style={{ left: 0, right: 0, top: axisY * cellSize - HANDLE_THICKNESS / 2, height: HANDLE_THICKNESS }}
+          onPointerDown={handlePointerDown('y')}
+          title="Drag to move the symmetry axis"
+          {...dragHandlers}
+        />
+      )}
+      {isRadial && !disabled && (
+        <CenterHandle
+          style={{ left: axisX * cellSize, top: axisY * cellSize }}
+          onPointerDown={handlePointerDown('both')}
+          title="Drag to move the symmetry center"
+          {...dragHandlers}
+        />
+      )}
+    </SymmetryOverlayContainer>
+  );
+};
+
+export default React.memo(SymmetryOverlay);
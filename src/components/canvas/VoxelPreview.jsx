@@ -0,0 +1,130 @@
+import React, { useRef, useEffect, memo } from 'react';
+import styled from 'styled-components';
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { buildVoxelFaces } from '../../utils/voxelMesh';
+import { createVoxelGeometry } from '../../utils/voxelExport';
+
+const PreviewContainer = styled.div`
+  position: absolute;
+  inset: 0;
+  z-index: 5;
+  background-color: ${props => props.$backgroundColor || '#f0f0f0'};
+  cursor: grab;
+  touch-action: none;
+
+  &:active {
+    cursor: grabbing;
+  }
+`;
+
+const Hint = styled.div`
+  position: absolute;
+  left: 0.75rem;
+  bottom: 0.75rem;
+  font-size: 0.75rem;
+  color: var(--text-secondary);
+  pointer-events: none;
+`;
+
+/**
+ * VoxelPreview component - shows the artwork extruded into voxels, as the 3D export writes it.
+ * Drag to orbit, scroll to zoom, right-drag to pan.
+ */
+const VoxelPreview = memo(({ grid, depth, bevel, backgroundColor }) => {
+  const containerRef = useRef(null);
+  const rendererRef = useRef(null);
+  const sceneRef = useRef(null);
+  const cameraRef = useRef(null);
+  const controlsRef = useRef(null);
+  const meshRef = useRef(null);
+
+  // Scene, camera, lights and controls live as long as the preview is open
+  useEffect(() => {
+    const container = containerRef.current;
+    const scene = new THREE.Scene();
+    scene.add(new THREE.AmbientLight(0xffffff, 1.2));
+    const keyLight = new THREE.DirectionalLight(0xffffff, 2);
+    keyLight.position.set(1, 2, 3);
+    scene.add(keyLight);
+    const fillLight = new THREE.DirectionalLight(0xffffff, 0.6);
+    fillLight.position.set(-2, -1, -1);
+    scene.add(fillLight);
+
+    const camera = new THREE.PerspectiveCamera(40, 1, 0.1, 10000);
+    const renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
+    renderer.setPixelRatio(window.devicePixelRatio || 1);
+    container.appendChild(renderer.domElement);
+    const render = () => renderer.render(scene, camera);
+
+    const controls = new OrbitControls(camera, renderer.domElement);
+    controls.addEventListener('change', render);
+
+    const resize = () => {
+      const { clientWidth, clientHeight } = container;
+      if (!clientWidth || !clientHeight) return;
+      renderer.setSize(clientWidth, clientHeight);
+      camera.aspect = clientWidth / clientHeight;
+      camera.updateProjectionMatrix();
+      render();
+    };
+    const observer = new ResizeObserver(resize);
+    observer.observe(container);
+
+    sceneRef.current = scene;
+    cameraRef.current = camera;
+    rendererRef.current = renderer;
+    controlsRef.current = controls;
+    resize();
+
+    return () => {
+      observer.disconnect();
+      controls.dispose();
+      renderer.dispose();
+      container.removeChild(renderer.domElement);
+      rendererRef.current = null;
+      meshRef.current = null; // A new camera has to be framed again (StrictMode remounts)
+    };
+  }, []);
+
+  // Rebuild the model when the artwork or extrusion changes
+  useEffect(() => {
+    const scene = sceneRef.current;
+    const camera = cameraRef.current;
+    const controls = controlsRef.current;
+    const renderer = rendererRef.current;
+    if (!scene || !renderer) return undefined;
+
+    const height = grid.length;
+    const width = grid[0]?.length || 0;
+    const geometry = createVoxelGeometry(buildVoxelFaces(grid, { depth, bevel }));
+    geometry.translate(-width / 2, -height / 2, -depth / 2);
+    const material = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.8, metalness: 0 });
+    const mesh = new THREE.Mesh(geometry, material);
+    scene.add(mesh);
+
+    // Frame the model on first build; later rebuilds keep the user's view
+    if (!meshRef.current) {
+      const distance = Math.max(width, height, depth) * 1.8;
+      camera.position.set(distance * 0.5, distance * 0.35, distance);
+      controls.target.set(0, 0, 0);
+      controls.update();
+    }
+    meshRef.current = mesh;
+    renderer.render(scene, camera);
+
+    return () => {
+      scene.remove(mesh);
+      geometry.dispose();
+      material.dispose();
+    };
+  }, [grid, depth, bevel]);
+
+  return (
+    <PreviewContainer ref={containerRef} $backgroundColor={backgroundColor}>
+      <Hint>Drag to orbit · Scroll to zoom · Right-drag to pan</Hint>
+    </PreviewContainer>
+  );
+});
+
+export default VoxelPreview;
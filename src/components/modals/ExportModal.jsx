@@ -1,8 +1,22 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import styled from 'styled-components';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faTimes } from '@fortawesome/free-solid-svg-icons';
 import { isRunningInFigma } from '../../utils/figmaExport';
+import { DEFAULT_FRAME_DURATION, MIN_FRAME_DURATION, MAX_FRAME_DURATION, clampFrameDuration } from '../../utils/animationUtils';
+
+import { SPRITE_SHEET_LAYOUTS, ATLAS_FORMATS, extractProjectFrames } from '../../utils/spriteSheet';
+import { LED_COLOR_FORMATS, LED_WIRING_ORDERS, MAX_LED_BRIGHTNESS } from '../../utils/ledExport';
+import { CRAFT_CATALOGS } from '../../utils/craftCatalogs';
+import { DEFAULT_VOXEL_SETTINGS, MAX_VOXEL_DEPTH, MAX_VOXEL_BEVEL } from '../../utils/voxelMesh';
+import { APP_ICON_SIZES, ICO_SIZES, MAX_ICON_PADDING } from '../../utils/iconExport';
+import { COLOR_METRICS } from '../../utils/imageProcessing';
+import { parseProject } from '../../utils/projectSchema';
+import { decodeProjectFile } from '../../utils/projectFormat';
+
+const ANIMATED_FORMATS = ['gif', 'apng'];
+const clampBoardSize = (value) => Math.min(128, Math.max(4, parseInt(value, 10) || 4));
+const clampVoxelSize = (value) => Math.min(100, Math.max(0.1, Number(value) || 1));
 
 const ModalOverlay = styled.div`
   position: fixed;
@@ -220,6 +234,50 @@ const RangeInput = styled.input`
   }
 `;
 
+const NumberField = styled.input`
+  width: 80px;
+  padding: 0.3rem 0.5rem;
+  background-color: var(--input-bg);
+  color: var(--input-text);
+  border: 1px solid var(--border-color);
+  border-radius: 4px;
+`;
+
+const SelectField = styled.select`
+  padding: 0.3rem 0.5rem;
+  background-color: var(--input-bg);
+  color: var(--input-text);
+  border: 1px solid var(--border-color);
+  border-radius: 4px;
+  text-transform: capitalize;
+`;
+
+const ArtworkList = styled.ul`
+  list-style: none;
+  margin: 0 0 0.75rem 0;
+  padding: 0;
+  font-size: 0.85rem;
+
+  li {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 0.25rem 0;
+    border-bottom: 1px solid var(--border-color);
+  }
+
+  button {
+    background: none;
+    border: none;
+    color: var(--text-secondary);
+    cursor: pointer;
+
+    &:hover {
+      color: var(--text-primary);
+    }
+  }
+`;
+
 const ValueDisplay = styled.div`
   min-width: 40px;
   text-align: right;
@@ -274,6 +332,78 @@ const Switch = styled.label`
   }
 `;
 
+const TabHeader = styled.div`
+  display: flex;
+  border-bottom: 1px solid var(--border-color);
+  margin: -1.5rem -1.5rem 1.5rem;
+`;
+
+const TabButton = styled.button`
+  flex: 1;
+  padding: 0.75rem 1rem;
+  background: none;
+  border: none;
+  border-bottom: 3px solid ${props => props.$isActive ? 'var(--accent-color)' : 'transparent'};
+  color: ${props => props.$isActive ? 'var(--text-primary)' : 'var(--text-secondary)'};
+  font-size: 0.9rem;
+  font-weight: ${props => props.$isActive ? '600' : '500'};
+  cursor: pointer;
+  margin-bottom: -1px;
+
+  &:hover {
+    color: var(--text-primary);
+    background: var(--bg-hover);
+  }
+`;
+
+const SnippetHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 0.5rem;
+
+  ${SectionTitle} {
+    margin: 0;
+  }
+`;
+
+const CopyButton = styled.button`
+  padding: 0.25rem 0.75rem;
+  border-radius: 4px;
+  font-size: 0.8rem;
+  cursor: pointer;
+  background-color: var(--bg-secondary);
+  color: var(--text-secondary);
+  border: 1px solid var(--border-color);
+
+  &:hover {
+    background-color: var(--bg-hover);
+    color: var(--text-primary);
+  }
+`;
+
+const SnippetText = styled.textarea`
+  width: 100%;
+  box-sizing: border-box;
+  height: 7.5rem;
+  padding: 0.5rem;
+  border: 1px solid var(--border-color);
+  border-radius: 4px;
+  background-color: var(--bg-secondary);
+  color: var(--text-primary);
+  font-family: monospace;
+  font-size: 0.75rem;
+  white-space: pre;
+  resize: vertical;
+`;
+
+const CODE_SNIPPETS = [
+  { key: 'css', title: 'CSS box-shadow', description: 'A pure-CSS drawing: give any element the pixel-art class. Circles and rounded corners are kept; other shapes and effects are not.' },
+  { key: 'react', title: 'React Component', description: 'Renders the SVG export with pixel shapes and effects. Pass size for the width and colors to replace original colors.' },
+  { key: 'svgDataUri', title: 'SVG Data URI', description: 'For img src, CSS url() or inline in HTML e-mails.' },
+  { key: 'pngDataUri', title: 'PNG Data URI', description: 'The PNG export as base64.' },
+];
+
 // Add a new styled component for the Figma export button
 const FigmaButton = styled(ActionButton)`
   background-color: #1E1E1E;
@@ -312,8 +442,13 @@ const ExportModal = ({
   pixelData,
   rendererType,
   glowEnabled,
-  onExportToFigma
+  frameCount = 1,
+  voxelSettings = DEFAULT_VOXEL_SETTINGS,
+  onExportToFigma,
+  onGenerateCode
 }) => {
+  const [tab, setTab] = useState('image'); // 'image' or 'code'
+  const [copiedSnippet, setCopiedSnippet] = useState(null);
   const [format, setFormat] = useState('png');
   const [scale, setScale] = useState(1);
   const [padding, setPadding] = useState(glowEnabled ? 20 : 0);
@@ -321,7 +456,83 @@ const ExportModal = ({
   const [includeBackground, setIncludeBackground] = useState(true);
   const [isExporting, setIsExporting] = useState(false);
   const [isFigmaExporting, setIsFigmaExporting] = useState(false);
+  // Animation options: per-frame durations or one fixed delay, and how often to play
+  const [useFrameDurations, setUseFrameDurations] = useState(true);
+  const [fixedDelay, setFixedDelay] = useState(DEFAULT_FRAME_DURATION);
+  const [loopCount, setLoopCount] = useState(0);
+  const isAnimated = ANIMATED_FORMATS.includes(format);
+  // Sprite sheet options
+  const [spriteLayout, setSpriteLayout] = useState('grid');
+  const [spriteColumns, setSpriteColumns] = useState(0); // 0 picks a near-square grid
+  const [spritePadding, setSpritePadding] = useState(2);
+  const [spriteExtrude, setSpriteExtrude] = useState(0);
+  const [atlasFormat, setAtlasFormat] = useState('hash');
+  const [extraArtworks, setExtraArtworks] = useState([]); // [{ fileName, sprites }]
+  // LED matrix options
+  const [ledTarget, setLedTarget] = useState('header'); // 'header' or 'wled'
+  const [ledColorFormat, setLedColorFormat] = useState('rgb888');
+  const [ledWiring, setLedWiring] = useState('row-major');
+  const [ledBrightness, setLedBrightness] = useState(MAX_LED_BRIGHTNESS);
+  // Craft pattern options
+  const [craftCatalogId, setCraftCatalogId] = useState('perler');
+  const [craftMetric, setCraftMetric] = useState('oklab');
+  const [craftBoardSize, setCraftBoardSize] = useState(CRAFT_CATALOGS.perler.boardSize);
+  // 3D model options, starting from the 3D preview's extrusion
+  const [voxelFormat, setVoxelFormat] = useState('obj');
+  const [voxelDepth, setVoxelDepth] = useState(voxelSettings.depth);
+  const [voxelBevel, setVoxelBevel] = useState(voxelSettings.bevel);
+  const [voxelSize, setVoxelSize] = useState(1); // Model units (millimeters) per pixel
+  // App icon options
+  const [iconPadding, setIconPadding] = useState(0); // Percent of the icon size
+
+  // Saved project files can be packed into the sheet next to the timeline frames
+  const handleAddArtworks = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    for (const file of files) {
+      try {
+        const buffer = await new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result);
+          reader.onerror = () => reject(reader.error);
+          reader.readAsArrayBuffer(file);
+        });
+        const projectData = parseProject(await decodeProjectFile(buffer));
+        const baseName = file.name.replace(/\.(json|pixelpop)$/i, '');
+        const sprites = extractProjectFrames(projectData, baseName);
+        setExtraArtworks(prev => [...prev, { fileName: file.name, sprites }]);
+      } catch (error) {
+        console.error('Error reading artwork for sprite sheet:', error);
+        alert(`Could not add ${file.name}. ${error.message}`);
+      }
+    }
+  };
   const canExportToFigma = isRunningInFigma() && onExportToFigma;
+
+  // Code snippets follow the size and option controls while the Code tab is open
+  const codeSnippets = useMemo(() => {
+    if (tab !== 'code' || !onGenerateCode) return null;
+    try {
+      return onGenerateCode({
+        scale: parseInt(scale, 10),
+        padding: parseInt(padding, 10),
+        includeGrid,
+        includeBackground
+      });
+    } catch (error) {
+      console.error('Error generating code export:', error);
+      return { error: error.message };
+    }
+  }, [tab, onGenerateCode, scale, padding, includeGrid, includeBackground]);
+
+  const handleCopySnippet = (key) => {
+    navigator.clipboard.writeText(codeSnippets[key])
+      .then(() => setCopiedSnippet(key))
+      .catch(error => {
+        console.error('Failed to copy to clipboard:', error);
+        alert('Failed to copy to clipboard. Please try again or check browser permissions.');
+      });
+  };
   
   const handleExport = () => {
     setIsExporting(true);
@@ -332,7 +543,37 @@ const ExportModal = ({
       padding: parseInt(padding, 10),
       includeGrid,
       includeBackground,
-      rendererType
+      rendererType,
+      frameDelay: useFrameDurations ? null : clampFrameDuration(fixedDelay),
+      loopCount,
+      spriteSheet: {
+        layout: spriteLayout,
+        columns: spriteColumns,
+        padding: spritePadding,
+        extrude: spriteExtrude,
+        atlasFormat,
+        artworks: extraArtworks.flatMap(artwork => artwork.sprites)
+      },
+      led: {
+        target: ledTarget,
+        colorFormat: ledColorFormat,
+        wiring: ledWiring,
+        brightness: ledBrightness
+      },
+      craft: {
+        catalogId: craftCatalogId,
+        metric: craftMetric,
+        boardSize: clampBoardSize(craftBoardSize)
+      },
+      voxel: {
+        format: voxelFormat,
+        depth: voxelDepth,
+        bevel: voxelBevel,
+        unitSize: clampVoxelSize(voxelSize)
+      },
+      icon: {
+        padding: iconPadding
+      }
     }).finally(() => {
       setIsExporting(false);
       onClose();
@@ -374,58 +615,151 @@ const ExportModal = ({
         </ModalHeader>
         
         <ModalContent>
-          <FormSection>
-            <SectionTitle>Export Format</SectionTitle>
-            <FormatOptions>
-              <FormatOption 
-                $isActive={format === 'png'} 
-                onClick={() => setFormat('png')}
-              >
-                PNG
-              </FormatOption>
-              <FormatOption 
-                $isActive={format === 'jpg'} 
-                onClick={() => setFormat('jpg')}
-              >
-                JPG
-              </FormatOption>
-              <FormatOption 
-                $isActive={format === 'svg'} 
-                onClick={() => setFormat('svg')}
-                disabled={rendererType !== 'svg'}
-              >
-                SVG
-              </FormatOption>
-            </FormatOptions>
-            {rendererType !== 'svg' && format === 'svg' ? (
-              <div style={{ color: 'var(--error-color)', fontSize: '0.85rem', marginTop: '-0.5rem', marginBottom: '1rem' }}>
-                SVG export requires the SVG renderer. Please switch to SVG renderer in the sidebar.
-              </div>
-            ) : null}
-            {format === 'svg' && rendererType === 'svg' && (
-              <div style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginTop: '-0.5rem', marginBottom: '1rem' }}>
-                SVG export will create a vector image preserving all pixel shapes and effects.
-              </div>
-            )}
+          {onGenerateCode && (
+            <TabHeader role="tablist">
+              <TabButton role="tab" aria-selected={tab === 'image'} $isActive={tab === 'image'} onClick={() => setTab('image')}>
+                Image
+              </TabButton>
+              <TabButton role="tab" aria-selected={tab === 'code'} $isActive={tab === 'code'} onClick={() => setTab('code')}>
+                Code
+              </TabButton>
+            </TabHeader>
+          )}
+          
+          {tab === 'image' && (
+            <FormSection>
+              <SectionTitle>Export Format</SectionTitle>
+              <FormatOptions>
+                <FormatOption 
+                  $isActive={format === 'png'} 
+                  onClick={() => setFormat('png')}
+                >
+                  PNG
+                </FormatOption>
+                <FormatOption 
+                  $isActive={format === 'jpg'} 
+                  onClick={() => setFormat('jpg')}
+                >
+                  JPG
+                </FormatOption>
+                <FormatOption 
+                  $isActive={format === 'svg'} 
+                  onClick={() => setFormat('svg')}
+                >
+                  SVG
+                </FormatOption>
+                <FormatOption 
+                  $isActive={format === 'gif'} 
+                  onClick={() => setFormat('gif')}
+                >
+                  GIF
+                </FormatOption>
+                <FormatOption 
+                  $isActive={format === 'apng'} 
+                  onClick={() => setFormat('apng')}
+                >
+                  APNG
+                </FormatOption>
+                <FormatOption 
+                  $isActive={format === 'sprite'} 
+                  onClick={() => setFormat('sprite')}
+                >
+                  Sprite Sheet
+                </FormatOption>
+                <FormatOption 
+                  $isActive={format === 'aseprite'} 
+                  onClick={() => setFormat('aseprite')}
+                >
+                  Aseprite
+                </FormatOption>
+                <FormatOption 
+                  $isActive={format === 'led'} 
+                  onClick={() => setFormat('led')}
+                >
+                  LED Matrix
+                </FormatOption>
+                <FormatOption 
+                  $isActive={format === 'craft'} 
+                  onClick={() => setFormat('craft')}
+                >
+                  Craft Pattern
+                </FormatOption>
+                <FormatOption 
+                  $isActive={format === 'voxel'} 
+                  onClick={() => setFormat('voxel')}
+                >
+                  3D Model
+                </FormatOption>
+                <FormatOption 
+                  $isActive={format === 'icon'} 
+                  onClick={() => setFormat('icon')}
+                >
+                  App Icon
+                </FormatOption>
+              </FormatOptions>
+              {format === 'svg' && (
+                <div style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginTop: '-0.5rem', marginBottom: '1rem' }}>
+                  Creates a vector image with one path per color, keeping pixel shapes, glow and bulb effects. Works with either renderer.
+                </div>
+              )}
             
-            {canExportToFigma && (
-              <div style={{ 
-                backgroundColor: 'rgba(26, 26, 26, 0.1)', 
-                padding: '0.75rem',
-                borderRadius: '4px',
-                marginTop: '1rem',
-                fontSize: '0.85rem',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '8px'
-              }}>
-                <FigmaLogo style={{ width: '18px', height: '18px' }} />
-                <span>
-                  Export directly to Figma is available! Each pixel will be created as a rectangle in Figma, letting you further customize your artwork in Figma's design environment.
-                </span>
-              </div>
-            )}
-          </FormSection>
+              {isAnimated && (
+                <div style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginTop: '-0.5rem', marginBottom: '1rem' }}>
+                  {format === 'gif'
+                    ? `Exports all ${frameCount} frame(s) as an animated GIF (up to 256 colors, on/off transparency).`
+                    : `Exports all ${frameCount} frame(s) as an animated PNG with full transparency.`}
+                </div>
+              )}
+              {format === 'sprite' && (
+                <div style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginTop: '-0.5rem', marginBottom: '1rem' }}>
+                  Packs all {frameCount} frame(s) into one PNG and writes a TexturePacker-compatible JSON atlas next to it.
+                </div>
+              )}
+              {format === 'aseprite' && (
+                <div style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginTop: '-0.5rem', marginBottom: '1rem' }}>
+                  Writes an .aseprite file with all layers, {frameCount} frame(s) and the active palette at one pixel per cell. Size and background options do not apply.
+                </div>
+              )}
+              {format === 'led' && (
+                <div style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginTop: '-0.5rem', marginBottom: '1rem' }}>
+                  Writes one LED per pixel for {frameCount} frame(s), as a C/Arduino header or a WLED presets file. Empty pixels are off. Size and background options do not apply.
+                </div>
+              )}
+              {format === 'craft' && (
+                <div style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginTop: '-0.5rem', marginBottom: '1rem' }}>
+                  Matches each color to the nearest bead, floss or brick color and downloads a printable SVG chart with symbols, numbering and board splits, plus a CSV materials list. Size and background options do not apply.
+                </div>
+              )}
+              {format === 'voxel' && (
+                <div style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginTop: '-0.5rem', marginBottom: '1rem' }}>
+                  Extrudes every pixel into a voxel or beveled tile, merging flat faces of the same color. Exports the current frame as OBJ with an MTL palette, binary STL for 3D printing, or glTF with vertex colors. Size and background options do not apply.
+                </div>
+              )}
+              {format === 'icon' && (
+                <div style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginTop: '-0.5rem', marginBottom: '1rem' }}>
+                  Renders square icons at {APP_ICON_SIZES.join(', ')}px with nearest-neighbor scaling and downloads them as PNGs, plus a multi-size .ico favicon ({ICO_SIZES.join('/')}px) and a web manifest icons snippet. Include Background Color fills the icons; size, grid and effect options do not apply.
+                </div>
+              )}
+            
+              {canExportToFigma && (
+                <div style={{ 
+                  backgroundColor: 'rgba(26, 26, 26, 0.1)', 
+                  padding: '0.75rem',
+                  borderRadius: '4px',
+                  marginTop: '1rem',
+                  fontSize: '0.85rem',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px'
+                }}>
+                  <FigmaLogo style={{ width: '18px', height: '18px' }} />
+                  <span>
+                    Export directly to Figma is available! Each pixel will be created as a rectangle in Figma, letting you further customize your artwork in Figma's design environment.
+                  </span>
+                </div>
+              )}
+            </FormSection>
+          )}
           
           <FormSection>
             <SectionTitle>Export Size</SectionTitle>
@@ -448,6 +782,342 @@ const ExportModal = ({
             </ScaleOptions>
           </FormSection>
           
+          {tab === 'image' && isAnimated && (
+            <FormSection>
+              <SectionTitle>Animation</SectionTitle>
+              
+              <SettingsRow>
+                <SettingLabel>
+                  <Switch>
+                    <input
+                      type="checkbox"
+                      checked={useFrameDurations}
+                      onChange={(e) => setUseFrameDurations(e.target.checked)}
+                    />
+                    <span></span>
+                  </Switch>
+                  <span>Use Frame Durations</span>
+                </SettingLabel>
+              </SettingsRow>
+              
+              {!useFrameDurations && (
+                <SliderRow>
+                  <SliderLabel htmlFor="exportFrameDelay">Frame Delay (ms)</SliderLabel>
+                  <NumberField
+                    id="exportFrameDelay"
+                    type="number"
+                    min={MIN_FRAME_DURATION}
+                    max={MAX_FRAME_DURATION}
+                    step="10"
+                    value={fixedDelay}
+                    onChange={(e) => setFixedDelay(e.target.value)}
+                    onBlur={() => setFixedDelay(clampFrameDuration(fixedDelay))}
+                  />
+                </SliderRow>
+              )}
+              
+              <SliderRow>
+                <SliderLabel htmlFor="exportLoopCount">Play Count</SliderLabel>
+                <NumberField
+                  id="exportLoopCount"
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={loopCount}
+                  onChange={(e) => setLoopCount(Math.min(100, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+                />
+                <ValueDisplay style={{ textAlign: 'left' }}>{loopCount === 0 ? 'Loop forever' : `${loopCount}×`}</ValueDisplay>
+              </SliderRow>
+            </FormSection>
+          )}
+          
+          {tab === 'image' && format === 'sprite' && (
+            <FormSection>
+              <SectionTitle>Sprite Sheet</SectionTitle>
+              
+              <SliderRow>
+                <SliderLabel htmlFor="spriteLayout">Layout</SliderLabel>
+                <SelectField
+                  id="spriteLayout"
+                  value={spriteLayout}
+                  onChange={(e) => setSpriteLayout(e.target.value)}
+                >
+                  {SPRITE_SHEET_LAYOUTS.map(layout => (
+                    <option key={layout} value={layout}>{layout}</option>
+                  ))}
+                </SelectField>
+              </SliderRow>
+              
+              {spriteLayout === 'grid' && (
+                <SliderRow>
+                  <SliderLabel htmlFor="spriteColumns">Columns</SliderLabel>
+                  <NumberField
+                    id="spriteColumns"
+                    type="number"
+                    min="0"
+                    max="64"
+                    value={spriteColumns}
+                    onChange={(e) => setSpriteColumns(Math.min(64, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+                  />
+                  <ValueDisplay style={{ textAlign: 'left' }}>{spriteColumns === 0 ? 'Auto' : ''}</ValueDisplay>
+                </SliderRow>
+              )}
+              
+              <SliderRow>
+                <SliderLabel>Sprite Padding (px)</SliderLabel>
+                <RangeInput
+                  type="range"
+                  min="0"
+                  max="32"
+                  value={spritePadding}
+                  onChange={(e) => setSpritePadding(Number(e.target.value))}
+                />
+                <ValueDisplay>{spritePadding}</ValueDisplay>
+              </SliderRow>
+              
+              <SliderRow>
+                <SliderLabel>Extrude (px)</SliderLabel>
+                <RangeInput
+                  type="range"
+                  min="0"
+                  max="8"
+                  value={spriteExtrude}
+                  onChange={(e) => setSpriteExtrude(Number(e.target.value))}
+                />
+                <ValueDisplay>{spriteExtrude}</ValueDisplay>
+              </SliderRow>
+              
+              <SliderRow>
+                <SliderLabel htmlFor="atlasFormat">Atlas Format</SliderLabel>
+                <SelectField
+                  id="atlasFormat"
+                  value={atlasFormat}
+                  onChange={(e) => setAtlasFormat(e.target.value)}
+                >
+                  {ATLAS_FORMATS.map(atlas => (
+                    <option key={atlas} value={atlas}>JSON {atlas}</option>
+                  ))}
+                </SelectField>
+              </SliderRow>
+              
+              {extraArtworks.length > 0 && (
+                <ArtworkList>
+                  {extraArtworks.map((artwork, index) => (
+                    <li key={`${artwork.fileName}-${index}`}>
+                      <span>{artwork.fileName} ({artwork.sprites.length} frame{artwork.sprites.length === 1 ? '' : 's'})</span>
+                      <button
+                        onClick={() => setExtraArtworks(prev => prev.filter((_, i) => i !== index))}
+                        title="Remove artwork"
+                      >
+                        <FontAwesomeIcon icon={faTimes} />
+                      </button>
+                    </li>
+                  ))}
+                </ArtworkList>
+              )}
+              <SettingLabel as="div">
+                <label htmlFor="spriteArtworks" style={{ cursor: 'pointer', textDecoration: 'underline' }}>
+                  Add saved artworks…
+                </label>
+                <input
+                  id="spriteArtworks"
+                  type="file"
+                  accept=".json,.pixelpop,application/json"
+                  multiple
+                  style={{ display: 'none' }}
+                  onChange={handleAddArtworks}
+                />
+              </SettingLabel>
+            </FormSection>
+          )}
+          
+          {tab === 'image' && format === 'led' && (
+            <FormSection>
+              <SectionTitle>LED Matrix</SectionTitle>
+              
+              <SliderRow>
+                <SliderLabel htmlFor="ledTarget">Target</SliderLabel>
+                <SelectField
+                  id="ledTarget"
+                  value={ledTarget}
+                  onChange={(e) => setLedTarget(e.target.value)}
+                >
+                  <option value="header">C/Arduino header (.h)</option>
+                  <option value="wled">WLED presets (.json)</option>
+                </SelectField>
+              </SliderRow>
+              
+              {ledTarget === 'header' && (
+                <SliderRow>
+                  <SliderLabel htmlFor="ledColorFormat">Color Format</SliderLabel>
+                  <SelectField
+                    id="ledColorFormat"
+                    value={ledColorFormat}
+                    onChange={(e) => setLedColorFormat(e.target.value)}
+                  >
+                    {LED_COLOR_FORMATS.map(option => (
+                      <option key={option} value={option}>{option === 'indexed' ? 'Palette indexed' : option.toUpperCase()}</option>
+                    ))}
+                  </SelectField>
+                </SliderRow>
+              )}
+              
+              <SliderRow>
+                <SliderLabel htmlFor="ledWiring">Wiring</SliderLabel>
+                <SelectField
+                  id="ledWiring"
+                  value={ledWiring}
+                  onChange={(e) => setLedWiring(e.target.value)}
+                >
+                  {LED_WIRING_ORDERS.map(option => (
+                    <option key={option} value={option}>{option === 'serpentine' ? 'Serpentine (zig-zag)' : 'Row by row'}</option>
+                  ))}
+                </SelectField>
+              </SliderRow>
+              
+              <SliderRow>
+                <SliderLabel>Brightness Cap</SliderLabel>
+                <RangeInput
+                  type="range"
+                  min="1"
+                  max={MAX_LED_BRIGHTNESS}
+                  value={ledBrightness}
+                  onChange={(e) => setLedBrightness(Number(e.target.value))}
+                />
+                <ValueDisplay>{ledBrightness}</ValueDisplay>
+              </SliderRow>
+            </FormSection>
+          )}
+          
+          {tab === 'image' && format === 'craft' && (
+            <FormSection>
+              <SectionTitle>Craft Pattern</SectionTitle>
+              
+              <SliderRow>
+                <SliderLabel htmlFor="craftCatalog">Materials</SliderLabel>
+                <SelectField
+                  id="craftCatalog"
+                  value={craftCatalogId}
+                  onChange={(e) => {
+                    setCraftCatalogId(e.target.value);
+                    setCraftBoardSize(CRAFT_CATALOGS[e.target.value].boardSize);
+                  }}
+                >
+                  {Object.entries(CRAFT_CATALOGS).map(([id, catalog]) => (
+                    <option key={id} value={id}>{catalog.name}</option>
+                  ))}
+                </SelectField>
+              </SliderRow>
+              
+              <SliderRow>
+                <SliderLabel htmlFor="craftMetric">Color Matching</SliderLabel>
+                <SelectField
+                  id="craftMetric"
+                  value={craftMetric}
+                  onChange={(e) => setCraftMetric(e.target.value)}
+                >
+                  {COLOR_METRICS.map(metric => (
+                    <option key={metric.id} value={metric.id}>{metric.label}</option>
+                  ))}
+                </SelectField>
+              </SliderRow>
+              
+              <SliderRow>
+                <SliderLabel htmlFor="craftBoardSize">Board Size</SliderLabel>
+                <NumberField
+                  id="craftBoardSize"
+                  type="number"
+                  min="4"
+                  max="128"
+                  value={craftBoardSize}
+                  onChange={(e) => setCraftBoardSize(e.target.value)}
+                  onBlur={() => setCraftBoardSize(clampBoardSize(craftBoardSize))}
+                />
+                <ValueDisplay style={{ textAlign: 'left' }}>{craftBoardSize}×{craftBoardSize}</ValueDisplay>
+              </SliderRow>
+            </FormSection>
+          )}
+          
+          {tab === 'image' && format === 'voxel' && (
+            <FormSection>
+              <SectionTitle>3D Model</SectionTitle>
+              
+              <SliderRow>
+                <SliderLabel htmlFor="voxelFormat">File Format</SliderLabel>
+                <SelectField
+                  id="voxelFormat"
+                  value={voxelFormat}
+                  onChange={(e) => setVoxelFormat(e.target.value)}
+                >
+                  <option value="obj">OBJ + MTL (.obj)</option>
+                  <option value="stl">STL for 3D printing (.stl)</option>
+                  <option value="glb">glTF binary (.glb)</option>
+                </SelectField>
+              </SliderRow>
+              
+              <SliderRow>
+                <SliderLabel>Depth (pixels)</SliderLabel>
+                <RangeInput
+                  type="range"
+                  min="0.5"
+                  max={MAX_VOXEL_DEPTH}
+                  step="0.5"
+                  value={voxelDepth}
+                  onChange={(e) => setVoxelDepth(Number(e.target.value))}
+                />
+                <ValueDisplay>{voxelDepth}</ValueDisplay>
+              </SliderRow>
+              
+              <SliderRow>
+                <SliderLabel>Bevel (pixels)</SliderLabel>
+                <RangeInput
+                  type="range"
+                  min="0"
+                  max={MAX_VOXEL_BEVEL}
+                  step="0.05"
+                  value={voxelBevel}
+                  onChange={(e) => setVoxelBevel(Number(e.target.value))}
+                />
+                <ValueDisplay>{voxelBevel === 0 ? 'Off' : voxelBevel}</ValueDisplay>
+              </SliderRow>
+              
+              <SliderRow>
+                <SliderLabel htmlFor="voxelSize">Pixel Size (mm)</SliderLabel>
+                <NumberField
+                  id="voxelSize"
+                  type="number"
+                  min="0.1"
+                  max="100"
+                  step="0.1"
+                  value={voxelSize}
+                  onChange={(e) => setVoxelSize(e.target.value)}
+                  onBlur={() => setVoxelSize(clampVoxelSize(voxelSize))}
+                />
+                <ValueDisplay style={{ textAlign: 'left' }}>
+                  {(gridDimensions.width * clampVoxelSize(voxelSize)).toFixed(1)}×{(gridDimensions.height * clampVoxelSize(voxelSize)).toFixed(1)} mm
+                </ValueDisplay>
+              </SliderRow>
+            </FormSection>
+          )}
+          
+          {tab === 'image' && format === 'icon' && (
+            <FormSection>
+              <SectionTitle>App Icon</SectionTitle>
+              
+              <SliderRow>
+                <SliderLabel>Padding (%)</SliderLabel>
+                <RangeInput
+                  type="range"
+                  min="0"
+                  max={MAX_ICON_PADDING}
+                  value={iconPadding}
+                  onChange={(e) => setIconPadding(Number(e.target.value))}
+                />
+                <ValueDisplay>{iconPadding}</ValueDisplay>
+              </SliderRow>
+            </FormSection>
+          )}
+          
           <FormSection>
             <SectionTitle>Export Options</SectionTitle>
             
@@ -495,12 +1165,32 @@ const ExportModal = ({
               Final dimensions: {finalWidth}×{finalHeight} pixels
             </div>
           </FormSection>
+          
+          {tab === 'code' && codeSnippets?.error && (
+            <div style={{ color: 'var(--error-color)', fontSize: '0.85rem', marginBottom: '1rem' }}>
+              Could not generate code: {codeSnippets.error}
+            </div>
+          )}
+          {tab === 'code' && codeSnippets && !codeSnippets.error && CODE_SNIPPETS.map(({ key, title, description }) => (
+            <FormSection key={key}>
+              <SnippetHeader>
+                <SectionTitle>{title}</SectionTitle>
+                <CopyButton onClick={() => handleCopySnippet(key)}>
+                  {copiedSnippet === key ? 'Copied!' : 'Copy'}
+                </CopyButton>
+              </SnippetHeader>
+              <div style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', marginBottom: '0.5rem' }}>
+                {description}
+              </div>
+              <SnippetText readOnly value={codeSnippets[key]} aria-label={title} onFocus={(e) => e.target.select()} />
+            </FormSection>
+          ))}
         </ModalContent>
         
         <ModalFooter>
-          <CancelButton onClick={onClose}>Cancel</CancelButton>
+          <CancelButton onClick={onClose}>{tab === 'code' ? 'Close' : 'Cancel'}</CancelButton>
           
-          {canExportToFigma && (
+          {tab === 'image' && canExportToFigma && (
             <FigmaButton 
               onClick={handleFigmaExport} 
               disabled={isFigmaExporting}
@@ -510,9 +1200,11 @@ const ExportModal = ({
             </FigmaButton>
           )}
           
-          <ExportButton onClick={handleExport} disabled={isExporting}>
-            {isExporting ? 'Exporting...' : 'Export'}
-          </ExportButton>
+          {tab === 'image' && (
+            <ExportButton onClick={handleExport} disabled={isExporting}>
+              {isExporting ? 'Exporting...' : 'Export'}
+            </ExportButton>
+          )}
         </ModalFooter>
       </ModalContainer>
     </ModalOverlay>
@@ -4,6 +4,17 @@ import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faTimes } from '@fortawesome/free-solid-svg-icons';
 import ReactCrop, { centerCrop, makeAspectCrop } from 'react-image-crop';
 import 'react-image-crop/dist/ReactCrop.css';
+import {
+  DITHER_METHODS,
+  QUANTIZERS,
+  COLOR_METRICS,
+  ALPHA_MODES,
+  MAX_EXACT_IMPORT_SIZE
+} from '../../utils/imageProcessing';
+import { quantizeInWorker } from '../../utils/quantizeClient';
+
+const PREVIEW_SIZE = 96; // Longest side of the live preview in CSS pixels
+const PREVIEW_DELAY = 250; // Wait for settings to settle before re-quantizing
 
 const ModalOverlay = styled.div`
   position: fixed;
@@ -92,6 +103,20 @@ const Controls = styled.div`
   align-items: center;
 `;
 
+const ProgressStatus = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  margin-right: auto;
+  color: var(--text-secondary);
+  font-size: 0.85rem;
+
+  progress {
+    width: 160px;
+    accent-color: var(--accent-color);
+  }
+`;
+
 const Label = styled.label`
   color: var(--text-primary);
   font-size: 0.85rem;
@@ -113,6 +138,41 @@ const NumberInput = styled.input`
   }
 `;
 
+const SelectInput = styled.select`
+  padding: 0.4rem 0.5rem;
+  border: 1px solid var(--border-color);
+  border-radius: 4px;
+  background: var(--bg-primary);
+  color: var(--text-primary);
+  font-size: 0.9rem;
+
+  &:focus {
+    outline: none;
+    border-color: var(--accent-color);
+  }
+`;
+
+const RangeRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  height: 34px;
+  color: var(--text-secondary);
+  font-size: 0.85rem;
+
+  input {
+    width: 110px;
+    accent-color: var(--accent-color);
+  }
+`;
+
+const PreviewCanvas = styled.canvas`
+  image-rendering: pixelated;
+  background-color: #333;
+  border: 1px solid var(--border-color);
+  border-radius: 4px;
+`;
+
 const Button = styled.button`
   padding: 0.5rem 1rem;
   border: none;
@@ -132,24 +192,67 @@ const Button = styled.button`
   }
 `;
 
-const ImageCropModal = ({ imageUrl, onClose, onImport, importSettings, onSettingsChange }) => {
+// The crop selection in pixels of the source image; the selection is made on the displayed, scaled image
+const toSourceCrop = (image, crop) => {
+  const scaleX = image.naturalWidth / image.width;
+  const scaleY = image.naturalHeight / image.height;
+  return {
+    x: Math.round(crop.x * scaleX),
+    y: Math.round(crop.y * scaleY),
+    width: Math.max(1, Math.round(crop.width * scaleX)),
+    height: Math.max(1, Math.round(crop.height * scaleY)),
+  };
+};
+
+// onImport(source, settings): source is { image, crop }, the image Blob and the crop in its pixels.
+// paletteColors: the project palette, used by the 'palette' quantizer.
+// importProgress: null when idle, otherwise 0-1 while the import is being quantized.
+const ImageCropModal = ({
+  imageUrl,
+  onClose,
+  onImport,
+  importProgress = null,
+  onCancelImport,
+  importSettings,
+  onSettingsChange,
+  paletteColors = []
+}) => {
+  const isImporting = importProgress !== null;
+  // Exact mode copies upscaled pixel art one logical pixel per cell instead of resampling
+  const isExact = importSettings?.importMode === 'exact';
+  const [exactGrid, setExactGrid] = useState(null); // Detected { scale, offsetX, offsetY, width, height }
   const [crop, setCrop] = useState();
   const [completedCrop, setCompletedCrop] = useState();
   const [imgSrc, setImgSrc] = useState(imageUrl);
+  const [sourceImage, setSourceImage] = useState(null); // imgSrc as a Blob, decoded by the preview worker
   const imgRef = useRef(null);
+  const previewCanvasRef = useRef(null);
 
   const aspectRatio = useMemo(() => {
+    if (isExact) return undefined; // Free crop; the grid size follows from the image
     const width = parseInt(importSettings?.width, 10);
     const height = parseInt(importSettings?.height, 10);
     if (width > 0 && height > 0) {
       return width / height;
     }
     return undefined;
-  }, [importSettings?.width, importSettings?.height]);
+  }, [isExact, importSettings?.width, importSettings?.height]);
+
+  // Exact mode starts from the whole image so the detected grid is not cut
+  const selectWholeImage = useCallback((image) => {
+    setCrop({ unit: '%', x: 0, y: 0, width: 100, height: 100 });
+    setCompletedCrop({ unit: 'px', x: 0, y: 0, width: image.width, height: image.height });
+  }, []);
+
+  useEffect(() => {
+    if (isExact && imgRef.current?.naturalWidth > 0) selectWholeImage(imgRef.current);
+  }, [isExact, selectWholeImage]);
 
   const onImageLoad = useCallback((e) => {
     const { width, height } = e.currentTarget;
-    if (aspectRatio) {
+    if (isExact) {
+      selectWholeImage(e.currentTarget);
+    } else if (aspectRatio) {
       setCrop(centerCrop(
         makeAspectCrop(
           { unit: '%', width: 90 },
@@ -169,7 +272,7 @@ const ImageCropModal = ({ imageUrl, onClose, onImport, importSettings, onSetting
         height: 80
       });
     }
-  }, [aspectRatio]);
+  }, [aspectRatio, isExact, selectWholeImage]);
 
   useEffect(() => {
     if (imgRef.current && imgRef.current.naturalWidth > 0 && aspectRatio) {
@@ -218,64 +321,17 @@ const ImageCropModal = ({ imageUrl, onClose, onImport, importSettings, onSetting
     }
   }, [aspectRatio, imgRef.current]);
 
-  const getCroppedDataUrl = useCallback(() => {
+  // The worker decodes and crops the source image itself, so only the selection is passed on
+  const handleApplyClick = useCallback(() => {
     const image = imgRef.current;
-    if (!image || !completedCrop || !completedCrop.width || !completedCrop.height) {
+    if (!image || !sourceImage || !completedCrop?.width || !completedCrop?.height) {
       console.error("Cannot crop: Image or crop dimensions invalid.", { image, completedCrop });
-      return null;
+      return;
     }
-  
-    const canvas = document.createElement('canvas');
-    const scaleX = image.naturalWidth / image.width;
-    const scaleY = image.naturalHeight / image.height;
-    
-    canvas.width = Math.round(completedCrop.width * scaleX);
-    canvas.height = Math.round(completedCrop.height * scaleY);
-    const ctx = canvas.getContext('2d');
-
-    if (!ctx) {
-      console.error("Failed to get canvas context.");
-      return null;
-    }
-    
-    const pixelRatio = window.devicePixelRatio || 1;
-    
-    const sourceX = Math.round(completedCrop.x * scaleX);
-    const sourceY = Math.round(completedCrop.y * scaleY);
-    const sourceWidth = Math.round(completedCrop.width * scaleX);
-    const sourceHeight = Math.round(completedCrop.height * scaleY);
-    const destWidth = canvas.width;
-    const destHeight = canvas.height;
-
-    ctx.imageSmoothingQuality = 'high';
-
-    try {
-        ctx.drawImage(
-            image,
-            sourceX,
-            sourceY,
-            sourceWidth,
-            sourceHeight,
-            0,
-            0,
-            destWidth,
-            destHeight
-        );
-        return canvas.toDataURL('image/png');
-    } catch (e) {
-        console.error("Error drawing cropped image:", e);
-        return null;
-    }
-  }, [imgRef, completedCrop]);
-
-  const handleApplyClick = useCallback(() => {
-    const croppedDataUrl = getCroppedDataUrl();
-    if (croppedDataUrl && onImport) {
-      onImport(croppedDataUrl, importSettings);
-    } else {
-      console.error("Failed to get cropped image data URL.");
+    if (onImport) {
+      onImport({ image: sourceImage, crop: toSourceCrop(image, completedCrop) }, importSettings);
     }
-  }, [getCroppedDataUrl, onImport, importSettings]);
+  }, [sourceImage, completedCrop, onImport, importSettings]);
 
   const handleSettingChange = useCallback((e) => {
     const { name, value } = e.target;
@@ -293,6 +349,120 @@ const ImageCropModal = ({ imageUrl, onClose, onImport, importSettings, onSetting
     }
   }, [onSettingsChange]);
 
+  // Selects and the strength slider; seed may be any integer, including 0
+  const handleOptionChange = useCallback((e) => {
+    const { name, value } = e.target;
+    const isNumeric = ['ditherStrength', 'seed', 'alphaCutoff'].includes(name);
+    const intValue = parseInt(value, 10);
+    onSettingsChange(prev => ({
+      ...prev,
+      [name]: isNumeric ? (isNaN(intValue) ? '' : intValue) : value,
+    }));
+  }, [onSettingsChange]);
+
+  // Live preview: the crop scaled to the target size, quantized and dithered like the import in a worker
+  // (or, in exact mode, sampled per detected logical pixel)
+  const previewWidth = parseInt(importSettings?.width, 10);
+  const previewHeight = parseInt(importSettings?.height, 10);
+  const previewColors = parseInt(importSettings?.maxColors, 10);
+  const dither = importSettings?.dither || 'none';
+  const ditherStrength = importSettings?.ditherStrength ?? 100;
+  const quantizer = importSettings?.quantizer || 'kmeans';
+  const colorMetric = importSettings?.colorMetric || 'rgb';
+  const seed = importSettings?.seed ?? 1;
+  const usesPalette = quantizer === 'palette';
+  const alphaMode = importSettings?.alphaMode || 'threshold';
+  const alphaCutoff = importSettings?.alphaCutoff ?? 128;
+  const alphaLevels = parseInt(importSettings?.alphaLevels, 10) || 4;
+  const forcedScale = parseInt(importSettings?.pixelScale, 10) || undefined;
+
+  useEffect(() => {
+    if (!imgSrc) return undefined;
+    let cancelled = false;
+    fetch(imgSrc)
+      .then(response => response.blob())
+      .then(blob => {
+        if (!cancelled) setSourceImage(blob);
+      })
+      .catch(e => console.error("Error reading image for the preview:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [imgSrc]);
+
+  useEffect(() => {
+    const image = imgRef.current;
+    const previewCanvas = previewCanvasRef.current;
+    if (!image || !sourceImage || !previewCanvas || !completedCrop?.width || !completedCrop?.height) return;
+    if (!isExact) {
+      if (!(previewWidth > 0 && previewHeight > 0)) return;
+      if (!usesPalette && !(previewColors >= 2 && previewColors <= 256)) return;
+    }
+
+    // Each change cancels the job still running for the previous settings
+    const abortController = new AbortController();
+    const timeoutId = setTimeout(async () => {
+      const crop = toSourceCrop(image, completedCrop);
+      const alphaOptions = { alphaMode, alphaCutoff: Number(alphaCutoff) || 0, alphaLevels };
+
+      try {
+        // Exact mode needs the crop at its natural size, resampling draws it at the target size
+        const { grid, detected } = isExact
+          ? await quantizeInWorker({ image: sourceImage, crop }, {
+            exact: true,
+            pixelScale: forcedScale,
+            ...alphaOptions,
+          }, { signal: abortController.signal })
+          : await quantizeInWorker({ image: sourceImage, crop, width: previewWidth, height: previewHeight }, {
+            maxColors: previewColors,
+            quantizer,
+            metric: colorMetric,
+            seed: Number(seed) || 0,
+            palette: paletteColors,
+            dither,
+            ditherStrength: ditherStrength / 100,
+            ...alphaOptions,
+          }, { signal: abortController.signal });
+
+        if (detected) setExactGrid(detected);
+        // Exact grids over the size limit come back without cells, so the preview is left empty
+        const cells = grid || [];
+        const gridWidth = cells[0]?.length || 0;
+        const gridHeight = cells.length;
+        const previewCtx = previewCanvas.getContext('2d');
+        if (!previewCtx) return;
+        previewCanvas.width = gridWidth;
+        previewCanvas.height = gridHeight;
+        previewCtx.clearRect(0, 0, gridWidth, gridHeight);
+        cells.forEach((row, y) => row.forEach((color, x) => {
+          if (!color) return;
+          previewCtx.fillStyle = color;
+          previewCtx.fillRect(x, y, 1, 1);
+        }));
+      } catch (e) {
+        if (e.name === 'AbortError') return; // Superseded by newer settings
+        console.error("Error rendering import preview:", e);
+      }
+    }, PREVIEW_DELAY);
+
+    return () => {
+      clearTimeout(timeoutId);
+      abortController.abort();
+    };
+  }, [
+    sourceImage, completedCrop, previewWidth, previewHeight, previewColors, dither, ditherStrength,
+    quantizer, colorMetric, seed, usesPalette, paletteColors, alphaMode, alphaCutoff, alphaLevels,
+    isExact, forcedScale
+  ]);
+
+  const shownWidth = isExact ? exactGrid?.width : previewWidth;
+  const shownHeight = isExact ? exactGrid?.height : previewHeight;
+  const previewScale = shownWidth > 0 && shownHeight > 0
+    ? PREVIEW_SIZE / Math.max(shownWidth, shownHeight)
+    : 1;
+  const exactTooLarge = isExact && exactGrid
+    && (exactGrid.width > MAX_EXACT_IMPORT_SIZE || exactGrid.height > MAX_EXACT_IMPORT_SIZE);
+
   const handleOverlayClick = (e) => {
     if (e.target === e.currentTarget) {
     }
@@ -310,40 +480,207 @@ const ImageCropModal = ({ imageUrl, onClose, onImport, importSettings, onSetting
 
         <SettingsContainer>
           <SettingGroup>
-            <Label htmlFor="importWidth">Width (px):</Label>
-            <NumberInput
-              type="number"
-              id="importWidth"
-              name="width"
-              value={importSettings?.width || ''}
-              onChange={handleSettingChange}
-              min="1"
-              placeholder="e.g. 32"
-            />
+            <Label htmlFor="importMode">Mode:</Label>
+            <SelectInput
+              id="importMode"
+              name="importMode"
+              value={isExact ? 'exact' : 'resample'}
+              onChange={handleOptionChange}
+            >
+              <option value="resample">Resample</option>
+              <option value="exact">Exact 1:1 (pixel art)</option>
+            </SelectInput>
           </SettingGroup>
+          {isExact ? (
+            <>
+              <SettingGroup>
+                <Label htmlFor="pixelScale">Scale:</Label>
+                <NumberInput
+                  type="number"
+                  id="pixelScale"
+                  name="pixelScale"
+                  value={importSettings?.pixelScale || ''}
+                  onChange={handleSettingChange}
+                  min="1"
+                  placeholder={exactGrid ? `auto (${exactGrid.scale}×)` : 'auto'}
+                />
+              </SettingGroup>
+              <SettingGroup>
+                <Label as="span">Grid:</Label>
+                <RangeRow role="status">
+                  {exactGrid
+                    ? `${exactGrid.width} × ${exactGrid.height} px, offset ${exactGrid.offsetX}, ${exactGrid.offsetY}`
+                    : 'Detecting…'}
+                  {exactTooLarge && ` (over ${MAX_EXACT_IMPORT_SIZE} px, not pixel art?)`}
+                </RangeRow>
+              </SettingGroup>
+            </>
+          ) : (
+            <>
+            <SettingGroup>
+              <Label htmlFor="importWidth">Width (px):</Label>
+              <NumberInput
+                type="number"
+                id="importWidth"
+                name="width"
+                value={importSettings?.width || ''}
+                onChange={handleSettingChange}
+                min="1"
+                placeholder="e.g. 32"
+              />
+            </SettingGroup>
+            <SettingGroup>
+              <Label htmlFor="importHeight">Height (px):</Label>
+              <NumberInput
+                type="number"
+                id="importHeight"
+                name="height"
+                value={importSettings?.height || ''}
+                onChange={handleSettingChange}
+                min="1"
+                placeholder="e.g. 32"
+              />
+            </SettingGroup>
+            <SettingGroup>
+              <Label htmlFor="importQuantizer">Colors:</Label>
+              <SelectInput
+                id="importQuantizer"
+                name="quantizer"
+                value={quantizer}
+                onChange={handleOptionChange}
+              >
+                {QUANTIZERS.map(option => (
+                  <option key={option.id} value={option.id}>
+                    {option.id === 'palette' ? `${option.label} (${paletteColors.length})` : option.label}
+                  </option>
+                ))}
+              </SelectInput>
+            </SettingGroup>
+            <SettingGroup>
+              <Label htmlFor="maxColors">Max Colors:</Label>
+              <NumberInput
+                type="number"
+                id="maxColors"
+                name="maxColors"
+                value={importSettings?.maxColors || ''}
+                onChange={handleSettingChange}
+                min="2"
+                max="256"
+                placeholder="e.g. 32"
+                disabled={usesPalette}
+              />
+            </SettingGroup>
+            <SettingGroup>
+              <Label htmlFor="importMetric">Metric:</Label>
+              <SelectInput
+                id="importMetric"
+                name="colorMetric"
+                value={colorMetric}
+                onChange={handleOptionChange}
+              >
+                {COLOR_METRICS.map(metric => (
+                  <option key={metric.id} value={metric.id}>{metric.label}</option>
+                ))}
+              </SelectInput>
+            </SettingGroup>
+            {quantizer === 'kmeans' && (
+              <SettingGroup>
+                <Label htmlFor="importSeed">Seed:</Label>
+                <NumberInput
+                  type="number"
+                  id="importSeed"
+                  name="seed"
+                  value={seed}
+                  onChange={handleOptionChange}
+                />
+              </SettingGroup>
+            )}
+            <SettingGroup>
+              <Label htmlFor="importDither">Dithering:</Label>
+              <SelectInput
+                id="importDither"
+                name="dither"
+                value={dither}
+                onChange={handleOptionChange}
+              >
+                {DITHER_METHODS.map(method => (
+                  <option key={method.id} value={method.id}>{method.label}</option>
+                ))}
+              </SelectInput>
+            </SettingGroup>
+            <SettingGroup>
+              <Label htmlFor="ditherStrength">Strength:</Label>
+              <RangeRow>
+                <input
+                  type="range"
+                  id="ditherStrength"
+                  name="ditherStrength"
+                  min="0"
+                  max="100"
+                  value={ditherStrength}
+                  onChange={handleOptionChange}
+                  disabled={dither === 'none'}
+                />
+                <span>{ditherStrength}%</span>
+              </RangeRow>
+            </SettingGroup>
+            </>
+          )}
           <SettingGroup>
-            <Label htmlFor="importHeight">Height (px):</Label>
-            <NumberInput
-              type="number"
-              id="importHeight"
-              name="height"
-              value={importSettings?.height || ''}
-              onChange={handleSettingChange}
-              min="1"
-              placeholder="e.g. 32"
-            />
+            <Label htmlFor="importAlpha">Alpha:</Label>
+            <SelectInput
+              id="importAlpha"
+              name="alphaMode"
+              value={alphaMode}
+              onChange={handleOptionChange}
+            >
+              {ALPHA_MODES.map(mode => (
+                <option key={mode.id} value={mode.id}>{mode.label}</option>
+              ))}
+            </SelectInput>
           </SettingGroup>
+          {alphaMode === 'threshold' && (
+            <SettingGroup>
+              <Label htmlFor="alphaCutoff">Cutoff:</Label>
+              <RangeRow>
+                <input
+                  type="range"
+                  id="alphaCutoff"
+                  name="alphaCutoff"
+                  min="0"
+                  max="254"
+                  value={alphaCutoff}
+                  onChange={handleOptionChange}
+                  title="Pixels with this alpha or less become transparent"
+                />
+                <span>{alphaCutoff}</span>
+              </RangeRow>
+            </SettingGroup>
+          )}
+          {alphaMode === 'levels' && (
+            <SettingGroup>
+              <Label htmlFor="alphaLevels">Levels:</Label>
+              <NumberInput
+                type="number"
+                id="alphaLevels"
+                name="alphaLevels"
+                value={importSettings?.alphaLevels || ''}
+                onChange={handleSettingChange}
+                min="1"
+                max="16"
+                placeholder="e.g. 4"
+              />
+            </SettingGroup>
+          )}
           <SettingGroup>
-            <Label htmlFor="maxColors">Max Colors:</Label>
-            <NumberInput
-              type="number"
-              id="maxColors"
-              name="maxColors"
-              value={importSettings?.maxColors || ''}
-              onChange={handleSettingChange}
-              min="2"
-              max="256"
-              placeholder="e.g. 32"
+            <Label as="span">Preview:</Label>
+            <PreviewCanvas
+              ref={previewCanvasRef}
+              aria-label="Import preview"
+              style={{
+                width: `${Math.round((shownWidth || 1) * previewScale)}px`,
+                height: `${Math.round((shownHeight || 1) * previewScale)}px`,
+              }}
             />
           </SettingGroup>
         </SettingsContainer>
@@ -375,13 +712,19 @@ const ImageCropModal = ({ imageUrl, onClose, onImport, importSettings, onSetting
         </ImageContainer>
 
         <Controls>
-          <Button onClick={onClose}>Cancel</Button>
+          {isImporting && (
+            <ProgressStatus role="status">
+              <progress value={importProgress} max="1" aria-label="Import progress" />
+              <span>Quantizing… {Math.round(importProgress * 100)}%</span>
+            </ProgressStatus>
+          )}
+          <Button onClick={isImporting ? onCancelImport : onClose}>Cancel</Button>
           <Button
             $isPrimary
             onClick={handleApplyClick}
-            disabled={!completedCrop || !completedCrop.width || !completedCrop.height || !imgSrc}
+            disabled={isImporting || exactTooLarge || !completedCrop || !completedCrop.width || !completedCrop.height || !sourceImage}
           >
-            Import
+            {isImporting ? 'Importing…' : 'Import'}
           </Button>
         </Controls>
       </ModalContent>
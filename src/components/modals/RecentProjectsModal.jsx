@@ -0,0 +1,160 @@
+import React, { memo, useEffect, useRef } from 'react';
+import styled from 'styled-components';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faFolderOpen, faCopy, faTrash } from '@fortawesome/free-solid-svg-icons';
+import Modal from './Modal';
+import { formatSavedTime } from '../../utils/projectStorage';
+
+const THUMBNAIL_SIZE = 96;
+
+const ProjectGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(140px, 1fr));
+  gap: 0.75rem;
+`;
+
+const ProjectCard = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  gap: 0.4rem;
+  padding: 0.75rem 0.5rem;
+  background-color: var(--bg-secondary);
+  border: 1px solid ${props => (props.$current ? 'var(--accent-color)' : 'var(--border-color)')};
+  border-radius: 6px;
+`;
+
+const ThumbnailFrame = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  width: ${THUMBNAIL_SIZE}px;
+  height: ${THUMBNAIL_SIZE}px;
+  background: repeating-conic-gradient(var(--bg-tertiary) 0% 25%, var(--bg-primary) 0% 50%) 50% / 12px 12px;
+
+  canvas {
+    image-rendering: pixelated;
+  }
+`;
+
+const ProjectName = styled.div`
+  width: 100%;
+  font-size: 0.85rem;
+  font-weight: 500;
+  text-align: center;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+const ProjectDetails = styled.div`
+  font-size: 0.7rem;
+  color: var(--text-secondary);
+  text-align: center;
+`;
+
+const CardActions = styled.div`
+  display: flex;
+  gap: 0.25rem;
+`;
+
+const CardButton = styled.button`
+  background-color: var(--bg-tertiary);
+  border: 1px solid var(--border-color);
+  color: var(--text-primary);
+  border-radius: 4px;
+  padding: 0.25rem 0.5rem;
+  cursor: pointer;
+
+  &:hover {
+    background-color: var(--bg-hover);
+  }
+`;
+
+const EmptyMessage = styled.p`
+  color: var(--text-secondary);
+  text-align: center;
+`;
+
+/**
+ * ProjectThumbnail component - draws a stored project's flattened grid
+ */
+export const ProjectThumbnail = memo(({ grid, width, height }) => {
+  const canvasRef = useRef(null);
+  const cellsWide = Math.max(1, width);
+  const cellsHigh = Math.max(1, height);
+  const scale = Math.max(1, Math.floor(THUMBNAIL_SIZE / Math.max(cellsWide, cellsHigh)));
+  const fit = THUMBNAIL_SIZE / Math.max(cellsWide, cellsHigh);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext('2d');
+    if (!ctx || !Array.isArray(grid)) return;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    grid.forEach((row, y) => {
+      if (!Array.isArray(row)) return;
+      row.forEach((color, x) => {
+        if (!color) return;
+        ctx.fillStyle = color;
+        ctx.fillRect(x * scale, y * scale, scale, scale);
+      });
+    });
+  }, [grid, scale]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={cellsWide * scale}
+      height={cellsHigh * scale}
+      style={{ width: Math.round(cellsWide * fit), height: Math.round(cellsHigh * fit) }}
+    />
+  );
+});
+
+ProjectThumbnail.displayName = 'ProjectThumbnail';
+
+/**
+ * RecentProjectsModal component - gallery of autosaved projects, newest first,
+ * that can be opened, duplicated or deleted
+ */
+const RecentProjectsModal = ({
+  projects,
+  currentProjectId,
+  onOpen,
+  onDuplicate,
+  onDelete,
+  onClose,
+}) => (
+  <Modal title="Recent Projects" onClose={onClose}>
+    {projects.length === 0 ? (
+      <EmptyMessage>Projects are saved here automatically once you start drawing.</EmptyMessage>
+    ) : (
+      <ProjectGrid>
+        {projects.map(project => (
+          <ProjectCard key={project.id} $current={project.id === currentProjectId} data-testid="recent-project">
+            <ThumbnailFrame>
+              <ProjectThumbnail grid={project.thumbnail} width={project.width} height={project.height} />
+            </ThumbnailFrame>
+            <ProjectName title={project.name}>{project.name}</ProjectName>
+            <ProjectDetails>
+              {project.width}×{project.height} · {formatSavedTime(project.updatedAt)}
+            </ProjectDetails>
+            <CardActions>
+              <CardButton onClick={() => onOpen(project.id)} title="Open" aria-label={`Open ${project.name}`}>
+                <FontAwesomeIcon icon={faFolderOpen} />
+              </CardButton>
+              <CardButton onClick={() => onDuplicate(project.id)} title="Duplicate" aria-label={`Duplicate ${project.name}`}>
+                <FontAwesomeIcon icon={faCopy} />
+              </CardButton>
+              <CardButton onClick={() => onDelete(project.id)} title="Delete" aria-label={`Delete ${project.name}`}>
+                <FontAwesomeIcon icon={faTrash} />
+              </CardButton>
+            </CardActions>
+          </ProjectCard>
+        ))}
+      </ProjectGrid>
+    )}
+  </Modal>
+);
+
+export default RecentProjectsModal;
@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from 'react';
+import styled from 'styled-components';
+import Modal from './Modal';
+import { PROJECT_FORMATS, encodeProjectFile } from '../../utils/projectFormat';
+
+const FORMAT_DETAILS = {
+  json: {
+    label: 'JSON',
+    description: 'Readable text with every pixel listed. Largest, but easy to inspect and diff.',
+  },
+  compact: {
+    label: 'Compact JSON',
+    description: 'Still JSON, with pixels stored as runs of a shared color table. Much smaller for large canvases.',
+  },
+  binary: {
+    label: 'Compressed (.pixelpop)',
+    description: 'The compact encoding, deflated into a binary .pixelpop file. Smallest.',
+  },
+};
+
+const FormatList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.5rem;
+  margin-bottom: 1.25rem;
+`;
+
+const FormatOption = styled.label`
+  display: flex;
+  gap: 0.75rem;
+  align-items: flex-start;
+  padding: 0.75rem;
+  border: 1px solid ${props => (props.$selected ? 'var(--accent-color)' : 'var(--border-color)')};
+  border-radius: 6px;
+  background-color: var(--bg-secondary);
+  cursor: pointer;
+
+  input {
+    margin-top: 0.2rem;
+  }
+`;
+
+const FormatText = styled.div`
+  flex: 1;
+  display: flex;
+  flex-direction: column;
+  gap: 0.2rem;
+  font-size: 0.85rem;
+  color: var(--text-secondary);
+
+  strong {
+    display: flex;
+    justify-content: space-between;
+    color: var(--text-primary);
+    font-size: 0.95rem;
+  }
+`;
+
+const Buttons = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  gap: 0.75rem;
+`;
+
+const ActionButton = styled.button`
+  padding: 0.5rem 1.25rem;
+  border-radius: 4px;
+  font-weight: 500;
+  cursor: pointer;
+  background-color: ${props => (props.$primary ? 'var(--accent-color)' : 'var(--bg-secondary)')};
+  color: ${props => (props.$primary ? 'var(--text-accent)' : 'var(--text-secondary)')};
+  border: 1px solid ${props => (props.$primary ? 'var(--accent-color)' : 'var(--border-color)')};
+
+  &:hover {
+    background-color: ${props => (props.$primary ? 'var(--accent-hover)' : 'var(--bg-hover)')};
+  }
+`;
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * SaveProjectModal component - picks the project file format, showing the file size of each
+ */
+const SaveProjectModal = ({ format, getProjectData, onSave, onClose }) => {
+  const [selectedFormat, setSelectedFormat] = useState(format);
+  const [sizes, setSizes] = useState({});
+
+  // Encode once per format when the dialog opens to show the resulting sizes
+  useEffect(() => {
+    let cancelled = false;
+    const measure = async () => {
+      try {
+        const projectData = getProjectData();
+        const measured = {};
+        for (const option of PROJECT_FORMATS) {
+          measured[option] = (await encodeProjectFile(projectData, option)).bytes.length;
+        }
+        if (!cancelled) setSizes(measured);
+      } catch (error) {
+        console.error('Error measuring project file sizes:', error);
+      }
+    };
+    measure();
+    return () => {
+      cancelled = true;
+    };
+  }, [getProjectData]);
+
+  return (
+    <Modal title="Save Project" onClose={onClose}>
+      <FormatList role="radiogroup" aria-label="File format">
+        {PROJECT_FORMATS.map(option => (
+          <FormatOption key={option} $selected={option === selectedFormat}>
+            <input
+              type="radio"
+              name="projectFormat"
+              value={option}
+              checked={option === selectedFormat}
+              onChange={() => setSelectedFormat(option)}
+            />
+            <FormatText>
+              <strong>
+                {FORMAT_DETAILS[option].label}
+                <span>{sizes[option] !== undefined ? formatBytes(sizes[option]) : ''}</span>
+              </strong>
+              {FORMAT_DETAILS[option].description}
+            </FormatText>
+          </FormatOption>
+        ))}
+      </FormatList>
+      <Buttons>
+        <ActionButton onClick={onClose}>Cancel</ActionButton>
+        <ActionButton $primary onClick={() => onSave(selectedFormat)}>Save</ActionButton>
+      </Buttons>
+    </Modal>
+  );
+};
+
+export default SaveProjectModal;
@@ -0,0 +1,58 @@
+import React from 'react';
+import styled from 'styled-components';
+import Modal from './Modal';
+import { ProjectThumbnail } from './RecentProjectsModal';
+import { formatSavedTime } from '../../utils/projectStorage';
+
+const Preview = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 1rem;
+  margin-bottom: 1.25rem;
+
+  canvas {
+    image-rendering: pixelated;
+    background: repeating-conic-gradient(var(--bg-tertiary) 0% 25%, var(--bg-primary) 0% 50%) 50% / 12px 12px;
+  }
+`;
+
+const Buttons = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  gap: 0.75rem;
+`;
+
+const ActionButton = styled.button`
+  padding: 0.5rem 1.25rem;
+  border-radius: 4px;
+  font-weight: 500;
+  cursor: pointer;
+  background-color: ${props => (props.$primary ? 'var(--accent-color)' : 'var(--bg-secondary)')};
+  color: ${props => (props.$primary ? 'var(--text-accent)' : 'var(--text-secondary)')};
+  border: 1px solid ${props => (props.$primary ? 'var(--accent-color)' : 'var(--border-color)')};
+
+  &:hover {
+    background-color: ${props => (props.$primary ? 'var(--accent-hover)' : 'var(--bg-hover)')};
+  }
+`;
+
+/**
+ * SessionRecoveryModal component - offers to restore the last autosaved project on startup
+ */
+const SessionRecoveryModal = ({ project, onRestore, onDismiss }) => (
+  <Modal title="Restore Last Session?" onClose={onDismiss}>
+    <Preview>
+      <ProjectThumbnail grid={project.thumbnail} width={project.width} height={project.height} />
+      <div>
+        <p><strong>{project.name}</strong></p>
+        <p>{project.width}×{project.height}, saved {formatSavedTime(project.updatedAt)}</p>
+      </div>
+    </Preview>
+    <Buttons>
+      <ActionButton onClick={onDismiss}>Start Fresh</ActionButton>
+      <ActionButton $primary onClick={onRestore}>Restore</ActionButton>
+    </Buttons>
+  </Modal>
+);
+
+export default SessionRecoveryModal;
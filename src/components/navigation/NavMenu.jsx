@@ -1,7 +1,7 @@
 import React, { useRef } from 'react';
 import styled from 'styled-components';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faFileImport, faFileExport, faFolderOpen, faDownload } from '@fortawesome/free-solid-svg-icons';
+import { faFileImport, faFileExport, faFolderOpen, faDownload, faClockRotateLeft } from '@fortawesome/free-solid-svg-icons';
 
 const NavContainer = styled.div`
   display: flex;
@@ -50,7 +50,7 @@ const FileInput = styled.input`
   display: none;
 `;
 
-const NavMenu = ({ onImportImage, onSaveProject, onLoadProject, onExport }) => {
+const NavMenu = ({ onImportImage, onSaveProject, onLoadProject, onOpenRecentProjects, onExport }) => {
   const fileInputRef = useRef(null);
   const loadProjectInputRef = useRef(null);
 
@@ -67,6 +67,7 @@ const NavMenu = ({ onImportImage, onSaveProject, onLoadProject, onExport }) => {
     if (file) {
       onImportImage(file);
     }
+    event.target.value = '';
   };
 
   const handleLoadProjectChange = (event) => {
@@ -83,23 +84,27 @@ const NavMenu = ({ onImportImage, onSaveProject, onLoadProject, onExport }) => {
       <FileInput
         ref={fileInputRef}
         type="file"
-        accept="image/*"
+        accept="image/*,.ase,.aseprite"
         onChange={handleFileChange}
       />
       <FileInput
         ref={loadProjectInputRef}
         type="file"
-        accept=".json"
+        accept=".json,.pixelpop,.piskel"
         onChange={handleLoadProjectChange}
       />
       <NavButton onClick={handleImportClick}>
         <FontAwesomeIcon icon={faFileImport} />
-        Import Image
+        Import
       </NavButton>
       <NavButton onClick={handleLoadClick}>
         <FontAwesomeIcon icon={faFolderOpen} />
         Load Project
       </NavButton>
+      <NavButton onClick={onOpenRecentProjects}>
+        <FontAwesomeIcon icon={faClockRotateLeft} />
+        Recent Projects
+      </NavButton>
       <NavButton onClick={onSaveProject}>
         <FontAwesomeIcon icon={faFileExport} />
         Save Project
@@ -0,0 +1,306 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faEye, faEyeSlash, faLock, faLockOpen,
+  faPlus, faClone, faTrash, faArrowUp, faArrowDown, faAnglesDown
+} from '@fortawesome/free-solid-svg-icons';
+import { LAYER_BLEND_MODES } from '../../utils/layerUtils';
+
+const LayerList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 2px;
+  max-height: 220px;
+  overflow-y: auto;
+  border: 1px solid var(--border-color);
+  border-radius: 4px;
+  background: var(--bg-tertiary);
+`;
+
+const LayerRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.25rem;
+  padding: 0.25rem 0.4rem;
+  cursor: pointer;
+  background: ${props => (props.$isActive ? 'var(--bg-hover)' : 'transparent')};
+  border-left: 3px solid ${props => (props.$isActive ? 'var(--accent-color)' : 'transparent')};
+  opacity: ${props => (props.$isVisible ? 1 : 0.5)};
+
+  &:hover {
+    background: var(--bg-hover);
+  }
+`;
+
+const LayerName = styled.span`
+  flex: 1;
+  min-width: 0;
+  font-size: 0.8rem;
+  color: var(--text-primary);
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+const NameInput = styled.input`
+  flex: 1;
+  min-width: 0;
+  padding: 0.1rem 0.3rem;
+  font-size: 0.8rem;
+  background: var(--input-bg);
+  color: var(--input-text);
+  border: 1px solid var(--border-accent);
+  border-radius: 3px;
+`;
+
+const IconButton = styled.button`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  width: 22px;
+  height: 22px;
+  padding: 0;
+  background: none;
+  border: none;
+  border-radius: 3px;
+  color: ${props => (props.$isOn ? 'var(--text-primary)' : 'var(--text-secondary)')};
+  font-size: 0.7rem;
+  cursor: pointer;
+
+  &:hover {
+    background: var(--bg-secondary);
+    color: var(--text-primary);
+  }
+`;
+
+const LayerActions = styled.div`
+  display: flex;
+  gap: 0.25rem;
+  margin-top: 0.5rem;
+`;
+
+const ActionButton = styled.button`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  width: 28px;
+  height: 28px;
+  background-color: var(--input-bg);
+  border: 1px solid var(--border-color);
+  color: var(--text-secondary);
+  border-radius: 4px;
+  cursor: pointer;
+  font-size: 0.75rem;
+
+  &:hover:not(:disabled) {
+    background-color: var(--bg-hover);
+    color: var(--text-primary);
+  }
+
+  &:disabled {
+    opacity: 0.4;
+    cursor: not-allowed;
+  }
+`;
+
+const PropertyRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  margin-top: 0.75rem;
+  font-size: 0.8rem;
+  color: var(--text-secondary);
+
+  label {
+    width: 52px;
+    flex-shrink: 0;
+  }
+
+  input[type='range'] {
+    flex: 1;
+    accent-color: var(--accent-color);
+  }
+
+  select {
+    flex: 1;
+    height: 26px;
+    padding: 0 6px;
+    border: 1px solid var(--border-color);
+    border-radius: 4px;
+    background: var(--input-bg);
+    color: var(--input-text);
+    font-size: 12px;
+  }
+`;
+
+const ValueLabel = styled.span`
+  width: 34px;
+  text-align: right;
+`;
+
+/**
+ * LayersPanel component - lists the layer stack (top layer first) and edits
+ * the active layer's visibility, lock, opacity and blend mode.
+ */
+const LayersPanel = ({
+  layers,
+  activeLayerId,
+  onSelectLayer,
+  onAddLayer,
+  onDuplicateLayer,
+  onDeleteLayer,
+  onMoveLayer,
+  onMergeLayerDown,
+  onUpdateLayer,
+  onCommit // Called after a property change that should become a history entry
+}) => {
+  const [editingLayerId, setEditingLayerId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  const activeIndex = layers.findIndex(layer => layer.id === activeLayerId);
+  const activeLayer = layers[activeIndex];
+
+  const startRename = (layer) => {
+    setEditingLayerId(layer.id);
+    setDraftName(layer.name);
+  };
+
+  const finishRename = () => {
+    const name = draftName.trim();
+    const layer = layers.find(item => item.id === editingLayerId);
+    if (layer && name && name !== layer.name) {
+      onUpdateLayer(layer.id, { name });
+      onCommit();
+    }
+    setEditingLayerId(null);
+  };
+
+  const toggleProperty = (layer, property) => (e) => {
+    e.stopPropagation();
+    onUpdateLayer(layer.id, { [property]: !layer[property] });
+    onCommit();
+  };
+
+  return (
+    <div>
+      <LayerList>
+        {/* Show the top of the stack first, like most editors */}
+        {[...layers].reverse().map(layer => (
+          <LayerRow
+            key={layer.id}
+            $isActive={layer.id === activeLayerId}
+            $isVisible={layer.visible}
+            onClick={() => onSelectLayer(layer.id)}
+            onDoubleClick={() => startRename(layer)}
+          >
+            <IconButton
+              $isOn={layer.visible}
+              onClick={toggleProperty(layer, 'visible')}
+              title={layer.visible ? 'Hide layer' : 'Show layer'}
+            >
+              <FontAwesomeIcon icon={layer.visible ? faEye : faEyeSlash} />
+            </IconButton>
+            <IconButton
+              $isOn={layer.locked}
+              onClick={toggleProperty(layer, 'locked')}
+              title={layer.locked ? 'Unlock layer' : 'Lock layer'}
+            >
+              <FontAwesomeIcon icon={layer.locked ? faLock : faLockOpen} />
+            </IconButton>
+            {editingLayerId === layer.id ? (
+              <NameInput
+                autoFocus
+                value={draftName}
+                onChange={(e) => setDraftName(e.target.value)}
+                onBlur={finishRename}
+                onClick={(e) => e.stopPropagation()}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') finishRename();
+                  if (e.key === 'Escape') setEditingLayerId(null);
+                }}
+              />
+            ) : (
+              <LayerName title="Double-click to rename">{layer.name}</LayerName>
+            )}
+          </LayerRow>
+        ))}
+      </LayerList>
+
+      <LayerActions>
+        <ActionButton onClick={onAddLayer} title="New layer">
+          <FontAwesomeIcon icon={faPlus} />
+        </ActionButton>
+        <ActionButton onClick={() => onDuplicateLayer(activeLayerId)} title="Duplicate layer">
+          <FontAwesomeIcon icon={faClone} />
+        </ActionButton>
+        <ActionButton
+          onClick={() => onMoveLayer(activeLayerId, 1)}
+          disabled={activeIndex >= layers.length - 1}
+          title="Move layer up"
+        >
+          <FontAwesomeIcon icon={faArrowUp} />
+        </ActionButton>
+        <ActionButton
+          onClick={() => onMoveLayer(activeLayerId, -1)}
+          disabled={activeIndex <= 0}
+          title="Move layer down"
+        >
+          <FontAwesomeIcon icon={faArrowDown} />
+        </ActionButton>
+        <ActionButton
+          onClick={() => onMergeLayerDown(activeLayerId)}
+          disabled={activeIndex <= 0}
+          title="Merge down"
+        >
+          <FontAwesomeIcon icon={faAnglesDown} />
+        </ActionButton>
+        <ActionButton
+          onClick={() => onDeleteLayer(activeLayerId)}
+          disabled={layers.length <= 1}
+          title="Delete layer"
+        >
+          <FontAwesomeIcon icon={faTrash} />
+        </ActionButton>
+      </LayerActions>
+
+      {activeLayer && (
+        <>
+          <PropertyRow>
+            <label htmlFor="layerOpacity">Opacity</label>
+            <input
+              id="layerOpacity"
+              type="range"
+              min="0"
+              max="100"
+              value={Math.round(activeLayer.opacity * 100)}
+              onChange={(e) => onUpdateLayer(activeLayer.id, { opacity: parseInt(e.target.value, 10) / 100 })}
+              onPointerUp={onCommit}
+              onKeyUp={onCommit}
+            />
+            <ValueLabel>{Math.round(activeLayer.opacity * 100)}%</ValueLabel>
+          </PropertyRow>
+          <PropertyRow>
+            <label htmlFor="layerBlendMode">Blend</label>
+            <select
+              id="layerBlendMode"
+              value={activeLayer.blendMode}
+              onChange={(e) => {
+                onUpdateLayer(activeLayer.id, { blendMode: e.target.value });
+                onCommit();
+              }}
+            >
+              {LAYER_BLEND_MODES.map(blendMode => (
+                <option key={blendMode} value={blendMode}>
+                  {blendMode.charAt(0).toUpperCase() + blendMode.slice(1)}
+                </option>
+              ))}
+            </select>
+          </PropertyRow>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LayersPanel;
@@ -0,0 +1,333 @@
+import React, { useRef, useState } from 'react';
+import styled from 'styled-components';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faPlus, faPen, faTrash, faFileImport, faFileExport
+} from '@fortawesome/free-solid-svg-icons';
+import { PALETTE_FORMATS, MAX_PALETTE_COLORS, isPaletteFull } from '../../utils/paletteUtils';
+
+const PaletteRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.25rem;
+
+  select {
+    flex: 1;
+    min-width: 0;
+    height: 28px;
+    padding: 0 6px;
+    border: 1px solid var(--border-color);
+    border-radius: 4px;
+    background: var(--input-bg);
+    color: var(--input-text);
+    font-size: 12px;
+  }
+`;
+
+const NameInput = styled.input`
+  flex: 1;
+  min-width: 0;
+  height: 28px;
+  padding: 0 6px;
+  font-size: 0.8rem;
+  background: var(--input-bg);
+  color: var(--input-text);
+  border: 1px solid var(--border-accent);
+  border-radius: 4px;
+  box-sizing: border-box;
+`;
+
+const ActionButton = styled.button`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  flex-shrink: 0;
+  width: 28px;
+  height: 28px;
+  background-color: var(--input-bg);
+  border: 1px solid var(--border-color);
+  color: var(--text-secondary);
+  border-radius: 4px;
+  cursor: pointer;
+  font-size: 0.75rem;
+
+  &:hover:not(:disabled) {
+    background-color: var(--bg-hover);
+    color: var(--text-primary);
+  }
+
+  &:disabled {
+    opacity: 0.4;
+    cursor: not-allowed;
+  }
+`;
+
+const SwatchGrid = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 4px;
+  margin: 0.5rem 0;
+  max-height: 120px;
+  overflow-y: auto;
+`;
+
+const Swatch = styled.button`
+  width: 20px;
+  height: 20px;
+  padding: 0;
+  border-radius: 3px;
+  border: 1px solid var(--border-color);
+  outline: ${props => (props.$isActive ? '2px solid var(--accent-color)' : 'none')};
+  outline-offset: 1px;
+  background-color: ${props => props.color};
+  opacity: ${props => (props.$isDragging ? 0.4 : 1)};
+  cursor: pointer;
+`;
+
+const ModeRow = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 0.4rem;
+  margin-bottom: 0.5rem;
+  font-size: 0.8rem;
+  color: var(--text-secondary);
+  cursor: pointer;
+
+  input {
+    accent-color: var(--accent-color);
+  }
+`;
+
+const LimitInput = styled.input`
+  width: 48px;
+  height: 22px;
+  padding: 0 4px;
+  font-size: 0.75rem;
+  background: var(--input-bg);
+  color: var(--input-text);
+  border: 1px solid var(--border-color);
+  border-radius: 4px;
+  box-sizing: border-box;
+`;
+
+const AddSwatchButton = styled(Swatch)`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background: none;
+  border-style: dashed;
+  color: var(--text-secondary);
+  font-size: 0.6rem;
+
+  &:hover:not(:disabled) {
+    color: var(--text-primary);
+  }
+
+  &:disabled {
+    opacity: 0.4;
+    cursor: not-allowed;
+  }
+`;
+
+/**
+ * PalettePanel component - picks the active named palette and edits its colors.
+ * Swatches can be dragged to reorder them; right-click removes a swatch and
+ * double-click sets it to the current color. In indexed color mode the artwork
+ * refers to slots by position, so slots can be recolored but not moved or removed,
+ * and the artwork's palette cannot be deleted. A palette can be limited to a number
+ * of colors, like the palettes of retro consoles.
+ */
+const PalettePanel = ({
+  palettes,
+  activePaletteId,
+  activeColor,
+  onSelectPalette,
+  onAddPalette,
+  onRenamePalette,
+  onDeletePalette,
+  onAddColor,
+  onSetMaxColors,
+  onSetColor,
+  onRemoveColor,
+  onMoveColor,
+  onColorSelect,
+  onImportPalette, // Receives the chosen File
+  onExportPalette, // Receives one of PALETTE_FORMATS
+  colorMode = 'literal',
+  onColorModeChange
+}) => {
+  const fileInputRef = useRef(null);
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [draftName, setDraftName] = useState('');
+  const [dragIndex, setDragIndex] = useState(null);
+  const [exportFormat, setExportFormat] = useState('gpl');
+  const [maxColorsDraft, setMaxColorsDraft] = useState(null); // Text being typed, applied on blur
+
+  const activePalette = palettes.find(palette => palette.id === activePaletteId) || palettes[0];
+  if (!activePalette) return null;
+  const isIndexed = colorMode === 'indexed';
+  const isFull = isPaletteFull(activePalette);
+
+  const startRename = () => {
+    setDraftName(activePalette.name);
+    setIsRenaming(true);
+  };
+
+  const finishRename = () => {
+    const name = draftName.trim();
+    if (name && name !== activePalette.name) {
+      onRenamePalette(activePalette.id, name);
+    }
+    setIsRenaming(false);
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) onImportPalette(file);
+    e.target.value = ''; // Allow importing the same file again
+  };
+
+  return (
+    <div>
+      <PaletteRow>
+        {isRenaming ? (
+          <NameInput
+            autoFocus
+            aria-label="Palette name"
+            value={draftName}
+            onChange={(e) => setDraftName(e.target.value)}
+            onBlur={finishRename}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') finishRename();
+              if (e.key === 'Escape') setIsRenaming(false);
+            }}
+          />
+        ) : (
+          <select
+            aria-label="Active palette"
+            value={activePalette.id}
+            onChange={(e) => onSelectPalette(e.target.value)}
+          >
+            {palettes.map(palette => (
+              <option key={palette.id} value={palette.id}>
+                {palette.name} ({palette.colors.length}{palette.maxColors ? `/${palette.maxColors}` : ''})
+              </option>
+            ))}
+          </select>
+        )}
+        <ActionButton onClick={() => onAddPalette()} title={isIndexed ? 'New palette (a copy of this one, for palette swaps)' : 'New palette'}>
+          <FontAwesomeIcon icon={faPlus} />
+        </ActionButton>
+        <ActionButton onClick={startRename} title="Rename palette">
+          <FontAwesomeIcon icon={faPen} />
+        </ActionButton>
+        <ActionButton
+          onClick={() => onDeletePalette(activePalette.id)}
+          disabled={palettes.length <= 1 || isIndexed}
+          title={isIndexed ? 'The artwork uses this palette in indexed color mode' : 'Delete palette'}
+        >
+          <FontAwesomeIcon icon={faTrash} />
+        </ActionButton>
+      </PaletteRow>
+
+      <SwatchGrid>
+        {activePalette.colors.map((color, index) => (
+          <Swatch
+            key={`${index}-${color}`}
+            color={color}
+            $isActive={color === activeColor}
+            $isDragging={dragIndex === index}
+            title={isIndexed
+              ? `${index}: ${color} (double-click to set to current color)`
+              : `${color} (double-click to set to current color, right-click to remove)`}
+            draggable={!isIndexed}
+            onClick={() => onColorSelect(color)}
+            onDoubleClick={() => onSetColor(activePalette.id, index, activeColor)}
+            onContextMenu={(e) => {
+              e.preventDefault();
+              if (!isIndexed) onRemoveColor(activePalette.id, index);
+            }}
+            onDragStart={(e) => {
+              setDragIndex(index);
+              e.dataTransfer.effectAllowed = 'move';
+            }}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => {
+              e.preventDefault();
+              if (dragIndex !== null) onMoveColor(activePalette.id, dragIndex, index);
+              setDragIndex(null);
+            }}
+            onDragEnd={() => setDragIndex(null)}
+          />
+        ))}
+        <AddSwatchButton
+          onClick={() => onAddColor(activePalette.id, activeColor)}
+          disabled={isFull}
+          title={isFull ? `Palette is limited to ${activePalette.maxColors} colors` : 'Add current color to palette'}
+        >
+          <FontAwesomeIcon icon={faPlus} />
+        </AddSwatchButton>
+      </SwatchGrid>
+
+      {onSetMaxColors && (
+        <ModeRow as="div">
+          <span>Max colors</span>
+          <LimitInput
+            type="number"
+            aria-label="Max colors"
+            min={Math.max(1, activePalette.colors.length)}
+            max={MAX_PALETTE_COLORS}
+            placeholder="Any"
+            value={maxColorsDraft ?? (activePalette.maxColors || '')}
+            onChange={(e) => setMaxColorsDraft(e.target.value)}
+            onBlur={() => {
+              if (maxColorsDraft !== null) onSetMaxColors(activePalette.id, Number(maxColorsDraft) || null);
+              setMaxColorsDraft(null);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') e.currentTarget.blur();
+            }}
+          />
+        </ModeRow>
+      )}
+
+      {onColorModeChange && (
+        <ModeRow title="Pixels store palette slots, so recoloring a slot or switching palettes recolors the artwork">
+          <input
+            type="checkbox"
+            checked={isIndexed}
+            onChange={(e) => onColorModeChange(e.target.checked ? 'indexed' : 'literal')}
+          />
+          Indexed color mode
+        </ModeRow>
+      )}
+
+      <PaletteRow>
+        <ActionButton onClick={() => fileInputRef.current?.click()} title="Import palette (.gpl, .pal, .hex, .ase)">
+          <FontAwesomeIcon icon={faFileImport} />
+        </ActionButton>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".gpl,.pal,.hex,.txt,.ase"
+          style={{ display: 'none' }}
+          onChange={handleFileChange}
+        />
+        <select
+          aria-label="Palette export format"
+          value={exportFormat}
+          onChange={(e) => setExportFormat(e.target.value)}
+        >
+          {PALETTE_FORMATS.map(format => (
+            <option key={format} value={format}>.{format}</option>
+          ))}
+        </select>
+        <ActionButton onClick={() => onExportPalette(exportFormat)} title="Export palette">
+          <FontAwesomeIcon icon={faFileExport} />
+        </ActionButton>
+      </PaletteRow>
+    </div>
+  );
+};
+
+export default PalettePanel;
@@ -8,8 +8,9 @@ import {
   faSearchPlus, faSearchMinus,
   faMousePointer
 } from '@fortawesome/free-solid-svg-icons';
-import { RiRectangleLine, RiCircleLine, RiShape2Line, RiTriangleLine, RiHexagonLine, RiCodeSSlashLine } from 'react-icons/ri';
+import { RiRectangleLine, RiCircleLine, RiShape2Line, RiTriangleLine, RiHexagonLine, RiCodeSSlashLine, RiCheckboxBlankLine, RiCheckboxBlankCircleLine, RiSquareFill, RiSquareLine } from 'react-icons/ri';
 import { hexToRgba, rgbaToHex, getRgbaOpacity, updateRgbaOpacity } from '../../utils/colorUtils'; // Import from utils
+import { MAX_VOXEL_DEPTH, MAX_VOXEL_BEVEL } from '../../utils/voxelMesh';
 import SidebarToggle from './SidebarToggle';
 import Modal from '../modals/Modal'; // import Modal for About popup
 
@@ -593,6 +594,12 @@ const Sidebar = ({
   // New props for tools
   activeTool,
   handleToolChange,
+  shapeFilled,
+  setShapeFilled,
+  symmetry,
+  setSymmetry,
+  layersPanelElement,
+  palettePanelElement,
   pickerColor,
   handlePickerChange,
   handlePickerBlur,
@@ -611,6 +618,8 @@ const Sidebar = ({
   setRendererType,
   showPerformanceMonitor,
   setShowPerformanceMonitor,
+  voxel,
+  setVoxelSettings,
   // --- NEW: Shape prop ---
   pixelShape,
   setPixelShape,
@@ -861,6 +870,29 @@ const Sidebar = ({
                 >
                   <FontAwesomeIcon icon={faMousePointer} />
                 </ToolButton>
+                <ToolButton
+                  className={activeTool === 'rect' ? 'active' : ''}
+                  onClick={() => handleToolChange('rect')}
+                  title="Rectangle (R)"
+                >
+                  <RiCheckboxBlankLine />
+                </ToolButton>
+                <ToolButton
+                  className={activeTool === 'ellipse' ? 'active' : ''}
+                  onClick={() => handleToolChange('ellipse')}
+                  title="Ellipse (O)"
+                >
+                  <RiCheckboxBlankCircleLine />
+                </ToolButton>
+                {(activeTool === 'rect' || activeTool === 'ellipse') && (
+                  <ToolButton
+                    className={shapeFilled ? 'active' : ''}
+                    onClick={() => setShapeFilled(!shapeFilled)}
+                    title={shapeFilled ? 'Filled shape (click for outline)' : 'Outline shape (click for filled)'}
+                  >
+                    {shapeFilled ? <RiSquareFill /> : <RiSquareLine />}
+                  </ToolButton>
+                )}
                 <ToolButton
                   onClick={handleToggleGrid}
                   className={showGrid ? 'active' : ''}
@@ -953,18 +985,35 @@ const Sidebar = ({
                   </ColorControl>
                 </ControlGroup>
               </ControlRow>
-              <ColorHistoryContainer>
-                {colorHistory.map((color, index) => (
-                  <ColorSwatch
-                    key={`${index}-${color}`}
-                    color={color}
-                    onClick={() => onColorSelect(color)} // Use the passed handler
-                    title={color} 
-                  />
-                ))}
-              </ColorHistoryContainer>
+              <ControlGroup>
+                <ControlLabel>Recent</ControlLabel>
+                <ColorHistoryContainer>
+                  {colorHistory.map((color, index) => (
+                    <ColorSwatch
+                      key={`${index}-${color}`}
+                      color={color}
+                      onClick={() => onColorSelect(color)} // Use the passed handler
+                      title={color} 
+                    />
+                  ))}
+                </ColorHistoryContainer>
+              </ControlGroup>
             </Section>
 
+            {palettePanelElement && (
+              <Section> {/* Palette Section */}
+                <SectionTitle>Palette</SectionTitle>
+                {palettePanelElement}
+              </Section>
+            )}
+
+            {layersPanelElement && (
+              <Section> {/* Layers Section */}
+                <SectionTitle>Layers</SectionTitle>
+                {layersPanelElement}
+              </Section>
+            )}
+
             <Section> {/* Grid Settings Section */}
               <SectionTitle>Grid Settings</SectionTitle>
               <ControlRow>
@@ -1021,6 +1070,48 @@ const Sidebar = ({
               </ControlRow>
             </Section>
 
+            <Section> {/* Symmetry Section */}
+              <SectionTitle>Symmetry</SectionTitle>
+              <ControlRow>
+                <ControlGroup>
+                  <ControlLabel htmlFor="symmetryMode">Mode</ControlLabel>
+                  <SelectInput
+                    id="symmetryMode"
+                    value={symmetry.mode}
+                    onChange={(e) => setSymmetry({ mode: e.target.value })}
+                  >
+                    <option value="none">Off</option>
+                    <option value="vertical">Vertical axis (left/right)</option>
+                    <option value="horizontal">Horizontal axis (top/bottom)</option>
+                    <option value="quad">Both axes (quad)</option>
+                    <option value="radial">Radial</option>
+                  </SelectInput>
+                </ControlGroup>
+                {symmetry.mode === 'radial' && (
+                  <ControlGroup style={{ flex: '0 0 auto' }}>
+                    <ControlLabel htmlFor="symmetryCount">Repeats</ControlLabel>
+                    <NumberInput
+                      type="number"
+                      id="symmetryCount"
+                      value={symmetry.radialCount}
+                      onChange={(e) => {
+                        const count = parseInt(e.target.value, 10);
+                        if (!isNaN(count)) setSymmetry({ radialCount: Math.max(2, Math.min(16, count)) });
+                      }}
+                      min="2"
+                      max="16"
+                      step="1"
+                    />
+                  </ControlGroup>
+                )}
+              </ControlRow>
+              {symmetry.mode !== 'none' && (
+                <PresetButton onClick={() => setSymmetry({ axisX: null, axisY: null })}>
+                  Center Axes
+                </PresetButton>
+              )}
+            </Section>
+
             <Section> {/* Pixel Effects Section */}
               <SectionTitle>Pixel Effects</SectionTitle>
               
@@ -1496,8 +1587,68 @@ const Sidebar = ({
           <TabContent>
             <Section>
               <SectionTitle>Preview Mode</SectionTitle>
+              <EffectGroup>
+                <EffectHeader $hasContent={voxel.preview}>
+                  <EffectTitle>3D Preview</EffectTitle>
+                  <Switch>
+                    <input
+                      type="checkbox"
+                      aria-label="3D Preview"
+                      checked={voxel.preview}
+                      onChange={(e) => setVoxelSettings({ preview: e.target.checked })}
+                    />
+                    <span></span>
+                  </Switch>
+                </EffectHeader>
+                {voxel.preview && (
+                  <EffectControls>
+                    <ControlGroup>
+                      <ControlLabel>Depth (pixels)</ControlLabel>
+                      <SliderControl>
+                        <RangeInput
+                          type="range"
+                          min="0.5"
+                          max={MAX_VOXEL_DEPTH}
+                          step="0.5"
+                          value={voxel.depth}
+                          onChange={(e) => setVoxelSettings({ depth: Number(e.target.value) })}
+                        />
+                        <NumberInput
+                          type="number"
+                          min="0.5"
+                          max={MAX_VOXEL_DEPTH}
+                          step="0.5"
+                          value={voxel.depth}
+                          onChange={(e) => setVoxelSettings({ depth: Math.max(0.5, Number(e.target.value) || 0.5) })}
+                        />
+                      </SliderControl>
+                    </ControlGroup>
+                    <ControlGroup>
+                      <ControlLabel>Bevel (pixels)</ControlLabel>
+                      <SliderControl>
+                        <RangeInput
+                          type="range"
+                          min="0"
+                          max={MAX_VOXEL_BEVEL}
+                          step="0.05"
+                          value={voxel.bevel}
+                          onChange={(e) => setVoxelSettings({ bevel: Number(e.target.value) })}
+                        />
+                        <NumberInput
+                          type="number"
+                          min="0"
+                          max={MAX_VOXEL_BEVEL}
+                          step="0.05"
+                          value={voxel.bevel}
+                          onChange={(e) => setVoxelSettings({ bevel: Math.min(MAX_VOXEL_BEVEL, Math.max(0, Number(e.target.value) || 0)) })}
+                        />
+                      </SliderControl>
+                    </ControlGroup>
+                  </EffectControls>
+                )}
+              </EffectGroup>
               <div style={{ padding: '12px', textAlign: 'center', color: 'var(--text-secondary)' }}>
-                Preview tools coming soon. Edit controls are disabled in this mode.
+                Edit controls are disabled in this mode. The 3D model exports from Export → 3D Model.
               </div>
             </Section>
           </TabContent>
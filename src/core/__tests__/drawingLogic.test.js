@@ -1,5 +1,5 @@
 import { describe, it, expect, vi } from 'vitest';
-import { applyPixelColor, pickColor, applyFill, applyLine } from '../drawingLogic';
+import { applyPixelColor, pickColor, applyFill, applyLine, applyRect, applyEllipse } from '../drawingLogic';
 
 describe('drawingLogic', () => {
   // Test data - small 3x3 grid for simple tests
@@ -194,4 +194,88 @@ describe('drawingLogic', () => {
       expect(newGrid[2][1]).toBeNull();
     });
   });
-}); 
\ No newline at end of file
+
+  describe('applyRect', () => {
+    const createGrid = (size) => Array.from({ length: size }, () => Array(size).fill(null));
+    const toAscii = (grid) => grid.map(row => row.map(cell => (cell ? '#' : '.')).join(''));
+
+    it('draws a rectangle outline', () => {
+      const newGrid = applyRect(createGrid(4), 0, 0, 3, 2, '#FF0000');
+
+      expect(toAscii(newGrid)).toEqual([
+        '####',
+        '#..#',
+        '####',
+        '....'
+      ]);
+    });
+
+    it('draws a filled rectangle from corners in any order', () => {
+      const newGrid = applyRect(createGrid(4), 2, 2, 1, 0, '#FF0000', true);
+
+      expect(toAscii(newGrid)).toEqual([
+        '.##.',
+        '.##.',
+        '.##.',
+        '....'
+      ]);
+    });
+
+    it('clips to the grid bounds', () => {
+      const newGrid = applyRect(createTestGrid(), 1, 1, 5, 5, '#FF0000');
+
+      expect(toAscii(newGrid)).toEqual([
+        '...',
+        '.##',
+        '.#.'
+      ]);
+    });
+
+    it('returns original grid when nothing changes', () => {
+      const grid = createTestGrid();
+
+      expect(applyRect(grid, 0, 0, 2, 2, null)).toBe(grid);
+      expect(applyRect(grid, 4, 4, 6, 6, '#FF0000')).toBe(grid);
+    });
+  });
+
+  describe('applyEllipse', () => {
+    const createGrid = (size) => Array.from({ length: size }, () => Array(size).fill(null));
+    const toAscii = (grid) => grid.map(row => row.map(cell => (cell ? '#' : '.')).join(''));
+
+    it('draws a symmetric circle outline in an even-sized box', () => {
+      const newGrid = applyEllipse(createGrid(6), 0, 0, 5, 5, '#FF0000');
+
+      expect(toAscii(newGrid)).toEqual([
+        '..##..',
+        '.#..#.',
+        '#....#',
+        '#....#',
+        '.#..#.',
+        '..##..'
+      ]);
+    });
+
+    it('draws a filled ellipse', () => {
+      const newGrid = applyEllipse(createGrid(5), 0, 0, 4, 4, '#FF0000', true);
+
+      expect(toAscii(newGrid)).toEqual([
+        '.###.',
+        '#####',
+        '#####',
+        '#####',
+        '.###.'
+      ]);
+    });
+
+    it('draws a single pixel for a zero-sized box', () => {
+      const newGrid = applyEllipse(createTestGrid(), 1, 1, 1, 1, '#FF0000');
+
+      expect(toAscii(newGrid)).toEqual([
+        '...',
+        '.#.',
+        '...'
+      ]);
+    });
+  });
+});
@@ -1,3 +1,5 @@
+import { getRectPixels, getEllipsePixels } from '../utils/drawingUtils';
+
 /**
  * Creates a new grid with the specified pixel colored.
  * @param {Array<Array<string|null>>} grid The current pixel grid.
@@ -168,4 +170,58 @@ export const applyLine = (grid, x0, y0, x1, y1, color) => {
   }
 
   return currentGrid; // Return the final grid (might be the original if no pixels changed)
-}; 
\ No newline at end of file
+};
+
+/**
+ * Writes a list of points onto a copy of the grid, skipping out-of-bounds points.
+ * @param {Array<Array<string|null>>} grid The current pixel grid.
+ * @param {Array<{x: number, y: number}>} points The points to color.
+ * @param {string|null} color The color to apply.
+ * @returns {Array<Array<string|null>>} A new grid instance, or the original grid if nothing changed.
+ */
+const applyPoints = (grid, points, color) => {
+  const gridHeight = grid.length;
+  if (gridHeight === 0) return grid;
+  const gridWidth = grid[0].length;
+
+  let newGrid = null;
+  points.forEach(({ x, y }) => {
+    if (y < 0 || y >= gridHeight || x < 0 || x >= gridWidth) return;
+    if ((newGrid || grid)[y][x] === color) return;
+    // Copy lazily so untouched grids keep their reference
+    if (!newGrid) newGrid = grid.map(row => [...row]);
+    newGrid[y][x] = color;
+  });
+
+  return newGrid || grid;
+};
+
+/**
+ * Draws a rectangle spanning two corner points (inclusive).
+ * @param {Array<Array<string|null>>} grid The current pixel grid.
+ * @param {number} x0 First corner x-coordinate.
+ * @param {number} y0 First corner y-coordinate.
+ * @param {number} x1 Opposite corner x-coordinate.
+ * @param {number} y1 Opposite corner y-coordinate.
+ * @param {string|null} color The color to draw with.
+ * @param {boolean} [filled=false] Fill the interior instead of drawing only the outline.
+ * @returns {Array<Array<string|null>>} A new grid instance with the rectangle drawn, or the original grid if no change is needed.
+ */
+export const applyRect = (grid, x0, y0, x1, y1, color, filled = false) => {
+  return applyPoints(grid, getRectPixels(x0, y0, x1, y1, filled), color);
+};
+
+/**
+ * Draws an ellipse inscribed in the rectangle spanning two corner points (inclusive).
+ * @param {Array<Array<string|null>>} grid The current pixel grid.
+ * @param {number} x0 First corner x-coordinate.
+ * @param {number} y0 First corner y-coordinate.
+ * @param {number} x1 Opposite corner x-coordinate.
+ * @param {number} y1 Opposite corner y-coordinate.
+ * @param {string|null} color The color to draw with.
+ * @param {boolean} [filled=false] Fill the interior instead of drawing only the outline.
+ * @returns {Array<Array<string|null>>} A new grid instance with the ellipse drawn, or the original grid if no change is needed.
+ */
+export const applyEllipse = (grid, x0, y0, x1, y1, color, filled = false) => {
+  return applyPoints(grid, getEllipsePixels(x0, y0, x1, y1, filled), color);
+};
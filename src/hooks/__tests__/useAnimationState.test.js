@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useState } from 'react';
+import { useArtworkState } from '../useArtworkState';
+import { useAnimationState } from '../useAnimationState';
+
+// Wire the hook up the same way App does
+const useAnimatedArtwork = () => {
+  const [mode, setMode] = useState('edit');
+  const artwork = useArtworkState(2, 1);
+  const animation = useAnimationState({
+    layers: artwork.layers,
+    activeLayerId: artwork.activeLayerId,
+    gridDimensions: artwork.gridDimensions,
+    replaceLayers: artwork.replaceLayers,
+    mode,
+    setMode,
+  });
+  return { ...artwork, ...animation, mode, setMode };
+};
+
+describe('useAnimationState', () => {
+  let result;
+
+  beforeEach(() => {
+    const rendered = renderHook(() => useAnimatedArtwork());
+    result = rendered.result;
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('starts with a single frame holding the live layers', () => {
+    expect(result.current.resolvedFrames).toHaveLength(1);
+    expect(result.current.resolvedFrames[0].layers).toBe(result.current.layers);
+  });
+
+  it('keeps each frame\'s drawing when switching frames', () => {
+    act(() => {
+      result.current.setPixelGrid([['#FF0000', null]]);
+    });
+    act(() => {
+      result.current.addFrame();
+    });
+
+    expect(result.current.currentFrameIndex).toBe(1);
+    expect(result.current.pixelGrid).toEqual([[null, null]]);
+
+    act(() => {
+      result.current.setPixelGrid([[null, '#00FF00']]);
+    });
+    act(() => {
+      result.current.selectFrame(0);
+    });
+
+    expect(result.current.pixelGrid).toEqual([['#FF0000', null]]);
+    expect(result.current.frameGrids[1]).toEqual([[null, '#00FF00']]);
+  });
+
+  it('duplicates, reorders and deletes frames', () => {
+    act(() => {
+      result.current.setPixelGrid([['#FF0000', null]]);
+    });
+    act(() => {
+      result.current.duplicateFrame(0);
+    });
+    act(() => {
+      result.current.setPixelGrid([['#FF0000', '#0000FF']]);
+    });
+
+    expect(result.current.frameGrids[0]).toEqual([['#FF0000', null]]);
+
+    act(() => {
+      result.current.moveFrame(1, 0);
+    });
+    expect(result.current.currentFrameIndex).toBe(0);
+    expect(result.current.frameGrids[0]).toEqual([['#FF0000', '#0000FF']]);
+
+    act(() => {
+      result.current.deleteFrame(0);
+    });
+    expect(result.current.resolvedFrames).toHaveLength(1);
+    expect(result.current.pixelGrid).toEqual([['#FF0000', null]]);
+  });
+
+  it('resizes stored frames with the live layers', () => {
+    act(() => {
+      result.current.addFrame();
+    });
+    act(() => {
+      result.current.reframeLayers(3, 1);
+      result.current.reframeFrames(3, 1);
+    });
+
+    expect(result.current.frameGrids.every(grid => grid[0].length === 3)).toBe(true);
+  });
+
+  it('plays back in preview mode and advances by frame duration', () => {
+    vi.useFakeTimers();
+    act(() => {
+      result.current.addFrame();
+    });
+    act(() => {
+      result.current.setFrameDuration(1, 50);
+      result.current.selectFrame(0);
+    });
+    act(() => {
+      result.current.togglePlayback();
+    });
+
+    expect(result.current.isPlaying).toBe(true);
+    expect(result.current.mode).toBe('preview');
+    expect(result.current.playbackIndex).toBe(0);
+
+    act(() => {
+      vi.advanceTimersByTime(100);
+    });
+    expect(result.current.playbackIndex).toBe(1);
+
+    act(() => {
+      vi.advanceTimersByTime(50);
+    });
+    expect(result.current.playbackIndex).toBe(0);
+
+    act(() => {
+      result.current.setMode('edit');
+    });
+    expect(result.current.isPlaying).toBe(false);
+  });
+});
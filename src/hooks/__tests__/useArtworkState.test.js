@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useArtworkState } from '../useArtworkState';
+
+describe('useArtworkState', () => {
+  let result;
+
+  beforeEach(() => {
+    const rendered = renderHook(() => useArtworkState(2, 2));
+    result = rendered.result;
+  });
+
+  it('starts with a single empty layer', () => {
+    expect(result.current.layers).toHaveLength(1);
+    expect(result.current.activeLayerId).toBe(result.current.layers[0].id);
+    expect(result.current.pixelGrid).toEqual([[null, null], [null, null]]);
+  });
+
+  it('writes setPixelGrid into the active layer only', () => {
+    act(() => {
+      result.current.addLayer();
+    });
+    act(() => {
+      result.current.setPixelGrid([['#FF0000', null], [null, null]]);
+    });
+
+    const [bottom, top] = result.current.layers;
+    expect(bottom.grid[0][0]).toBeNull();
+    expect(top.grid[0][0]).toBe('#FF0000');
+    expect(result.current.compositeGrid[0][0]).toBe('#FF0000');
+  });
+
+  it('reframes every layer when resizing', () => {
+    act(() => {
+      result.current.setPixelGrid([['#FF0000', null], [null, null]]);
+      result.current.addLayer();
+    });
+    act(() => {
+      result.current.reframeLayers(3, 2, 1, 0);
+    });
+
+    expect(result.current.gridDimensions).toEqual({ width: 3, height: 2 });
+    result.current.layers.forEach(layer => {
+      expect(layer.grid[0]).toHaveLength(3);
+    });
+    expect(result.current.layers[0].grid[0][1]).toBe('#FF0000');
+  });
+
+  it('moves, merges and deletes layers', () => {
+    act(() => {
+      result.current.setPixelGrid([['#FF0000', null], [null, null]]);
+    });
+    act(() => {
+      result.current.addLayer();
+    });
+    act(() => {
+      result.current.setPixelGrid([[null, '#00FF00'], [null, null]]);
+    });
+    const topId = result.current.activeLayerId;
+
+    act(() => {
+      result.current.moveLayer(topId, -1);
+    });
+    expect(result.current.layers[0].id).toBe(topId);
+
+    act(() => {
+      result.current.moveLayer(topId, 1);
+    });
+    act(() => {
+      result.current.mergeLayerDown(topId);
+    });
+    expect(result.current.layers).toHaveLength(1);
+    expect(result.current.pixelGrid[0]).toEqual(['#FF0000', '#00FF00']);
+
+    act(() => {
+      result.current.deleteLayer(result.current.activeLayerId);
+    });
+    expect(result.current.layers).toHaveLength(1); // The last layer is never deleted
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useAutosave } from '../useAutosave';
+import { createProjectStore, createMemoryBackend } from '../../utils/projectStorage';
+
+const INTERVAL = 1000;
+
+describe('useAutosave', () => {
+  let store;
+  let data;
+  let onOpen;
+
+  const renderAutosave = (enabled = true) => renderHook(
+    (props) => useAutosave({
+      enabled: props.enabled,
+      getProjectData: () => data,
+      onOpen,
+      store,
+      interval: INTERVAL,
+    }),
+    { initialProps: { enabled } }
+  );
+
+  // Runs the autosave interval and lets the store's promises settle
+  const tick = async () => {
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(INTERVAL);
+    });
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    store = createProjectStore(createMemoryBackend());
+    data = { filename: 'Hero', gridDimensions: { width: 1, height: 1 }, pixelGrid: [['#000000']] };
+    onOpen = vi.fn();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('saves on the interval only while enabled and when the project changed', async () => {
+    const saveSpy = vi.spyOn(store, 'saveProject');
+    const { result, rerender } = renderAutosave(false);
+    await tick();
+    expect(saveSpy).not.toHaveBeenCalled();
+
+    rerender({ enabled: true });
+    await tick();
+    await tick();
+    expect(saveSpy).toHaveBeenCalledTimes(1);
+    expect(result.current.recentProjects.map(project => project.name)).toEqual(['Hero']);
+
+    data = { ...data, pixelGrid: [['#ffffff']] };
+    await tick();
+    expect(saveSpy).toHaveBeenCalledTimes(2);
+    expect(result.current.recentProjects).toHaveLength(1);
+  });
+
+  it('saves when the page is hidden', async () => {
+    renderAutosave();
+    await act(async () => {
+      window.dispatchEvent(new Event('pagehide'));
+      await vi.advanceTimersByTimeAsync(0);
+    });
+    expect(await store.listProjects()).toHaveLength(1);
+  });
+
+  it('logs projects that cannot be serialized and retries on the next interval', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const saved = data;
+    data = null;
+    const { result } = renderHook(() => useAutosave({
+      enabled: true,
+      getProjectData: () => {
+        if (!data) throw new Error('Unsupported layer');
+        return data;
+      },
+      onOpen,
+      store,
+      interval: INTERVAL,
+    }));
+
+    await tick();
+    expect(consoleError).toHaveBeenCalledWith('Error autosaving project:', expect.any(Error));
+    await expect(result.current.saveNow()).resolves.toBeUndefined();
+
+    data = saved;
+    await tick();
+    expect(await store.listProjects()).toHaveLength(1);
+    consoleError.mockRestore();
+  });
+
+  it('offers the most recent project for recovery and restores it', async () => {
+    await store.saveProject({ id: 'saved', name: 'Saved', data });
+    const { result } = renderAutosave(false);
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(0);
+    });
+    expect(result.current.recoverableProject?.id).toBe('saved');
+
+    await act(async () => {
+      await result.current.restoreRecoverableProject();
+    });
+    expect(onOpen).toHaveBeenCalledWith(data, 'Saved');
+    expect(result.current.projectId).toBe('saved');
+    expect(result.current.recoverableProject).toBeNull();
+  });
+
+  it('starts a new record after deleting the current project', async () => {
+    const { result } = renderAutosave();
+    await tick();
+    const firstId = result.current.projectId;
+
+    await act(async () => {
+      await result.current.duplicateProject(firstId);
+    });
+    expect(result.current.recentProjects.map(project => project.name).sort()).toEqual(['Hero', 'Hero copy']);
+
+    await act(async () => {
+      await result.current.deleteProject(firstId);
+    });
+    expect(result.current.projectId).not.toBe(firstId);
+    expect(result.current.recentProjects.map(project => project.name)).toEqual(['Hero copy']);
+  });
+});
@@ -85,4 +85,151 @@ describe('useToolState', () => {
     
     expect(result.current.pickerColor).toBe(initialColor);
   });
-}); 
\ No newline at end of file
+
+  describe('palettes', () => {
+    it('starts with one active default palette', () => {
+      expect(result.current.palettes).toHaveLength(1);
+      expect(result.current.activePaletteId).toBe(result.current.palettes[0].id);
+      expect(result.current.palettes[0].colors.length).toBeGreaterThan(0);
+    });
+
+    it('creates, renames and deletes palettes', () => {
+      const firstId = result.current.activePaletteId;
+      let newId;
+      act(() => {
+        newId = result.current.addPalette({ name: 'Greens', colors: ['#00FF00'] });
+      });
+
+      expect(result.current.palettes).toHaveLength(2);
+      expect(result.current.activePaletteId).toBe(newId);
+
+      act(() => {
+        result.current.renamePalette(newId, 'Forest');
+      });
+      expect(result.current.palettes[1].name).toBe('Forest');
+
+      act(() => {
+        result.current.deletePalette(newId);
+      });
+      expect(result.current.palettes).toHaveLength(1);
+      expect(result.current.activePaletteId).toBe(firstId);
+
+      // The last palette cannot be deleted
+      act(() => {
+        result.current.deletePalette(firstId);
+      });
+      expect(result.current.palettes).toHaveLength(1);
+    });
+
+    it('adds, reorders and removes palette colors', () => {
+      let id;
+      act(() => {
+        id = result.current.addPalette({ name: 'Test' });
+      });
+      act(() => {
+        result.current.addPaletteColor(id, '#111111');
+        result.current.addPaletteColor(id, '#222222');
+        result.current.addPaletteColor(id, '#111111'); // Duplicates are ignored
+      });
+      expect(result.current.palettes[1].colors).toEqual(['#111111', '#222222']);
+
+      act(() => {
+        result.current.movePaletteColor(id, 0, 1);
+      });
+      expect(result.current.palettes[1].colors).toEqual(['#222222', '#111111']);
+
+      act(() => {
+        result.current.removePaletteColor(id, 0);
+      });
+      expect(result.current.palettes[1].colors).toEqual(['#111111']);
+    });
+
+    it('replaces all palettes when loading', () => {
+      const loaded = [{ id: 'a', name: 'A', colors: [] }, { id: 'b', name: 'B', colors: ['#FFFFFF'] }];
+      act(() => {
+        result.current.replacePalettes(loaded, 'b');
+      });
+      expect(result.current.palettes).toBe(loaded);
+      expect(result.current.activePaletteId).toBe('b');
+
+      act(() => {
+        result.current.replacePalettes(loaded, 'missing');
+      });
+      expect(result.current.activePaletteId).toBe('a');
+    });
+
+    it('recolors a palette slot', () => {
+      const id = result.current.activePaletteId;
+      act(() => {
+        result.current.setPaletteColor(id, 0, '#ABCDEF');
+      });
+      expect(result.current.palettes[0].colors[0]).toBe('#ABCDEF');
+    });
+
+    it('exposes the active palette colors only in indexed mode', () => {
+      expect(result.current.colorMode).toBe('literal');
+      expect(result.current.indexedPalette).toBe(null);
+      expect(result.current.activePaletteColors).toBe(result.current.palettes[0].colors);
+
+      act(() => {
+        result.current.setColorMode('indexed');
+      });
+      expect(result.current.indexedPalette).toBe(result.current.palettes[0].colors);
+    });
+
+    it('keeps the artwork palette active and undeletable in indexed mode', () => {
+      const id = result.current.activePaletteId;
+      act(() => {
+        result.current.setColorMode('indexed');
+      });
+      act(() => {
+        result.current.addPalette({ name: 'Imported', colors: ['#000000'] }, { activate: false });
+      });
+      expect(result.current.palettes).toHaveLength(2);
+      expect(result.current.activePaletteId).toBe(id);
+
+      act(() => {
+        result.current.deletePalette(id);
+      });
+      expect(result.current.palettes).toHaveLength(2);
+    });
+
+    it('limits how many colors a palette holds', () => {
+      let id;
+      act(() => {
+        id = result.current.addPalette({ name: 'Game Boy', colors: ['#0F380F', '#306230'] });
+      });
+      act(() => {
+        result.current.setPaletteMaxColors(id, 1); // Never below the colors it has
+      });
+      expect(result.current.palettes[1].maxColors).toBe(2);
+
+      act(() => {
+        result.current.setPaletteMaxColors(id, 3);
+      });
+      act(() => {
+        result.current.addPaletteColor(id, '#8BAC0F');
+        result.current.addPaletteColor(id, '#9BBC0F');
+      });
+      expect(result.current.palettes[1].colors).toEqual(['#0F380F', '#306230', '#8BAC0F']);
+
+      act(() => {
+        result.current.setPaletteMaxColors(id, null);
+      });
+      expect(result.current.palettes[1].maxColors).toBe(null);
+    });
+
+    it('keeps slot positions fixed in indexed mode', () => {
+      const id = result.current.activePaletteId;
+      const colors = result.current.palettes[0].colors;
+      act(() => {
+        result.current.setColorMode('indexed');
+      });
+      act(() => {
+        result.current.movePaletteColor(id, 0, 1);
+        result.current.removePaletteColor(id, 0);
+      });
+      expect(result.current.palettes[0].colors).toBe(colors);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { compositeLayers, cloneLayers, reframeGrid } from '../utils/layerUtils';
+import {
+  createFrame,
+  createEmptyLayersLike,
+  clampFrameDuration,
+  moveItem,
+  DEFAULT_ONION_SKIN,
+} from '../utils/animationUtils';
+
+/**
+ * Hook for managing animation frames, playback and onion skin settings.
+ *
+ * Each frame owns a full layer stack. The current frame's layers live in the
+ * artwork state (so every drawing tool keeps working unchanged); the copy stored
+ * in `frames` for the current index is only refreshed when switching frames.
+ * @param {Object} options - Configuration options
+ * @param {Array<Object>} options.layers - The live layer stack from useArtworkState
+ * @param {string} options.activeLayerId - The active layer id
+ * @param {{width: number, height: number}} options.gridDimensions - The grid size
+ * @param {Function} options.replaceLayers - Swaps the live layer stack
+ * @param {string} options.mode - The UI mode ('edit' or 'preview')
+ * @param {Function} options.setMode - Changes the UI mode; playback runs in 'preview'
+ * @param {Function} [options.setLastActionType] - Notifies App of history-worthy changes
+ * @param {Array<string>|null} [options.indexedPalette] - Palette colors while in indexed color mode
+ */
+export const useAnimationState = ({
+  layers,
+  activeLayerId,
+  gridDimensions,
+  replaceLayers,
+  mode,
+  setMode,
+  setLastActionType,
+  indexedPalette = null,
+}) => {
+  const [frames, setFrames] = useState(() => [createFrame({ layers })]);
+  const [currentFrameIndex, setCurrentFrameIndex] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackIndex, setPlaybackIndex] = useState(0);
+  const [onionSkin, setOnionSkinState] = useState(DEFAULT_ONION_SKIN);
+
+  // Frames with the live layers substituted in for the current one
+  const resolvedFrames = useMemo(
+    () => frames.map((frame, index) => (index === currentFrameIndex ? { ...frame, layers } : frame)),
+    [frames, currentFrameIndex, layers]
+  );
+
+  // Composite each frame once per layer stack; untouched frames keep their cached grid
+  // (indexed frames are recomposited when the palette changes)
+  const compositeCacheRef = useRef(new WeakMap());
+  const frameGrids = useMemo(() => {
+    const cache = compositeCacheRef.current;
+    const { width, height } = gridDimensions;
+    return resolvedFrames.map(frame => {
+      const cached = cache.get(frame.layers);
+      if (cached && cached.palette === indexedPalette
+        && cached.grid.length === height && (cached.grid[0]?.length ?? 0) === width) {
+        return cached.grid;
+      }
+      const grid = compositeLayers(frame.layers, width, height, indexedPalette);
+      cache.set(frame.layers, { grid, palette: indexedPalette });
+      return grid;
+    });
+  }, [resolvedFrames, gridDimensions, indexedPalette]);
+
+  const notifyFrameChange = useCallback(() => {
+    if (setLastActionType) setLastActionType('frame_change');
+  }, [setLastActionType]);
+
+  // Store the new frame list and load the target frame's layers into the editor
+  const commitFrames = useCallback((nextFrames, nextIndex) => {
+    setFrames(nextFrames);
+    setCurrentFrameIndex(nextIndex);
+    replaceLayers(nextFrames[nextIndex].layers, activeLayerId);
+  }, [replaceLayers, activeLayerId]);
+
+  const selectFrame = useCallback((index) => {
+    if (index === currentFrameIndex || !frames[index]) return;
+    // Store the live layers back into the frame being left
+    setFrames(prevFrames => prevFrames.map((frame, i) => (i === currentFrameIndex ? { ...frame, layers } : frame)));
+    setCurrentFrameIndex(index);
+    replaceLayers(frames[index].layers, activeLayerId);
+  }, [currentFrameIndex, frames, layers, replaceLayers, activeLayerId]);
+
+  // Insert an empty frame after the current one, keeping the layer structure
+  const addFrame = useCallback(() => {
+    const current = resolvedFrames[currentFrameIndex];
+    const frame = createFrame({
+      layers: createEmptyLayersLike(current.layers, gridDimensions.width, gridDimensions.height),
+      duration: current.duration,
+    });
+    const nextFrames = [...resolvedFrames];
+    nextFrames.splice(currentFrameIndex + 1, 0, frame);
+    commitFrames(nextFrames, currentFrameIndex + 1);
+    notifyFrameChange();
+  }, [resolvedFrames, currentFrameIndex, gridDimensions, commitFrames, notifyFrameChange]);
+
+  const duplicateFrame = useCallback((index = currentFrameIndex) => {
+    const source = resolvedFrames[index];
+    if (!source) return;
+    const copy = createFrame({ layers: cloneLayers(source.layers), duration: source.duration });
+    const nextFrames = [...resolvedFrames];
+    nextFrames.splice(index + 1, 0, copy);
+    commitFrames(nextFrames, index + 1);
+    notifyFrameChange();
+  }, [resolvedFrames, currentFrameIndex, commitFrames, notifyFrameChange]);
+
+  const deleteFrame = useCallback((index = currentFrameIndex) => {
+    if (resolvedFrames.length <= 1 || !resolvedFrames[index]) return; // Always keep one frame
+    const nextFrames = resolvedFrames.filter((_, i) => i !== index);
+    let nextIndex = currentFrameIndex;
+    if (index < currentFrameIndex) {
+      nextIndex = currentFrameIndex - 1;
+    } else if (index === currentFrameIndex) {
+      nextIndex = Math.min(index, nextFrames.length - 1);
+    }
+    commitFrames(nextFrames, nextIndex);
+    notifyFrameChange();
+  }, [resolvedFrames, currentFrameIndex, commitFrames, notifyFrameChange]);
+
+  // Reorder a frame; the current frame stays selected wherever it ends up
+  const moveFrame = useCallback((fromIndex, toIndex) => {
+    const nextFrames = moveItem(resolvedFrames, fromIndex, toIndex);
+    if (nextFrames === resolvedFrames) return;
+    const currentId = resolvedFrames[currentFrameIndex].id;
+    setFrames(nextFrames);
+    setCurrentFrameIndex(nextFrames.findIndex(frame => frame.id === currentId));
+    notifyFrameChange();
+  }, [resolvedFrames, currentFrameIndex, notifyFrameChange]);
+
+  const setFrameDuration = useCallback((index, duration) => {
+    setFrames(prevFrames => prevFrames.map((frame, i) => (
+      i === index ? { ...frame, duration: clampFrameDuration(duration) } : frame
+    )));
+    notifyFrameChange();
+  }, [notifyFrameChange]);
+
+  // Resize every stored frame (the live layers are reframed by useArtworkState)
+  const reframeFrames = useCallback((newWidth, newHeight, offsetX = 0, offsetY = 0) => {
+    setFrames(prevFrames => prevFrames.map(frame => ({
+      ...frame,
+      layers: frame.layers.map(layer => ({
+        ...layer,
+        grid: reframeGrid(layer.grid, newWidth, newHeight, offsetX, offsetY),
+      })),
+    })));
+  }, []);
+
+  // Replace all frames (project load, history restore). The caller loads the layers.
+  const restoreFrames = useCallback((newFrames, newIndex = 0) => {
+    if (!newFrames || newFrames.length === 0) return;
+    setFrames(newFrames);
+    setCurrentFrameIndex(Math.min(Math.max(0, newIndex), newFrames.length - 1));
+    setIsPlaying(false);
+  }, []);
+
+  const setOnionSkin = useCallback((updates) => {
+    setOnionSkinState(prev => ({ ...prev, ...updates }));
+  }, []);
+
+  // --- Playback (reuses the preview mode) ---
+
+  const play = useCallback(() => {
+    setPlaybackIndex(currentFrameIndex);
+    setIsPlaying(true);
+    setMode('preview');
+  }, [currentFrameIndex, setMode]);
+
+  const pause = useCallback(() => {
+    setIsPlaying(false);
+    setMode('edit');
+  }, [setMode]);
+
+  const togglePlayback = useCallback(() => {
+    if (isPlaying) {
+      pause();
+    } else {
+      play();
+    }
+  }, [isPlaying, play, pause]);
+
+  // Leaving preview mode by other means (mode toggle, project load) stops playback
+  useEffect(() => {
+    if (isPlaying && mode !== 'preview') {
+      setIsPlaying(false);
+    }
+  }, [isPlaying, mode]);
+
+  // Advance to the next frame after the current frame's duration
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    const frame = resolvedFrames[playbackIndex] || resolvedFrames[0];
+    const timer = setTimeout(() => {
+      setPlaybackIndex(index => (index + 1) % resolvedFrames.length);
+    }, frame.duration);
+    return () => clearTimeout(timer);
+  }, [isPlaying, playbackIndex, resolvedFrames]);
+
+  return {
+    frames, // Stored frames; the current entry may be stale, use resolvedFrames for display
+    resolvedFrames,
+    frameGrids, // Composited grid per frame
+    currentFrameIndex,
+    selectFrame,
+    addFrame,
+    duplicateFrame,
+    deleteFrame,
+    moveFrame,
+    setFrameDuration,
+    reframeFrames,
+    restoreFrames,
+    isPlaying,
+    playbackIndex: Math.min(playbackIndex, resolvedFrames.length - 1),
+    play,
+    pause,
+    togglePlayback,
+    onionSkin,
+    setOnionSkin,
+  };
+};
@@ -1,62 +1,199 @@
-import { useState, useCallback } from 'react';
-
-// Initial grid creation logic (can be moved to a util if needed)
-const createInitialGrid = (width, height) => {
-  const grid = [];
-  for (let i = 0; i < height; i++) {
-    grid[i] = new Array(width).fill(null);
-  }
-  return grid;
-};
+import { useState, useCallback, useMemo } from 'react';
+import {
+  createLayer,
+  createEmptyGrid,
+  reframeGrid,
+  compositeLayers,
+  generateLayerId,
+  LAYER_BLEND_MODES
+} from '../utils/layerUtils';
+import { indexGrid } from '../utils/paletteUtils';
 
-export const useArtworkState = (initialWidth = 32, initialHeight = 32, setLastActionType) => {
+// `indexedPalette` is the palette's color list while the artwork is in indexed color mode
+// (layer grids then hold palette slot numbers), or null in literal mode.
+export const useArtworkState = (initialWidth = 32, initialHeight = 32, setLastActionType, indexedPalette = null) => {
   // Rename the internal setter
   const [gridDimensions, setInternalGridDimensions] = useState({ width: initialWidth, height: initialHeight });
-  const [pixelGrid, setPixelGrid] = useState(() => createInitialGrid(initialWidth, initialHeight));
+  // Layer stack, bottom layer first. Each layer owns its own pixel grid.
+  const [layers, setLayers] = useState(() => [
+    createLayer({ name: 'Layer 1', width: initialWidth, height: initialHeight })
+  ]);
+  const [activeLayerId, setActiveLayerId] = useState(() => layers[0].id);
   const [pixelSize, setPixelSize] = useState(24);
   const [gridGap, setGridGap] = useState(0);
   const [backgroundColor, setBackgroundColor] = useState('rgba(240, 240, 240, 1)'); // Default background
 
+  const activeLayer = layers.find(layer => layer.id === activeLayerId) || layers[layers.length - 1];
+
+  // The drawing tools edit the active layer's grid through pixelGrid/setPixelGrid
+  const pixelGrid = activeLayer.grid;
+
+  const setPixelGrid = useCallback((gridOrUpdater) => {
+    setLayers(prevLayers => {
+      const targetId = prevLayers.some(layer => layer.id === activeLayerId)
+        ? activeLayerId
+        : prevLayers[prevLayers.length - 1].id;
+      return prevLayers.map(layer => {
+        if (layer.id !== targetId) return layer;
+        const grid = typeof gridOrUpdater === 'function' ? gridOrUpdater(layer.grid) : gridOrUpdater;
+        return grid === layer.grid ? layer : { ...layer, grid };
+      });
+    });
+  }, [activeLayerId]);
+
+  // What the renderers and exports show: all visible layers blended together
+  const compositeGrid = useMemo(
+    () => compositeLayers(layers, gridDimensions.width, gridDimensions.height, indexedPalette),
+    [layers, gridDimensions.width, gridDimensions.height, indexedPalette]
+  );
+
+  // Resize every layer at once, shifting content by an offset (used by the edge controls)
+  const reframeLayers = useCallback((newWidth, newHeight, offsetX = 0, offsetY = 0) => {
+    setLayers(prevLayers => prevLayers.map(layer => ({
+      ...layer,
+      grid: reframeGrid(layer.grid, newWidth, newHeight, offsetX, offsetY),
+    })));
+    setInternalGridDimensions({ width: newWidth, height: newHeight });
+  }, []);
+
   // Callback to handle dimension changes, ENSURING GRID RESETS
   const updateGridDimensions = useCallback((newWidth, newHeight) => {
     setInternalGridDimensions({ width: newWidth, height: newHeight });
-    // Reset pixelGrid when dimensions change via this specific function
-    setPixelGrid(createInitialGrid(newWidth, newHeight)); 
+    // Reset every layer grid when dimensions change via this specific function
+    setLayers(prevLayers => prevLayers.map(layer => ({ ...layer, grid: createEmptyGrid(newWidth, newHeight) })));
     if (setLastActionType) setLastActionType('grid_reset'); // Notify reset if needed
   }, [setLastActionType]);
 
   // NEW: Callback to handle dimension changes WHILE PRESERVING CONTENT
   const resizeGrid = useCallback((newWidth, newHeight) => {
-    const oldWidth = gridDimensions.width;
-    const oldHeight = gridDimensions.height;
+    if (newWidth === gridDimensions.width && newHeight === gridDimensions.height) return; // No change
 
-    if (newWidth === oldWidth && newHeight === oldHeight) return; // No change
+    reframeLayers(newWidth, newHeight);
+    if (setLastActionType) setLastActionType('grid_change'); // Notify resize for history
 
-    const newGrid = Array(newHeight).fill(null).map(() => Array(newWidth).fill(null));
+  }, [gridDimensions, reframeLayers, setLastActionType]);
 
-    // Copy existing content
-    const copyWidth = Math.min(oldWidth, newWidth);
-    const copyHeight = Math.min(oldHeight, newHeight);
+  // Replace the whole stack (project load, history restore)
+  const replaceLayers = useCallback((newLayers, newActiveLayerId) => {
+    if (!newLayers || newLayers.length === 0) return;
+    setLayers(newLayers);
+    const activeExists = newLayers.some(layer => layer.id === newActiveLayerId);
+    setActiveLayerId(activeExists ? newActiveLayerId : newLayers[newLayers.length - 1].id);
+  }, []);
 
-    for (let y = 0; y < copyHeight; y++) {
-      for (let x = 0; x < copyWidth; x++) {
-        newGrid[y][x] = pixelGrid[y]?.[x] || null;
-      }
+  // --- Layer operations ---
+
+  const addLayer = useCallback(() => {
+    const newLayer = createLayer({
+      name: `Layer ${layers.length + 1}`,
+      width: gridDimensions.width,
+      height: gridDimensions.height,
+    });
+    setLayers(prevLayers => {
+      // Insert above the active layer
+      const index = prevLayers.findIndex(layer => layer.id === activeLayerId);
+      const next = [...prevLayers];
+      next.splice(index + 1, 0, newLayer);
+      return next;
+    });
+    setActiveLayerId(newLayer.id);
+    if (setLastActionType) setLastActionType('layer_change');
+  }, [layers.length, gridDimensions, activeLayerId, setLastActionType]);
+
+  const duplicateLayer = useCallback((layerId) => {
+    const source = layers.find(layer => layer.id === layerId);
+    if (!source) return;
+    const copy = {
+      ...source,
+      id: generateLayerId(),
+      name: `${source.name} copy`,
+      grid: source.grid.map(row => [...row]),
+    };
+    setLayers(prevLayers => {
+      const index = prevLayers.findIndex(layer => layer.id === layerId);
+      const next = [...prevLayers];
+      next.splice(index + 1, 0, copy);
+      return next;
+    });
+    setActiveLayerId(copy.id);
+    if (setLastActionType) setLastActionType('layer_change');
+  }, [layers, setLastActionType]);
+
+  const deleteLayer = useCallback((layerId) => {
+    if (layers.length <= 1) return; // Always keep one layer
+    const index = layers.findIndex(layer => layer.id === layerId);
+    if (index === -1) return;
+    const next = layers.filter(layer => layer.id !== layerId);
+    setLayers(next);
+    if (layerId === activeLayerId) {
+      setActiveLayerId(next[Math.max(0, index - 1)].id);
     }
+    if (setLastActionType) setLastActionType('layer_change');
+  }, [layers, activeLayerId, setLastActionType]);
 
-    setInternalGridDimensions({ width: newWidth, height: newHeight });
-    setPixelGrid(newGrid);
-    if (setLastActionType) setLastActionType('grid_change'); // Notify resize for history
+  // direction: 1 moves the layer up (towards the top of the stack), -1 moves it down
+  const moveLayer = useCallback((layerId, direction) => {
+    const index = layers.findIndex(layer => layer.id === layerId);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= layers.length) return;
+    const next = [...layers];
+    [next[index], next[target]] = [next[target], next[index]];
+    setLayers(next);
+    if (setLastActionType) setLastActionType('layer_change');
+  }, [layers, setLastActionType]);
+
+  // Property updates (name, visible, opacity, locked, blendMode). History is committed separately
+  // so that dragging the opacity slider does not create an entry per step.
+  const updateLayer = useCallback((layerId, updates) => {
+    if (updates.blendMode !== undefined && !LAYER_BLEND_MODES.includes(updates.blendMode)) return;
+    setLayers(prevLayers => prevLayers.map(layer => (
+      layer.id === layerId ? { ...layer, ...updates } : layer
+    )));
+  }, []);
 
-  }, [gridDimensions, pixelGrid, setPixelGrid, setInternalGridDimensions, setLastActionType]);
+  // Flatten a layer into the one below it
+  const mergeLayerDown = useCallback((layerId) => {
+    const index = layers.findIndex(layer => layer.id === layerId);
+    if (index <= 0) return;
+    const upper = layers[index];
+    const lower = layers[index - 1];
+    const mergedGrid = compositeLayers(
+      [{ ...lower, opacity: 1, blendMode: 'normal', visible: true }, { ...upper, visible: true }],
+      gridDimensions.width,
+      gridDimensions.height,
+      indexedPalette
+    );
+    const merged = {
+      ...lower,
+      // Blended colors snap back to the nearest palette slot in indexed mode
+      grid: indexedPalette ? indexGrid(mergedGrid, indexedPalette) : mergedGrid.map(row => [...row]),
+    };
+    const next = layers.filter(layer => layer.id !== layerId).map(layer => (layer.id === lower.id ? merged : layer));
+    setLayers(next);
+    setActiveLayerId(lower.id);
+    if (setLastActionType) setLastActionType('layer_change');
+  }, [layers, gridDimensions, setLastActionType, indexedPalette]);
 
   return {
     gridDimensions,
     setGridDimensions: updateGridDimensions, // Wrapper that resets grid
     resizeGrid, // <<< Export the new resizing function
+    reframeLayers,
     setInternalGridDimensions, // Direct setter without reset
-    pixelGrid,
-    setPixelGrid,
+    pixelGrid, // Active layer grid
+    setPixelGrid, // Writes the active layer grid
+    compositeGrid,
+    layers,
+    activeLayerId,
+    activeLayer,
+    setActiveLayerId,
+    replaceLayers,
+    addLayer,
+    duplicateLayer,
+    deleteLayer,
+    moveLayer,
+    updateLayer,
+    mergeLayerDown,
     pixelSize,
     setPixelSize,
     gridGap,
@@ -64,4 +201,4 @@ export const useArtworkState = (initialWidth = 32, initialHeight = 32, setLastAc
     backgroundColor,
     setBackgroundColor,
   };
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,149 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { createProjectStore, generateProjectId } from '../utils/projectStorage';
+
+export const AUTOSAVE_INTERVAL = 20000; // Milliseconds
+
+let defaultStore = null;
+const getDefaultStore = () => {
+  if (!defaultStore) defaultStore = createProjectStore();
+  return defaultStore;
+};
+
+/**
+ * Hook for autosaving the project to browser storage and managing the
+ * recent-projects list.
+ *
+ * While enabled, the project is snapshotted every `interval` milliseconds and
+ * when the page is hidden, but only if it changed since the last save. The
+ * snapshot is the state at the current history position; undo history itself
+ * is not stored. On startup the most recently saved project is offered for
+ * recovery.
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.enabled - Whether to autosave (e.g. once something has been drawn)
+ * @param {function(): Object} options.getProjectData - Returns the project data to save
+ * @param {function(Object, string): void} options.onOpen - Loads saved project data; may throw
+ * @param {Object} [options.store] - Project store from createProjectStore
+ * @param {number} [options.interval] - Autosave interval in milliseconds
+ */
+export const useAutosave = ({
+  enabled,
+  getProjectData,
+  onOpen,
+  store: providedStore,
+  interval = AUTOSAVE_INTERVAL,
+}) => {
+  const [store] = useState(() => providedStore || getDefaultStore());
+  const [projectId, setProjectId] = useState(generateProjectId);
+  const [recentProjects, setRecentProjects] = useState([]);
+  const [recoverableProject, setRecoverableProject] = useState(null);
+
+  const projectIdRef = useRef(projectId);
+  const lastSavedRef = useRef(null);
+  const getProjectDataRef = useRef(getProjectData);
+  getProjectDataRef.current = getProjectData;
+
+  const refreshProjects = useCallback(async () => {
+    setRecentProjects(await store.listProjects());
+  }, [store]);
+
+  // Offer the last session once the stored projects have been read
+  useEffect(() => {
+    let cancelled = false;
+    store.listProjects()
+      .then(projects => {
+        if (cancelled) return;
+        setRecentProjects(projects);
+        setRecoverableProject(projects[0] || null);
+      })
+      .catch(error => console.error('Error reading saved projects:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [store]);
+
+  // Switches to a fresh id, so the next autosave starts a new record
+  const startNewProject = useCallback(() => {
+    const id = generateProjectId();
+    projectIdRef.current = id;
+    lastSavedRef.current = null;
+    setProjectId(id);
+    setRecoverableProject(null);
+  }, []);
+
+  // Never throws: it runs from timers and page events, so failures are only logged
+  const saveNow = useCallback(async () => {
+    try {
+      const data = getProjectDataRef.current();
+      const serialized = JSON.stringify(data);
+      if (serialized === lastSavedRef.current) return;
+      lastSavedRef.current = serialized;
+      await store.saveProject({ id: projectIdRef.current, name: data.filename, data });
+      await refreshProjects();
+    } catch (error) {
+      lastSavedRef.current = null; // Try again next time
+      console.error('Error autosaving project:', error);
+    }
+  }, [store, refreshProjects]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const timer = setInterval(saveNow, interval);
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') saveNow();
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', saveNow);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', saveNow);
+    };
+  }, [enabled, saveNow, interval]);
+
+  // Loads a stored project and keeps autosaving into its record
+  const openProject = useCallback(async (id) => {
+    const record = await store.getProject(id);
+    if (!record) throw new Error('The project no longer exists');
+    onOpen(record.data, record.name);
+    projectIdRef.current = record.id;
+    lastSavedRef.current = null;
+    setProjectId(record.id);
+    setRecoverableProject(null);
+  }, [store, onOpen]);
+
+  const duplicateProject = useCallback(async (id) => {
+    const copy = await store.duplicateProject(id);
+    await refreshProjects();
+    return copy;
+  }, [store, refreshProjects]);
+
+  const deleteProject = useCallback(async (id) => {
+    await store.deleteProject(id);
+    if (id === projectIdRef.current) startNewProject();
+    setRecoverableProject(prev => (prev?.id === id ? null : prev));
+    await refreshProjects();
+  }, [store, refreshProjects, startNewProject]);
+
+  const restoreRecoverableProject = useCallback(async () => {
+    if (recoverableProject) await openProject(recoverableProject.id);
+  }, [recoverableProject, openProject]);
+
+  const dismissRecovery = useCallback(() => {
+    setRecoverableProject(null);
+  }, []);
+
+  return {
+    projectId,
+    recentProjects,
+    recoverableProject,
+    saveNow,
+    startNewProject,
+    refreshProjects,
+    openProject,
+    duplicateProject,
+    deleteProject,
+    restoreRecoverableProject,
+    dismissRecovery,
+  };
+};
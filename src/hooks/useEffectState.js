@@ -1,4 +1,10 @@
 import { useState, useCallback } from 'react';
+import {
+  DEFAULT_CORNER_RADIUS,
+  DEFAULT_GLOW_SETTINGS,
+  DEFAULT_BULB_SETTINGS,
+  DEFAULT_CUSTOM_SHAPE,
+} from '../utils/canvasEffects';
 
 /**
  * Hook for managing pixel visual effects state
@@ -8,44 +14,21 @@ export const useEffectState = (initialState = {}) => {
   // Default values for effects
   const defaultEffects = {
     // Corner radius effect
-    cornerRadius: {
-      enabled: false,
-      topLeft: 0,
-      topRight: 0,
-      bottomLeft: 0,
-      bottomRight: 0,
-    },
+    cornerRadius: { ...DEFAULT_CORNER_RADIUS },
     // Glow effect
     glow: {
       enabled: false,
-      settings: {
-        size: 10,
-        opacity: 25,
-        spread: 10,
-        offsetX: 0,
-        offsetY: 0,
-        blendMode: 'screen'
-      }
+      settings: { ...DEFAULT_GLOW_SETTINGS },
     },
     // Bulb effect
     bulb: {
       enabled: false,
-      settings: {
-        intensity: 50,
-        radius: 50,
-        positionX: 25,
-        positionY: 25,
-        color: '#ffffff',
-        blendMode: 'screen',
-      }
+      settings: { ...DEFAULT_BULB_SETTINGS },
     },
     // Shape settings
     pixelShape: {
       type: 'rectangle',
-      customShape: {
-        path: '',
-        viewBox: '0 0 100 100'
-      }
+      customShape: { ...DEFAULT_CUSTOM_SHAPE },
     },
   };
 
@@ -1,13 +1,28 @@
-import { useState, useCallback, useRef, useEffect } from 'react';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
+import { createPalette, isPaletteFull, DEFAULT_PALETTE_COLORS, MAX_PALETTE_COLORS } from '../utils/paletteUtils';
+import { moveItem } from '../utils/animationUtils';
 
 const MAX_HISTORY_LENGTH = 256; // Same as in App.jsx
 
 export const useToolState = (initialColor = 'rgba(230, 2, 123, 1)') => {
   const [activeTool, setActiveTool] = useState('pencil');
+  const [shapeFilled, setShapeFilled] = useState(false); // Outline vs filled rect/ellipse
   const [activeColor, setActiveColorState] = useState(initialColor);
   const activeColorRef = useRef(initialColor); // Ref for synchronous access
   const [pickerColor, setPickerColor] = useState(initialColor);
   const [colorHistory, setColorHistory] = useState([initialColor]);
+  // Named palettes, kept separately from the MRU history above
+  const [palettes, setPalettes] = useState(() => [createPalette({ name: 'PICO-8', colors: DEFAULT_PALETTE_COLORS })]);
+  const [activePaletteId, setActivePaletteId] = useState(() => palettes[0].id);
+  // 'indexed' makes the artwork store slots of the active palette instead of color strings
+  const [colorMode, setColorMode] = useState('literal');
+
+  // Colors the artwork's palette slots resolve to, or null in literal mode
+  const activePaletteColors = (palettes.find(palette => palette.id === activePaletteId) || palettes[0]).colors;
+  const indexedPalette = useMemo(
+    () => (colorMode === 'indexed' ? activePaletteColors : null),
+    [colorMode, activePaletteColors]
+  );
   
   // Force update ref whenever state changes
   useEffect(() => {
@@ -41,9 +56,89 @@ export const useToolState = (initialColor = 'rgba(230, 2, 123, 1)') => {
     activeColorRef.current = newColor;
   }, []);
 
+  // Applies `update` to one palette, leaving the others untouched
+  const updatePalette = useCallback((paletteId, update) => {
+    setPalettes(prev => prev.map(palette => (
+      palette.id === paletteId ? { ...palette, ...update(palette) } : palette
+    )));
+  }, []);
+
+  // `activate: false` keeps the current palette, which indexed artwork is drawn with
+  const addPalette = useCallback(({ name, colors, maxColors } = {}, { activate = true } = {}) => {
+    const palette = createPalette({ name: name || 'New Palette', colors: colors || [], maxColors: maxColors || null });
+    setPalettes(prev => [...prev, palette]);
+    if (activate) setActivePaletteId(palette.id);
+    return palette.id;
+  }, []);
+
+  const renamePalette = useCallback((paletteId, name) => {
+    if (!name) return;
+    updatePalette(paletteId, () => ({ name }));
+  }, [updatePalette]);
+
+  const deletePalette = useCallback((paletteId) => {
+    if (palettes.length <= 1) return; // Always keep one palette
+    if (colorMode === 'indexed' && paletteId === activePaletteId) return; // The artwork's slots point into it
+    const index = palettes.findIndex(palette => palette.id === paletteId);
+    if (index === -1) return;
+    const next = palettes.filter(palette => palette.id !== paletteId);
+    setPalettes(next);
+    if (activePaletteId === paletteId) {
+      setActivePaletteId(next[Math.min(index, next.length - 1)].id);
+    }
+  }, [palettes, activePaletteId, colorMode]);
+
+  const addPaletteColor = useCallback((paletteId, color) => {
+    if (!color) return;
+    updatePalette(paletteId, palette => ({
+      colors: palette.colors.includes(color) || isPaletteFull(palette) ? palette.colors : [...palette.colors, color],
+    }));
+  }, [updatePalette]);
+
+  // Sets the most colors a palette may hold (null for no limit); never below the colors it already has
+  const setPaletteMaxColors = useCallback((paletteId, maxColors) => {
+    updatePalette(paletteId, palette => ({
+      maxColors: maxColors
+        ? Math.min(MAX_PALETTE_COLORS, Math.max(palette.colors.length, 1, Math.round(maxColors)))
+        : null,
+    }));
+  }, [updatePalette]);
+
+  // Recolors one slot; in indexed mode every pixel using the slot changes with it
+  const setPaletteColor = useCallback((paletteId, index, color) => {
+    if (!color) return;
+    updatePalette(paletteId, palette => ({
+      colors: palette.colors.map((existing, i) => (i === index ? color : existing)),
+    }));
+  }, [updatePalette]);
+
+  // Indexed pixels refer to slots by position, so slots only move or disappear in literal mode
+  const removePaletteColor = useCallback((paletteId, index) => {
+    if (colorMode === 'indexed') return;
+    updatePalette(paletteId, palette => ({
+      colors: palette.colors.filter((_, i) => i !== index),
+    }));
+  }, [updatePalette, colorMode]);
+
+  const movePaletteColor = useCallback((paletteId, fromIndex, toIndex) => {
+    if (colorMode === 'indexed') return;
+    updatePalette(paletteId, palette => ({
+      colors: moveItem(palette.colors, fromIndex, toIndex),
+    }));
+  }, [updatePalette, colorMode]);
+
+  // Replaces every palette at once (used when loading projects)
+  const replacePalettes = useCallback((nextPalettes, nextActiveId) => {
+    if (!Array.isArray(nextPalettes) || nextPalettes.length === 0) return;
+    setPalettes(nextPalettes);
+    setActivePaletteId(nextPalettes.some(palette => palette.id === nextActiveId) ? nextActiveId : nextPalettes[0].id);
+  }, []);
+
   return {
     activeTool,
     setActiveTool,
+    shapeFilled,
+    setShapeFilled,
     activeColor, // Keep state for potential non-critical reads
     activeColorRef, // Expose the ref
     pickerColor,
@@ -51,5 +146,21 @@ export const useToolState = (initialColor = 'rgba(230, 2, 123, 1)') => {
     selectColor,       // For picker onBlur and history clicks
     colorHistory,
     setColorHistory,   // Keep direct setter if needed for loading projects
+    palettes,
+    activePaletteId,
+    setActivePaletteId,
+    addPalette,
+    renamePalette,
+    deletePalette,
+    addPaletteColor,
+    setPaletteMaxColors,
+    setPaletteColor,
+    removePaletteColor,
+    movePaletteColor,
+    replacePalettes,
+    activePaletteColors, // Colors of the active palette in either color mode
+    colorMode,
+    setColorMode,
+    indexedPalette,
   };
 }; 
\ No newline at end of file
@@ -1,4 +1,6 @@
 import { useState, useCallback } from 'react';
+import { DEFAULT_SYMMETRY, SYMMETRY_MODES } from '../utils/symmetryUtils';
+import { DEFAULT_VOXEL_SETTINGS } from '../utils/voxelMesh';
 
 /**
  * Hook for managing UI-related state in the application
@@ -10,6 +12,8 @@ export const useUIState = (initialState = {}) => {
     showGrid: true,
     rendererType: 'canvas', // 'canvas', 'svg', or 'webgl'
     showPerformanceMonitor: false,
+    symmetry: DEFAULT_SYMMETRY, // { mode, axisX, axisY, radialCount }
+    voxel: { preview: false, ...DEFAULT_VOXEL_SETTINGS }, // 3D preview toggle and extrusion { depth, bevel }
     
     // Modal visibility states
     modals: {
@@ -17,6 +21,8 @@ export const useUIState = (initialState = {}) => {
       import: false,
       customShape: false,
       settings: false,
+      recentProjects: false,
+      saveProject: false,
     },
   };
 
@@ -36,11 +42,11 @@ export const useUIState = (initialState = {}) => {
     }));
   }, []);
 
-  // Toggle grid visibility
-  const toggleGrid = useCallback(() => {
+  // Toggle grid visibility, or set it when given a boolean
+  const toggleGrid = useCallback((isVisible) => {
     setUIState(prev => ({
       ...prev,
-      showGrid: !prev.showGrid,
+      showGrid: typeof isVisible === 'boolean' ? isVisible : !prev.showGrid,
     }));
   }, []);
 
@@ -54,6 +60,30 @@ export const useUIState = (initialState = {}) => {
     }));
   }, []);
 
+  // Merge symmetry settings, ignoring unknown modes
+  const setSymmetry = useCallback((updates) => {
+    if (updates.mode !== undefined && !SYMMETRY_MODES.includes(updates.mode)) return;
+
+    setUIState(prev => ({
+      ...prev,
+      symmetry: {
+        ...prev.symmetry,
+        ...updates,
+      },
+    }));
+  }, []);
+
+  // Merge 3D voxel settings
+  const setVoxelSettings = useCallback((updates) => {
+    setUIState(prev => ({
+      ...prev,
+      voxel: {
+        ...prev.voxel,
+        ...updates,
+      },
+    }));
+  }, []);
+
   // Toggle performance monitor
   const togglePerformanceMonitor = useCallback(() => {
     setUIState(prev => ({
@@ -92,6 +122,14 @@ export const useUIState = (initialState = {}) => {
     toggleModal('settings', isOpen);
   }, [toggleModal]);
 
+  const toggleRecentProjectsModal = useCallback((isOpen) => {
+    toggleModal('recentProjects', isOpen);
+  }, [toggleModal]);
+
+  const toggleSaveProjectModal = useCallback((isOpen) => {
+    toggleModal('saveProject', isOpen);
+  }, [toggleModal]);
+
   return {
     // Raw state
     uiState,
@@ -102,12 +140,16 @@ export const useUIState = (initialState = {}) => {
     showGrid: uiState.showGrid,
     rendererType: uiState.rendererType,
     showPerformanceMonitor: uiState.showPerformanceMonitor,
+    symmetry: uiState.symmetry,
+    voxel: uiState.voxel,
     modals: uiState.modals,
     
     // State handlers
     setMode,
     toggleGrid,
     setRendererType,
+    setSymmetry,
+    setVoxelSettings,
     togglePerformanceMonitor,
     toggleModal,
     
@@ -116,5 +158,7 @@ export const useUIState = (initialState = {}) => {
     toggleImportModal,
     toggleCustomShapeModal,
     toggleSettingsModal,
+    toggleRecentProjectsModal,
+    toggleSaveProjectModal,
   };
 }; 
\ No newline at end of file
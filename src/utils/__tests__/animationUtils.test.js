@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createFrame,
+  createEmptyLayersLike,
+  clampFrameDuration,
+  moveItem,
+  applyOnionSkin,
+  DEFAULT_FRAME_DURATION
+} from '../animationUtils';
+import { createLayer } from '../layerUtils';
+
+describe('animationUtils', () => {
+  describe('createFrame', () => {
+    it('creates a frame with the default duration and a unique id', () => {
+      const layers = [createLayer({ width: 1, height: 1 })];
+      const a = createFrame({ layers });
+      const b = createFrame({ layers });
+
+      expect(a.layers).toBe(layers);
+      expect(a.duration).toBe(DEFAULT_FRAME_DURATION);
+      expect(a.id).not.toBe(b.id);
+    });
+  });
+
+  describe('clampFrameDuration', () => {
+    it('rounds and clamps to the supported range', () => {
+      expect(clampFrameDuration(120.4)).toBe(120);
+      expect(clampFrameDuration(1)).toBe(10);
+      expect(clampFrameDuration(99999)).toBe(10000);
+      expect(clampFrameDuration('abc')).toBe(DEFAULT_FRAME_DURATION);
+    });
+  });
+
+  describe('createEmptyLayersLike', () => {
+    it('keeps layer ids and settings but clears the grids', () => {
+      const layer = { ...createLayer({ name: 'Ink', grid: [['#000']] }), opacity: 0.5 };
+      const [copy] = createEmptyLayersLike([layer], 2, 1);
+
+      expect(copy.id).toBe(layer.id);
+      expect(copy.name).toBe('Ink');
+      expect(copy.opacity).toBe(0.5);
+      expect(copy.grid).toEqual([[null, null]]);
+    });
+  });
+
+  describe('moveItem', () => {
+    it('moves an item to a new index', () => {
+      expect(moveItem(['a', 'b', 'c'], 0, 2)).toEqual(['b', 'c', 'a']);
+      expect(moveItem(['a', 'b', 'c'], 2, 0)).toEqual(['c', 'a', 'b']);
+    });
+
+    it('returns the same array for invalid or no-op moves', () => {
+      const items = ['a', 'b'];
+      expect(moveItem(items, 1, 1)).toBe(items);
+      expect(moveItem(items, 0, 5)).toBe(items);
+    });
+  });
+
+  describe('applyOnionSkin', () => {
+    it('returns the current grid when no neighbours are shown', () => {
+      const current = [['#FF0000']];
+      expect(applyOnionSkin(current, null, null, 0.3, 1, 1)).toBe(current);
+    });
+
+    it('shows ghosts only where the current frame is empty', () => {
+      const current = [['#FF0000', null]];
+      const previous = [['#0000FF', '#0000FF']];
+      const result = applyOnionSkin(current, previous, null, 0.25, 2, 1);
+
+      expect(result[0][0]).toBe('#FF0000');
+      expect(result[0][1]).toBe('rgba(0, 0, 255, 0.25)');
+    });
+  });
+});
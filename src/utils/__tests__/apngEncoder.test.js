@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { inflateSync } from 'node:zlib';
+import { crc32, encodePng, encodeApng } from '../apngEncoder';
+
+const readChunks = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 8;
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    const crc = view.getUint32(offset + 8 + length);
+    chunks.push({ type, data, crcValid: crc === crc32(bytes.subarray(offset + 4, offset + 8 + length)) });
+    offset += 12 + length;
+  }
+  return chunks;
+};
+
+describe('apngEncoder', () => {
+  it('computes the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('IEND'))).toBe(0xae426082);
+  });
+
+  it('writes an animated PNG with one fcTL per frame', async () => {
+    const red = Uint8ClampedArray.from([255, 0, 0, 255, 255, 0, 0, 128]);
+    const blue = Uint8ClampedArray.from([0, 0, 255, 255, 0, 0, 0, 0]);
+    const bytes = await encodeApng([
+      { data: red, delay: 120 },
+      { data: blue, delay: 80 },
+    ], 2, 1, { loopCount: 3 });
+
+    expect([...bytes.subarray(0, 8)]).toEqual([137, 80, 78, 71, 13, 10, 26, 10]);
+
+    const chunks = readChunks(bytes);
+    expect(chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'IEND']);
+    expect(chunks.every(chunk => chunk.crcValid)).toBe(true);
+
+    const acTL = new DataView(chunks[1].data.buffer, chunks[1].data.byteOffset);
+    expect(acTL.getUint32(0)).toBe(2); // Frame count
+    expect(acTL.getUint32(4)).toBe(3); // Plays
+
+    const secondControl = new DataView(chunks[4].data.buffer, chunks[4].data.byteOffset);
+    expect(secondControl.getUint32(0)).toBe(1); // Sequence number
+    expect(secondControl.getUint16(20)).toBe(80); // Delay numerator (ms)
+    expect(secondControl.getUint16(22)).toBe(1000);
+
+    // Filter byte followed by the RGBA row
+    expect([...inflateSync(chunks[3].data)]).toEqual([0, ...red]);
+    expect([...inflateSync(chunks[5].data.subarray(4))]).toEqual([0, ...blue]);
+  });
+
+  it('writes a still PNG without animation chunks', async () => {
+    const pixels = Uint8ClampedArray.from([255, 0, 0, 255, 0, 0, 255, 128]);
+    const bytes = await encodePng(pixels, 1, 2);
+
+    const chunks = readChunks(bytes);
+    expect(chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'IDAT', 'IEND']);
+    expect(chunks.every(chunk => chunk.crcValid)).toBe(true);
+    const header = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset);
+    expect([header.getUint32(0), header.getUint32(4)]).toEqual([1, 2]);
+    expect([...inflateSync(chunks[1].data)]).toEqual([0, 255, 0, 0, 255, 0, 0, 0, 255, 128]);
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect } from 'vitest';
+import { parseAseprite, writeAseprite } from '../asepriteFormat';
+import { serializeAse } from '../paletteUtils';
+
+const RED = '#ff0000';
+const HALF_BLUE = 'rgba(0, 0, 255, 0.502)';
+
+const grid = (rows) => rows.map(row => row.map(cell => (cell === '.' ? null : cell)));
+
+const layer = (id, name, rows, extra = {}) => ({
+  id, name, visible: true, opacity: 1, locked: false, blendMode: 'normal', grid: grid(rows), ...extra,
+});
+
+const project = {
+  filename: 'Walk',
+  gridDimensions: { width: 3, height: 2 },
+  pixelGrid: grid([[RED, '.', '.'], ['.', '.', '.']]),
+  layers: [],
+  animation: {
+    frames: [
+      {
+        id: 'f1',
+        duration: 120,
+        layers: [
+          layer('a', 'Body', [[RED, '.', '.'], ['.', '.', '.']]),
+          layer('b', 'Shade', [['.', '.', '.'], ['.', HALF_BLUE, HALF_BLUE]], { opacity: 0.5, blendMode: 'multiply', locked: true, visible: false }),
+        ],
+      },
+      {
+        id: 'f2',
+        duration: 80,
+        layers: [
+          layer('a', 'Body', [['.', RED, '.'], ['.', '.', '.']]),
+          layer('b', 'Shade', [['.', '.', '.'], ['.', '.', '.']], { opacity: 0.5, blendMode: 'multiply', locked: true, visible: false }),
+        ],
+      },
+    ],
+  },
+  palettes: [{ id: 'p1', name: 'Warm', colors: [RED, '#00ff00'] }],
+  activePaletteId: 'p1',
+  colorMode: 'literal',
+};
+
+// Builds a hand-written sprite: an RGBA file with a hidden group, raw and linked cels
+const buildRawSprite = () => {
+  const bytes = [];
+  const u8 = (...values) => values.forEach(value => bytes.push(value & 255));
+  const u16 = (value) => u8(value, value >> 8);
+  const u32 = (value) => { u16(value & 0xffff); u16(value >>> 16); };
+  const chunk = (type, write) => {
+    const start = bytes.length;
+    u32(0);
+    u16(type);
+    write();
+    const size = bytes.length - start;
+    [size & 255, (size >> 8) & 255, (size >> 16) & 255, size >>> 24].forEach((value, i) => { bytes[start + i] = value; });
+  };
+  const frame = (duration, chunks) => {
+    const start = bytes.length;
+    u32(0);
+    u16(0xf1fa);
+    u16(chunks.length);
+    u16(duration);
+    u8(0, 0);
+    u32(chunks.length);
+    chunks.forEach(([type, write]) => chunk(type, write));
+    const size = bytes.length - start;
+    [size & 255, (size >> 8) & 255, (size >> 16) & 255, size >>> 24].forEach((value, i) => { bytes[start + i] = value; });
+  };
+  const layerChunk = (flags, type, childLevel, name) => [0x2004, () => {
+    u16(flags); u16(type); u16(childLevel); u16(0); u16(0); u16(0); u8(255, 0, 0, 0);
+    u16(name.length); u8(...[...name].map(char => char.charCodeAt(0)));
+  }];
+
+  // Header: 2x2 RGBA, two frames, no layer opacity flag
+  u32(0); u16(0xa5e0); u16(2); u16(2); u16(2); u16(32); u32(0); u16(100);
+  u32(0); u32(0); u8(0, 0, 0, 0); u16(0); u8(1, 1); u16(0); u16(0); u16(16); u16(16);
+  for (let i = 0; i < 84; i++) u8(0);
+
+  frame(50, [
+    layerChunk(3, 0, 0, 'Ink'),
+    layerChunk(2, 1, 0, 'Hidden group'),
+    layerChunk(3, 0, 1, 'Inside'),
+    // Raw 2x1 cel at (1, 0): the second pixel falls off the canvas
+    [0x2005, () => { u16(0); u16(1); u16(0); u8(128); u16(0); u16(0); u8(0, 0, 0, 0, 0); u16(2); u16(1); u8(0, 255, 0, 255, 9, 9, 9, 255); }],
+    [0x2005, () => { u16(2); u16(0); u16(1); u8(255); u16(0); u16(0); u8(0, 0, 0, 0, 0); u16(1); u16(1); u8(1, 2, 3, 255); }],
+  ]);
+  frame(70, [
+    // Linked to the cel of frame 0
+    [0x2005, () => { u16(0); u16(0); u16(0); u8(255); u16(1); u16(0); u8(0, 0, 0, 0, 0); u16(0); }],
+  ]);
+  return Uint8Array.from(bytes);
+};
+
+describe('asepriteFormat', () => {
+  it('round-trips layers, frames, durations and the palette of an RGBA sprite', async () => {
+    const bytes = await writeAseprite(project);
+    const loaded = await parseAseprite(bytes, { name: 'Walk' });
+
+    expect(new DataView(bytes.buffer).getUint16(4, true)).toBe(0xa5e0);
+    expect(loaded.colorMode).toBe('literal');
+    expect(loaded.gridDimensions).toEqual({ width: 3, height: 2 });
+    expect(loaded.palettes).toEqual([{ name: 'Walk', colors: [RED, '#00ff00'] }]);
+    expect(loaded.animation.frames.map(frame => frame.duration)).toEqual([120, 80]);
+
+    const [first, second] = loaded.animation.frames;
+    expect(first.layers.map(({ name, visible, opacity, blendMode, locked }) => ({ name, visible, opacity, blendMode, locked }))).toEqual([
+      { name: 'Body', visible: true, opacity: 1, blendMode: 'normal', locked: false },
+      { name: 'Shade', visible: false, opacity: 0.5, blendMode: 'multiply', locked: true },
+    ]);
+    expect(first.layers[1].grid).toEqual(project.animation.frames[0].layers[1].grid);
+    expect(second.layers[0].grid).toEqual(project.animation.frames[1].layers[0].grid);
+    // Layers keep one id across frames
+    expect(second.layers.map(item => item.id)).toEqual(first.layers.map(item => item.id));
+    expect(loaded.pixelGrid[0][0]).toBe(RED);
+  });
+
+  it('writes indexed projects as indexed sprites with palette slots', async () => {
+    const indexed = {
+      gridDimensions: { width: 2, height: 1 },
+      pixelGrid: [['#00ff00', null]],
+      layers: [layer('a', 'Ink', [[1, '.']])],
+      palettes: project.palettes,
+      activePaletteId: 'p1',
+      colorMode: 'indexed',
+    };
+    const bytes = await writeAseprite(indexed);
+    const loaded = await parseAseprite(bytes);
+
+    expect(new DataView(bytes.buffer).getUint16(12, true)).toBe(8);
+    expect(loaded.colorMode).toBe('indexed');
+    expect(loaded.palettes[0].colors).toEqual([RED, '#00ff00']);
+    expect(loaded.layers[0].grid).toEqual([[1, null]]);
+    expect(loaded.pixelGrid).toEqual([['#00ff00', null]]);
+  });
+
+  it('reads raw, offset and linked cels and hides layers of hidden groups', async () => {
+    const loaded = await parseAseprite(buildRawSprite());
+
+    expect(loaded.layers.map(({ name, visible }) => ({ name, visible }))).toEqual([
+      { name: 'Ink', visible: true },
+      { name: 'Inside', visible: false },
+    ]);
+    // Cel opacity is folded into the pixel alpha
+    expect(loaded.layers[0].grid).toEqual([[null, 'rgba(0, 255, 0, 0.502)'], [null, null]]);
+    expect(loaded.layers[1].grid).toEqual([[null, null], ['#010203', null]]);
+    expect(loaded.animation.frames[1].duration).toBe(70);
+    expect(loaded.animation.frames[1].layers[0].grid).toEqual(loaded.layers[0].grid);
+    expect(loaded.palettes).toBeUndefined();
+  });
+
+  it('explains files it cannot read', async () => {
+    await expect(parseAseprite(serializeAse({ name: 'Swatches', colors: [RED] }))).rejects.toThrow('Adobe Swatch Exchange');
+    await expect(parseAseprite(new Uint8Array(200))).rejects.toThrow('Not an Aseprite file');
+
+    const truncated = (await writeAseprite(project)).slice(0, 140);
+    await expect(parseAseprite(truncated)).rejects.toThrow('Corrupt Aseprite file');
+  });
+});
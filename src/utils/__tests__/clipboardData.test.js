@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { parseClipboardText, getFileKind } from '../clipboardData';
+import { compactProject } from '../projectFormat';
+
+describe('clipboardData', () => {
+  describe('parseClipboardText', () => {
+    it('turns Figma payloads into a floating selection', () => {
+      const text = `PIXELPOP_FIGMA_DATA:${JSON.stringify({ grid: [['#FF0000', null], ['#00FF00']], width: 2, height: 2 })}`;
+      expect(parseClipboardText(text)).toEqual({
+        type: 'selection',
+        buffer: { width: 2, height: 2, data: [['#FF0000', null], ['#00FF00', null]] },
+      });
+    });
+
+    it('recognizes saved projects', () => {
+      const json = JSON.stringify({ gridDimensions: { width: 1, height: 1 }, pixelGrid: [[null]] });
+      expect(parseClipboardText(`  ${json}\n`)).toEqual({ type: 'project', json });
+    });
+
+    it('recognizes compact projects', () => {
+      const json = JSON.stringify(compactProject({ gridDimensions: { width: 1, height: 1 }, pixelGrid: [['#fff']] }));
+      expect(parseClipboardText(json)).toEqual({ type: 'project', json });
+    });
+
+    it('ignores other text and broken payloads', () => {
+      expect(parseClipboardText('hello')).toBe(null);
+      expect(parseClipboardText('{"name": "not a project"}')).toBe(null);
+      expect(parseClipboardText('PIXELPOP_FIGMA_DATA:{oops')).toBe(null);
+      expect(parseClipboardText('PIXELPOP_FIGMA_DATA:{"grid": []}')).toBe(null);
+    });
+  });
+
+  it('sorts files into images, Aseprite sprites and projects', () => {
+    expect(getFileKind(new File([''], 'sprite.png', { type: 'image/png' }))).toBe('image');
+    expect(getFileKind(new File([''], 'walk.aseprite'))).toBe('aseprite');
+    expect(getFileKind(new File([''], 'walk.ASE'))).toBe('aseprite');
+    expect(getFileKind(new File(['{}'], 'art.json'))).toBe('project');
+    expect(getFileKind(new File([''], 'art.pixelpop'))).toBe('project');
+    expect(getFileKind(new File([''], 'walk.piskel'))).toBe('project');
+    expect(getFileKind(new File([''], 'notes.txt', { type: 'text/plain' }))).toBe(null);
+  });
+});
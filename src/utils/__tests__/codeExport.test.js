@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { buildBoxShadowCss, buildReactComponent, svgToDataUri, toComponentName } from '../codeExport';
+import { buildSvg } from '../svgExport';
+
+const RED = '#ff0000';
+const BLUE = '#0000ff';
+
+describe('codeExport', () => {
+  it('draws pixels as box-shadows of a pixel-sized pseudo-element', () => {
+    const css = buildBoxShadowCss([[RED, null], [null, 'rgba(0, 0, 255, 0.5)']], { pixelSize: 10, gridGap: 2, padding: 4 });
+
+    expect(css).toContain('.pixel-art {\n  position: relative;\n  display: inline-block;\n  width: 32px;\n  height: 32px;\n}');
+    expect(css).toContain('  top: -10px;\n  left: -10px;\n  width: 10px;\n  height: 10px;');
+    expect(css).toContain('  box-shadow:\n    15px 15px #ff0000,\n    27px 27px rgba(0, 0, 255, 0.5);');
+    expect(css).not.toContain('border-radius');
+  });
+
+  it('carries circles, rounded corners, scale and background over to CSS', () => {
+    expect(buildBoxShadowCss([[RED]], { pixelSize: 10, pixelShape: 'circle' })).toContain('border-radius: 50%;');
+
+    const rounded = buildBoxShadowCss([[RED]], {
+      pixelSize: 10,
+      scale: 2,
+      background: '#222222',
+      className: 'hero',
+      cornerRadius: { enabled: true, topLeft: 20, topRight: 80, bottomRight: 0, bottomLeft: 10 },
+    });
+    expect(rounded).toContain('.hero::before {');
+    expect(rounded).toContain('border-radius: 20% 50% 0% 10%;');
+    expect(rounded).toContain('background: #222222;');
+    expect(rounded).toContain('20px 20px #ff0000;');
+    expect(buildBoxShadowCss([[null]], { pixelSize: 10 })).toContain('box-shadow: none;');
+  });
+
+  it('wraps the SVG export in a React component with size and color props', () => {
+    const svg = buildSvg([[RED, BLUE]], {
+      pixelSize: 10,
+      glowEnabled: true,
+      glowSettings: { size: 10, opacity: 25, spread: 10, offsetX: 0, offsetY: 0, blendMode: 'screen' },
+    });
+    const source = buildReactComponent(svg, { componentName: 'Hero' });
+
+    expect(source).toContain('export default function Hero({ size = 20, colors = {}, ...props }) {');
+    expect(source).toContain('height={(size * 10) / 20}');
+    expect(source).toContain(' * Colors: #ff0000, #0000ff');
+    expect(source).toContain("fill={color('#ff0000')}");
+    expect(source).toContain('<filter id={`${id}-glow`} filterUnits="userSpaceOnUse"');
+    expect(source).toContain('filter={`url(#${id}-glow)`}');
+    expect(source).toContain('href={`#${id}-c0`}');
+    expect(source).toContain("style={{ mixBlendMode: 'screen' }}");
+    expect(source).toContain('colorInterpolationFilters="sRGB"');
+    expect(source).not.toMatch(/ [a-z]+-[a-z]+=/);
+    expect(() => buildReactComponent('<div></div>')).toThrow('Not an SVG document');
+  });
+
+  it('names components and encodes data URIs', () => {
+    expect(toComponentName('space ship_2')).toBe('SpaceShip2');
+    expect(toComponentName('8-bit hero')).toBe('PixelArt8BitHero');
+    expect(toComponentName('')).toBe('PixelArt');
+
+    const uri = svgToDataUri('<svg>é</svg>');
+    expect(uri.startsWith('data:image/svg+xml;base64,')).toBe(true);
+    const decoded = new TextDecoder().decode(Uint8Array.from(atob(uri.split(',')[1]), char => char.charCodeAt(0)));
+    expect(decoded).toBe('<svg>é</svg>');
+  });
+});
@@ -3,7 +3,13 @@ import {
   hexToRgba, 
   rgbaToHex, 
   getRgbaOpacity,
-  updateRgbaOpacity 
+  updateRgbaOpacity,
+  parseColor,
+  channelsToColor,
+  rgbToLab,
+  labToRgb,
+  rgbToOklab,
+  oklabToRgb
 } from '../colorUtils';
 
 describe('colorUtils', () => {
@@ -89,4 +95,51 @@ describe('colorUtils', () => {
         .toBe('rgba(0, 0, 0, 0)');
     });
   });
-}); 
\ No newline at end of file
+
+  describe('parseColor', () => {
+    it('parses hex colors', () => {
+      expect(parseColor('#FF8000')).toEqual({ r: 255, g: 128, b: 0, a: 1 });
+      expect(parseColor('#F00')).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+      expect(parseColor('#00000080').a).toBeCloseTo(0.5, 2);
+    });
+
+    it('parses rgb and rgba colors', () => {
+      expect(parseColor('rgba(1, 2, 3, 0.25)')).toEqual({ r: 1, g: 2, b: 3, a: 0.25 });
+      expect(parseColor('rgb(4,5,6)')).toEqual({ r: 4, g: 5, b: 6, a: 1 });
+    });
+
+    it('returns null for unrecognized input', () => {
+      expect(parseColor(null)).toBeNull();
+      expect(parseColor('red')).toBeNull();
+      expect(parseColor('#GG0000')).toBeNull();
+    });
+  });
+
+  describe('channelsToColor', () => {
+    it('writes opaque colors as hex and translucent ones as rgba', () => {
+      expect(channelsToColor(255, 128, 0)).toBe('#ff8000');
+      expect(channelsToColor(1, 2, 3, 128)).toBe('rgba(1, 2, 3, 0.502)');
+    });
+  });
+
+  describe('perceptual color spaces', () => {
+    const samples = [{ r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 }, { r: 200, g: 30, b: 120 }, { r: 12, g: 180, b: 90 }];
+    const rounded = ({ r, g, b }) => ({ r: Math.round(r), g: Math.round(g), b: Math.round(b) });
+
+    it('maps white to full lightness and no chroma', () => {
+      const lab = rgbToLab({ r: 255, g: 255, b: 255 });
+      expect(lab.l).toBeCloseTo(100, 1);
+      expect(lab.a).toBeCloseTo(0, 1);
+      const oklab = rgbToOklab({ r: 255, g: 255, b: 255 });
+      expect(oklab.l).toBeCloseTo(1, 3);
+      expect(oklab.b).toBeCloseTo(0, 3);
+    });
+
+    it('round-trips sRGB through CIELAB and OKLab', () => {
+      samples.forEach(color => {
+        expect(rounded(labToRgb(rgbToLab(color)))).toEqual(color);
+        expect(rounded(oklabToRgb(rgbToOklab(color)))).toEqual(color);
+      });
+    });
+  });
+});
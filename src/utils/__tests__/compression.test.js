@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { compressBytes, decompressBytes } from '../compression';
+
+describe('compression', () => {
+  it('round-trips bytes as zlib-wrapped deflate', async () => {
+    const bytes = new TextEncoder().encode('pixel '.repeat(200));
+    const compressed = await compressBytes(bytes);
+
+    expect(compressed.length).toBeLessThan(bytes.length);
+    expect(compressed[0]).toBe(0x78); // zlib header
+    expect(new TextDecoder().decode(await decompressBytes(compressed))).toBe('pixel '.repeat(200));
+  });
+
+  it('rejects corrupt data through the returned promise only', async () => {
+    await expect(decompressBytes(Uint8Array.from([1, 2, 3, 4]))).rejects.toThrow();
+  });
+});
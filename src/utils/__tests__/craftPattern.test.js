@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { buildCraftChart, buildMaterialsCsv, countBoards, matchCraftColors } from '../craftPattern';
+import { CRAFT_CATALOGS } from '../craftCatalogs';
+
+describe('craftPattern', () => {
+  it('matches colors to the nearest catalog entry and counts them', () => {
+    const grid = [
+      ['#bf2e40', '#be2f41', null],
+      ['#000000', 'rgba(0, 0, 0, 0)', '#c02e40'],
+    ];
+    const { cells, materials } = matchCraftColors(grid, 'perler');
+
+    expect(materials.map(({ code, count }) => ({ code, count }))).toEqual([
+      { code: 'P05', count: 3 },
+      { code: 'P18', count: 1 },
+    ]);
+    expect(materials.map(material => material.symbol)).toEqual(['●', '■']);
+    // Fully transparent pixels are left empty
+    expect(cells).toEqual([[0, 0, null], [1, null, 0]]);
+    expect(() => matchCraftColors(grid, 'crayons')).toThrow('Unknown craft catalog');
+  });
+
+  it('has unique codes and valid colors in every catalog', () => {
+    Object.values(CRAFT_CATALOGS).forEach(catalog => {
+      const codes = catalog.colors.map(entry => entry.code);
+      expect(new Set(codes).size).toBe(codes.length);
+      catalog.colors.forEach(entry => expect(entry.hex).toMatch(/^#[0-9A-F]{6}$/));
+    });
+  });
+
+  it('draws a chart with symbols, numbering, board splits and materials', () => {
+    const grid = Array.from({ length: 3 }, () => Array.from({ length: 35 }, (_, x) => (x < 30 ? '#000000' : '#ffffff')));
+    const pattern = matchCraftColors(grid, 'hama');
+    const svg = buildCraftChart(pattern, { title: 'Tiles & <more>' });
+
+    expect(countBoards(35, 3, 29)).toEqual({ columns: 2, rows: 1 });
+    expect(svg).toContain('Tiles &amp; &lt;more&gt;');
+    expect(svg).toContain('Hama beads (Midi) · 35×3 · 105 beads · 2 board(s) of 29×29');
+    expect((svg.match(/>●</g) || []).length).toBe(91);
+    expect(svg).toContain('stroke="#D0021B"');
+    expect(svg).toContain('M628 96v60');
+    expect(svg).toContain('>35</text>');
+    expect(svg).toContain('>18 Black</text>');
+    expect(svg).toContain('>01 White</text>');
+  });
+
+  it('lists materials as CSV with a total', () => {
+    const pattern = matchCraftColors([['#000000', '#000000', '#ffffff']], 'dmc');
+    expect(buildMaterialsCsv(pattern)).toBe(
+      'Symbol,Code,Name,Color,Count\n●,310,Black,#000000,2\n■,B5200,Snow White,#FFFFFF,1\n,,Total stitches,,3\n'
+    );
+  });
+});
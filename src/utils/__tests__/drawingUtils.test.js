@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { getLinePixels, getRectPixels, getEllipsePixels, constrainToSquare } from '../drawingUtils';
+
+describe('drawingUtils', () => {
+  describe('getLinePixels', () => {
+    it('includes both end points', () => {
+      expect(getLinePixels(2, 1, 0, 1)).toEqual([
+        { x: 2, y: 1 },
+        { x: 1, y: 1 },
+        { x: 0, y: 1 }
+      ]);
+    });
+  });
+
+  describe('getRectPixels', () => {
+    it('returns only the border for outlines', () => {
+      expect(getRectPixels(0, 0, 2, 2)).toHaveLength(8);
+    });
+
+    it('returns every cell when filled', () => {
+      expect(getRectPixels(0, 0, 2, 2, true)).toHaveLength(9);
+    });
+  });
+
+  describe('getEllipsePixels', () => {
+    it('does not return duplicate points', () => {
+      const pixels = getEllipsePixels(0, 0, 1, 5);
+      const keys = new Set(pixels.map(({ x, y }) => `${x},${y}`));
+      expect(keys.size).toBe(pixels.length);
+    });
+
+    it('stays inside the bounding box', () => {
+      getEllipsePixels(3, 2, 10, 6, true).forEach(({ x, y }) => {
+        expect(x).toBeGreaterThanOrEqual(3);
+        expect(x).toBeLessThanOrEqual(10);
+        expect(y).toBeGreaterThanOrEqual(2);
+        expect(y).toBeLessThanOrEqual(6);
+      });
+    });
+  });
+
+  describe('constrainToSquare', () => {
+    it('extends the shorter side to match the longer one', () => {
+      expect(constrainToSquare(0, 0, 5, 2)).toEqual({ x: 5, y: 5 });
+    });
+
+    it('keeps the drag direction', () => {
+      expect(constrainToSquare(5, 5, 3, 9)).toEqual({ x: 1, y: 9 });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import { buildGifPalette, lzwEncode, encodeGif } from '../gifEncoder';
+
+// Minimal GIF LZW decoder used to check the encoder output
+const lzwDecode = (bytes, minCodeSize, pixelCount) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let table = [];
+  const reset = () => {
+    table = [];
+    for (let i = 0; i < clearCode; i++) table.push([i]);
+    table.push([], []);
+    codeSize = minCodeSize + 1;
+  };
+  reset();
+
+  const output = [];
+  let bitPos = 0;
+  let previous = null;
+  while (output.length <= pixelCount) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++) {
+      const bit = (bytes[(bitPos + i) >> 3] >> ((bitPos + i) & 7)) & 1;
+      code |= bit << i;
+    }
+    bitPos += codeSize;
+    if (code === clearCode) {
+      reset();
+      previous = null;
+      continue;
+    }
+    if (code === endCode) break;
+
+    let entry;
+    if (code < table.length) {
+      entry = table[code];
+      if (previous) table.push([...previous, entry[0]]);
+    } else {
+      entry = [...previous, previous[0]];
+      table.push(entry);
+    }
+    output.push(...entry);
+    previous = entry;
+    if (table.length === (1 << codeSize) && codeSize < 12) codeSize++;
+  }
+  return output;
+};
+
+const solidFrame = (width, height, [r, g, b, a]) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = a;
+  }
+  return data;
+};
+
+describe('gifEncoder', () => {
+  describe('buildGifPalette', () => {
+    it('keeps exact colors and reserves a transparent entry', () => {
+      const data = Uint8ClampedArray.from([
+        255, 0, 0, 255,
+        0, 0, 255, 255,
+        0, 0, 0, 0,
+      ]);
+      const palette = buildGifPalette([data]);
+
+      expect(palette.colors).toHaveLength(3);
+      expect(palette.colors).toContainEqual([255, 0, 0]);
+      expect(palette.colors).toContainEqual([0, 0, 255]);
+      expect(palette.transparentIndex).toBe(2);
+    });
+
+    it('reduces large color sets to the palette limit', () => {
+      const data = new Uint8ClampedArray(300 * 4);
+      for (let i = 0; i < 300; i++) {
+        data[i * 4] = i % 256;
+        data[i * 4 + 1] = Math.floor(i / 2);
+        data[i * 4 + 3] = 255;
+      }
+      const palette = buildGifPalette([data], 16);
+
+      expect(palette.colors).toHaveLength(16);
+      expect(palette.transparentIndex).toBe(-1);
+    });
+  });
+
+  describe('lzwEncode', () => {
+    it('round-trips through a GIF LZW decoder', () => {
+      const indices = new Uint8Array(20000);
+      for (let i = 0; i < indices.length; i++) {
+        indices[i] = (i * 7 + (i >> 5) + ((i * i) >> 3)) % 13;
+      }
+      const encoded = lzwEncode(indices, 4);
+
+      expect(lzwDecode(encoded, 4, indices.length)).toEqual([...indices]);
+    });
+  });
+
+  describe('encodeGif', () => {
+    it('writes a looping GIF89a with one image per frame', () => {
+      const frames = [
+        { data: solidFrame(2, 2, [255, 0, 0, 255]), delay: 100 },
+        { data: solidFrame(2, 2, [0, 255, 0, 255]), delay: 250 },
+      ];
+      const bytes = encodeGif(frames, 2, 2);
+      const text = String.fromCharCode(...bytes);
+
+      expect(text.startsWith('GIF89a')).toBe(true);
+      expect(bytes[6] | (bytes[7] << 8)).toBe(2);
+      expect(text).toContain('NETSCAPE2.0');
+      expect(bytes[bytes.length - 1]).toBe(0x3b);
+
+      // Graphic control extensions carry the delays in hundredths of a second
+      const delays = [];
+      for (let i = 0; i < bytes.length - 7; i++) {
+        if (bytes[i] === 0x21 && bytes[i + 1] === 0xf9 && bytes[i + 2] === 4) {
+          delays.push(bytes[i + 4] | (bytes[i + 5] << 8));
+        }
+      }
+      expect(delays).toEqual([10, 25]);
+    });
+
+    it('omits the loop extension when playing once', () => {
+      const bytes = encodeGif([{ data: solidFrame(1, 1, [0, 0, 0, 255]), delay: 100 }], 1, 1, { loopCount: 1 });
+      expect(String.fromCharCode(...bytes)).not.toContain('NETSCAPE2.0');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { layoutIcon, renderIconPixels, buildIco, buildManifestIcons, buildAppIconFiles, APP_ICON_SIZES } from '../iconExport';
+
+const pixelAt = (pixels, size, x, y) => [...pixels.subarray((y * size + x) * 4, (y * size + x) * 4 + 4)];
+
+describe('iconExport', () => {
+  it('centers the artwork and enlarges it by whole multiples', () => {
+    expect(layoutIcon(16, 16, 180)).toEqual({ x: 2, y: 2, scale: 11, width: 176, height: 176 });
+    expect(layoutIcon(8, 4, 32, 25)).toEqual({ x: 8, y: 12, scale: 2, width: 16, height: 8 });
+    // Shrinking keeps the exact fit
+    expect(layoutIcon(64, 64, 16)).toMatchObject({ x: 0, y: 0, scale: 0.25, width: 16, height: 16 });
+  });
+
+  it('renders with nearest-neighbor scaling over the background', () => {
+    const grid = [
+      ['#ff0000', null],
+      [null, 'rgba(0, 0, 255, 0.5)'],
+    ];
+    const transparent = renderIconPixels(grid, 4);
+    expect(pixelAt(transparent, 4, 1, 1)).toEqual([255, 0, 0, 255]);
+    expect(pixelAt(transparent, 4, 2, 0)).toEqual([0, 0, 0, 0]);
+    expect(pixelAt(transparent, 4, 3, 3)).toEqual([0, 0, 255, 128]);
+
+    const filled = renderIconPixels(grid, 4, { background: '#ffffff' });
+    expect(pixelAt(filled, 4, 2, 0)).toEqual([255, 255, 255, 255]);
+    expect(pixelAt(filled, 4, 3, 3)).toEqual([128, 128, 255, 255]);
+  });
+
+  it('packs PNG images into an ICO directory', () => {
+    const small = Uint8Array.from([1, 2, 3]);
+    const large = Uint8Array.from([4, 5]);
+    const ico = buildIco([{ size: 16, png: small }, { size: 256, png: large }]);
+    const view = new DataView(ico.buffer);
+
+    expect([view.getUint16(0, true), view.getUint16(2, true), view.getUint16(4, true)]).toEqual([0, 1, 2]);
+    expect([ico[6], ico[7], view.getUint16(12, true), view.getUint32(14, true), view.getUint32(18, true)]).toEqual([16, 16, 32, 3, 38]);
+    expect([ico[22], ico[23], view.getUint32(30, true), view.getUint32(34, true)]).toEqual([0, 0, 2, 41]);
+    expect([...ico.subarray(38)]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('writes the manifest icons and the whole bundle', async () => {
+    expect(JSON.parse(buildManifestIcons('logo')).icons).toEqual([
+      { src: 'logo-192.png', sizes: '192x192', type: 'image/png' },
+      { src: 'logo-512.png', sizes: '512x512', type: 'image/png' },
+    ]);
+
+    const files = await buildAppIconFiles([['#00ff00']], { baseName: 'logo', padding: 10 });
+    expect(files.map(file => file.name)).toEqual([
+      'logo.ico',
+      ...APP_ICON_SIZES.map(size => `logo-${size}.png`),
+      'logo-manifest.json',
+    ]);
+    const ico = files[0].data;
+    expect(new DataView(ico.buffer).getUint16(4, true)).toBe(3);
+    // The first icon image is the 16px PNG
+    expect([...ico.subarray(54, 62)]).toEqual([137, 80, 78, 71, 13, 10, 26, 10]);
+  });
+});
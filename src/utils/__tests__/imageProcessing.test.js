@@ -0,0 +1,222 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ditherImage,
+  quantizeImageData,
+  findNearestColorIndex,
+  kMeansClustering,
+  medianCut,
+  octreeQuantize,
+  createAlphaMapper,
+  detectPixelScale,
+  sampleExactGrid,
+  getExactGridSize,
+} from '../imageProcessing';
+
+const BLACK_WHITE = [{ r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 }];
+
+const solidImage = (width, height, [r, g, b, a]) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = a;
+  }
+  return data;
+};
+
+const whiteShare = (indices) => indices.filter(index => index === 1).length / indices.length;
+
+describe('imageProcessing', () => {
+  it('finds the nearest palette color', () => {
+    expect(findNearestColorIndex({ r: 40, g: 30, b: 20 }, BLACK_WHITE)).toBe(0);
+    expect(findNearestColorIndex({ r: 200, g: 220, b: 180 }, BLACK_WHITE)).toBe(1);
+  });
+
+  it('matches in perceptual spaces', () => {
+    const palette = [{ r: 0, g: 0, b: 255 }, { r: 90, g: 90, b: 90 }];
+    const color = { r: 40, g: 40, b: 200 };
+    ['rgb', 'lab', 'oklab'].forEach(metric => {
+      expect(findNearestColorIndex(color, palette, metric)).toBe(0);
+    });
+  });
+
+  describe('quantizers', () => {
+    // A gradient with many distinct colors
+    const gradientPixels = Array.from({ length: 256 }, (_, i) => ({ r: i, g: (i * 7) % 256, b: 255 - i, index: i }));
+    const histogram = gradientPixels.map(({ r, g, b }) => ({ r, g, b, count: 1 }));
+
+    it('gives the same k-means++ result for the same seed', () => {
+      const centers = (seed, metric) => kMeansClustering(gradientPixels, 6, { seed, metric }).map(cluster => cluster.center);
+      expect(centers(7)).toEqual(centers(7));
+      expect(centers(7, 'oklab')).toEqual(centers(7, 'oklab'));
+      expect(centers(7)).toHaveLength(6);
+    });
+
+    it('keeps every pixel in exactly one k-means cluster', () => {
+      const clusters = kMeansClustering(gradientPixels, 5, { metric: 'lab' });
+      const indices = clusters.flatMap(cluster => cluster.pixels.map(pixel => pixel.index));
+      expect(indices.sort((a, b) => a - b)).toEqual(gradientPixels.map(pixel => pixel.index));
+    });
+
+    it('reduces to at most maxColors with median cut and octree', () => {
+      expect(medianCut(histogram, 8)).toHaveLength(8);
+      const octree = octreeQuantize(histogram, 8);
+      expect(octree.length).toBeGreaterThan(0);
+      expect(octree.length).toBeLessThanOrEqual(8);
+    });
+
+    it('keeps exact colors when they already fit', () => {
+      const colors = [{ r: 255, g: 0, b: 0, count: 3 }, { r: 0, g: 0, b: 255, count: 1 }];
+      expect(octreeQuantize(colors, 4)).toEqual([{ r: 0, g: 0, b: 255 }, { r: 255, g: 0, b: 0 }]);
+      expect(medianCut(colors, 4)).toHaveLength(2);
+    });
+  });
+
+  describe('ditherImage', () => {
+    const gray = solidImage(16, 16, [128, 128, 128, 255]);
+
+    it('maps every pixel to its nearest color without dithering', () => {
+      const indices = ditherImage(gray, 16, 16, BLACK_WHITE);
+      expect(new Set(indices)).toEqual(new Set([1]));
+    });
+
+    it('leaves transparent pixels out', () => {
+      const data = solidImage(2, 1, [255, 255, 255, 255]);
+      data[7] = 0;
+      expect([...ditherImage(data, 2, 1, BLACK_WHITE, { method: 'floyd-steinberg' })]).toEqual([1, -1]);
+    });
+
+    it.each(['floyd-steinberg', 'atkinson', 'sierra', 'bayer2', 'bayer4', 'bayer8'])(
+      'mixes colors to approximate mid gray with %s',
+      (method) => {
+        const share = whiteShare([...ditherImage(gray, 16, 16, BLACK_WHITE, { method })]);
+        expect(share).toBeGreaterThan(0.35);
+        expect(share).toBeLessThan(0.65);
+      }
+    );
+
+    it('tiles ordered dithering with the matrix size', () => {
+      const indices = ditherImage(gray, 16, 16, BLACK_WHITE, { method: 'bayer4' });
+      for (let y = 0; y < 16; y++) {
+        for (let x = 0; x < 12; x++) {
+          expect(indices[y * 16 + x]).toBe(indices[y * 16 + x + 4]);
+        }
+      }
+    });
+
+    it('does not dither at zero strength', () => {
+      const indices = ditherImage(gray, 16, 16, BLACK_WHITE, { method: 'floyd-steinberg', strength: 0 });
+      expect(new Set(indices)).toEqual(new Set([1]));
+    });
+  });
+
+  describe('quantizeImageData', () => {
+    it('builds a grid of hex colors with transparent pixels left empty', () => {
+      const data = Uint8ClampedArray.from([
+        255, 0, 0, 255,
+        0, 0, 255, 255,
+        0, 0, 0, 0,
+        255, 0, 0, 255,
+      ]);
+      const { grid, colors } = quantizeImageData({ data, width: 2, height: 2 }, { maxColors: 4 });
+
+      expect(grid).toEqual([['#ff0000', '#0000ff'], [null, '#ff0000']]);
+      expect(colors.sort()).toEqual(['#0000ff', '#ff0000']);
+    });
+
+    describe('alpha modes', () => {
+      // Opaque, 60% and 20% red, then fully transparent
+      const data = Uint8ClampedArray.from([
+        255, 0, 0, 255,
+        255, 0, 0, 153,
+        255, 0, 0, 51,
+        255, 0, 0, 0,
+      ]);
+      const quantizeRow = (options) => quantizeImageData({ data, width: 4, height: 1 }, { maxColors: 2, ...options }).grid[0];
+
+      it('keeps the hard 128 cutoff by default and lets it be moved', () => {
+        expect(quantizeRow()).toEqual(['#ff0000', '#ff0000', null, null]);
+        expect(quantizeRow({ alphaCutoff: 20 })).toEqual(['#ff0000', '#ff0000', '#ff0000', null]);
+      });
+
+      it('quantizes alpha into levels', () => {
+        expect(quantizeRow({ alphaMode: 'levels', alphaLevels: 2 }))
+          .toEqual(['#ff0000', 'rgba(255, 0, 0, 0.5)', null, null]);
+      });
+
+      it('keeps alpha exactly', () => {
+        expect(quantizeRow({ alphaMode: 'exact' }))
+          .toEqual(['#ff0000', 'rgba(255, 0, 0, 0.6)', 'rgba(255, 0, 0, 0.2)', null]);
+      });
+
+      it('maps alpha per mode', () => {
+        expect(createAlphaMapper('threshold', { cutoff: 10 })(11)).toBe(1);
+        expect(createAlphaMapper('levels', { levels: 4 })(128)).toBe(0.5);
+        expect(createAlphaMapper('exact')(0)).toBe(0);
+      });
+    });
+
+    it.each(['median-cut', 'octree'])('quantizes with %s', (quantizer) => {
+      const data = Uint8ClampedArray.from([255, 0, 0, 255, 0, 0, 255, 255]);
+      const { colors } = quantizeImageData({ data, width: 2, height: 1 }, { maxColors: 4, quantizer });
+      expect(colors.sort()).toEqual(['#0000ff', '#ff0000']);
+    });
+
+    it('maps onto a locked palette using its own color strings', () => {
+      const data = Uint8ClampedArray.from([250, 10, 10, 255, 20, 20, 20, 255]);
+      const palette = ['#000000', 'rgba(255, 0, 0, 1)', '#FFFFFF'];
+      const { grid } = quantizeImageData({ data, width: 2, height: 1 }, { quantizer: 'palette', palette, metric: 'oklab' });
+
+      expect(grid).toEqual([['rgba(255, 0, 0, 1)', '#000000']]);
+      expect(() => quantizeImageData({ data, width: 2, height: 1 }, { quantizer: 'palette', palette: [] }))
+        .toThrow('no colors');
+    });
+  });
+
+  describe('exact pixel-art import', () => {
+    const RED = [255, 0, 0, 255];
+    const BLUE = [0, 0, 255, 255];
+    const CLEAR = [0, 0, 0, 0];
+    // 3x2 logical pixels
+    const art = [[RED, BLUE, CLEAR], [BLUE, BLUE, RED]];
+
+    // Upscales the art, then crops `crop` source pixels off the top and left
+    const upscale = (scale, crop = 0) => {
+      const width = art[0].length * scale - crop;
+      const height = art.length * scale - crop;
+      const data = new Uint8ClampedArray(width * height * 4);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          data.set(art[Math.floor((y + crop) / scale)][Math.floor((x + crop) / scale)], (y * width + x) * 4);
+        }
+      }
+      return { data, width, height };
+    };
+
+    it('detects the scale of an upscaled image', () => {
+      expect(detectPixelScale(upscale(8))).toEqual({ scale: 8, offsetX: 0, offsetY: 0 });
+    });
+
+    it('detects the grid offset of a cropped image', () => {
+      expect(detectPixelScale(upscale(4, 1))).toEqual({ scale: 4, offsetX: 3, offsetY: 3 });
+    });
+
+    it('only detects offsets when the scale is given', () => {
+      expect(detectPixelScale(upscale(4, 1), { scale: 2 })).toEqual({ scale: 2, offsetX: 1, offsetY: 1 });
+    });
+
+    it('samples one color per logical pixel', () => {
+      const image = upscale(8);
+      const { grid, colors } = sampleExactGrid(image, detectPixelScale(image));
+      expect(grid).toEqual([['#ff0000', '#0000ff', null], ['#0000ff', '#0000ff', '#ff0000']]);
+      expect(colors.sort()).toEqual(['#0000ff', '#ff0000']);
+    });
+
+    it('drops partial blocks at the edges', () => {
+      const image = upscale(4, 1);
+      expect(sampleExactGrid(image, detectPixelScale(image)).grid).toEqual([['#0000ff', '#ff0000']]);
+      expect(getExactGridSize(image, detectPixelScale(image))).toEqual({ width: 2, height: 1 });
+    });
+  });
+});
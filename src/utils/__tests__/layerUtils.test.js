@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createLayer,
+  cloneLayers,
+  reframeGrid,
+  blendColors,
+  compositeLayers
+} from '../layerUtils';
+import { MISSING_SLOT_COLOR } from '../paletteUtils';
+
+describe('layerUtils', () => {
+  describe('createLayer', () => {
+    it('creates an empty visible layer with defaults', () => {
+      const layer = createLayer({ name: 'Outline', width: 2, height: 3 });
+
+      expect(layer.name).toBe('Outline');
+      expect(layer.grid).toEqual([[null, null], [null, null], [null, null]]);
+      expect(layer.visible).toBe(true);
+      expect(layer.opacity).toBe(1);
+      expect(layer.locked).toBe(false);
+      expect(layer.blendMode).toBe('normal');
+    });
+
+    it('gives every layer a unique id', () => {
+      const a = createLayer({ width: 1, height: 1 });
+      const b = createLayer({ width: 1, height: 1 });
+      expect(a.id).not.toBe(b.id);
+    });
+  });
+
+  describe('cloneLayers', () => {
+    it('copies grids so edits do not leak into the clone', () => {
+      const layers = [createLayer({ width: 2, height: 2 })];
+      const clone = cloneLayers(layers);
+      layers[0].grid[0][0] = '#FF0000';
+
+      expect(clone[0].grid[0][0]).toBeNull();
+      expect(clone[0].id).toBe(layers[0].id);
+    });
+  });
+
+  describe('reframeGrid', () => {
+    it('grows the grid and shifts content by the offset', () => {
+      const grid = [['#A', '#B']];
+      expect(reframeGrid(grid, 3, 2, 1, 1)).toEqual([
+        [null, null, null],
+        [null, '#A', '#B']
+      ]);
+    });
+
+    it('drops content that moves outside the new bounds', () => {
+      const grid = [['#A', '#B'], ['#C', '#D']];
+      expect(reframeGrid(grid, 1, 2, -1, 0)).toEqual([['#B'], ['#D']]);
+    });
+
+    it('keeps palette slot 0 in indexed grids', () => {
+      expect(reframeGrid([[0, 1]], 3, 1, 1, 0)).toEqual([[null, 0, 1]]);
+    });
+  });
+
+  describe('blendColors', () => {
+    it('returns the source over an empty backdrop', () => {
+      expect(blendColors(null, { r: 10, g: 20, b: 30, a: 0.5 })).toEqual({ r: 10, g: 20, b: 30, a: 0.5 });
+    });
+
+    it('multiplies opaque colors', () => {
+      const result = blendColors({ r: 255, g: 128, b: 0, a: 1 }, { r: 128, g: 255, b: 255, a: 1 }, 'multiply');
+      expect(Math.round(result.r)).toBe(128);
+      expect(Math.round(result.g)).toBe(128);
+      expect(Math.round(result.b)).toBe(0);
+      expect(result.a).toBe(1);
+    });
+
+    it('mixes a half transparent source over an opaque backdrop', () => {
+      const result = blendColors({ r: 0, g: 0, b: 0, a: 1 }, { r: 255, g: 255, b: 255, a: 0.5 });
+      expect(Math.round(result.r)).toBe(128);
+      expect(result.a).toBe(1);
+    });
+  });
+
+  describe('compositeLayers', () => {
+    const layerWith = (grid, props = {}) => ({ ...createLayer({ grid }), ...props });
+
+    it('returns the grid itself for a single plain layer', () => {
+      const grid = [['#FF0000', null]];
+      expect(compositeLayers([layerWith(grid)], 2, 1)).toBe(grid);
+    });
+
+    it('keeps original color strings where an opaque layer covers the pixel', () => {
+      const bottom = layerWith([['#FF0000', '#00FF00']]);
+      const top = layerWith([[null, 'rgba(0, 0, 255, 1)']]);
+      expect(compositeLayers([bottom, top], 2, 1)).toEqual([['#FF0000', 'rgba(0, 0, 255, 1)']]);
+    });
+
+    it('skips hidden layers', () => {
+      const bottom = layerWith([['#FF0000']]);
+      const top = layerWith([['#0000FF']], { visible: false });
+      expect(compositeLayers([bottom, top], 1, 1)).toEqual([['#FF0000']]);
+    });
+
+    it('applies layer opacity', () => {
+      const bottom = layerWith([['#000000']]);
+      const top = layerWith([['#FFFFFF']], { opacity: 0.5 });
+      expect(compositeLayers([bottom, top], 1, 1)).toEqual([['rgba(128, 128, 128, 1)']]);
+    });
+
+    it('applies layer blend modes', () => {
+      const bottom = layerWith([['#808080']]);
+      const top = layerWith([['#FF0000']], { blendMode: 'multiply' });
+      expect(compositeLayers([bottom, top], 1, 1)).toEqual([['rgba(128, 0, 0, 1)']]);
+    });
+
+    it('leaves pixels empty when no visible layer covers them', () => {
+      const layer = layerWith([[null]], { opacity: 0.5 });
+      expect(compositeLayers([layer], 1, 1)).toEqual([[null]]);
+    });
+
+    it('resolves palette slots of indexed grids, including slot 0', () => {
+      const palette = ['#000000', '#FFFFFF'];
+      expect(compositeLayers([layerWith([[0, 1, null, 5]])], 4, 1, palette))
+        .toEqual([['#000000', '#FFFFFF', null, MISSING_SLOT_COLOR]]);
+
+      const bottom = layerWith([[0, 0]]);
+      const top = layerWith([[null, 1]], { opacity: 0.5 });
+      expect(compositeLayers([bottom, top], 2, 1, palette)).toEqual([['#000000', 'rgba(128, 128, 128, 1)']]);
+    });
+  });
+});
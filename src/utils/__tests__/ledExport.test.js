@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { buildLedHeader, buildWledPresets, orderLedPixels, toCIdentifier, toLedChannels } from '../ledExport';
+
+const RED = '#ff0000';
+const GREEN = '#00ff00';
+const BLUE = '#0000ff';
+
+const frame = (grid, duration = 100) => ({ grid, duration });
+
+describe('ledExport', () => {
+  it('orders pixels row by row or serpentine', () => {
+    const grid = [[1, 2, 3], [4, 5, 6], [7, 8, 9]];
+    expect(orderLedPixels(grid)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(orderLedPixels(grid, 'serpentine')).toEqual([1, 2, 3, 6, 5, 4, 7, 8, 9]);
+  });
+
+  it('folds alpha and the brightness cap into LED channels', () => {
+    expect(toLedChannels(null)).toEqual([0, 0, 0]);
+    expect(toLedChannels('#ffffff', 128)).toEqual([128, 128, 128]);
+    expect(toLedChannels('rgba(255, 0, 100, 0.5)')).toEqual([128, 0, 50]);
+    expect(toCIdentifier('my sprite-2')).toBe('MY_SPRITE_2');
+    expect(toCIdentifier('8x8')).toBe('PIXEL_ART_8X8');
+  });
+
+  it('writes a single frame as an RGB888 or RGB565 pixel array', () => {
+    const grid = [[RED, GREEN], [BLUE, null]];
+    const rgb888 = buildLedHeader([frame(grid)], { name: 'heart' });
+
+    expect(rgb888).toContain('#define HEART_WIDTH 2\n#define HEART_HEIGHT 2\n#define HEART_LED_COUNT 4\n');
+    expect(rgb888).toContain('const uint32_t HEART_PIXELS[HEART_LED_COUNT] PROGMEM = {\n  0xFF0000, 0x00FF00, 0x0000FF, 0x000000,\n};');
+    expect(rgb888).not.toContain('FRAME');
+
+    const rgb565 = buildLedHeader([frame(grid)], { name: 'heart', colorFormat: 'rgb565', wiring: 'serpentine' });
+    expect(rgb565).toContain('const uint16_t HEART_PIXELS[HEART_LED_COUNT] PROGMEM = {\n  0xF800, 0x07E0, 0x0000, 0x001F,\n};');
+  });
+
+  it('writes animations as indexed frames with a palette and durations', () => {
+    const header = buildLedHeader([frame([[RED, null]], 120), frame([[null, RED]], 80)], {
+      name: 'blink', colorFormat: 'indexed', brightness: 128,
+    });
+
+    expect(header).toContain('#define BLINK_FRAME_COUNT 2');
+    expect(header).toContain('const uint32_t BLINK_PALETTE[BLINK_PALETTE_SIZE] PROGMEM = {\n  0x800000, 0x000000,\n};');
+    expect(header).toContain('const uint16_t BLINK_FRAME_DURATIONS[BLINK_FRAME_COUNT] PROGMEM = { 120, 80 };');
+    expect(header).toContain('const uint8_t BLINK_FRAMES[BLINK_FRAME_COUNT][BLINK_LED_COUNT] PROGMEM = {\n  { // Frame 1\n    0, 1,\n  },\n  { // Frame 2\n    1, 0,\n  },\n};');
+
+    const tooManyColors = [Array.from({ length: 257 }, (_, i) => `rgb(${i % 256}, ${Math.floor(i / 256)}, 0)`)];
+    expect(() => buildLedHeader([frame(tooManyColors)], { colorFormat: 'indexed' })).toThrow('up to 256 colors');
+  });
+
+  it('writes WLED presets with compacted LED runs and a playlist for animations', () => {
+    const still = JSON.parse(buildWledPresets([frame([[RED, RED, RED], [GREEN, null, null]])], { name: 'flag', wiring: 'serpentine', brightness: 64 }));
+    expect(still).toEqual({
+      0: {},
+      1: { n: 'flag', on: true, bri: 64, transition: 0, seg: [{ id: 0, fx: 0, i: [0, 3, 'FF0000', 3, 5, '000000', 5, '00FF00'] }] },
+    });
+
+    const animated = JSON.parse(buildWledPresets([frame([[RED]], 250), frame([[BLUE]], 50)], { name: 'blink' }));
+    expect(Object.keys(animated)).toEqual(['0', '1', '2', '3']);
+    expect(animated[2].n).toBe('blink 2');
+    expect(animated[3]).toEqual({
+      n: 'blink', on: true, playlist: { ps: [1, 2], dur: [3, 1], transition: [0, 0], repeat: 0 },
+    });
+  });
+});
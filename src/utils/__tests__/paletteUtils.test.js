@@ -0,0 +1,185 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createPalette,
+  parseGpl,
+  serializeGpl,
+  parsePal,
+  serializePal,
+  parseHex,
+  serializeHex,
+  parseAse,
+  serializeAse,
+  isLospecPalette,
+  parseLospecPalette,
+  parsePaletteFile,
+  serializePaletteFile,
+  findNearestPaletteIndex,
+  resolveIndexedGrid,
+  indexGrid,
+  extendPaletteWithGridColors,
+  countUsedPaletteSlots,
+  remapIndexedGrid,
+  isPaletteFull,
+  MISSING_SLOT_COLOR,
+} from '../paletteUtils';
+
+const palette = { name: 'Sunset', colors: ['#FF0000', '#00FF80', 'rgba(16, 32, 48, 1)'] };
+const expectedColors = ['#FF0000', '#00FF80', '#102030'];
+
+describe('paletteUtils', () => {
+  it('creates palettes with unique ids and copied colors', () => {
+    const colors = ['#000000'];
+    const first = createPalette({ name: 'A', colors });
+    const second = createPalette({ name: 'B' });
+
+    expect(first.id).not.toBe(second.id);
+    expect(first.colors).toEqual(colors);
+    expect(first.colors).not.toBe(colors);
+    expect(second.colors).toEqual([]);
+    expect(second.maxColors).toBe(null);
+  });
+
+  it('reports when a palette reaches its color limit', () => {
+    expect(isPaletteFull(createPalette({ colors: ['#000000', '#FFFFFF'], maxColors: 2 }))).toBe(true);
+    expect(isPaletteFull(createPalette({ colors: ['#000000'], maxColors: 2 }))).toBe(false);
+    expect(isPaletteFull(createPalette({ colors: ['#000000'] }))).toBe(false);
+  });
+
+  describe('GIMP .gpl', () => {
+    it('round-trips name and colors', () => {
+      const parsed = parseGpl(serializeGpl(palette));
+      expect(parsed).toEqual({ name: 'Sunset', colors: expectedColors });
+    });
+
+    it('skips comments and headers and rejects other files', () => {
+      const text = 'GIMP Palette\nName: Test\nColumns: 4\n# comment\n  0  10 255\tBlue\n';
+      expect(parseGpl(text).colors).toEqual(['#000AFF']);
+      expect(() => parseGpl('JASC-PAL')).toThrow('GIMP');
+    });
+  });
+
+  describe('JASC .pal', () => {
+    it('round-trips colors', () => {
+      const text = serializePal(palette);
+      expect(text.startsWith('JASC-PAL\r\n0100\r\n3\r\n')).toBe(true);
+      expect(parsePal(text).colors).toEqual(expectedColors);
+    });
+  });
+
+  describe('plain .hex', () => {
+    it('round-trips colors and ignores blank lines', () => {
+      expect(serializeHex(palette)).toBe('ff0000\n00ff80\n102030\n');
+      expect(parseHex('ff0000\n\n#00ff80\n').colors).toEqual(['#FF0000', '#00FF80']);
+    });
+
+    it('rejects files without colors', () => {
+      expect(() => parseHex('hello')).toThrow('No colors');
+    });
+  });
+
+  describe('Lospec JSON', () => {
+    it('reads the palette name and colors', () => {
+      const lospec = { name: 'Sweetie 16', author: 'GrafxKid', colors: ['1a1c2c', '5D275D', '#b13e53'] };
+      expect(isLospecPalette(lospec)).toBe(true);
+      expect(parseLospecPalette(lospec)).toEqual({ name: 'Sweetie 16', colors: ['#1A1C2C', '#5D275D', '#B13E53'] });
+      expect(parseLospecPalette({ colors: ['ffffff'] }, 'mono').name).toBe('mono');
+    });
+
+    it('does not mistake projects or other JSON for palettes', () => {
+      expect(isLospecPalette({ gridDimensions: { width: 1, height: 1 }, colors: ['ffffff'] })).toBe(false);
+      expect(isLospecPalette({ colors: [] })).toBe(false);
+      expect(isLospecPalette({ colors: ['red'] })).toBe(false);
+      expect(() => parseLospecPalette({})).toThrow('Not a Lospec palette');
+    });
+  });
+
+  describe('Adobe .ase', () => {
+    it('round-trips the group name and RGB swatches', () => {
+      const bytes = serializeAse(palette);
+      expect(String.fromCharCode(...bytes.slice(0, 4))).toBe('ASEF');
+
+      const parsed = parseAse(bytes.buffer);
+      expect(parsed).toEqual({ name: 'Sunset', colors: expectedColors });
+    });
+
+    it('reads CMYK and Gray swatches', () => {
+      const block = (model, values) => {
+        const body = [0, 2, 0, 0x41, 0, 0, ...model.split('').map(char => char.charCodeAt(0))];
+        values.forEach(value => {
+          const view = new DataView(new ArrayBuffer(4));
+          view.setFloat32(0, value);
+          body.push(...new Uint8Array(view.buffer));
+        });
+        body.push(0, 2);
+        return [0, 1, 0, 0, 0, body.length, ...body];
+      };
+      const bytes = Uint8Array.from([
+        0x41, 0x53, 0x45, 0x46, 0, 1, 0, 0, 0, 0, 0, 2,
+        ...block('CMYK', [0, 1, 1, 0]),
+        ...block('Gray', [0.5]),
+      ]);
+
+      expect(parseAse(bytes.buffer).colors).toEqual(['#FF0000', '#808080']);
+    });
+  });
+
+  describe('parsePaletteFile', () => {
+    it('picks the parser from the extension and names the palette after the file', () => {
+      expect(parsePaletteFile('endesga-32.hex', 'be4a2f\n')).toEqual({ name: 'endesga-32', colors: ['#BE4A2F'] });
+      expect(parsePaletteFile('x.gpl', serializeGpl(palette)).name).toBe('Sunset');
+    });
+
+    it('rejects unknown extensions and empty palettes', () => {
+      expect(() => parsePaletteFile('palette.png', '')).toThrow('Unsupported');
+      expect(() => parsePaletteFile('empty.pal', 'JASC-PAL\n0100\n0\n')).toThrow('no colors');
+    });
+  });
+
+  it('serializes each supported format with its extension', () => {
+    ['gpl', 'pal', 'hex', 'ase'].forEach(format => {
+      const file = serializePaletteFile(palette, format);
+      expect(file.extension).toBe(format);
+      expect(file.data.length).toBeGreaterThan(0);
+    });
+    expect(() => serializePaletteFile(palette, 'act')).toThrow('Unsupported');
+  });
+
+  describe('indexed color helpers', () => {
+    const colors = ['#000000', '#FF0000', '#FFFFFF'];
+
+    it('finds exact and nearest palette slots', () => {
+      expect(findNearestPaletteIndex('#FF0000', colors)).toBe(1);
+      expect(findNearestPaletteIndex('rgba(250, 10, 10, 1)', colors)).toBe(1);
+      expect(findNearestPaletteIndex('#EEEEEE', colors)).toBe(2);
+      expect(findNearestPaletteIndex(null, colors)).toBe(null);
+      expect(findNearestPaletteIndex('#123456', [])).toBe(null);
+    });
+
+    it('converts grids between colors and slots', () => {
+      const literal = [['#000000', null], ['#FFFFFF', '#FF0000']];
+      const indexed = indexGrid(literal, colors);
+
+      expect(indexed).toEqual([[0, null], [2, 1]]);
+      expect(resolveIndexedGrid(indexed, colors)).toEqual(literal);
+      // Slots beyond the palette are marked rather than erased
+      expect(resolveIndexedGrid([[7, null]], colors)).toEqual([[MISSING_SLOT_COLOR, null]]);
+    });
+
+    it('extends a palette with the colors a grid uses, up to its limit', () => {
+      expect(extendPaletteWithGridColors(colors, [[['#FF0000', '#00FF00', null, 0]]]))
+        .toEqual([...colors, '#00FF00']);
+      expect(extendPaletteWithGridColors(colors, [[['#FF0000']]])).toBe(colors);
+      expect(extendPaletteWithGridColors(colors, [[['#00FF00', '#0000FF']]], 4))
+        .toEqual([...colors, '#00FF00']);
+    });
+
+    it('counts slots and remaps them onto a shorter palette', () => {
+      const grid = [[0, 2], [null, 1]];
+      expect(countUsedPaletteSlots([grid, [[null]]])).toBe(3);
+      expect(countUsedPaletteSlots([[[null]]])).toBe(0);
+
+      // Slots the new palette has stay; slot 2 (white) moves to the nearest remaining color
+      expect(remapIndexedGrid(grid, colors, ['#111111', '#EEEEEE'])).toEqual([[0, 1], [null, 1]]);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { isPiskelFile, parsePiskel } from '../piskelFormat';
+
+const RED = [255, 0, 0, 255];
+const GREEN = [0, 255, 0, 255];
+const CLEAR = [0, 0, 0, 0];
+
+// Fake decoder: "images" are looked up by their data URL
+const images = {
+  'data:strip': { width: 4, height: 1, data: Uint8ClampedArray.from([...RED, ...CLEAR, ...CLEAR, ...RED]) },
+  'data:grid': { width: 2, height: 2, data: Uint8ClampedArray.from([...GREEN, ...CLEAR, ...CLEAR, ...[0, 0, 255, 128]]) },
+};
+const decodeImage = async (dataUrl) => images[dataUrl];
+
+const piskel = (modelVersion, layers, extra = {}) => ({
+  modelVersion,
+  piskel: { name: 'Blink', fps: 10, width: 2, height: 1, layers, ...extra },
+});
+
+describe('piskelFormat', () => {
+  it('recognizes Piskel files', () => {
+    expect(isPiskelFile(piskel(2, []))).toBe(true);
+    expect(isPiskelFile({ gridDimensions: { width: 1, height: 1 } })).toBe(false);
+  });
+
+  it('reads model version 2 layers with chunk layouts', async () => {
+    const project = await parsePiskel(piskel(2, [
+      JSON.stringify({ name: 'Base', opacity: 1, frameCount: 2, chunks: [{ layout: [[0], [1]], base64PNG: 'data:strip' }] }),
+      // Frame 0 in the top row, frame 1 below it
+      JSON.stringify({ name: 'Glow', opacity: 0.5, frameCount: 2, chunks: [{ layout: [[0, 1]], base64PNG: 'data:grid' }] }),
+    ], { width: 1 }), { decodeImage });
+
+    expect(project.filename).toBe('Blink');
+    expect(project.gridDimensions).toEqual({ width: 1, height: 1 });
+    expect(project.animation.frames).toHaveLength(2);
+    expect(project.animation.frames[0].duration).toBe(100);
+    expect(project.animation.frames[0].layers.map(layer => layer.grid)).toEqual([[['#ff0000']], [['#00ff00']]]);
+    expect(project.animation.frames[1].layers.map(layer => layer.grid)).toEqual([[[null]], [[null]]]);
+    expect(project.layers[1]).toMatchObject({ name: 'Glow', opacity: 0.5 });
+    expect(project.palettes[0]).toEqual({ name: 'Blink', colors: ['#ff0000', '#00ff00'] });
+  });
+
+  it('reads model version 1 strips and fills the color history by use', async () => {
+    const project = await parsePiskel(piskel(1, [
+      { name: 'Layer 1', opacity: 1, frameCount: 2, base64PNG: 'data:strip' },
+      { name: 'Layer 2', opacity: 1, frameCount: 1, base64PNG: 'data:grid' },
+    ]), { decodeImage });
+
+    expect(project.animation.frames.map(frame => frame.layers[0].grid)).toEqual([[['#ff0000', null]], [[null, '#ff0000']]]);
+    expect(project.layers[1].grid).toEqual([['#00ff00', null]]);
+    expect(project.colorHistory).toEqual(['#ff0000', '#00ff00']);
+    expect(project.activeColor).toBe('#ff0000');
+  });
+
+  it('rejects unreadable files', async () => {
+    await expect(parsePiskel(piskel(3, ['{}']), { decodeImage })).rejects.toThrow('Unsupported Piskel model version 3');
+    await expect(parsePiskel(piskel(2, ['{oops']), { decodeImage })).rejects.toThrow('layer 1 could not be read');
+    await expect(parsePiskel(piskel(2, [], { width: 0 }), { decodeImage })).rejects.toThrow('sprite size is missing');
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  encodeGridRuns,
+  decodeGridRuns,
+  compactProject,
+  expandProject,
+  encodeProjectFile,
+  decodeProjectFile,
+} from '../projectFormat';
+
+const SIZE = 64;
+
+// Horizontal stripes with a transparent border, like typical pixel art
+const stripedGrid = (colors) => Array.from({ length: SIZE }, (_, y) => (
+  Array.from({ length: SIZE }, (_, x) => (
+    x === 0 || y === 0 ? null : colors[Math.floor(y / 8) % colors.length]
+  ))
+));
+
+const project = {
+  version: '1.1.0',
+  filename: 'Stripes',
+  gridDimensions: { width: SIZE, height: SIZE },
+  pixelGrid: stripedGrid(['rgba(255, 0, 0, 1)', 'rgba(0, 0, 255, 0.5)']),
+  layers: [
+    { id: 'a', name: 'Ink', grid: stripedGrid(['rgba(255, 0, 0, 1)']), opacity: 1 },
+    { id: 'b', name: 'Paint', grid: stripedGrid(['rgba(0, 0, 255, 0.5)', '#00ff00']), opacity: 0.5 },
+  ],
+  animation: {
+    frames: [
+      { id: 'f1', duration: 100, layers: [{ id: 'a', name: 'Ink', grid: stripedGrid(['#ffffff']) }] },
+      { id: 'f2', duration: 250, layers: [{ id: 'a', name: 'Ink', grid: stripedGrid(['#000000', '#ffffff']) }] },
+    ],
+    currentFrameIndex: 1,
+  },
+  effects: { glowEnabled: true },
+};
+
+describe('projectFormat', () => {
+  it('run-length encodes a grid against a shared table', () => {
+    const table = [];
+    const runs = encodeGridRuns([['#f00', '#f00', null], [null, '#00f', '#f00']], table, new Map());
+
+    expect(table).toEqual(['#f00', '#00f']);
+    expect(runs).toEqual([2, 1, 2, 0, 1, 2, 1, 1]);
+    expect(decodeGridRuns(runs, table, 3, 2)).toEqual([['#f00', '#f00', null], [null, '#00f', '#f00']]);
+  });
+
+  it('keeps indexed palette slots distinct from colors', () => {
+    const table = [];
+    const lookup = new Map();
+    const runs = encodeGridRuns([[0, '0', 0]], table, lookup);
+    expect(decodeGridRuns(runs, table, 3, 1)).toEqual([[0, '0', 0]]);
+  });
+
+  it('rejects runs that do not fill the grid', () => {
+    expect(() => decodeGridRuns([3, 1], ['#fff'], 2, 2)).toThrow('runs cover 3 cells, expected 4');
+    expect(() => decodeGridRuns([4, 2], ['#fff'], 2, 2)).toThrow('invalid run at position 0');
+  });
+
+  it('rejects runs past the grid size before expanding them', () => {
+    expect(() => decodeGridRuns([2, 1, 1e9, 1], ['#fff'], 2, 2)).toThrow('runs cover more than 4 cells');
+  });
+
+  it('compacts every grid and expands back to the same project', () => {
+    const compact = compactProject(project);
+
+    expect(compact.cellTable).toHaveLength(5);
+    expect(compact.layers[1].grid.every(Number.isInteger)).toBe(true);
+    expect(compact.animation.frames[1].layers[0].grid.every(Number.isInteger)).toBe(true);
+    expect(expandProject(JSON.parse(JSON.stringify(compact)))).toEqual(project);
+  });
+
+  it.each(['json', 'compact', 'binary'])('round-trips the %s format losslessly', async (format) => {
+    const { bytes } = await encodeProjectFile(project, format);
+    expect(await decodeProjectFile(bytes)).toEqual(project);
+  });
+
+  it('makes compact and binary files much smaller than JSON', async () => {
+    const sizes = {};
+    for (const format of ['json', 'compact', 'binary']) {
+      sizes[format] = (await encodeProjectFile(project, format)).bytes.length;
+    }
+
+    expect(sizes.compact).toBeLessThan(sizes.json / 20);
+    expect(sizes.binary).toBeLessThan(sizes.compact);
+  });
+
+  it('names binary files .pixelpop and detects them by content', async () => {
+    const file = await encodeProjectFile(project, 'binary');
+    expect(file.extension).toBe('pixelpop');
+    expect(String.fromCharCode(...file.bytes.subarray(0, 4))).toBe('PXPP');
+    expect(await decodeProjectFile(file.bytes.buffer)).toEqual(project);
+  });
+
+  it('reports unreadable files', async () => {
+    await expect(decodeProjectFile(new TextEncoder().encode('not a project'))).rejects.toThrow('not JSON or a .pixelpop file');
+
+    const { bytes } = await encodeProjectFile(project, 'binary');
+    const damaged = bytes.slice(0, 40);
+    await expect(decodeProjectFile(damaged)).rejects.toThrow('Corrupt project file');
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PROJECT_VERSION,
+  migrateProject,
+  validateProject,
+  parseProject,
+  serializeProject,
+} from '../projectSchema';
+import { DEFAULT_GLOW_SETTINGS, DEFAULT_BULB_SETTINGS } from '../canvasEffects';
+
+const baseProject = (overrides = {}) => ({
+  gridDimensions: { width: 2, height: 1 },
+  pixelGrid: [['#ff0000', null]],
+  ...overrides,
+});
+
+describe('projectSchema', () => {
+  describe('migrations', () => {
+    it('groups top-level effect and UI settings of unversioned files', () => {
+      const migrated = migrateProject(baseProject({
+        glowEnabled: true,
+        glowSettings: { size: 4, intensity: 80 },
+        showGrid: false,
+      }));
+
+      expect(migrated.version).toBe(PROJECT_VERSION);
+      expect(migrated.glowEnabled).toBeUndefined();
+      expect(migrated.effects).toEqual({ glowEnabled: true, glowSettings: { size: 4, opacity: 80 } });
+      expect(migrated.ui).toEqual({ showGrid: false });
+    });
+
+    it('renames glow intensity and bulb blend from 1.0.1', () => {
+      const migrated = migrateProject(baseProject({
+        version: '1.0.1',
+        effects: {
+          glowSettings: { size: 5, intensity: 100 },
+          bulbSettings: { radius: 40, blend: 'overlay' },
+        },
+      }));
+
+      expect(migrated.effects.glowSettings).toEqual({ size: 5, opacity: 100 });
+      expect(migrated.effects.bulbSettings).toEqual({ radius: 40, blendMode: 'overlay' });
+    });
+
+    it('keeps the current name when a file has both', () => {
+      const migrated = migrateProject(baseProject({
+        version: '1.0.1',
+        effects: { glowSettings: { intensity: 100, opacity: 30 } },
+      }));
+      expect(migrated.effects.glowSettings).toEqual({ opacity: 30 });
+    });
+
+    it('rejects unknown and newer versions', () => {
+      expect(() => migrateProject(baseProject({ version: '9.0.0' }))).toThrow('Unsupported project version "9.0.0"');
+    });
+  });
+
+  describe('validateProject', () => {
+    it('accepts a minimal project', () => {
+      expect(validateProject(baseProject({ version: PROJECT_VERSION }))).toEqual([]);
+    });
+
+    it('reports missing required fields', () => {
+      expect(validateProject({ pixelGrid: [] })).toEqual(['gridDimensions is missing']);
+      expect(validateProject({ gridDimensions: { width: 0, height: 1 } })).toEqual([
+        'gridDimensions.width must be a positive integer',
+        'pixelGrid is missing',
+      ]);
+    });
+
+    it('reports grid problems with their path', () => {
+      const errors = validateProject(baseProject({
+        layers: [
+          { grid: [['#ff0000']] },
+          { grid: [['#ff0000', 3]], opacity: 2, blendMode: 'glow' },
+        ],
+      }));
+
+      expect(errors).toEqual([
+        'layers[0].grid[0] has 1 cells, expected 2',
+        'layers[1].grid[0][1] must be a color string or null',
+        'layers[1].opacity must be between 0 and 1',
+        'layers[1].blendMode must be one of normal, multiply, screen, overlay, darken, lighten, difference',
+      ]);
+    });
+
+    it('expects palette slots in indexed layers and a palette to resolve them', () => {
+      const indexed = baseProject({ colorMode: 'indexed', layers: [{ grid: [[0, null]] }] });
+      expect(validateProject(indexed)).toEqual(['Indexed color mode requires at least one palette']);
+      expect(validateProject({ ...indexed, palettes: [{ name: 'P', colors: ['#ff0000'] }] })).toEqual([]);
+    });
+
+    it('rejects indexed slots missing from the active palette and invalid color limits', () => {
+      const indexed = baseProject({
+        colorMode: 'indexed',
+        layers: [{ grid: [[2, null]] }],
+        activePaletteId: 'b',
+        palettes: [
+          { id: 'a', name: 'A', colors: ['#000000', '#111111', '#222222'] },
+          { id: 'b', name: 'B', colors: ['#ff0000'], maxColors: 0 },
+        ],
+      });
+      expect(validateProject(indexed)).toEqual(['palettes[1].maxColors must be a whole number from 1 to 256, or null']);
+      indexed.palettes[1].maxColors = 4;
+      expect(validateProject(indexed)).toEqual(['Indexed layers use 3 palette slots but the active palette has 1 color(s)']);
+      expect(validateProject({ ...indexed, activePaletteId: 'a' })).toEqual([]);
+    });
+
+    it('rejects animation frames without layers', () => {
+      const errors = validateProject(baseProject({ animation: { frames: [{ layers: [] }] } }));
+      expect(errors).toEqual(['animation.frames[0].layers must contain at least one layer']);
+    });
+
+    it('checks effect setting types', () => {
+      const errors = validateProject(baseProject({
+        effects: { glowSettings: { size: 'big' }, bulbSettings: { color: null } },
+      }));
+      expect(errors).toEqual(['effects.glowSettings.size must be a number']);
+    });
+  });
+
+  describe('parseProject', () => {
+    it('loads an old file with the effect settings it was saved with', () => {
+      const project = parseProject(baseProject({
+        version: '1.0.1',
+        effects: {
+          glowEnabled: true,
+          glowSettings: { size: 6, intensity: 70, spread: 2, offsetX: 1, offsetY: 0 },
+          bulbSettings: { intensity: 40, radius: 30, positionX: 50, positionY: 50, color: '#ffcc00', blend: 'overlay' },
+        },
+        ui: { mode: 'edit' },
+      }));
+
+      expect(project.effects.glowSettings).toEqual({ ...DEFAULT_GLOW_SETTINGS, size: 6, opacity: 70, spread: 2, offsetX: 1 });
+      expect(project.effects.bulbSettings).toEqual({
+        ...DEFAULT_BULB_SETTINGS,
+        intensity: 40,
+        radius: 30,
+        positionX: 50,
+        positionY: 50,
+        color: '#ffcc00',
+        blendMode: 'overlay',
+      });
+      expect(project.effects.glowSettings).not.toHaveProperty('intensity');
+    });
+
+    it('fills in defaults for missing fields', () => {
+      const project = parseProject(baseProject());
+
+      expect(project).toMatchObject({
+        pixelSize: 24,
+        gridGap: 0,
+        activeTool: 'pencil',
+        colorMode: 'literal',
+        effects: { glowEnabled: false, glowSettings: DEFAULT_GLOW_SETTINGS, pixelShape: 'rectangle' },
+        ui: { mode: 'edit', showGrid: true, rendererType: 'canvas' },
+      });
+    });
+
+    it('throws every schema error at once', () => {
+      expect(() => parseProject(baseProject({ version: PROJECT_VERSION, pixelSize: 'big', pixelGrid: [] })))
+        .toThrow('Invalid project file format: pixelGrid has 0 rows, expected 1; pixelSize must be a number');
+      expect(() => parseProject(null)).toThrow('Project must be an object');
+    });
+  });
+
+  describe('serializeProject', () => {
+    it('stamps the current version', () => {
+      expect(serializeProject(baseProject({ version: '1.0.0' })).version).toBe(PROJECT_VERSION);
+    });
+
+    it('refuses state that does not match the schema', () => {
+      expect(() => serializeProject(baseProject({ pixelGrid: [['#ff0000']] })))
+        .toThrow('pixelGrid[0] has 1 cells, expected 2');
+    });
+
+    it('round-trips through parseProject', () => {
+      const saved = serializeProject(baseProject({
+        effects: { glowEnabled: true, glowSettings: { ...DEFAULT_GLOW_SETTINGS, opacity: 60 } },
+        ui: { showGrid: false },
+      }));
+      const loaded = parseProject(JSON.parse(JSON.stringify(saved)));
+
+      expect(loaded.effects.glowSettings.opacity).toBe(60);
+      expect(loaded.ui.showGrid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  createProjectStore,
+  createMemoryBackend,
+  MAX_STORED_PROJECTS,
+  PROJECTS_STORE,
+  PROJECT_DATA_STORE,
+} from '../projectStorage';
+
+const projectData = (filename, width = 2, height = 1) => ({
+  filename,
+  gridDimensions: { width, height },
+  pixelGrid: [['#ff0000', null]],
+});
+
+describe('projectStorage', () => {
+  let store;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(1000);
+    store = createProjectStore(createMemoryBackend());
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('saves records with their size and keeps the creation time on update', async () => {
+    await store.saveProject({ id: 'a', name: 'Hero', data: projectData('Hero', 16, 8) });
+    vi.setSystemTime(5000);
+    const record = await store.saveProject({ id: 'a', name: 'Hero', data: projectData('Hero', 16, 8) });
+
+    expect(record).toMatchObject({ id: 'a', name: 'Hero', width: 16, height: 8, createdAt: 1000, updatedAt: 5000 });
+    expect(await store.getProject('a')).toEqual(record);
+    expect(await store.getProject('missing')).toBeNull();
+  });
+
+  it('lists the most recently saved project first', async () => {
+    await store.saveProject({ id: 'a', name: 'First', data: projectData('First') });
+    vi.setSystemTime(2000);
+    await store.saveProject({ id: 'b', name: 'Second', data: projectData('Second') });
+
+    expect((await store.listProjects()).map(project => project.id)).toEqual(['b', 'a']);
+  });
+
+  it('lists gallery entries with a thumbnail and reads the project data only when asked', async () => {
+    const backend = createMemoryBackend();
+    store = createProjectStore(backend);
+    await store.saveProject({ id: 'a', name: 'Hero', data: projectData('Hero') });
+    const getAll = vi.spyOn(backend, 'getAll');
+    const get = vi.spyOn(backend, 'get');
+
+    const [entry] = await store.listProjects();
+    expect(entry).toEqual({
+      id: 'a', name: 'Hero', width: 2, height: 1, createdAt: 1000, updatedAt: 1000, thumbnail: [['#ff0000', null]],
+    });
+    expect(getAll.mock.calls).toEqual([[PROJECTS_STORE]]);
+    expect(get).not.toHaveBeenCalled();
+
+    expect((await store.getProject('a')).data).toEqual(projectData('Hero'));
+    await store.deleteProject('a');
+    expect(await backend.get(PROJECT_DATA_STORE, 'a')).toBeUndefined();
+  });
+
+  it('duplicates under a new id and name, and deletes', async () => {
+    await store.saveProject({ id: 'a', name: 'Hero', data: projectData('Hero') });
+    const copy = await store.duplicateProject('a');
+
+    expect(copy.id).not.toBe('a');
+    expect(copy.name).toBe('Hero copy');
+    expect(copy.data.filename).toBe('Hero copy');
+    expect(copy.data.pixelGrid).toEqual([['#ff0000', null]]);
+
+    await store.deleteProject('a');
+    expect((await store.listProjects()).map(project => project.id)).toEqual([copy.id]);
+    await expect(store.duplicateProject('a')).rejects.toThrow('no longer exists');
+  });
+
+  it('drops the oldest projects beyond the limit', async () => {
+    for (let i = 0; i <= MAX_STORED_PROJECTS; i++) {
+      vi.setSystemTime(1000 + i);
+      await store.saveProject({ id: `p${i}`, name: `P${i}`, data: projectData(`P${i}`) });
+    }
+    const projects = await store.listProjects();
+
+    expect(projects).toHaveLength(MAX_STORED_PROJECTS);
+    expect(projects.some(project => project.id === 'p0')).toBe(false);
+  });
+});
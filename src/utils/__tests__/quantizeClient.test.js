@@ -0,0 +1,71 @@
+import { describe, it, expect, vi } from 'vitest';
+import { quantizeInWorker, createInlineWorker } from '../quantizeClient';
+
+const imageData = {
+  width: 2,
+  height: 1,
+  data: Uint8ClampedArray.from([0, 0, 255, 255, 0, 0, 255, 255]),
+};
+
+describe('quantizeInWorker', () => {
+  it('resolves with the grid and forwards progress', async () => {
+    const onProgress = vi.fn();
+    const { grid, colors } = await quantizeInWorker(imageData, { maxColors: 4 }, { onProgress });
+
+    expect(grid).toEqual([['#0000ff', '#0000ff']]);
+    expect(colors).toEqual(['#0000ff']);
+    expect(onProgress).toHaveBeenLastCalledWith(1);
+    // The caller's pixels are left intact
+    expect(imageData.data.length).toBe(8);
+  });
+
+  it('terminates the worker and rejects when cancelled', async () => {
+    const worker = createInlineWorker();
+    const terminate = vi.spyOn(worker, 'terminate');
+    const controller = new AbortController();
+    const onProgress = vi.fn();
+
+    const job = quantizeInWorker(imageData, { maxColors: 4 }, {
+      onProgress,
+      signal: controller.signal,
+      createWorker: () => worker,
+    });
+    controller.abort();
+
+    await expect(job).rejects.toMatchObject({ name: 'AbortError' });
+    expect(terminate).toHaveBeenCalled();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(onProgress).not.toHaveBeenCalled();
+  });
+
+  it('rejects errors reported by the worker', async () => {
+    const options = { quantizer: 'palette', palette: [] };
+    await expect(quantizeInWorker(imageData, options)).rejects.toThrow('no colors');
+  });
+
+  it('sends encoded images to the worker to decode', async () => {
+    vi.stubGlobal('OffscreenCanvas', class {});
+    const image = new Blob(['png']);
+    const posted = [];
+    const worker = {
+      postMessage: (message) => {
+        posted.push(message);
+        worker.onmessage({ data: { type: 'result', id: message.id, grid: [['#000000']], colors: ['#000000'] } });
+      },
+      terminate: vi.fn(),
+    };
+
+    try {
+      const crop = { x: 0, y: 0, width: 8, height: 8 };
+      const result = await quantizeInWorker({ image, crop, width: 1, height: 1 }, { maxColors: 2 }, {
+        createWorker: () => worker,
+      });
+
+      expect(posted).toEqual([expect.objectContaining({ type: 'quantize', image, crop, width: 1, height: 1 })]);
+      expect(posted[0].buffer).toBeUndefined();
+      expect(result).toEqual({ grid: [['#000000']], colors: ['#000000'] });
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { layoutSpriteSheet, buildSpriteAtlas, extractProjectFrames } from '../spriteSheet';
+
+describe('spriteSheet', () => {
+  const sizes = [
+    { width: 10, height: 8 },
+    { width: 10, height: 8 },
+    { width: 10, height: 8 },
+  ];
+
+  describe('layoutSpriteSheet', () => {
+    it('places sprites in a single row', () => {
+      const sheet = layoutSpriteSheet(sizes, { layout: 'row', padding: 2 });
+
+      expect(sheet.width).toBe(2 + 3 * (10 + 2));
+      expect(sheet.height).toBe(2 + 8 + 2);
+      expect(sheet.rects.map(rect => rect.x)).toEqual([2, 14, 26]);
+      expect(sheet.rects.every(rect => rect.y === 2)).toBe(true);
+    });
+
+    it('places sprites in a single column', () => {
+      const sheet = layoutSpriteSheet(sizes, { layout: 'column' });
+
+      expect(sheet.width).toBe(10);
+      expect(sheet.height).toBe(24);
+      expect(sheet.rects.map(rect => rect.y)).toEqual([0, 8, 16]);
+    });
+
+    it('wraps a grid layout and leaves room for extrusion', () => {
+      const sheet = layoutSpriteSheet(sizes, { layout: 'grid', columns: 2, padding: 1, extrude: 1 });
+
+      // Cells are 12x10 (sprite plus one pixel of extrusion on each side)
+      expect(sheet.width).toBe(1 + 2 * (12 + 1));
+      expect(sheet.height).toBe(1 + 2 * (10 + 1));
+      expect(sheet.rects[0]).toEqual({ x: 2, y: 2, w: 10, h: 8 });
+      expect(sheet.rects[1]).toEqual({ x: 15, y: 2, w: 10, h: 8 });
+      expect(sheet.rects[2]).toEqual({ x: 2, y: 13, w: 10, h: 8 });
+    });
+  });
+
+  describe('buildSpriteAtlas', () => {
+    const sprites = [
+      { name: 'walk_0', rect: { x: 0, y: 0, w: 4, h: 4 }, duration: 80 },
+      { name: 'walk_1', rect: { x: 4, y: 0, w: 4, h: 4 }, duration: 120 },
+    ];
+
+    it('writes a JSON hash keyed by sprite name', () => {
+      const atlas = buildSpriteAtlas(sprites, { image: 'walk.png', width: 8, height: 4 });
+
+      expect(atlas.frames.walk_1.frame).toEqual({ x: 4, y: 0, w: 4, h: 4 });
+      expect(atlas.frames.walk_1.duration).toBe(120);
+      expect(atlas.frames.walk_0.sourceSize).toEqual({ w: 4, h: 4 });
+      expect(atlas.meta).toMatchObject({ image: 'walk.png', size: { w: 8, h: 4 }, scale: '1' });
+    });
+
+    it('writes a JSON array with filenames', () => {
+      const atlas = buildSpriteAtlas(sprites, { image: 'walk.png', width: 8, height: 4, format: 'array' });
+
+      expect(atlas.frames).toHaveLength(2);
+      expect(atlas.frames[0].filename).toBe('walk_0');
+      expect(atlas.frames[0].duration).toBe(80);
+    });
+  });
+
+  describe('extractProjectFrames', () => {
+    it('flattens each animation frame of a project', () => {
+      const project = {
+        gridDimensions: { width: 1, height: 1 },
+        animation: {
+          frames: [
+            { duration: 50, layers: [{ grid: [['#FF0000']] }] },
+            { duration: 70, layers: [{ grid: [[null]] }, { grid: [['#00FF00']] }] },
+          ],
+        },
+      };
+      const frames = extractProjectFrames(project, 'hero');
+
+      expect(frames.map(frame => frame.name)).toEqual(['hero_0', 'hero_1']);
+      expect(frames[1].grid).toEqual([['#00FF00']]);
+      expect(frames[1].duration).toBe(70);
+    });
+
+    it('resolves the palette slots of indexed projects', () => {
+      const project = {
+        gridDimensions: { width: 2, height: 1 },
+        colorMode: 'indexed',
+        palettes: [{ id: 'p', name: 'P', colors: ['#111111', '#222222'] }],
+        activePaletteId: 'p',
+        layers: [{ grid: [[1, 0]] }],
+      };
+
+      expect(extractProjectFrames(project, 'gem')[0].grid).toEqual([['#222222', '#111111']]);
+    });
+
+    it('falls back to the flattened pixel grid of older projects', () => {
+      const frames = extractProjectFrames({ gridDimensions: { width: 1, height: 1 }, pixelGrid: [['#000']] }, 'coin');
+
+      expect(frames).toEqual([{ name: 'coin', grid: [['#000']], duration: 100 }]);
+    });
+
+    it('rejects files without grid dimensions', () => {
+      expect(() => extractProjectFrames({}, 'broken')).toThrow('gridDimensions');
+    });
+  });
+});
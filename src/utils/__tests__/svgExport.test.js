@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { buildSvg, traceColorRegions } from '../svgExport';
+
+const RED = '#ff0000';
+const BLUE = '#0000ff';
+
+const grid = (rows) => rows.map(row => [...row].map(cell => ({ r: RED, b: BLUE }[cell] || null)));
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+describe('svgExport', () => {
+  it('traces same-color regions into outlines with holes', () => {
+    const regions = traceColorRegions(grid(['rrr', 'r.r', 'rrr']));
+
+    const loops = regions.get(RED);
+    expect(loops).toHaveLength(2);
+    expect(loops.map(loop => loop.length).sort()).toEqual([4, 4]);
+    // The outer square and the hole
+    const flat = loops.flat().map(point => point.join(','));
+    expect(flat).toEqual(expect.arrayContaining(['0,0', '3,0', '3,3', '0,3', '1,1', '2,1', '2,2', '1,2']));
+  });
+
+  it('emits one compound path per color for square pixels', () => {
+    const svg = buildSvg(grid(['rrbb', 'rrbb', 'rrrr']), { pixelSize: 10 });
+
+    expect(countMatches(svg, /<path /g)).toBe(2);
+    expect(svg).toContain('<path d="M0 0H20V20H40V30H0Z" fill="#ff0000"/>');
+    expect(svg).toContain('<path d="M20 0H40V20H20Z" fill="#0000ff"/>');
+    expect(svg).not.toContain('<defs>');
+  });
+
+  it('keeps other pixel shapes as one subpath per pixel, grouped by color', () => {
+    const svg = buildSvg(grid(['rr', 'b.']), { pixelSize: 10, gridGap: 2, pixelShape: 'circle' });
+
+    expect(countMatches(svg, /<path /g)).toBe(2);
+    expect(countMatches(svg, /M/g)).toBe(3);
+    expect(svg).toContain('M1 6a5 5 0 1 0 10 0');
+
+    const custom = buildSvg(grid(['rr']), {
+      pixelSize: 10, pixelShape: 'custom', customShape: { path: 'M0 0L10 10', viewBox: '0 0 10 10' },
+    });
+    expect(custom).toContain('<symbol id="pixel-shape" viewBox="0 0 10 10">');
+    expect(countMatches(custom, /<use /g)).toBe(2);
+  });
+
+  it('honors scale, padding, background and grid lines', () => {
+    const svg = buildSvg(grid(['r.', '.r']), {
+      pixelSize: 10, scale: 2, padding: 4, background: 'rgba(0, 0, 0, 0.5)', includeGrid: true,
+    });
+
+    expect(svg).toContain('width="48" height="48" viewBox="-2 -2 24 24"');
+    expect(svg).toContain('<rect x="-2" y="-2" width="24" height="24" fill="#000000" fill-opacity="0.5"/>');
+    expect(svg).toContain('stroke="rgba(128, 128, 128, 0.5)"');
+  });
+
+  it('adds glow filters and per-pixel bulb gradients that reuse the color paths', () => {
+    const svg = buildSvg(grid(['rb']), {
+      pixelSize: 10,
+      glowEnabled: true,
+      glowSettings: { size: 10, opacity: 25, spread: 10, offsetX: 0, offsetY: 0, blendMode: 'screen' },
+      bulbEnabled: true,
+      bulbSettings: { intensity: 50, radius: 50, positionX: 25, positionY: 25, color: '#ffffff', blendMode: 'overlay' },
+    });
+
+    expect(svg).toContain('<filter id="glow"');
+    expect(svg).toContain('<feGaussianBlur stdDeviation="5"/>');
+    expect(svg).toContain('<feFuncA type="linear" slope="0.25"/>');
+    expect(svg).toContain('<radialGradient id="bulb-gradient" cx="25%" cy="25%" r="50%">');
+    expect(svg).toContain('mix-blend-mode:overlay');
+    // Paths are defined once and reused by the glow, pixel and bulb passes
+    expect(countMatches(svg, /<path /g)).toBe(2);
+    expect(countMatches(svg, /<use href="#c0"/g)).toBe(3);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+  snapAxis,
+  resolveSymmetryAxes,
+  getSymmetryTransforms,
+  getSymmetryPoints,
+  DEFAULT_SYMMETRY
+} from '../symmetryUtils';
+
+describe('symmetryUtils', () => {
+  describe('snapAxis', () => {
+    it('snaps to half cells', () => {
+      expect(snapAxis(3.3, 10)).toBe(3.5);
+      expect(snapAxis(3.2, 10)).toBe(3);
+    });
+
+    it('clamps to the grid', () => {
+      expect(snapAxis(-2, 10)).toBe(0);
+      expect(snapAxis(12, 10)).toBe(10);
+    });
+  });
+
+  describe('resolveSymmetryAxes', () => {
+    it('centers null axes on the grid', () => {
+      expect(resolveSymmetryAxes(DEFAULT_SYMMETRY, 32, 15)).toEqual({ axisX: 16, axisY: 7.5 });
+    });
+
+    it('keeps explicit axes', () => {
+      expect(resolveSymmetryAxes({ axisX: 4, axisY: 2.5 }, 32, 32)).toEqual({ axisX: 4, axisY: 2.5 });
+    });
+  });
+
+  describe('getSymmetryPoints', () => {
+    it('returns only the original point when symmetry is off', () => {
+      expect(getSymmetryPoints(1, 2, DEFAULT_SYMMETRY, 8, 8)).toEqual([{ x: 1, y: 2 }]);
+    });
+
+    it('mirrors across a vertical axis', () => {
+      const symmetry = { ...DEFAULT_SYMMETRY, mode: 'vertical' };
+      expect(getSymmetryPoints(1, 2, symmetry, 8, 8)).toEqual([{ x: 1, y: 2 }, { x: 6, y: 2 }]);
+    });
+
+    it('mirrors across a horizontal axis', () => {
+      const symmetry = { ...DEFAULT_SYMMETRY, mode: 'horizontal' };
+      expect(getSymmetryPoints(1, 2, symmetry, 8, 8)).toEqual([{ x: 1, y: 2 }, { x: 1, y: 5 }]);
+    });
+
+    it('mirrors into all four quadrants', () => {
+      const symmetry = { ...DEFAULT_SYMMETRY, mode: 'quad' };
+      expect(getSymmetryPoints(0, 0, symmetry, 4, 4)).toEqual([
+        { x: 0, y: 0 },
+        { x: 3, y: 0 },
+        { x: 0, y: 3 },
+        { x: 3, y: 3 }
+      ]);
+    });
+
+    it('does not duplicate points on an odd axis', () => {
+      const symmetry = { ...DEFAULT_SYMMETRY, mode: 'vertical' };
+      expect(getSymmetryPoints(2, 0, symmetry, 5, 5)).toEqual([{ x: 2, y: 0 }]);
+    });
+
+    it('drops mirrored points that fall outside the grid', () => {
+      const symmetry = { ...DEFAULT_SYMMETRY, mode: 'vertical', axisX: 6 };
+      expect(getSymmetryPoints(1, 0, symmetry, 8, 8)).toEqual([{ x: 1, y: 0 }]);
+    });
+
+    it('repeats radially around the center', () => {
+      const symmetry = { ...DEFAULT_SYMMETRY, mode: 'radial', radialCount: 4 };
+      expect(getSymmetryPoints(0, 0, symmetry, 4, 4)).toEqual([
+        { x: 0, y: 0 },
+        { x: 3, y: 0 },
+        { x: 3, y: 3 },
+        { x: 0, y: 3 }
+      ]);
+    });
+  });
+
+  describe('getSymmetryTransforms', () => {
+    it('starts with the identity transform', () => {
+      const transforms = getSymmetryTransforms({ ...DEFAULT_SYMMETRY, mode: 'radial', radialCount: 3 }, 9, 9);
+      expect(transforms).toHaveLength(3);
+      expect(transforms[0](4, 1)).toEqual({ x: 4, y: 1 });
+    });
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { buildVoxelFaces } from '../voxelMesh';
+import { writeVoxelGlb, writeVoxelObj, writeVoxelStl } from '../voxelExport';
+
+const faces = buildVoxelFaces([['#ff0000', '#0000ff']], { depth: 1 });
+
+describe('voxelExport', () => {
+  it('writes OBJ objects per color with an MTL palette', () => {
+    const { obj, mtl } = writeVoxelObj(faces, { name: 'key', unitSize: 2 });
+
+    expect(obj).toContain('mtllib key.mtl');
+    expect(obj).toContain('usemtl color_ff0000');
+    expect(obj).toContain('usemtl color_0000ff');
+    expect(obj).toContain('v 4 2 2');
+    expect(mtl).toContain('newmtl color_ff0000\nKa 0 0 0\nKd 1.0000 0.0000 0.0000');
+  });
+
+  it('writes binary STL triangles', () => {
+    const stl = writeVoxelStl(faces, { unitSize: 5 });
+    const view = new DataView(stl.buffer, stl.byteOffset, stl.byteLength);
+
+    // Ten quads, two triangles each
+    expect(view.getUint32(80, true)).toBe(20);
+    expect(stl.byteLength).toBe(84 + 20 * 50);
+  });
+
+  it('writes GLB with vertex colors', async () => {
+    const glb = new Uint8Array(await writeVoxelGlb(faces, { name: 'key' }));
+    const view = new DataView(glb.buffer);
+    const jsonLength = view.getUint32(12, true);
+    const json = JSON.parse(new TextDecoder().decode(glb.subarray(20, 20 + jsonLength)));
+
+    expect(new TextDecoder().decode(glb.subarray(0, 4))).toBe('glTF');
+    expect(json.nodes[0].name).toBe('key');
+    expect(json.meshes[0].primitives[0].attributes).toHaveProperty('COLOR_0');
+  });
+});
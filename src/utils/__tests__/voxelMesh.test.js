@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { buildVoxelFaces, faceNormal } from '../voxelMesh';
+
+const RED = '#ff0000';
+const BLUE = '#0000ff';
+
+const normalsOf = (faces) => faces.map(face => faceNormal(face.vertices).map(value => Math.round(value * 100) / 100 + 0));
+
+// Signed volume from the divergence theorem; positive when every face winds outward
+const volume = (faces) => faces.reduce((sum, { vertices }) => {
+  let total = sum;
+  for (let i = 1; i < vertices.length - 1; i++) {
+    const [a, b, c] = [vertices[0], vertices[i], vertices[i + 1]];
+    total += (a[0] * (b[1] * c[2] - b[2] * c[1]) - a[1] * (b[0] * c[2] - b[2] * c[0]) + a[2] * (b[0] * c[1] - b[1] * c[0])) / 6;
+  }
+  return total;
+}, 0);
+
+describe('voxelMesh', () => {
+  it('merges a solid block into six faces', () => {
+    const faces = buildVoxelFaces([[RED, RED, RED], [RED, RED, RED]], { depth: 2 });
+
+    expect(faces).toHaveLength(6);
+    expect(normalsOf(faces)).toEqual(expect.arrayContaining([[0, 0, 1], [0, 0, -1], [0, 1, 0], [0, -1, 0], [-1, 0, 0], [1, 0, 0]]));
+    expect(volume(faces)).toBeCloseTo(12);
+  });
+
+  it('keeps colors apart and skips internal and empty cells', () => {
+    const faces = buildVoxelFaces([[RED, BLUE], [null, 'rgba(0, 0, 0, 0)']], { depth: 1 });
+
+    // Front and back per color, the shared wall is internal
+    expect(faces.filter(face => face.color === RED)).toHaveLength(5);
+    expect(faces.filter(face => face.color === BLUE)).toHaveLength(5);
+    expect(volume(faces)).toBeCloseTo(2);
+    // The top row of the grid is the top of the model
+    expect(Math.min(...faces.flatMap(face => face.vertices.map(vertex => vertex[1])))).toBe(1);
+  });
+
+  it('makes beveled tiles closed and outward facing', () => {
+    const faces = buildVoxelFaces([[RED, null, RED]], { depth: 1, bevel: 0.2 });
+
+    expect(faces).toHaveLength(20);
+    const front = faces.find(face => face.vertices.every(vertex => vertex[2] === 1));
+    expect(front.vertices.map(vertex => vertex.map(value => Math.round(value * 10) / 10))).toEqual([[0.2, 0.2, 1], [0.8, 0.2, 1], [0.8, 0.8, 1], [0.2, 0.8, 1]]);
+    // Each tile is a 0.8 deep block under a frustum from 1x1 to 0.6x0.6
+    expect(volume(faces)).toBeCloseTo(2 * (0.8 + (0.2 / 3) * (1 + 0.36 + 0.6)));
+  });
+});
@@ -0,0 +1,96 @@
+import { compositeLayers, createEmptyGrid } from './layerUtils';
+
+export const DEFAULT_FRAME_DURATION = 100; // milliseconds
+export const MIN_FRAME_DURATION = 10;
+export const MAX_FRAME_DURATION = 10000;
+
+export const DEFAULT_ONION_SKIN = {
+  enabled: false,
+  opacity: 0.3,
+  previous: true,
+  next: true,
+};
+
+let frameCounter = 0;
+
+/**
+ * Generates a unique id for a new frame.
+ * @returns {string} The frame id.
+ */
+export const generateFrameId = () => {
+  frameCounter += 1;
+  return `frame-${Date.now().toString(36)}-${frameCounter}`;
+};
+
+/**
+ * Clamps a frame duration to the supported range.
+ * @param {number} duration Duration in milliseconds.
+ * @returns {number} The clamped, rounded duration.
+ */
+export const clampFrameDuration = (duration) => {
+  const value = Math.round(Number(duration));
+  if (!Number.isFinite(value)) return DEFAULT_FRAME_DURATION;
+  return Math.min(MAX_FRAME_DURATION, Math.max(MIN_FRAME_DURATION, value));
+};
+
+/**
+ * Creates a frame holding its own layer stack.
+ * @param {Object} options Frame properties.
+ * @param {Array<Object>} options.layers The frame's layer stack.
+ * @param {number} [options.duration] Display time in milliseconds.
+ * @returns {{id: string, layers: Array<Object>, duration: number}} The frame.
+ */
+export const createFrame = ({ layers, duration = DEFAULT_FRAME_DURATION }) => ({
+  id: generateFrameId(),
+  layers,
+  duration: clampFrameDuration(duration),
+});
+
+/**
+ * Builds an empty copy of a layer stack: same layer ids and settings, cleared grids.
+ * New frames use it so the active layer carries over when switching frames.
+ * @param {Array<Object>} layers The layer stack to copy.
+ * @param {number} width The grid width.
+ * @param {number} height The grid height.
+ * @returns {Array<Object>} The empty layer stack.
+ */
+export const createEmptyLayersLike = (layers, width, height) => {
+  return layers.map(layer => ({ ...layer, grid: createEmptyGrid(width, height) }));
+};
+
+/**
+ * Returns a copy of an array with one item moved to a new index.
+ * @param {Array} items The source array.
+ * @param {number} fromIndex The index of the item to move.
+ * @param {number} toIndex The index the item should end up at.
+ * @returns {Array} The reordered copy, or the original array if an index is invalid.
+ */
+export const moveItem = (items, fromIndex, toIndex) => {
+  if (fromIndex === toIndex) return items;
+  if (fromIndex < 0 || fromIndex >= items.length || toIndex < 0 || toIndex >= items.length) return items;
+  const next = [...items];
+  const [item] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, item);
+  return next;
+};
+
+/**
+ * Draws the neighbouring frames as translucent ghosts underneath the current frame.
+ * @param {Array<Array<string|null>>} currentGrid The current frame's composited grid.
+ * @param {Array<Array<string|null>>|null} previousGrid The previous frame's grid, if shown.
+ * @param {Array<Array<string|null>>|null} nextGrid The next frame's grid, if shown.
+ * @param {number} opacity Ghost opacity (0-1).
+ * @param {number} width The grid width.
+ * @param {number} height The grid height.
+ * @returns {Array<Array<string|null>>} The grid to render.
+ */
+export const applyOnionSkin = (currentGrid, previousGrid, nextGrid, opacity, width, height) => {
+  const ghost = (grid) => ({ grid, visible: true, opacity, blendMode: 'normal' });
+  const stack = [];
+  if (previousGrid) stack.push(ghost(previousGrid));
+  if (nextGrid) stack.push(ghost(nextGrid));
+  if (stack.length === 0) return currentGrid;
+
+  stack.push({ grid: currentGrid, visible: true, opacity: 1, blendMode: 'normal' });
+  return compositeLayers(stack, width, height);
+};
@@ -0,0 +1,184 @@
+import { compressBytes } from './compression';
+
+/**
+ * In-browser PNG and animated PNG (APNG) encoder for RGBA frames.
+ */
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+let crcTable = null;
+
+const getCrcTable = () => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+};
+
+/**
+ * Computes the CRC-32 used by PNG chunks.
+ * @param {Uint8Array} bytes The data to checksum.
+ * @returns {number} The unsigned CRC.
+ */
+export const crc32 = (bytes) => {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const adler32 = (bytes) => {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+};
+
+// zlib stream made of uncompressed deflate blocks, for browsers without CompressionStream
+const storeZlib = (bytes) => {
+  const blockCount = Math.max(1, Math.ceil(bytes.length / 65535));
+  const out = new Uint8Array(2 + bytes.length + blockCount * 5 + 4);
+  out[0] = 0x78;
+  out[1] = 0x01;
+  let offset = 2;
+  for (let block = 0; block < blockCount; block++) {
+    const start = block * 65535;
+    const length = Math.min(65535, bytes.length - start);
+    out[offset++] = block === blockCount - 1 ? 1 : 0;
+    out[offset++] = length & 255;
+    out[offset++] = (length >> 8) & 255;
+    out[offset++] = ~length & 255;
+    out[offset++] = (~length >> 8) & 255;
+    out.set(bytes.subarray(start, start + length), offset);
+    offset += length;
+  }
+  const checksum = adler32(bytes);
+  out[offset++] = (checksum >>> 24) & 255;
+  out[offset++] = (checksum >>> 16) & 255;
+  out[offset++] = (checksum >>> 8) & 255;
+  out[offset] = checksum & 255;
+  return out;
+};
+
+/**
+ * Compresses bytes into a zlib stream, using the browser's CompressionStream when available.
+ * @param {Uint8Array} bytes The raw data.
+ * @returns {Promise<Uint8Array>} The zlib-wrapped deflate data.
+ */
+export const zlibCompress = async (bytes) => {
+  if (typeof CompressionStream === 'undefined') {
+    return storeZlib(bytes);
+  }
+  return compressBytes(bytes);
+};
+
+const uint32 = (value) => [(value >>> 24) & 255, (value >>> 16) & 255, (value >>> 8) & 255, value & 255];
+const uint16 = (value) => [(value >> 8) & 255, value & 255];
+
+const makeChunk = (type, data) => {
+  const typeAndData = new Uint8Array(4 + data.length);
+  for (let i = 0; i < 4; i++) typeAndData[i] = type.charCodeAt(i);
+  typeAndData.set(data, 4);
+  const chunk = new Uint8Array(8 + data.length + 4);
+  chunk.set(uint32(data.length), 0);
+  chunk.set(typeAndData, 4);
+  chunk.set(uint32(crc32(typeAndData)), 8 + data.length);
+  return chunk;
+};
+
+// PNG scanlines: a filter byte (0, none) before each row
+const toScanlines = (data, width, height) => {
+  const rowLength = width * 4;
+  const raw = new Uint8Array((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(data.subarray(y * rowLength, (y + 1) * rowLength), y * (rowLength + 1) + 1);
+  }
+  return raw;
+};
+
+const joinChunks = (chunks) => {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return out;
+};
+
+// IHDR: 8-bit RGBA, no interlace
+const makeHeader = (width, height) => makeChunk('IHDR', Uint8Array.from([...uint32(width), ...uint32(height), 8, 6, 0, 0, 0]));
+
+/**
+ * Encodes one RGBA image as a still PNG.
+ * @param {Uint8ClampedArray|Uint8Array} data RGBA pixels, row by row.
+ * @param {number} width Image width in pixels.
+ * @param {number} height Image height in pixels.
+ * @returns {Promise<Uint8Array>} The PNG file bytes.
+ */
+export const encodePng = async (data, width, height) => joinChunks([
+  Uint8Array.from(PNG_SIGNATURE),
+  makeHeader(width, height),
+  makeChunk('IDAT', await zlibCompress(toScanlines(data, width, height))),
+  makeChunk('IEND', new Uint8Array(0)),
+]);
+
+/**
+ * Encodes frames as an animated PNG. Every frame replaces the whole canvas.
+ * @param {Array<{data: Uint8ClampedArray|Uint8Array, delay: number}>} frames RGBA frames with delays in milliseconds.
+ * @param {number} width Frame width in pixels.
+ * @param {number} height Frame height in pixels.
+ * @param {Object} [options] Encoder options.
+ * @param {number} [options.loopCount=0] How many times to play; 0 loops forever.
+ * @returns {Promise<Uint8Array>} The APNG file bytes.
+ */
+export const encodeApng = async (frames, width, height, { loopCount = 0 } = {}) => {
+  if (!frames.length) throw new Error('No frames to encode');
+
+  const chunks = [Uint8Array.from(PNG_SIGNATURE), makeHeader(width, height)];
+  chunks.push(makeChunk('acTL', Uint8Array.from([...uint32(frames.length), ...uint32(loopCount)])));
+
+  let sequence = 0;
+  for (let index = 0; index < frames.length; index++) {
+    const frame = frames[index];
+    const delay = Math.min(65535, Math.max(0, Math.round(frame.delay)));
+    chunks.push(makeChunk('fcTL', Uint8Array.from([
+      ...uint32(sequence++),
+      ...uint32(width),
+      ...uint32(height),
+      ...uint32(0), // x offset
+      ...uint32(0), // y offset
+      ...uint16(delay),
+      ...uint16(1000), // Delay is in milliseconds
+      0, // dispose_op: none
+      0, // blend_op: source (replace, so transparent areas do not keep the previous frame)
+    ])));
+
+    const compressed = await zlibCompress(toScanlines(frame.data, width, height));
+    if (index === 0) {
+      // The first frame doubles as the default image for viewers without APNG support
+      chunks.push(makeChunk('IDAT', compressed));
+    } else {
+      const data = new Uint8Array(4 + compressed.length);
+      data.set(uint32(sequence++), 0);
+      data.set(compressed, 4);
+      chunks.push(makeChunk('fdAT', data));
+    }
+  }
+
+  chunks.push(makeChunk('IEND', new Uint8Array(0)));
+  return joinChunks(chunks);
+};
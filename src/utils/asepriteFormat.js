@@ -0,0 +1,480 @@
+import { rgbToHex, parseColor, channelsToColor } from './colorUtils';
+import { zlibCompress } from './apngEncoder';
+import { decompressBytes } from './compression';
+import { compositeLayers, generateLayerId } from './layerUtils';
+import { DEFAULT_FRAME_DURATION, clampFrameDuration, generateFrameId } from './animationUtils';
+import { PROJECT_VERSION } from './projectSchema';
+
+/**
+ * Aseprite (.ase/.aseprite) sprite files.
+ *
+ * Reading supports RGBA, grayscale and indexed sprites: image layers (group
+ * visibility is applied, tilemap layers are skipped), frames with their
+ * durations, raw, compressed and linked cels at any position, and the palette.
+ * Writing produces an RGBA sprite, or an indexed one for indexed projects,
+ * with one compressed cel per non-empty layer and frame.
+ *
+ * Format reference: https://github.com/aseprite/aseprite/blob/main/docs/ase-file-specs.md
+ */
+
+const FILE_MAGIC = 0xa5e0;
+const FRAME_MAGIC = 0xf1fa;
+const HEADER_SIZE = 128;
+const FRAME_HEADER_SIZE = 16;
+const CHUNK_HEADER_SIZE = 6;
+const CEL_HEADER_SIZE = 16;
+
+const CHUNK_OLD_PALETTE = 0x0004;
+const CHUNK_OLD_PALETTE_64 = 0x0011; // Channels from 0 to 63
+const CHUNK_LAYER = 0x2004;
+const CHUNK_CEL = 0x2005;
+const CHUNK_PALETTE = 0x2019;
+
+const DEPTH_RGBA = 32;
+const DEPTH_GRAYSCALE = 16;
+const DEPTH_INDEXED = 8;
+const BYTES_PER_PIXEL = { [DEPTH_RGBA]: 4, [DEPTH_GRAYSCALE]: 2, [DEPTH_INDEXED]: 1 };
+
+const HEADER_FLAG_LAYER_OPACITY = 1;
+
+const LAYER_FLAG_VISIBLE = 1;
+const LAYER_FLAG_EDITABLE = 2;
+const LAYER_FLAG_BACKGROUND = 8;
+const LAYER_TYPE_IMAGE = 0;
+const LAYER_TYPE_GROUP = 1;
+
+const CEL_TYPE_RAW = 0;
+const CEL_TYPE_LINKED = 1;
+const CEL_TYPE_COMPRESSED = 2;
+
+const PALETTE_ENTRY_HAS_NAME = 1;
+
+// Aseprite blend mode ids of the modes PixelPop layers support; the others load as normal
+const BLEND_MODE_IDS = {
+  normal: 0,
+  multiply: 1,
+  screen: 2,
+  overlay: 3,
+  darken: 4,
+  lighten: 5,
+  difference: 10,
+};
+const BLEND_MODE_NAMES = Object.fromEntries(Object.entries(BLEND_MODE_IDS).map(([name, id]) => [id, name]));
+
+const inflate = async (bytes) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed Aseprite images');
+  }
+  try {
+    return await decompressBytes(bytes);
+  } catch {
+    throw new Error('Corrupt Aseprite file: a compressed image could not be read');
+  }
+};
+
+// --- Reading ---
+
+/**
+ * Parses an Aseprite file into project data (not yet validated or given defaults).
+ * Indexed sprites keep palette slots in their layer grids and load in indexed color mode.
+ * @param {ArrayBuffer|Uint8Array} buffer File contents.
+ * @param {Object} [options] Parse options.
+ * @param {string} [options.name='Aseprite'] Name for the project and its palette.
+ * @returns {Promise<Object>} Project data with layers, animation frames and the sprite's palette.
+ * @throws {Error} If the file is not a readable Aseprite sprite.
+ */
+export const parseAseprite = async (buffer, { name = 'Aseprite' } = {}) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length >= 4 && String.fromCharCode(...bytes.subarray(0, 4)) === 'ASEF') {
+    throw new Error('This .ase file is an Adobe Swatch Exchange palette. Import it from the Palette panel instead.');
+  }
+  if (bytes.length < HEADER_SIZE || view.getUint16(4, true) !== FILE_MAGIC) {
+    throw new Error('Not an Aseprite file');
+  }
+
+  const frameCount = view.getUint16(6, true);
+  const width = view.getUint16(8, true);
+  const height = view.getUint16(10, true);
+  const depth = view.getUint16(12, true);
+  const hasLayerOpacity = Boolean(view.getUint32(14, true) & HEADER_FLAG_LAYER_OPACITY);
+  const transparentIndex = view.getUint8(28);
+  if (!BYTES_PER_PIXEL[depth]) throw new Error(`Unsupported Aseprite color depth ${depth}`);
+  if (width === 0 || height === 0 || frameCount === 0) throw new Error('The Aseprite file has no image');
+
+  const readString = (position) => {
+    const length = view.getUint16(position, true);
+    return {
+      text: new TextDecoder().decode(bytes.subarray(position + 2, position + 2 + length)),
+      end: position + 2 + length,
+    };
+  };
+
+  const fileLayers = []; // Every layer chunk in file order; cels refer to these indexes
+  const frames = []; // [{ duration, cels: Map<layer index, cel> }]
+  let palette = null;
+  let oldPalette = null;
+  let offset = HEADER_SIZE;
+
+  for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+    if (offset + FRAME_HEADER_SIZE > bytes.length || view.getUint16(offset + 4, true) !== FRAME_MAGIC) {
+      throw new Error(`Corrupt Aseprite file: frame ${frameIndex + 1} is missing`);
+    }
+    const frameSize = view.getUint32(offset, true);
+    const frameEnd = Math.min(offset + frameSize, bytes.length);
+    const oldChunkCount = view.getUint16(offset + 6, true);
+    const newChunkCount = view.getUint32(offset + 12, true);
+    const chunkCount = newChunkCount || oldChunkCount;
+    const frame = { duration: view.getUint16(offset + 8, true), cels: new Map() };
+
+    let chunkOffset = offset + FRAME_HEADER_SIZE;
+    for (let chunk = 0; chunk < chunkCount; chunk++) {
+      if (chunkOffset + CHUNK_HEADER_SIZE > frameEnd) break;
+      const chunkSize = view.getUint32(chunkOffset, true);
+      const type = view.getUint16(chunkOffset + 4, true);
+      const body = chunkOffset + CHUNK_HEADER_SIZE;
+      const chunkEnd = chunkOffset + chunkSize;
+      if (chunkSize < CHUNK_HEADER_SIZE || chunkEnd > frameEnd) {
+        throw new Error(`Corrupt Aseprite file: damaged chunk in frame ${frameIndex + 1}`);
+      }
+
+      if (type === CHUNK_LAYER) {
+        fileLayers.push({
+          flags: view.getUint16(body, true),
+          type: view.getUint16(body + 2, true),
+          childLevel: view.getUint16(body + 4, true),
+          blendMode: view.getUint16(body + 10, true),
+          opacity: view.getUint8(body + 12),
+          name: readString(body + 16).text,
+        });
+      } else if (type === CHUNK_CEL) {
+        const layerIndex = view.getUint16(body, true);
+        const celType = view.getUint16(body + 7, true);
+        const cel = {
+          x: view.getInt16(body + 2, true),
+          y: view.getInt16(body + 4, true),
+          opacity: view.getUint8(body + 6),
+        };
+        const imageStart = body + CEL_HEADER_SIZE + 4;
+        if (celType === CEL_TYPE_LINKED) {
+          // Linked cels share the image, position and opacity of the cel in another frame
+          const linked = frames[view.getUint16(body + CEL_HEADER_SIZE, true)]?.cels.get(layerIndex);
+          if (linked) frame.cels.set(layerIndex, linked);
+        } else if (celType === CEL_TYPE_RAW || celType === CEL_TYPE_COMPRESSED) {
+          cel.width = view.getUint16(body + CEL_HEADER_SIZE, true);
+          cel.height = view.getUint16(body + CEL_HEADER_SIZE + 2, true);
+          const data = bytes.subarray(imageStart, chunkEnd);
+          cel.pixels = celType === CEL_TYPE_COMPRESSED ? await inflate(data) : data;
+          if (cel.pixels.length < cel.width * cel.height * BYTES_PER_PIXEL[depth]) {
+            throw new Error(`Corrupt Aseprite file: a cel in frame ${frameIndex + 1} is missing pixels`);
+          }
+          frame.cels.set(layerIndex, cel);
+        } // Tilemap cels belong to tilemap layers, which are skipped
+      } else if (type === CHUNK_PALETTE) {
+        const size = view.getUint32(body, true);
+        const first = view.getUint32(body + 4, true);
+        const last = view.getUint32(body + 8, true);
+        palette = Array.from({ length: size }, (_, i) => palette?.[i] ?? '#000000');
+        let position = body + 20;
+        for (let index = first; index <= last && position + 6 <= chunkEnd; index++) {
+          const entryFlags = view.getUint16(position, true);
+          const [r, g, b, a] = bytes.subarray(position + 2, position + 6);
+          if (index < size) palette[index] = channelsToColor(r, g, b, a);
+          position = entryFlags & PALETTE_ENTRY_HAS_NAME ? readString(position + 6).end : position + 6;
+        }
+      } else if (type === CHUNK_OLD_PALETTE || type === CHUNK_OLD_PALETTE_64) {
+        const scale = type === CHUNK_OLD_PALETTE_64 ? 255 / 63 : 1;
+        const packets = view.getUint16(body, true);
+        let position = body + 2;
+        let index = 0;
+        oldPalette = oldPalette || [];
+        for (let packet = 0; packet < packets && position + 2 <= chunkEnd; packet++) {
+          index += bytes[position];
+          const count = bytes[position + 1] || 256;
+          position += 2;
+          for (let i = 0; i < count && position + 3 <= chunkEnd; i++, position += 3) {
+            const [r, g, b] = bytes.subarray(position, position + 3);
+            oldPalette[index++] = rgbToHex(Math.round(r * scale), Math.round(g * scale), Math.round(b * scale));
+          }
+        }
+      }
+      chunkOffset = chunkEnd;
+    }
+
+    frames.push(frame);
+    offset += frameSize;
+  }
+
+  // Image layers, with the visibility of their groups applied
+  const hiddenGroups = []; // Whether the group at each child level is hidden
+  const imageLayers = [];
+  fileLayers.forEach((layer, index) => {
+    const parentHidden = layer.childLevel > 0 && hiddenGroups[layer.childLevel - 1];
+    const visible = Boolean(layer.flags & LAYER_FLAG_VISIBLE) && !parentHidden;
+    if (layer.type === LAYER_TYPE_GROUP) {
+      hiddenGroups[layer.childLevel] = !visible;
+      return;
+    }
+    if (layer.type !== LAYER_TYPE_IMAGE) return;
+    imageLayers.push({
+      index,
+      id: generateLayerId(),
+      name: layer.name || `Layer ${imageLayers.length + 1}`,
+      visible,
+      opacity: hasLayerOpacity ? Math.round((layer.opacity / 255) * 100) / 100 : 1,
+      locked: !(layer.flags & LAYER_FLAG_EDITABLE),
+      blendMode: BLEND_MODE_NAMES[layer.blendMode] || 'normal',
+      background: Boolean(layer.flags & LAYER_FLAG_BACKGROUND),
+    });
+  });
+  if (imageLayers.length === 0) throw new Error('The Aseprite file has no image layers');
+
+  const isIndexed = depth === DEPTH_INDEXED;
+  const colors = [...(palette || oldPalette || [])];
+  if (isIndexed && colors.length === 0) throw new Error('The indexed Aseprite file has no palette');
+  // PixelPop writes the transparent slot after the palette colors; leave it out again
+  if (isIndexed && transparentIndex === colors.length - 1 && !imageLayers.some(layer => layer.background)) {
+    colors.pop();
+  }
+
+  // Cel opacity is folded into the pixel alpha; indexed cels have no alpha to hold it
+  const readCell = {
+    [DEPTH_RGBA]: (pixels, i, opacity) => {
+      const alpha = Math.round((pixels[i * 4 + 3] * opacity) / 255);
+      return alpha === 0 ? null : channelsToColor(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2], alpha);
+    },
+    [DEPTH_GRAYSCALE]: (pixels, i, opacity) => {
+      const alpha = Math.round((pixels[i * 2 + 1] * opacity) / 255);
+      return alpha === 0 ? null : channelsToColor(pixels[i * 2], pixels[i * 2], pixels[i * 2], alpha);
+    },
+    [DEPTH_INDEXED]: (pixels, i, _opacity, layer) => (
+      pixels[i] === transparentIndex && !layer.background ? null : pixels[i]
+    ),
+  }[depth];
+
+  const buildGrid = (cel, layer) => {
+    const grid = Array.from({ length: height }, () => new Array(width).fill(null));
+    if (!cel) return grid;
+    for (let y = 0; y < cel.height; y++) {
+      const gridY = cel.y + y;
+      if (gridY < 0 || gridY >= height) continue;
+      for (let x = 0; x < cel.width; x++) {
+        const gridX = cel.x + x;
+        if (gridX < 0 || gridX >= width) continue;
+        const value = readCell(cel.pixels, y * cel.width + x, cel.opacity, layer);
+        if (value !== null) grid[gridY][gridX] = value;
+      }
+    }
+    return grid;
+  };
+
+  const projectFrames = frames.map(frame => ({
+    id: generateFrameId(),
+    duration: clampFrameDuration(frame.duration || DEFAULT_FRAME_DURATION),
+    layers: imageLayers.map(layer => ({
+      id: layer.id,
+      name: layer.name,
+      visible: layer.visible,
+      opacity: layer.opacity,
+      locked: layer.locked,
+      blendMode: layer.blendMode,
+      grid: buildGrid(frame.cels.get(layer.index), layer),
+    })),
+  }));
+  const [firstFrame] = projectFrames;
+
+  return {
+    version: PROJECT_VERSION,
+    filename: name,
+    gridDimensions: { width, height },
+    pixelGrid: compositeLayers(firstFrame.layers, width, height, isIndexed ? colors : null),
+    layers: firstFrame.layers,
+    activeLayerId: firstFrame.layers[firstFrame.layers.length - 1].id,
+    animation: { frames: projectFrames, currentFrameIndex: 0 },
+    ...(colors.length > 0 ? { palettes: [{ name, colors }] } : {}),
+    colorMode: isIndexed ? 'indexed' : 'literal',
+  };
+};
+
+// --- Writing ---
+
+// Little-endian byte buffer
+const createWriter = () => {
+  const bytes = [];
+  const writer = {
+    uint8: (value) => {
+      bytes.push(value & 255);
+      return writer;
+    },
+    uint16: (value) => writer.uint8(value).uint8(value >> 8),
+    uint32: (value) => writer.uint16(value & 0xffff).uint16(value >>> 16),
+    zeros: (count) => {
+      for (let i = 0; i < count; i++) bytes.push(0);
+      return writer;
+    },
+    bytes: (data) => {
+      for (let i = 0; i < data.length; i++) bytes.push(data[i]);
+      return writer;
+    },
+    string: (text) => {
+      const encoded = new TextEncoder().encode(text);
+      return writer.uint16(encoded.length).bytes(encoded);
+    },
+    toBytes: () => Uint8Array.from(bytes),
+  };
+  return writer;
+};
+
+const makeChunk = (type, body) => createWriter().uint32(CHUNK_HEADER_SIZE + body.length).uint16(type).bytes(body).toBytes();
+
+const channelsOf = (color) => {
+  const parsed = parseColor(color);
+  return parsed ? [parsed.r, parsed.g, parsed.b, Math.round(parsed.a * 255)] : [0, 0, 0, 255];
+};
+
+/**
+ * Writes a project as an Aseprite file. Indexed projects become indexed sprites when
+ * their palette leaves a slot free for transparency, everything else is written as RGBA.
+ * Aseprite layers have one set of settings for all frames, taken from the first frame.
+ * @param {Object} project Project data (as built for saving).
+ * @returns {Promise<Uint8Array>} The .aseprite file contents.
+ */
+export const writeAseprite = async (project) => {
+  const { width, height } = project.gridDimensions;
+  const savedFrames = project.animation?.frames;
+  const frames = Array.isArray(savedFrames) && savedFrames.length > 0
+    ? savedFrames
+    : [{
+      duration: DEFAULT_FRAME_DURATION,
+      layers: project.layers?.length ? project.layers : [{ name: 'Layer 1', grid: project.pixelGrid }],
+    }];
+  const layerStack = frames[0].layers;
+
+  const palettes = project.palettes || [];
+  const paletteColors = (palettes.find(palette => palette.id === project.activePaletteId) || palettes[0])?.colors || [];
+  const isIndexed = project.colorMode === 'indexed' && paletteColors.length > 0 && paletteColors.length < 256;
+  const transparentIndex = isIndexed ? paletteColors.length : 0;
+  const fileColors = isIndexed ? [...paletteColors, 'rgba(0, 0, 0, 0)'] : paletteColors;
+  const resolveCell = (cell) => (typeof cell === 'number' ? paletteColors[cell] ?? null : cell);
+
+  const layerChunks = layerStack.map(layer => makeChunk(CHUNK_LAYER, createWriter()
+    .uint16((layer.visible === false ? 0 : LAYER_FLAG_VISIBLE) | (layer.locked ? 0 : LAYER_FLAG_EDITABLE))
+    .uint16(LAYER_TYPE_IMAGE)
+    .uint16(0) // Child level
+    .uint16(0) // Default width and height (ignored)
+    .uint16(0)
+    .uint16(BLEND_MODE_IDS[layer.blendMode] ?? BLEND_MODE_IDS.normal)
+    .uint8(Math.round((layer.opacity ?? 1) * 255))
+    .zeros(3)
+    .string(layer.name || '')
+    .toBytes()));
+
+  const paletteChunks = [];
+  if (fileColors.length > 0) {
+    const body = createWriter()
+      .uint32(fileColors.length)
+      .uint32(0)
+      .uint32(fileColors.length - 1)
+      .zeros(8);
+    fileColors.forEach(color => body.uint16(0).bytes(channelsOf(color)));
+    paletteChunks.push(makeChunk(CHUNK_PALETTE, body.toBytes()));
+  }
+
+  // One compressed cel per layer, cropped to the layer's content
+  const makeCelChunk = async (grid, layerIndex) => {
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+    grid.forEach((row, y) => row.forEach((cell, x) => {
+      if (cell === null || cell === undefined) return;
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    }));
+    if (maxX < 0) return null;
+
+    const celWidth = maxX - minX + 1;
+    const celHeight = maxY - minY + 1;
+    const pixels = new Uint8Array(celWidth * celHeight * (isIndexed ? 1 : 4));
+    for (let y = 0; y < celHeight; y++) {
+      for (let x = 0; x < celWidth; x++) {
+        const cell = grid[minY + y][minX + x];
+        const i = y * celWidth + x;
+        if (isIndexed) {
+          pixels[i] = typeof cell === 'number' ? cell : transparentIndex;
+        } else {
+          const color = resolveCell(cell);
+          if (color) pixels.set(channelsOf(color), i * 4);
+        }
+      }
+    }
+
+    return makeChunk(CHUNK_CEL, createWriter()
+      .uint16(layerIndex)
+      .uint16(minX)
+      .uint16(minY)
+      .uint8(255) // Opacity
+      .uint16(CEL_TYPE_COMPRESSED)
+      .uint16(0) // z-index
+      .zeros(5)
+      .uint16(celWidth)
+      .uint16(celHeight)
+      .bytes(await zlibCompress(pixels))
+      .toBytes());
+  };
+
+  const frameBlocks = [];
+  for (let frameIndex = 0; frameIndex < frames.length; frameIndex++) {
+    const frame = frames[frameIndex];
+    const chunks = frameIndex === 0 ? [...paletteChunks, ...layerChunks] : [];
+    for (let layerIndex = 0; layerIndex < layerStack.length; layerIndex++) {
+      const layer = frame.layers.find(frameLayer => frameLayer.id === layerStack[layerIndex].id) || frame.layers[layerIndex];
+      const celChunk = layer?.grid ? await makeCelChunk(layer.grid, layerIndex) : null;
+      if (celChunk) chunks.push(celChunk);
+    }
+    const frameSize = FRAME_HEADER_SIZE + chunks.reduce((total, chunk) => total + chunk.length, 0);
+    const header = createWriter()
+      .uint32(frameSize)
+      .uint16(FRAME_MAGIC)
+      .uint16(Math.min(chunks.length, 0xffff))
+      .uint16(clampFrameDuration(frame.duration ?? DEFAULT_FRAME_DURATION))
+      .zeros(2)
+      .uint32(chunks.length);
+    chunks.forEach(chunk => header.bytes(chunk));
+    frameBlocks.push(header.toBytes());
+  }
+
+  const fileSize = HEADER_SIZE + frameBlocks.reduce((total, block) => total + block.length, 0);
+  const header = createWriter()
+    .uint32(fileSize)
+    .uint16(FILE_MAGIC)
+    .uint16(frames.length)
+    .uint16(width)
+    .uint16(height)
+    .uint16(isIndexed ? DEPTH_INDEXED : DEPTH_RGBA)
+    .uint32(HEADER_FLAG_LAYER_OPACITY)
+    .uint16(clampFrameDuration(frames[0].duration ?? DEFAULT_FRAME_DURATION)) // Deprecated speed
+    .zeros(8)
+    .uint8(transparentIndex)
+    .zeros(3)
+    .uint16(Math.min(fileColors.length, 0xffff))
+    .uint8(1) // Pixel width and height (square pixels)
+    .uint8(1)
+    .uint16(0) // Grid position and size
+    .uint16(0)
+    .uint16(16)
+    .uint16(16)
+    .zeros(84)
+    .toBytes();
+
+  const file = new Uint8Array(fileSize);
+  file.set(header, 0);
+  let offset = HEADER_SIZE;
+  frameBlocks.forEach(block => {
+    file.set(block, offset);
+    offset += block.length;
+  });
+  return file;
+};
@@ -1,5 +1,37 @@
 import { hexToRgba } from './colorUtils';
 
+// Default effect settings, shared by the effect state and project loading
+export const DEFAULT_CORNER_RADIUS = {
+  enabled: false,
+  topLeft: 0,
+  topRight: 0,
+  bottomLeft: 0,
+  bottomRight: 0,
+};
+
+export const DEFAULT_GLOW_SETTINGS = {
+  size: 10,
+  opacity: 25,
+  spread: 10,
+  offsetX: 0,
+  offsetY: 0,
+  blendMode: 'screen',
+};
+
+export const DEFAULT_BULB_SETTINGS = {
+  intensity: 50,
+  radius: 50,
+  positionX: 25,
+  positionY: 25,
+  color: '#ffffff',
+  blendMode: 'screen',
+};
+
+export const DEFAULT_CUSTOM_SHAPE = {
+  path: '',
+  viewBox: '0 0 100 100',
+};
+
 // Cache for bulb gradients
 export const bulbGradientCache = new Map();
 
@@ -0,0 +1,68 @@
+/**
+ * Utility functions for bringing pasted and dropped data into PixelPop
+ */
+import { FIGMA_CLIPBOARD_PREFIX } from './figmaExport';
+import { isCompactProject } from './projectFormat';
+
+// Copy-buffer shape used by the select tool: { width, height, data }
+const gridToBuffer = (grid) => {
+  if (!Array.isArray(grid) || grid.length === 0 || !Array.isArray(grid[0]) || grid[0].length === 0) {
+    return null;
+  }
+  const width = Math.max(...grid.map(row => (Array.isArray(row) ? row.length : 0)));
+  const data = grid.map(row => Array.from({ length: width }, (_, x) => {
+    const color = Array.isArray(row) ? row[x] : null;
+    return typeof color === 'string' ? color : null;
+  }));
+  return { width, height: data.length, data };
+};
+
+const isProjectData = (data) => (
+  data !== null && typeof data === 'object' && data.gridDimensions
+  && (Array.isArray(data.pixelGrid) || isCompactProject(data))
+);
+
+/**
+ * Works out which PixelPop data a pasted text holds.
+ * - `PIXELPOP_FIGMA_DATA:` payloads (Export to Figma) become a floating selection.
+ * - Saved project JSON (plain or compact) is returned as is, for loading.
+ * @param {string} text - The clipboard text.
+ * @returns {{type: 'selection', buffer: {width: number, height: number, data: Array<Array<string|null>>}}|{type: 'project', json: string}|null}
+ *   What to paste, or null when the text is not PixelPop data.
+ */
+export const parseClipboardText = (text) => {
+  if (typeof text !== 'string') return null;
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith(FIGMA_CLIPBOARD_PREFIX)) {
+    try {
+      const buffer = gridToBuffer(JSON.parse(trimmed.slice(FIGMA_CLIPBOARD_PREFIX.length)).grid);
+      return buffer ? { type: 'selection', buffer } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  if (trimmed.startsWith('{')) {
+    try {
+      return isProjectData(JSON.parse(trimmed)) ? { type: 'project', json: trimmed } : null;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+};
+
+/**
+ * Decides how a dropped or pasted file is opened.
+ * @param {File} file - The file.
+ * @returns {'image'|'aseprite'|'project'|null} 'image' for the import flow, 'aseprite' for Aseprite
+ *   sprites, 'project' for loading, null otherwise.
+ */
+export const getFileKind = (file) => {
+  if (!file) return null;
+  if (file.type?.startsWith('image/')) return 'image';
+  if (/\.(ase|aseprite)$/i.test(file.name || '')) return 'aseprite';
+  if (file.type === 'application/json' || /\.(json|pixelpop|piskel)$/i.test(file.name || '')) return 'project';
+  return null;
+};
@@ -0,0 +1,163 @@
+/**
+ * Ready-to-paste code snippets of the artwork: a pure-CSS box-shadow drawing, a React
+ * component wrapping the SVG export, and data URIs.
+ */
+
+const px = (value) => `${Math.round(value * 100) / 100}px`;
+
+/**
+ * Turns a file name into a React component name, e.g. "space ship 2" -> "SpaceShip2".
+ * @param {string} name File or project name.
+ * @returns {string} A PascalCase identifier, "PixelArt" when nothing usable is left.
+ */
+export const toComponentName = (name) => {
+  const words = String(name || '').match(/[A-Za-z0-9]+/g) || [];
+  const identifier = words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+  if (!identifier) return 'PixelArt';
+  return /^[0-9]/.test(identifier) ? `PixelArt${identifier}` : identifier;
+};
+
+/**
+ * Builds a pure-CSS pixel drawing: one pixel-sized pseudo-element whose box-shadows
+ * are the pixels. Circles and rounded corners carry over through border-radius;
+ * other pixel shapes are drawn as squares.
+ * @param {Array<Array<string|null>>} grid Grid of color strings.
+ * @param {Object} options Rendering options.
+ * @param {number} options.pixelSize Pixel size in CSS pixels.
+ * @param {number} [options.gridGap=0] Gap between pixels.
+ * @param {string} [options.pixelShape='rectangle'] Pixel shape.
+ * @param {Object} [options.cornerRadius] Rounded corner settings for rectangles.
+ * @param {number} [options.scale=1] Size multiplier.
+ * @param {number} [options.padding=0] Padding around the artwork, in CSS pixels.
+ * @param {string|null} [options.background=null] Background color, or null for transparent.
+ * @param {string} [options.className='pixel-art'] Class name of the element.
+ * @returns {string} The CSS rules.
+ */
+export const buildBoxShadowCss = (grid, {
+  pixelSize,
+  gridGap = 0,
+  pixelShape = 'rectangle',
+  cornerRadius = null,
+  scale = 1,
+  padding = 0,
+  background = null,
+  className = 'pixel-art',
+} = {}) => {
+  const height = grid.length;
+  const width = grid[0]?.length || 0;
+  const size = pixelSize * scale;
+  const cellSize = (pixelSize + gridGap) * scale;
+  const offset = (gridGap / 2) * scale + padding;
+
+  // The element sits just outside the top-left corner, so every shadow is moved by one pixel size
+  const shadows = [];
+  grid.forEach((row, y) => row.forEach((color, x) => {
+    if (color) shadows.push(`${px(offset + x * cellSize + size)} ${px(offset + y * cellSize + size)} ${color}`);
+  }));
+
+  let borderRadius = null;
+  if (pixelShape === 'circle') {
+    borderRadius = '50%';
+  } else if ((pixelShape === 'rectangle' || !pixelShape) && cornerRadius?.enabled) {
+    borderRadius = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft']
+      .map(corner => `${Math.min(cornerRadius[corner] || 0, 50)}%`)
+      .join(' ');
+  }
+
+  return [
+    `.${className} {`,
+    '  position: relative;',
+    '  display: inline-block;',
+    `  width: ${px(Math.floor(width * cellSize) + padding * 2)};`,
+    `  height: ${px(Math.floor(height * cellSize) + padding * 2)};`,
+    ...(background ? [`  background: ${background};`] : []),
+    '}',
+    '',
+    `.${className}::before {`,
+    "  content: '';",
+    '  position: absolute;',
+    `  top: ${px(-size)};`,
+    `  left: ${px(-size)};`,
+    `  width: ${px(size)};`,
+    `  height: ${px(size)};`,
+    ...(borderRadius ? [`  border-radius: ${borderRadius};`] : []),
+    shadows.length > 0 ? `  box-shadow:\n    ${shadows.join(',\n    ')};` : '  box-shadow: none;',
+    '}',
+    '',
+  ].join('\n');
+};
+
+const camelCase = (name) => name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+/**
+ * Wraps an SVG document from `buildSvg` in a React component.
+ * The component takes a `size` prop (rendered width; the height keeps the aspect ratio)
+ * and a `colors` prop mapping original hex colors to replacements; other props go to
+ * the svg element. Ids are prefixed per instance so several copies can share a page.
+ * @param {string} svg SVG document built by `buildSvg`.
+ * @param {Object} [options] Component options.
+ * @param {string} [options.componentName='PixelArt'] Name of the component.
+ * @returns {string} Source of a module whose default export is the component.
+ * @throws {Error} If the markup is not an SVG document.
+ */
+export const buildReactComponent = (svg, { componentName = 'PixelArt' } = {}) => {
+  const lines = svg.trim().split('\n');
+  const root = lines[0].match(/^<svg [^>]*width="([\d.]+)" height="([\d.]+)" viewBox="([^"]+)"/);
+  if (!root || lines[lines.length - 1] !== '</svg>') throw new Error('Not an SVG document');
+  const [, width, height, viewBox] = root;
+
+  const colors = new Set();
+  const body = lines.slice(1, -1).map(line => `      ${line
+    .replace(/style="mix-blend-mode:([a-z-]+)"/g, "style={{ mixBlendMode: '$1' }}")
+    .replace(/ id="([^"]+)"/g, ' id={`${id}-$1`}')
+    .replace(/ href="#([^"]+)"/g, ' href={`#${id}-$1`}')
+    .replace(/="url\(#([^)]+)\)"/g, '={`url(#${id}-$1)`}')
+    .replace(/ fill="(#[0-9a-f]{6})"/g, (_, color) => {
+      colors.add(color);
+      return ` fill={color('${color}')}`;
+    })
+    .replace(/ ([a-z]+(?:-[a-z]+)+)=/g, (_, name) => ` ${camelCase(name)}=`)}`);
+
+  return [
+    "import React, { useId } from 'react';",
+    '',
+    '/**',
+    ` * ${componentName} pixel art, exported from PixelPop.`,
+    ` * Colors: ${[...colors].join(', ') || 'none'}`,
+    ' * @param {Object} props',
+    ` * @param {number} [props.size=${width}] Rendered width; the height keeps the aspect ratio.`,
+    ' * @param {Object<string, string>} [props.colors] Replacement colors keyed by original color.',
+    ' */',
+    `export default function ${componentName}({ size = ${width}, colors = {}, ...props }) {`,
+    "  const id = useId().replace(/[^\\w-]/g, '');",
+    '  const color = (value) => colors[value] ?? value;',
+    '  return (',
+    '    <svg',
+    '      xmlns="http://www.w3.org/2000/svg"',
+    `      viewBox="${viewBox}"`,
+    '      width={size}',
+    `      height={(size * ${height}) / ${width}}`,
+    '      shapeRendering="crispEdges"',
+    '      {...props}',
+    '    >',
+    ...body,
+    '    </svg>',
+    '  );',
+    '}',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Encodes an SVG document as a base64 data URI.
+ * @param {string} svg SVG markup.
+ * @returns {string} A data:image/svg+xml;base64 URI.
+ */
+export const svgToDataUri = (svg) => {
+  const bytes = new TextEncoder().encode(svg);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:image/svg+xml;base64,${btoa(binary)}`;
+};
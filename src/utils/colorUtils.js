@@ -79,4 +79,131 @@ export const rgbToHex = (r, g, b) => {
     const hex = Math.round(x).toString(16); // Ensure integer before converting
     return hex.length === 1 ? '0' + hex : hex;
   }).join('');
-}; 
\ No newline at end of file
+};
+
+/**
+ * Formats 8-bit channels as a color string: hex when opaque, rgba() otherwise.
+ * @param {number} r - Red (0-255).
+ * @param {number} g - Green (0-255).
+ * @param {number} b - Blue (0-255).
+ * @param {number} [alpha=255] - Alpha (0-255).
+ * @returns {string} Hex (#RRGGBB) or rgba color string.
+ */
+export const channelsToColor = (r, g, b, alpha = 255) => (
+  alpha === 255 ? rgbToHex(r, g, b) : `rgba(${r}, ${g}, ${b}, ${Math.round((alpha / 255) * 1000) / 1000})`
+);
+
+/**
+ * Parses a hex (#RGB, #RRGGBB, #RRGGBBAA) or rgb()/rgba() color string into channels.
+ * @param {string} color - Input color string.
+ * @returns {{r: number, g: number, b: number, a: number}|null} Channels (0-255, alpha 0-1), or null if unrecognized.
+ */
+export const parseColor = (color) => {
+  if (typeof color !== 'string') return null;
+
+  if (color.startsWith('#')) {
+    let cleanHex = color.substring(1);
+    if (cleanHex.length === 3) {
+      cleanHex = cleanHex.split('').map(char => char + char).join('');
+    }
+    if (!/^[0-9a-fA-F]{6}([0-9a-fA-F]{2})?$/.test(cleanHex)) return null;
+    return {
+      r: parseInt(cleanHex.substring(0, 2), 16),
+      g: parseInt(cleanHex.substring(2, 4), 16),
+      b: parseInt(cleanHex.substring(4, 6), 16),
+      a: cleanHex.length === 8 ? parseInt(cleanHex.substring(6, 8), 16) / 255 : 1,
+    };
+  }
+
+  const match = color.match(/rgba?\(\s*(\d+),\s*(\d+),\s*(\d+)(?:,\s*(\d*\.?\d+))?\s*\)/);
+  if (!match) return null;
+  return {
+    r: parseInt(match[1], 10),
+    g: parseInt(match[2], 10),
+    b: parseInt(match[3], 10),
+    a: match[4] !== undefined ? parseFloat(match[4]) : 1,
+  };
+};
+
+// sRGB transfer functions (0-255 channel <-> linear 0-1)
+const srgbToLinear = (channel) => {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+};
+const linearToSrgb = (c) => 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055);
+const clampChannel = (value) => Math.max(0, Math.min(255, value));
+
+// D65 reference white
+const WHITE_X = 0.95047;
+const WHITE_Z = 1.08883;
+
+/**
+ * Converts sRGB channels to CIELAB (D65).
+ * @param {{r: number, g: number, b: number}} color - Channels from 0 to 255.
+ * @returns {{l: number, a: number, b: number}} Lightness 0-100 and the a/b axes.
+ */
+export const rgbToLab = ({ r, g, b }) => {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+  const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  const fx = f((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / WHITE_X);
+  const fy = f(0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb);
+  const fz = f((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / WHITE_Z);
+  return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+};
+
+/**
+ * Converts CIELAB (D65) back to sRGB channels, clamped to the sRGB gamut.
+ * @param {{l: number, a: number, b: number}} lab - The Lab color.
+ * @returns {{r: number, g: number, b: number}} Channels from 0 to 255 (not rounded).
+ */
+export const labToRgb = ({ l, a, b }) => {
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const finv = (t) => (t ** 3 > 0.008856 ? t ** 3 : (t - 16 / 116) / 7.787);
+  const x = finv(fx) * WHITE_X;
+  const y = finv(fy);
+  const z = finv(fz) * WHITE_Z;
+  return {
+    r: clampChannel(linearToSrgb(3.2404542 * x - 1.5371385 * y - 0.4985314 * z)),
+    g: clampChannel(linearToSrgb(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z)),
+    b: clampChannel(linearToSrgb(0.0556434 * x - 0.2040259 * y + 1.0572252 * z)),
+  };
+};
+
+/**
+ * Converts sRGB channels to OKLab.
+ * @param {{r: number, g: number, b: number}} color - Channels from 0 to 255.
+ * @returns {{l: number, a: number, b: number}} Lightness 0-1 and the a/b axes.
+ */
+export const rgbToOklab = ({ r, g, b }) => {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+  return {
+    l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+  };
+};
+
+/**
+ * Converts OKLab back to sRGB channels, clamped to the sRGB gamut.
+ * @param {{l: number, a: number, b: number}} lab - The OKLab color.
+ * @returns {{r: number, g: number, b: number}} Channels from 0 to 255 (not rounded).
+ */
+export const oklabToRgb = ({ l: lightness, a, b }) => {
+  const l = (lightness + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (lightness - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (lightness - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+  return {
+    r: clampChannel(linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s)),
+    g: clampChannel(linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s)),
+    b: clampChannel(linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)),
+  };
+};
@@ -0,0 +1,48 @@
+/**
+ * Byte compression through the browser's CompressionStream and DecompressionStream.
+ * The default 'deflate' format is zlib-wrapped deflate. Callers check that the
+ * streams exist before using these.
+ */
+
+const readStream = async (readable) => {
+  const reader = readable.getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    length += value.length;
+  }
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+};
+
+const transformBytes = async (bytes, stream) => {
+  const writer = stream.writable.getWriter();
+  writer.write(bytes).catch(() => {}); // Errors surface through the readable side
+  writer.close().catch(() => {});
+  return readStream(stream.readable);
+};
+
+/**
+ * Compresses bytes with CompressionStream.
+ * @param {Uint8Array} bytes - The raw data.
+ * @param {string} [format='deflate'] - A CompressionStream format.
+ * @returns {Promise<Uint8Array>} The compressed data.
+ */
+export const compressBytes = (bytes, format = 'deflate') => transformBytes(bytes, new CompressionStream(format));
+
+/**
+ * Decompresses bytes with DecompressionStream.
+ * @param {Uint8Array} bytes - The compressed data.
+ * @param {string} [format='deflate'] - A DecompressionStream format.
+ * @returns {Promise<Uint8Array>} The raw data.
+ * @throws {TypeError} If the data is corrupt.
+ */
+export const decompressBytes = (bytes, format = 'deflate') => transformBytes(bytes, new DecompressionStream(format));
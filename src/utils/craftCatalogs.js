@@ -0,0 +1,193 @@
+/**
+ * Brand color catalogs for craft pattern export. Colors are approximate screen
+ * matches of the physical materials; codes and names follow each brand's charts.
+ * `boardSize` is the default pegboard, chart page or baseplate size in cells.
+ */
+
+const entries = (list) => list.map(([code, name, hex]) => ({ code, name, hex }));
+
+export const CRAFT_CATALOGS = {
+  perler: {
+    name: 'Perler beads',
+    unit: 'beads',
+    boardSize: 29,
+    colors: entries([
+      ['P01', 'White', '#F1F1F1'],
+      ['P02', 'Cream', '#E0DEA9'],
+      ['P03', 'Yellow', '#ECD800'],
+      ['P04', 'Orange', '#ED6120'],
+      ['P05', 'Red', '#BF2E40'],
+      ['P06', 'Bubblegum', '#DD6698'],
+      ['P07', 'Purple', '#604089'],
+      ['P08', 'Dark Blue', '#2B3F87'],
+      ['P09', 'Light Blue', '#3370C0'],
+      ['P10', 'Dark Green', '#1C753E'],
+      ['P11', 'Light Green', '#56BA9F'],
+      ['P12', 'Brown', '#513931'],
+      ['P17', 'Grey', '#8A8D91'],
+      ['P18', 'Black', '#2E2F32'],
+      ['P20', 'Rust', '#8C372C'],
+      ['P21', 'Light Brown', '#815D34'],
+      ['P33', 'Peach', '#EEBAB2'],
+      ['P35', 'Tan', '#CDA67F'],
+      ['P38', 'Magenta', '#F23C99'],
+      ['P52', 'Pastel Blue', '#5889DB'],
+      ['P53', 'Pastel Green', '#84C473'],
+      ['P54', 'Pastel Lavender', '#8A72C1'],
+      ['P56', 'Pastel Yellow', '#FEF38A'],
+      ['P57', 'Cheddar', '#F1AA0C'],
+      ['P58', 'Toothpaste', '#AFDFE5'],
+      ['P59', 'Hot Coral', '#FF3556'],
+      ['P60', 'Plum', '#A24B9C'],
+      ['P61', 'Kiwi Lime', '#6FCC3E'],
+      ['P62', 'Turquoise', '#2B89C6'],
+      ['P63', 'Blush', '#FF8087'],
+      ['P79', 'Light Pink', '#F6B3DD'],
+      ['P88', 'Raspberry', '#A5305A'],
+      ['P90', 'Butterscotch', '#CF8433'],
+      ['P91', 'Parrot Green', '#00965E'],
+      ['P92', 'Dark Grey', '#4D5156'],
+    ]),
+  },
+  hama: {
+    name: 'Hama beads (Midi)',
+    unit: 'beads',
+    boardSize: 29,
+    colors: entries([
+      ['01', 'White', '#ECEDED'],
+      ['02', 'Cream', '#F0E8B9'],
+      ['03', 'Yellow', '#F0B901'],
+      ['04', 'Orange', '#E64F27'],
+      ['05', 'Red', '#B63136'],
+      ['06', 'Pink', '#E1889F'],
+      ['07', 'Purple', '#694A82'],
+      ['08', 'Blue', '#2C4690'],
+      ['09', 'Light Blue', '#305CB0'],
+      ['10', 'Green', '#256847'],
+      ['11', 'Light Green', '#49AE89'],
+      ['12', 'Brown', '#534137'],
+      ['17', 'Grey', '#83888A'],
+      ['18', 'Black', '#2E2F31'],
+      ['20', 'Reddish Brown', '#7F332A'],
+      ['21', 'Light Brown', '#A5693F'],
+      ['22', 'Dark Red', '#A52D36'],
+      ['26', 'Flesh', '#DE9B90'],
+      ['27', 'Beige', '#DEB48B'],
+      ['28', 'Dark Green', '#363F38'],
+      ['29', 'Claret', '#B9395E'],
+      ['31', 'Turquoise', '#6797AE'],
+      ['32', 'Fuchsia', '#E0418C'],
+      ['34', 'Neon Yellow', '#EDE73B'],
+      ['43', 'Pastel Yellow', '#F3EB80'],
+      ['44', 'Pastel Red', '#F37C7A'],
+      ['45', 'Pastel Purple', '#A58AC4'],
+      ['46', 'Pastel Blue', '#6E9DD5'],
+      ['47', 'Pastel Green', '#7FCFA3'],
+      ['48', 'Pastel Pink', '#E69CC7'],
+      ['49', 'Azure', '#4A9FCB'],
+      ['60', 'Teddy Bear Brown', '#B07A3B'],
+      ['70', 'Light Grey', '#AEB2B3'],
+      ['71', 'Dark Grey', '#474A4B'],
+    ]),
+  },
+  dmc: {
+    name: 'DMC embroidery floss',
+    unit: 'stitches',
+    boardSize: 50,
+    colors: entries([
+      ['B5200', 'Snow White', '#FFFFFF'],
+      ['3865', 'Winter White', '#F9F7F1'],
+      ['762', 'Very Light Pearl Gray', '#ECECEC'],
+      ['415', 'Pearl Gray', '#D3D3D6'],
+      ['318', 'Light Steel Gray', '#ABABAB'],
+      ['414', 'Dark Steel Gray', '#8C8C8C'],
+      ['413', 'Dark Pewter Gray', '#565656'],
+      ['3799', 'Very Dark Pewter Gray', '#424242'],
+      ['310', 'Black', '#000000'],
+      ['3371', 'Black Brown', '#1E1108'],
+      ['938', 'Ultra Dark Coffee Brown', '#361F0E'],
+      ['801', 'Dark Coffee Brown', '#653919'],
+      ['433', 'Medium Brown', '#7A451F'],
+      ['434', 'Light Brown', '#986436'],
+      ['436', 'Tan', '#CB9051'],
+      ['3064', 'Desert Sand', '#C48E70'],
+      ['754', 'Light Peach', '#F7CBBF'],
+      ['948', 'Very Light Peach', '#FEE7DA'],
+      ['353', 'Peach', '#FED7CC'],
+      ['351', 'Coral', '#E96A67'],
+      ['349', 'Dark Coral', '#D21035'],
+      ['321', 'Red', '#C72B3B'],
+      ['666', 'Bright Red', '#E31D42'],
+      ['817', 'Very Dark Coral Red', '#BB051F'],
+      ['602', 'Medium Cranberry', '#E24874'],
+      ['604', 'Light Cranberry', '#FFB0BE'],
+      ['3326', 'Light Rose', '#FBADB4'],
+      ['554', 'Light Violet', '#DBB3CB'],
+      ['552', 'Medium Violet', '#803A6B'],
+      ['550', 'Very Dark Violet', '#5C184E'],
+      ['740', 'Tangerine', '#FF8313'],
+      ['741', 'Medium Tangerine', '#FFA32B'],
+      ['743', 'Medium Yellow', '#FED376'],
+      ['444', 'Dark Lemon', '#FFD600'],
+      ['307', 'Lemon', '#FDED54'],
+      ['445', 'Light Lemon', '#FFFB8B'],
+      ['704', 'Bright Chartreuse', '#9ECF34'],
+      ['702', 'Kelly Green', '#47A72F'],
+      ['699', 'Green', '#056517'],
+      ['909', 'Very Dark Emerald Green', '#156F49'],
+      ['911', 'Medium Emerald Green', '#189065'],
+      ['3812', 'Very Dark Sea Green', '#2F8C84'],
+      ['996', 'Medium Electric Blue', '#30C2EC'],
+      ['3843', 'Electric Blue', '#14AAD0'],
+      ['800', 'Pale Delft Blue', '#C0CCDE'],
+      ['809', 'Delft Blue', '#94A8C6'],
+      ['3838', 'Dark Lavender Blue', '#5C7294'],
+      ['798', 'Dark Delft Blue', '#466A8E'],
+      ['797', 'Royal Blue', '#13477D'],
+      ['820', 'Very Dark Royal Blue', '#0E365C'],
+    ]),
+  },
+  bricks: {
+    name: 'Brick mosaic (1x1 plates)',
+    unit: 'plates',
+    boardSize: 32,
+    colors: entries([
+      ['1', 'White', '#FFFFFF'],
+      ['26', 'Black', '#05131D'],
+      ['21', 'Bright Red', '#C91A09'],
+      ['154', 'Dark Red', '#720E0F'],
+      ['23', 'Bright Blue', '#0055BF'],
+      ['140', 'Earth Blue', '#0A3463'],
+      ['102', 'Medium Blue', '#5A93DB'],
+      ['212', 'Light Royal Blue', '#9FC3E9'],
+      ['321', 'Dark Azure', '#078BC9'],
+      ['322', 'Medium Azure', '#36AEBF'],
+      ['24', 'Bright Yellow', '#F2CD37'],
+      ['226', 'Cool Yellow', '#FFF03A'],
+      ['191', 'Flame Yellowish Orange', '#F8BB3D'],
+      ['106', 'Bright Orange', '#FE8A18'],
+      ['38', 'Dark Orange', '#A95500'],
+      ['28', 'Dark Green', '#237841'],
+      ['37', 'Bright Green', '#4B9F4A'],
+      ['119', 'Bright Yellowish Green', '#BBE90B'],
+      ['141', 'Earth Green', '#184632'],
+      ['151', 'Sand Green', '#A0BCAC'],
+      ['330', 'Olive Green', '#9B9A5A'],
+      ['194', 'Medium Stone Grey', '#A0A5A9'],
+      ['199', 'Dark Stone Grey', '#6C6E68'],
+      ['5', 'Brick Yellow', '#E4CD9E'],
+      ['138', 'Sand Yellow', '#958A73'],
+      ['192', 'Reddish Brown', '#582A12'],
+      ['308', 'Dark Brown', '#352100'],
+      ['18', 'Nougat', '#D09168'],
+      ['312', 'Medium Nougat', '#AA7D55'],
+      ['283', 'Light Nougat', '#F6D7B3'],
+      ['222', 'Light Purple', '#E4ADC8'],
+      ['221', 'Bright Purple', '#C870A0'],
+      ['124', 'Bright Reddish Violet', '#923978'],
+      ['324', 'Medium Lavender', '#AC78BA'],
+      ['268', 'Medium Lilac', '#3F3691'],
+      ['353', 'Vibrant Coral', '#FF698F'],
+    ]),
+  },
+};
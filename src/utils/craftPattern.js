@@ -0,0 +1,203 @@
+import { parseColor } from './colorUtils';
+import { createColorMatcher } from './imageProcessing';
+import { CRAFT_CATALOGS } from './craftCatalogs';
+
+/**
+ * Craft pattern export: maps artwork colors to a brand catalog (beads, floss or
+ * bricks) and draws a printable chart with one symbol per color, row and column
+ * numbers, board splits and a materials list.
+ */
+
+// Distinct at small sizes and in black and white print; numbers are used past the end
+const CHART_SYMBOLS = [
+  ...'●■▲◆★✚✖♥♣♠♦▼◀▶○□△◇',
+  ...'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  ...'abdefghkmnqrtuy',
+  ...'23456789',
+];
+
+const CELL_SIZE = 20;
+const LABEL_SIZE = 28;
+const MARGIN = 20;
+const TITLE_HEIGHT = 48;
+const LEGEND_ROW_HEIGHT = 24;
+const LEGEND_WIDTH = 340;
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Black symbols on light colors, white on dark ones
+const symbolColor = (hex) => {
+  const { r, g, b } = parseColor(hex);
+  return 0.299 * r + 0.587 * g + 0.114 * b > 150 ? '#000000' : '#FFFFFF';
+};
+
+/**
+ * Matches every pixel of a grid to the nearest color of a catalog.
+ * Transparency is ignored, since beads, floss and bricks are opaque; empty pixels stay empty.
+ * @param {Array<Array<string|null>>} grid Grid of color strings.
+ * @param {string} catalogId Key of CRAFT_CATALOGS.
+ * @param {Object} [options] Matching options.
+ * @param {string} [options.metric='oklab'] One of the COLOR_METRICS ids.
+ * @returns {{catalog: Object, cells: Array<Array<number|null>>, materials: Array<{code: string, name: string, hex: string, symbol: string, count: number}>}}
+ *   Cells hold indices into `materials`, which is sorted by count, most used first.
+ * @throws {Error} If the catalog is unknown.
+ */
+export const matchCraftColors = (grid, catalogId, { metric = 'oklab' } = {}) => {
+  const catalog = CRAFT_CATALOGS[catalogId];
+  if (!catalog) throw new Error(`Unknown craft catalog "${catalogId}"`);
+  const match = createColorMatcher(catalog.colors.map(entry => parseColor(entry.hex)), metric);
+
+  const matches = new Map(); // Pixel color -> catalog index
+  const counts = new Map(); // Catalog index -> count
+  const catalogCells = grid.map(row => row.map(color => {
+    if (!color) return null;
+    if (!matches.has(color)) {
+      const parsed = parseColor(color);
+      matches.set(color, parsed && parsed.a > 0 ? match(parsed) : null);
+    }
+    const index = matches.get(color);
+    if (index !== null) counts.set(index, (counts.get(index) || 0) + 1);
+    return index;
+  }));
+
+  const used = [...counts.keys()].sort((a, b) => (
+    counts.get(b) - counts.get(a) || catalog.colors[a].code.localeCompare(catalog.colors[b].code, undefined, { numeric: true })
+  ));
+  const materialIndex = new Map(used.map((catalogIndex, index) => [catalogIndex, index]));
+  const materials = used.map((catalogIndex, index) => ({
+    ...catalog.colors[catalogIndex],
+    symbol: CHART_SYMBOLS[index] || String(index + 1),
+    count: counts.get(catalogIndex),
+  }));
+  const cells = catalogCells.map(row => row.map(index => (index === null ? null : materialIndex.get(index))));
+  return { catalog, cells, materials };
+};
+
+/**
+ * Number of boards (pegboards, chart pages or baseplates) needed across and down.
+ * @param {number} width Pattern width in cells.
+ * @param {number} height Pattern height in cells.
+ * @param {number} boardSize Board size in cells.
+ * @returns {{columns: number, rows: number}}
+ */
+export const countBoards = (width, height, boardSize) => ({
+  columns: Math.max(1, Math.ceil(width / boardSize)),
+  rows: Math.max(1, Math.ceil(height / boardSize)),
+});
+
+/**
+ * Draws a printable pattern chart as an SVG document.
+ * @param {ReturnType<typeof matchCraftColors>} pattern Matched pattern.
+ * @param {Object} [options] Chart options.
+ * @param {string} [options.title='Pattern'] Chart title.
+ * @param {number} [options.boardSize] Board size in cells; the catalog's default when omitted.
+ * @returns {string} The SVG document.
+ */
+export const buildCraftChart = ({ catalog, cells, materials }, { title = 'Pattern', boardSize = catalog.boardSize } = {}) => {
+  const height = cells.length;
+  const width = cells[0]?.length || 0;
+  const chartX = MARGIN + LABEL_SIZE;
+  const chartY = MARGIN + TITLE_HEIGHT + LABEL_SIZE;
+  const chartWidth = width * CELL_SIZE;
+  const chartHeight = height * CELL_SIZE;
+  const legendY = chartY + chartHeight + 40;
+  const svgWidth = Math.max(chartX + chartWidth + MARGIN, MARGIN * 2 + LEGEND_WIDTH);
+  const svgHeight = legendY + (materials.length + 2) * LEGEND_ROW_HEIGHT + MARGIN;
+  const total = materials.reduce((sum, material) => sum + material.count, 0);
+  const boards = countBoards(width, height, boardSize);
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}" font-family="${FONT_FAMILY}">`,
+    `<rect width="${svgWidth}" height="${svgHeight}" fill="#FFFFFF"/>`,
+    `<text x="${MARGIN}" y="${MARGIN + 18}" font-size="18" font-weight="bold">${escapeXml(title)}</text>`,
+    `<text x="${MARGIN}" y="${MARGIN + 38}" font-size="12" fill="#555555">${escapeXml(
+      `${catalog.name} · ${width}×${height} · ${total} ${catalog.unit} · ${boards.columns * boards.rows} board(s) of ${boardSize}×${boardSize}`
+    )}</text>`,
+  ];
+
+  // Cells: one path per material, then the symbols grouped by text color
+  const cellPaths = materials.map(() => []);
+  const symbols = { '#000000': [], '#FFFFFF': [] };
+  cells.forEach((row, y) => row.forEach((index, x) => {
+    if (index === null) return;
+    const material = materials[index];
+    const left = chartX + x * CELL_SIZE;
+    const top = chartY + y * CELL_SIZE;
+    cellPaths[index].push(`M${left} ${top}h${CELL_SIZE}v${CELL_SIZE}h${-CELL_SIZE}Z`);
+    symbols[symbolColor(material.hex)].push(
+      `<text x="${left + CELL_SIZE / 2}" y="${top + CELL_SIZE / 2}">${escapeXml(material.symbol)}</text>`
+    );
+  }));
+  materials.forEach((material, index) => {
+    parts.push(`<path d="${cellPaths[index].join('')}" fill="${material.hex}"/>`);
+  });
+  Object.entries(symbols).forEach(([fill, texts]) => {
+    if (texts.length > 0) {
+      parts.push(`<g fill="${fill}" font-size="12" text-anchor="middle" dominant-baseline="central">${texts.join('')}</g>`);
+    }
+  });
+
+  // Grid lines: every cell, heavier every 10 cells, and the board splits on top
+  const lines = { cell: '', ten: '', board: '' };
+  const addLine = (i, isColumn) => {
+    const kind = i % boardSize === 0 ? 'board' : i % 10 === 0 ? 'ten' : 'cell';
+    lines[kind] += isColumn
+      ? `M${chartX + i * CELL_SIZE} ${chartY}v${chartHeight}`
+      : `M${chartX} ${chartY + i * CELL_SIZE}h${chartWidth}`;
+  };
+  for (let x = 0; x <= width; x++) addLine(x, true);
+  for (let y = 0; y <= height; y++) addLine(y, false);
+  [['cell', '#BBBBBB', 0.5], ['ten', '#555555', 1], ['board', '#D0021B', 2]].forEach(([kind, stroke, strokeWidth]) => {
+    if (lines[kind]) parts.push(`<path d="${lines[kind]}" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}"/>`);
+  });
+
+  // Numbers on the first cell and every fifth, counting from 1
+  const numbers = [];
+  for (let x = 1; x <= width; x++) {
+    if (x === 1 || x % 5 === 0) numbers.push(`<text x="${chartX + (x - 0.5) * CELL_SIZE}" y="${chartY - 8}" text-anchor="middle">${x}</text>`);
+  }
+  for (let y = 1; y <= height; y++) {
+    if (y === 1 || y % 5 === 0) numbers.push(`<text x="${chartX - 6}" y="${chartY + (y - 0.5) * CELL_SIZE}" text-anchor="end" dominant-baseline="central">${y}</text>`);
+  }
+  parts.push(`<g font-size="9" fill="#555555">${numbers.join('')}</g>`);
+
+  // Materials list
+  parts.push(`<text x="${MARGIN}" y="${legendY}" font-size="14" font-weight="bold">Materials</text>`);
+  materials.forEach((material, index) => {
+    const rowY = legendY + (index + 1) * LEGEND_ROW_HEIGHT;
+    parts.push(
+      `<rect x="${MARGIN}" y="${rowY - 14}" width="18" height="18" fill="${material.hex}" stroke="#555555" stroke-width="0.5"/>`,
+      `<text x="${MARGIN + 9}" y="${rowY - 5}" font-size="12" text-anchor="middle" dominant-baseline="central" fill="${symbolColor(material.hex)}">${escapeXml(material.symbol)}</text>`,
+      `<text x="${MARGIN + 28}" y="${rowY}" font-size="12">${escapeXml(`${material.code} ${material.name}`)}</text>`,
+      `<text x="${MARGIN + LEGEND_WIDTH}" y="${rowY}" font-size="12" text-anchor="end">${material.count}</text>`,
+    );
+  });
+  parts.push(
+    `<text x="${MARGIN + 28}" y="${legendY + (materials.length + 1) * LEGEND_ROW_HEIGHT}" font-size="12" font-weight="bold">Total ${escapeXml(catalog.unit)}</text>`,
+    `<text x="${MARGIN + LEGEND_WIDTH}" y="${legendY + (materials.length + 1) * LEGEND_ROW_HEIGHT}" font-size="12" font-weight="bold" text-anchor="end">${total}</text>`,
+    '</svg>',
+    '',
+  );
+  return parts.join('\n');
+};
+
+const csvField = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+
+/**
+ * Lists the materials of a pattern as CSV, with a total row.
+ * @param {ReturnType<typeof matchCraftColors>} pattern Matched pattern.
+ * @returns {string} CSV with symbol, code, name, color and count columns.
+ */
+export const buildMaterialsCsv = ({ catalog, materials }) => {
+  const rows = [
+    ['Symbol', 'Code', 'Name', 'Color', 'Count'],
+    ...materials.map(({ symbol, code, name, hex, count }) => [symbol, code, name, hex, count]),
+    ['', '', `Total ${catalog.unit}`, '', materials.reduce((sum, material) => sum + material.count, 0)],
+  ];
+  return `${rows.map(row => row.map(csvField).join(',')).join('\n')}\n`;
+};
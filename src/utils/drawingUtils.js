@@ -39,4 +39,127 @@ export const getLinePixels = (x0, y0, x1, y1) => {
   }
 
   return pixels;
-}; 
\ No newline at end of file
+};
+
+/**
+ * Calculates the integer coordinates of a rectangle spanning two corner points.
+ * Corners may be given in any order; both are included.
+ *
+ * @param {number} x0 First corner x-coordinate.
+ * @param {number} y0 First corner y-coordinate.
+ * @param {number} x1 Opposite corner x-coordinate.
+ * @param {number} y1 Opposite corner y-coordinate.
+ * @param {boolean} [filled=false] Include the interior instead of only the outline.
+ * @returns {Array<{x: number, y: number}>} The pixels of the rectangle.
+ */
+export const getRectPixels = (x0, y0, x1, y1, filled = false) => {
+  const pixels = [];
+  const left = Math.min(x0, x1);
+  const right = Math.max(x0, x1);
+  const top = Math.min(y0, y1);
+  const bottom = Math.max(y0, y1);
+
+  for (let y = top; y <= bottom; y++) {
+    for (let x = left; x <= right; x++) {
+      const onEdge = x === left || x === right || y === top || y === bottom;
+      if (filled || onEdge) pixels.push({ x, y });
+    }
+  }
+
+  return pixels;
+};
+
+/**
+ * Calculates the integer coordinates of an ellipse inscribed in the rectangle
+ * spanning two corner points, using Zingl's midpoint ellipse algorithm so even
+ * sized boxes stay symmetric.
+ *
+ * @param {number} x0 First corner x-coordinate.
+ * @param {number} y0 First corner y-coordinate.
+ * @param {number} x1 Opposite corner x-coordinate.
+ * @param {number} y1 Opposite corner y-coordinate.
+ * @param {boolean} [filled=false] Include the interior instead of only the outline.
+ * @returns {Array<{x: number, y: number}>} The pixels of the ellipse, without duplicates.
+ */
+export const getEllipsePixels = (x0, y0, x1, y1, filled = false) => {
+  const seen = new Set();
+  const outline = [];
+  const plot = (x, y) => {
+    const key = `${x},${y}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    outline.push({ x, y });
+  };
+
+  let a = Math.abs(x1 - x0);
+  let b = Math.abs(y1 - y0);
+  let b1 = b & 1;
+  let dx = 4 * (1 - a) * b * b;
+  let dy = 4 * (b1 + 1) * a * a;
+  let err = dx + dy + b1 * a * a;
+
+  if (x0 > x1) { x0 = x1; x1 += a; }
+  if (y0 > y1) y0 = y1;
+  y0 += Math.floor((b + 1) / 2);
+  y1 = y0 - b1;
+  a *= 8 * a;
+  b1 = 8 * b * b;
+
+  do {
+    plot(x1, y0);
+    plot(x0, y0);
+    plot(x0, y1);
+    plot(x1, y1);
+    const e2 = 2 * err;
+    if (e2 <= dy) { y0++; y1--; err += dy += a; }
+    if (e2 >= dx || 2 * err > dy) { x0++; x1--; err += dx += b1; }
+  } while (x0 <= x1);
+
+  // Finish the tips of very flat ellipses
+  while (y0 - y1 < b) {
+    plot(x0 - 1, y0);
+    plot(x1 + 1, y0++);
+    plot(x0 - 1, y1);
+    plot(x1 + 1, y1--);
+  }
+
+  if (!filled) return outline;
+
+  // Fill each row between its outermost outline pixels
+  const spans = new Map();
+  outline.forEach(({ x, y }) => {
+    const span = spans.get(y);
+    if (!span) {
+      spans.set(y, { min: x, max: x });
+    } else {
+      span.min = Math.min(span.min, x);
+      span.max = Math.max(span.max, x);
+    }
+  });
+
+  const pixels = [];
+  spans.forEach(({ min, max }, y) => {
+    for (let x = min; x <= max; x++) pixels.push({ x, y });
+  });
+  return pixels;
+};
+
+/**
+ * Moves the end point so the box it forms with the start point is square,
+ * keeping the drag direction. Used to lock shapes with Shift.
+ *
+ * @param {number} x0 Start x-coordinate.
+ * @param {number} y0 Start y-coordinate.
+ * @param {number} x1 End x-coordinate.
+ * @param {number} y1 End y-coordinate.
+ * @returns {{x: number, y: number}} The constrained end point.
+ */
+export const constrainToSquare = (x0, y0, x1, y1) => {
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  const size = Math.max(Math.abs(dx), Math.abs(dy));
+  return {
+    x: x0 + (dx < 0 ? -size : size),
+    y: y0 + (dy < 0 ? -size : size),
+  };
+};
@@ -2,6 +2,9 @@
  * Utility functions for exporting PixelPop pixel art to Figma
  */
 
+// Marks clipboard text as PixelPop pixel data (read back by the Figma plugin and by paste)
+export const FIGMA_CLIPBOARD_PREFIX = 'PIXELPOP_FIGMA_DATA:';
+
 /**
  * Determines if the Export to Figma option should be shown.
  * In production, this would check if we're in a Figma environment,
@@ -71,7 +74,7 @@ export const exportToFigma = (pixelGrid, options) => {
       const jsonString = JSON.stringify(figmaData, null, 2);
       
       // Create a prefixed string to identify this as PixelPop data
-      const clipboardContent = `PIXELPOP_FIGMA_DATA:${jsonString}`;
+      const clipboardContent = `${FIGMA_CLIPBOARD_PREFIX}${jsonString}`;
       
       // Copy to clipboard
       navigator.clipboard.writeText(clipboardContent)
@@ -0,0 +1,235 @@
+/**
+ * In-browser animated GIF (GIF89a) encoder.
+ * Frames are RGBA pixel buffers (e.g. from getImageData) that share one global palette.
+ */
+import { medianCut } from './imageProcessing';
+
+const MAX_CODE = 4096; // GIF LZW codes are at most 12 bits
+const ALPHA_THRESHOLD = 128; // GIF transparency is 1-bit
+
+const colorKey = (r, g, b) => (r << 16) | (g << 8) | b;
+
+/**
+ * Builds a shared palette for all frames. Exact colors are kept when they fit,
+ * otherwise the colors are reduced with median cut.
+ * @param {Array<Uint8ClampedArray|Uint8Array>} pixelBuffers RGBA buffers, one per frame.
+ * @param {number} [maxColors=256] Maximum palette size, including the transparent entry.
+ * @returns {{colors: Array<Array<number>>, transparentIndex: number}} Palette; transparentIndex is -1 when unused.
+ */
+export const buildGifPalette = (pixelBuffers, maxColors = 256) => {
+  const counts = new Map();
+  let hasTransparency = false;
+  pixelBuffers.forEach(data => {
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < ALPHA_THRESHOLD) {
+        hasTransparency = true;
+        continue;
+      }
+      const key = colorKey(data[i], data[i + 1], data[i + 2]);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  });
+
+  const opaqueSlots = hasTransparency ? maxColors - 1 : maxColors;
+  let colors;
+  if (counts.size <= opaqueSlots) {
+    colors = [...counts.keys()].map(key => [(key >> 16) & 255, (key >> 8) & 255, key & 255]);
+  } else {
+    const entries = [...counts.entries()].map(([key, count]) => ({
+      r: (key >> 16) & 255, g: (key >> 8) & 255, b: key & 255, count
+    }));
+    colors = medianCut(entries, opaqueSlots).map(({ r, g, b }) => [r, g, b]);
+  }
+
+  if (colors.length === 0 && !hasTransparency) {
+    colors = [[0, 0, 0]];
+  }
+
+  const transparentIndex = hasTransparency ? colors.length : -1;
+  if (hasTransparency) colors.push([0, 0, 0]);
+  return { colors, transparentIndex };
+};
+
+/**
+ * Maps RGBA pixels to palette indices, reusing nearest-color lookups.
+ * @param {Uint8ClampedArray|Uint8Array} data RGBA buffer.
+ * @param {{colors: Array<Array<number>>, transparentIndex: number}} palette The palette from buildGifPalette.
+ * @param {Map<number, number>} cache Color key to index cache shared between frames.
+ * @returns {Uint8Array} One palette index per pixel.
+ */
+const indexPixels = (data, palette, cache) => {
+  const { colors, transparentIndex } = palette;
+  const indices = new Uint8Array(data.length / 4);
+  const opaqueCount = transparentIndex === -1 ? colors.length : transparentIndex;
+
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    if (data[i + 3] < ALPHA_THRESHOLD) {
+      indices[p] = transparentIndex;
+      continue;
+    }
+    const key = colorKey(data[i], data[i + 1], data[i + 2]);
+    let index = cache.get(key);
+    if (index === undefined) {
+      let bestDistance = Infinity;
+      index = 0;
+      for (let c = 0; c < opaqueCount; c++) {
+        const dr = colors[c][0] - data[i];
+        const dg = colors[c][1] - data[i + 1];
+        const db = colors[c][2] - data[i + 2];
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          index = c;
+          if (distance === 0) break;
+        }
+      }
+      cache.set(key, index);
+    }
+    indices[p] = index;
+  }
+  return indices;
+};
+
+/**
+ * Compresses palette indices with GIF-flavoured LZW (variable code size, LSB-first packing).
+ * @param {Uint8Array} indices Palette indices.
+ * @param {number} minCodeSize The LZW minimum code size (2-8).
+ * @returns {Uint8Array} The compressed code stream (without sub-block framing).
+ */
+export const lzwEncode = (indices, minCodeSize) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 255);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  if (indices.length > 0) {
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const pixel = indices[i];
+      const key = (prefix << 8) | pixel;
+      const existing = table.get(key);
+      if (existing !== undefined) {
+        prefix = existing;
+        continue;
+      }
+      emit(prefix);
+      if (nextCode === MAX_CODE) {
+        // Table full: start over
+        emit(clearCode);
+        table = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      } else {
+        if (nextCode >= (1 << codeSize)) codeSize++;
+        table.set(key, nextCode++);
+      }
+      prefix = pixel;
+    }
+    emit(prefix);
+  }
+  emit(endCode);
+  if (bitCount > 0) bytes.push(bitBuffer & 255);
+  return Uint8Array.from(bytes);
+};
+
+/**
+ * Encodes frames as an animated GIF.
+ * @param {Array<{data: Uint8ClampedArray|Uint8Array, delay: number}>} frames RGBA frames with delays in milliseconds.
+ * @param {number} width Frame width in pixels.
+ * @param {number} height Frame height in pixels.
+ * @param {Object} [options] Encoder options.
+ * @param {number} [options.loopCount=0] How many times to play; 0 loops forever.
+ * @returns {Uint8Array} The GIF file bytes.
+ */
+export const encodeGif = (frames, width, height, { loopCount = 0 } = {}) => {
+  if (!frames.length) throw new Error('No frames to encode');
+
+  const palette = buildGifPalette(frames.map(frame => frame.data));
+  // The color table size must be a power of two (at least 2 entries)
+  let tableBits = 1;
+  while ((1 << tableBits) < palette.colors.length) tableBits++;
+  const minCodeSize = Math.max(2, tableBits);
+
+  const out = [];
+  const writeByte = (value) => out.push(value & 255);
+  const writeShort = (value) => {
+    out.push(value & 255, (value >> 8) & 255);
+  };
+  const writeString = (text) => {
+    for (let i = 0; i < text.length; i++) out.push(text.charCodeAt(i));
+  };
+
+  // Header and logical screen descriptor with a global color table
+  writeString('GIF89a');
+  writeShort(width);
+  writeShort(height);
+  writeByte(0x80 | (0x07 << 4) | (tableBits - 1));
+  writeByte(0); // Background color index
+  writeByte(0); // Pixel aspect ratio
+  for (let i = 0; i < (1 << tableBits); i++) {
+    const color = palette.colors[i] || [0, 0, 0];
+    out.push(color[0], color[1], color[2]);
+  }
+
+  // NETSCAPE2.0 loop extension (omitted when playing once)
+  if (loopCount !== 1) {
+    writeByte(0x21);
+    writeByte(0xff);
+    writeByte(11);
+    writeString('NETSCAPE2.0');
+    writeByte(3);
+    writeByte(1);
+    writeShort(loopCount === 0 ? 0 : loopCount - 1);
+    writeByte(0);
+  }
+
+  const hasTransparency = palette.transparentIndex !== -1;
+  const cache = new Map();
+  frames.forEach(frame => {
+    // Graphic control extension: delay, disposal and transparency
+    writeByte(0x21);
+    writeByte(0xf9);
+    writeByte(4);
+    // Restore to background between frames so transparent areas do not keep the previous frame
+    const disposal = hasTransparency ? 2 : 1;
+    writeByte((disposal << 2) | (hasTransparency ? 1 : 0));
+    writeShort(Math.max(1, Math.round(frame.delay / 10))); // Hundredths of a second
+    writeByte(hasTransparency ? palette.transparentIndex : 0);
+    writeByte(0);
+
+    // Image descriptor covering the whole screen, no local color table
+    writeByte(0x2c);
+    writeShort(0);
+    writeShort(0);
+    writeShort(width);
+    writeShort(height);
+    writeByte(0);
+
+    const compressed = lzwEncode(indexPixels(frame.data, palette, cache), minCodeSize);
+    writeByte(minCodeSize);
+    for (let offset = 0; offset < compressed.length; offset += 255) {
+      const block = compressed.subarray(offset, offset + 255);
+      writeByte(block.length);
+      for (let i = 0; i < block.length; i++) out.push(block[i]);
+    }
+    writeByte(0); // Block terminator
+  });
+
+  writeByte(0x3b); // Trailer
+  return Uint8Array.from(out);
+};
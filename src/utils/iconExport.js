@@ -0,0 +1,140 @@
+import { parseColor } from './colorUtils';
+import { encodePng } from './apngEncoder';
+
+/**
+ * App icon bundle: the artwork as square PNG icons at the usual favicon, touch
+ * and web app sizes, a multi-resolution .ico and the web manifest `icons` entry.
+ */
+
+export const APP_ICON_SIZES = [16, 32, 48, 180, 192, 512];
+export const ICO_SIZES = [16, 32, 48];
+export const MANIFEST_ICON_SIZES = [192, 512];
+export const MAX_ICON_PADDING = 25; // Percent of the icon size on each side
+
+/**
+ * Places the artwork inside a square icon, centered and keeping its aspect ratio.
+ * Enlarging uses whole multiples so every pixel stays the same size.
+ * @param {number} gridWidth Artwork width in pixels.
+ * @param {number} gridHeight Artwork height in pixels.
+ * @param {number} size Icon size in pixels.
+ * @param {number} [padding=0] Space on each side, in percent of the icon size.
+ * @returns {{x: number, y: number, scale: number, width: number, height: number}} Artwork rect in icon pixels.
+ */
+export const layoutIcon = (gridWidth, gridHeight, size, padding = 0) => {
+  const inset = Math.round(size * Math.min(MAX_ICON_PADDING, Math.max(0, padding)) / 100);
+  const available = Math.max(1, size - inset * 2);
+  const fit = Math.min(available / gridWidth, available / gridHeight);
+  const scale = fit >= 1 ? Math.floor(fit) : fit;
+  const width = Math.max(1, Math.round(gridWidth * scale));
+  const height = Math.max(1, Math.round(gridHeight * scale));
+  return {
+    x: Math.floor((size - width) / 2),
+    y: Math.floor((size - height) / 2),
+    scale,
+    width,
+    height,
+  };
+};
+
+// Source-over compositing of straight-alpha RGBA, channels 0-255 and alpha 0-1
+const blendOver = (top, bottom) => {
+  const alpha = top.a + bottom.a * (1 - top.a);
+  if (alpha === 0) return { r: 0, g: 0, b: 0, a: 0 };
+  const mix = (channel) => (top[channel] * top.a + bottom[channel] * bottom.a * (1 - top.a)) / alpha;
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: alpha };
+};
+
+/**
+ * Renders a grid into a square icon with nearest-neighbor scaling.
+ * @param {Array<Array<string|null>>} grid Grid of color strings.
+ * @param {number} size Icon size in pixels.
+ * @param {Object} [options] Render options.
+ * @param {number} [options.padding=0] Space on each side, in percent of the icon size.
+ * @param {string|null} [options.background=null] Fill behind the artwork; transparent when null.
+ * @returns {Uint8ClampedArray} RGBA pixels, row by row.
+ */
+export const renderIconPixels = (grid, size, { padding = 0, background = null } = {}) => {
+  const gridHeight = grid.length;
+  const gridWidth = grid[0]?.length || 0;
+  const pixels = new Uint8ClampedArray(size * size * 4);
+  const transparent = { r: 0, g: 0, b: 0, a: 0 };
+  const fill = (background && parseColor(background)) || transparent;
+  const write = (index, { r, g, b, a }) => pixels.set([r, g, b, Math.round(a * 255)], index * 4);
+  for (let i = 0; i < size * size; i++) write(i, fill);
+  if (gridWidth === 0 || gridHeight === 0) return pixels;
+
+  const { x, y, scale, width, height } = layoutIcon(gridWidth, gridHeight, size, padding);
+  const colors = new Map();
+  for (let row = 0; row < height; row++) {
+    // Sample at the center of each icon pixel
+    const sourceY = Math.min(gridHeight - 1, Math.floor((row + 0.5) / scale));
+    for (let column = 0; column < width; column++) {
+      const color = grid[sourceY][Math.min(gridWidth - 1, Math.floor((column + 0.5) / scale))];
+      if (!color) continue;
+      if (!colors.has(color)) colors.set(color, blendOver(parseColor(color) || transparent, fill));
+      write((y + row) * size + x + column, colors.get(color));
+    }
+  }
+  return pixels;
+};
+
+/**
+ * Packs PNG images into a Windows icon (.ico). Each image keeps its PNG encoding,
+ * which every browser and Windows Vista or later reads.
+ * @param {Array<{size: number, png: Uint8Array}>} images Square PNG images, up to 256 pixels.
+ * @returns {Uint8Array} The ICO file.
+ */
+export const buildIco = (images) => {
+  const headerSize = 6 + images.length * 16;
+  const out = new Uint8Array(headerSize + images.reduce((sum, { png }) => sum + png.length, 0));
+  const view = new DataView(out.buffer);
+  view.setUint16(2, 1, true); // Type: icon
+  view.setUint16(4, images.length, true);
+  let offset = headerSize;
+  images.forEach(({ size, png }, index) => {
+    const entry = 6 + index * 16;
+    view.setUint8(entry, size >= 256 ? 0 : size); // 0 means 256
+    view.setUint8(entry + 1, size >= 256 ? 0 : size);
+    view.setUint16(entry + 4, 1, true); // Color planes
+    view.setUint16(entry + 6, 32, true); // Bits per pixel
+    view.setUint32(entry + 8, png.length, true);
+    view.setUint32(entry + 12, offset, true);
+    out.set(png, offset);
+    offset += png.length;
+  });
+  return out;
+};
+
+/**
+ * The `icons` member of a web app manifest, pointing at the exported PNGs.
+ * @param {string} baseName File name the PNGs were saved under, without size or extension.
+ * @returns {string} JSON to paste into manifest.json.
+ */
+export const buildManifestIcons = (baseName) => `${JSON.stringify({
+  icons: MANIFEST_ICON_SIZES.map(size => ({
+    src: `${baseName}-${size}.png`,
+    sizes: `${size}x${size}`,
+    type: 'image/png',
+  })),
+}, null, 2)}\n`;
+
+/**
+ * Renders the whole icon bundle: one PNG per APP_ICON_SIZES entry, the .ico and the manifest snippet.
+ * @param {Array<Array<string|null>>} grid Grid of color strings.
+ * @param {Object} options Bundle options.
+ * @param {string} options.baseName File name without extension.
+ * @param {number} [options.padding=0] Space on each side, in percent of the icon size.
+ * @param {string|null} [options.background=null] Fill behind the artwork; transparent when null.
+ * @returns {Promise<Array<{name: string, data: Uint8Array|string, type: string}>>} Files to save.
+ */
+export const buildAppIconFiles = async (grid, { baseName, padding = 0, background = null }) => {
+  const pngs = new Map();
+  for (const size of APP_ICON_SIZES) {
+    pngs.set(size, await encodePng(renderIconPixels(grid, size, { padding, background }), size, size));
+  }
+  return [
+    { name: `${baseName}.ico`, data: buildIco(ICO_SIZES.map(size => ({ size, png: pngs.get(size) }))), type: 'image/x-icon' },
+    ...APP_ICON_SIZES.map(size => ({ name: `${baseName}-${size}.png`, data: pngs.get(size), type: 'image/png' })),
+    { name: `${baseName}-manifest.json`, data: buildManifestIcons(baseName), type: 'application/manifest+json' },
+  ];
+};
@@ -1,115 +1,692 @@
-import { rgbToHex } from './colorUtils'; // Import needed helper
+import { rgbToHex, parseColor, rgbToLab, labToRgb, rgbToOklab, oklabToRgb } from './colorUtils'; // Import needed helper
+
+export const COLOR_METRICS = [
+    { id: 'rgb', label: 'Weighted RGB' },
+    { id: 'lab', label: 'CIELAB' },
+    { id: 'oklab', label: 'OKLab' },
+];
+
+// Each metric maps colors into a space where plain Euclidean distance is used.
+// Weighted RGB scales the channels by the ITU-R BT.709 luma coefficients.
+const RGB_WEIGHTS = [0.2126, 0.7152, 0.0722];
+const COLOR_SPACES = {
+    rgb: {
+        toVector: ({ r, g, b }) => [r * RGB_WEIGHTS[0], g * RGB_WEIGHTS[1], b * RGB_WEIGHTS[2]],
+        fromVector: ([r, g, b]) => ({ r: r / RGB_WEIGHTS[0], g: g / RGB_WEIGHTS[1], b: b / RGB_WEIGHTS[2] }),
+    },
+    lab: {
+        toVector: (color) => {
+            const { l, a, b } = rgbToLab(color);
+            return [l, a, b];
+        },
+        fromVector: ([l, a, b]) => labToRgb({ l, a, b }),
+    },
+    oklab: {
+        toVector: (color) => {
+            const { l, a, b } = rgbToOklab(color);
+            return [l, a, b];
+        },
+        fromVector: ([l, a, b]) => oklabToRgb({ l, a, b }),
+    },
+};
+
+const getColorSpace = (metric) => COLOR_SPACES[metric] || COLOR_SPACES.rgb;
+
+const vectorDistance = (a, b) => {
+    const d0 = a[0] - b[0];
+    const d1 = a[1] - b[1];
+    const d2 = a[2] - b[2];
+    return d0 * d0 + d1 * d1 + d2 * d2;
+};
+
+const nearestVectorIndex = (vector, vectors) => {
+    let nearestIndex = 0;
+    let minDistance = Infinity;
+    for (let i = 0; i < vectors.length; i++) {
+        const distance = vectorDistance(vector, vectors[i]);
+        if (distance < minDistance) {
+            minDistance = distance;
+            nearestIndex = i;
+        }
+    }
+    return nearestIndex;
+};
+
+const roundColor = ({ r, g, b }) => ({ r: Math.round(r), g: Math.round(g), b: Math.round(b) });
+
+// Small seeded PRNG (mulberry32) so quantization is repeatable for a given seed
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Builds a function that returns the index of the palette entry nearest to a color.
+ * Palette colors are converted to the metric's space once up front.
+ * @param {Array<{r: number, g: number, b: number}>} palette - The candidate colors.
+ * @param {string} [metric='rgb'] - One of the COLOR_METRICS ids.
+ * @returns {function({r: number, g: number, b: number}): number} The matcher.
+ */
+export const createColorMatcher = (palette, metric = 'rgb') => {
+    const { toVector } = getColorSpace(metric);
+    const vectors = palette.map(toVector);
+    return (color) => nearestVectorIndex(toVector(color), vectors);
+};
+
+/**
+ * Finds the palette entry closest to a color.
+ * @param {{r: number, g: number, b: number}} color - The color to match.
+ * @param {Array<{r: number, g: number, b: number}>} palette - The candidate colors.
+ * @param {string} [metric='rgb'] - One of the COLOR_METRICS ids.
+ * @returns {number} Index of the nearest palette entry.
+ */
+export const findNearestColorIndex = (color, palette, metric = 'rgb') => (
+    createColorMatcher(palette, metric)(color)
+);
+
+// Groups pixels by exact color: [{ r, g, b, count, pixels }]
+const buildHistogram = (pixels) => {
+    const entries = new Map();
+    pixels.forEach(pixel => {
+        const key = (pixel.r << 16) | (pixel.g << 8) | pixel.b;
+        let entry = entries.get(key);
+        if (!entry) {
+            entry = { r: pixel.r, g: pixel.g, b: pixel.b, count: 0, pixels: [] };
+            entries.set(key, entry);
+        }
+        entry.count++;
+        entry.pixels.push(pixel);
+    });
+    return [...entries.values()];
+};
 
 /**
  * Performs k-means clustering on a list of pixels to find dominant colors.
+ * Centroids are seeded with k-means++ from a seeded random generator, so the same
+ * pixels, k and seed always give the same result.
  * @param {Array<Object>} pixels - Array of pixel objects { r, g, b, index }.
  * @param {number} k - The target number of clusters (colors).
+ * @param {Object} [options] - Clustering options.
+ * @param {number} [options.seed=1] - Seed for the k-means++ initialization.
+ * @param {string} [options.metric='rgb'] - One of the COLOR_METRICS ids; centroids are averaged in that space.
+ * @param {function(number): void} [options.onProgress] - Called with the fraction of iterations done.
  * @returns {Array<Object>} Array of cluster objects { center: {r,g,b}, pixels: [...] }.
  */
-export const kMeansClustering = (pixels, k) => {
+export const kMeansClustering = (pixels, k, { seed = 1, metric = 'rgb', onProgress } = {}) => {
     if (!pixels || pixels.length === 0) {
         return [];
     }
 
-    // Clamp k to be at most the number of unique input pixels
-    const uniquePixelColors = new Set(pixels.map(p => rgbToHex(p.r, p.g, p.b)));
-    k = Math.min(k, uniquePixelColors.size);
-    k = Math.max(k, 1); // Ensure k is at least 1
-
-    // Initialize k random centroids from actual unique pixels
-    const centroids = [];
-    const initialPixelSamples = [...uniquePixelColors].map(hex => {
-        // Find the first pixel that matches this unique hex color
-        const firstPixel = pixels.find(p => rgbToHex(p.r, p.g, p.b) === hex);
-        return { r: firstPixel.r, g: firstPixel.g, b: firstPixel.b }; 
-    });
+    // Work on unique colors weighted by how often they occur
+    const entries = buildHistogram(pixels);
+    k = Math.max(1, Math.min(k, entries.length));
+
+    const { toVector, fromVector } = getColorSpace(metric);
+    const vectors = entries.map(toVector);
+    const random = createRandom(seed);
 
-    // Shuffle initial samples and take k
-    const shuffledSamples = initialPixelSamples.sort(() => 0.5 - Math.random());
-    centroids.push(...shuffledSamples.slice(0, k));
+    // Picks an entry with probability proportional to its weight
+    const pickWeighted = (weights) => {
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        let target = random() * total;
+        for (let i = 0; i < weights.length; i++) {
+            target -= weights[i];
+            if (target < 0) return i;
+        }
+        return weights.length - 1;
+    };
 
-    // If k is 1, just calculate the average color
-    if (k === 1 && pixels.length > 0) {
-        const avgR = Math.round(pixels.reduce((sum, p) => sum + p.r, 0) / pixels.length);
-        const avgG = Math.round(pixels.reduce((sum, p) => sum + p.g, 0) / pixels.length);
-        const avgB = Math.round(pixels.reduce((sum, p) => sum + p.b, 0) / pixels.length);
-        return [{ center: { r: avgR, g: avgG, b: avgB }, pixels: pixels }];
+    // k-means++: each further centroid is chosen with probability proportional to
+    // its squared distance from the nearest centroid chosen so far
+    const centroids = [vectors[pickWeighted(entries.map(entry => entry.count))]];
+    const nearestDistances = vectors.map(vector => vectorDistance(vector, centroids[0]));
+    while (centroids.length < k) {
+        const next = vectors[pickWeighted(nearestDistances.map((distance, i) => distance * entries[i].count))];
+        centroids.push(next);
+        vectors.forEach((vector, i) => {
+            nearestDistances[i] = Math.min(nearestDistances[i], vectorDistance(vector, next));
+        });
     }
 
     // Perform clustering iterations
-    const maxIterations = 20; // Increased iterations for potentially better convergence
-    let iterations = 0;
-    let clusters = [];
-    let lastCentroids = null;
-
-    while (iterations < maxIterations) {
-        clusters = centroids.map(centroid => ({ center: centroid, pixels: [] }));
-
-        // Assign pixels to nearest centroid using weighted distance
-        pixels.forEach(pixel => {
-            let minDistance = Infinity;
-            let nearestClusterIndex = 0;
-
-            centroids.forEach((centroid, index) => {
-                // Use weighted RGB distance (coefficients from ITU-R BT.709)
-                const rWeight = 0.2126;
-                const gWeight = 0.7152;
-                const bWeight = 0.0722;
-
-                const dr = (pixel.r - centroid.r) * rWeight;
-                const dg = (pixel.g - centroid.g) * gWeight;
-                const db = (pixel.b - centroid.b) * bWeight;
-                const distance = dr * dr + dg * dg + db * db;
-
-                if (distance < minDistance) {
-                    minDistance = distance;
-                    nearestClusterIndex = index;
-                }
-            });
-            // Ensure index is valid before pushing
-            if (clusters[nearestClusterIndex]) {
-                clusters[nearestClusterIndex].pixels.push(pixel);
+    const maxIterations = 20;
+    const assignments = new Int32Array(entries.length).fill(-1);
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        if (onProgress) onProgress(iteration / maxIterations);
+        let changed = false;
+        vectors.forEach((vector, i) => {
+            const nearest = nearestVectorIndex(vector, centroids);
+            if (nearest !== assignments[i]) {
+                assignments[i] = nearest;
+                changed = true;
             }
         });
+        if (!changed) break;
 
-        // Update centroids - avoid division by zero for empty clusters
-        const newCentroids = clusters.map(cluster => {
-            if (cluster.pixels.length === 0) {
-                // If a cluster becomes empty, reinitialize its centroid randomly
-                // from the overall pixel set to avoid losing a cluster.
-                const randomIndex = Math.floor(Math.random() * pixels.length);
-                const randomPixel = pixels[randomIndex];
-                return { r: randomPixel.r, g: randomPixel.g, b: randomPixel.b };
+        const sums = centroids.map(() => [0, 0, 0, 0]);
+        vectors.forEach((vector, i) => {
+            const sum = sums[assignments[i]];
+            const weight = entries[i].count;
+            sum[0] += vector[0] * weight;
+            sum[1] += vector[1] * weight;
+            sum[2] += vector[2] * weight;
+            sum[3] += weight;
+        });
+        sums.forEach((sum, c) => {
+            if (sum[3] > 0) {
+                centroids[c] = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+                return;
             }
-            return {
-                r: Math.round(cluster.pixels.reduce((sum, p) => sum + p.r, 0) / cluster.pixels.length),
-                g: Math.round(cluster.pixels.reduce((sum, p) => sum + p.g, 0) / cluster.pixels.length),
-                b: Math.round(cluster.pixels.reduce((sum, p) => sum + p.b, 0) / cluster.pixels.length)
-            };
+            // An empty cluster takes over the color that is worst served by its centroid
+            let worst = 0;
+            let worstDistance = -1;
+            vectors.forEach((vector, i) => {
+                const distance = vectorDistance(vector, centroids[assignments[i]]) * entries[i].count;
+                if (distance > worstDistance) {
+                    worstDistance = distance;
+                    worst = i;
+                }
+            });
+            centroids[c] = vectors[worst];
+            assignments[worst] = c;
         });
+    }
+
+    const clusters = centroids.map(centroid => ({ center: roundColor(fromVector(centroid)), pixels: [] }));
+    entries.forEach((entry, i) => {
+        clusters[assignments[i]].pixels.push(...entry.pixels);
+    });
+    return clusters.filter(cluster => cluster.pixels.length > 0);
+};
+
+/**
+ * Reduces a color histogram with median cut: the box with the widest channel
+ * spread is split at its weighted median until there are `maxColors` boxes.
+ * @param {Array<{r: number, g: number, b: number, count: number}>} entries - Unique colors and their counts.
+ * @param {number} maxColors - Maximum number of colors.
+ * @returns {Array<{r: number, g: number, b: number}>} The weighted average of each box.
+ */
+export const medianCut = (entries, maxColors) => {
+    const channelRange = (box, channel) => {
+        let min = 255;
+        let max = 0;
+        box.forEach(entry => {
+            if (entry[channel] < min) min = entry[channel];
+            if (entry[channel] > max) max = entry[channel];
+        });
+        return max - min;
+    };
+
+    const boxes = entries.length > 0 ? [entries] : [];
+    while (boxes.length < maxColors) {
+        // Split the box with the widest channel spread
+        let target = -1;
+        let targetChannel = 'r';
+        let widest = 0;
+        boxes.forEach((box, index) => {
+            if (box.length < 2) return;
+            ['r', 'g', 'b'].forEach(channel => {
+                const range = channelRange(box, channel);
+                if (range > widest) {
+                    widest = range;
+                    target = index;
+                    targetChannel = channel;
+                }
+            });
+        });
+        if (target === -1) break;
+
+        const box = [...boxes[target]].sort((a, b) => a[targetChannel] - b[targetChannel]);
+        const total = box.reduce((sum, entry) => sum + entry.count, 0);
+        let running = 0;
+        let split = 1;
+        for (let i = 0; i < box.length - 1; i++) {
+            running += box[i].count;
+            split = i + 1;
+            if (running >= total / 2) break;
+        }
+        boxes.splice(target, 1, box.slice(0, split), box.slice(split));
+    }
+
+    return boxes.map(box => {
+        const total = box.reduce((sum, entry) => sum + entry.count, 0);
+        const average = (channel) => Math.round(box.reduce((sum, entry) => sum + entry[channel] * entry.count, 0) / total);
+        return { r: average('r'), g: average('g'), b: average('b') };
+    });
+};
+
+const OCTREE_DEPTH = 8;
+
+/**
+ * Reduces a color histogram with an octree: colors are inserted bit by bit down to
+ * full depth, then the deepest, least used branches are folded into their parents
+ * until at most `maxColors` leaves remain.
+ * @param {Array<{r: number, g: number, b: number, count: number}>} entries - Unique colors and their counts.
+ * @param {number} maxColors - Maximum number of colors.
+ * @returns {Array<{r: number, g: number, b: number}>} The weighted average of each leaf.
+ */
+export const octreeQuantize = (entries, maxColors) => {
+    const createNode = () => ({ children: null, r: 0, g: 0, b: 0, count: 0 });
+    const root = createNode();
+    // Branch nodes per level, the candidates for folding
+    const levels = Array.from({ length: OCTREE_DEPTH }, () => []);
+    let leafCount = 0;
+
+    entries.forEach(entry => {
+        let node = root;
+        for (let level = 0; level < OCTREE_DEPTH; level++) {
+            const shift = 7 - level;
+            const childIndex = (((entry.r >> shift) & 1) << 2) | (((entry.g >> shift) & 1) << 1) | ((entry.b >> shift) & 1);
+            if (!node.children) {
+                node.children = new Array(8).fill(null);
+                levels[level].push(node);
+            }
+            if (!node.children[childIndex]) {
+                node.children[childIndex] = createNode();
+                if (level === OCTREE_DEPTH - 1) leafCount++;
+            }
+            node = node.children[childIndex];
+        }
+        node.r += entry.r * entry.count;
+        node.g += entry.g * entry.count;
+        node.b += entry.b * entry.count;
+        node.count += entry.count;
+    });
+
+    // Totals for branch nodes, so folding can prefer the least used ones
+    const totalCount = (node) => (node.children
+        ? node.children.reduce((sum, child) => sum + (child ? totalCount(child) : 0), 0)
+        : node.count);
+
+    for (let level = OCTREE_DEPTH - 1; level >= 0 && leafCount > maxColors; level--) {
+        const candidates = levels[level]
+            .map(node => ({ node, count: totalCount(node) }))
+            .sort((a, b) => a.count - b.count);
+        for (const { node } of candidates) {
+            if (leafCount <= maxColors) break;
+            const children = node.children.filter(Boolean);
+            children.forEach(child => {
+                node.r += child.r;
+                node.g += child.g;
+                node.b += child.b;
+                node.count += child.count;
+            });
+            node.children = null;
+            leafCount -= children.length - 1;
+        }
+    }
+
+    const colors = [];
+    const collect = (node) => {
+        if (node.children) {
+            node.children.forEach(child => child && collect(child));
+        } else if (node.count > 0) {
+            colors.push({
+                r: Math.round(node.r / node.count),
+                g: Math.round(node.g / node.count),
+                b: Math.round(node.b / node.count),
+            });
+        }
+    };
+    collect(root);
+    return colors;
+};
+
+export const DITHER_METHODS = [
+    { id: 'none', label: 'None' },
+    { id: 'floyd-steinberg', label: 'Floyd–Steinberg' },
+    { id: 'atkinson', label: 'Atkinson' },
+    { id: 'sierra', label: 'Sierra' },
+    { id: 'bayer2', label: 'Bayer 2×2' },
+    { id: 'bayer4', label: 'Bayer 4×4' },
+    { id: 'bayer8', label: 'Bayer 8×8' },
+];
+
+// Error diffusion kernels as [dx, dy, weight] (weights already divided by the kernel total).
+// Atkinson only passes on 6/8 of the error, which keeps highlights and shadows clean.
+const DIFFUSION_KERNELS = {
+    'floyd-steinberg': [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+    atkinson: [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]],
+    sierra: [
+        [1, 0, 5 / 32], [2, 0, 3 / 32],
+        [-2, 1, 2 / 32], [-1, 1, 4 / 32], [0, 1, 5 / 32], [1, 1, 4 / 32], [2, 1, 2 / 32],
+        [-1, 2, 2 / 32], [0, 2, 3 / 32], [1, 2, 2 / 32],
+    ],
+};
+
+// Builds the recursive Bayer threshold matrix of size n (a power of two)
+const bayerMatrix = (n) => {
+    if (n === 1) return [[0]];
+    const half = bayerMatrix(n / 2);
+    return Array.from({ length: n }, (_, y) => Array.from({ length: n }, (_, x) => {
+        const base = 4 * half[y % (n / 2)][x % (n / 2)];
+        const quadrant = [[0, 2], [3, 1]][Math.floor(y / (n / 2))][Math.floor(x / (n / 2))];
+        return base + quadrant;
+    }));
+};
+
+/**
+ * Maps RGBA pixel data onto a palette, optionally dithering to hide banding.
+ * Transparent pixels (by default alpha of 128 or less) take no part in dithering.
+ * @param {Uint8ClampedArray} data - RGBA pixel data.
+ * @param {number} width - Image width.
+ * @param {number} height - Image height.
+ * @param {Array<{r: number, g: number, b: number}>} palette - Colors to map onto.
+ * @param {Object} [options] - Dithering options.
+ * @param {string} [options.method='none'] - One of the DITHER_METHODS ids.
+ * @param {number} [options.strength=1] - 0 (no dithering) to 1 (full error / threshold spread).
+ * @param {string} [options.metric='rgb'] - One of the COLOR_METRICS ids, used to pick the nearest color.
+ * @param {function(number): void} [options.onProgress] - Called with the fraction of rows done.
+ * @param {function(number): boolean} [options.isTransparent] - Decides from a 0-255 alpha whether a pixel is left out.
+ * @returns {Int32Array} Palette index per pixel, or -1 for transparent pixels.
+ */
+export const ditherImage = (data, width, height, palette, {
+    method = 'none',
+    strength = 1,
+    metric = 'rgb',
+    onProgress,
+    isTransparent = (alpha) => alpha <= 128,
+} = {}) => {
+    const indices = new Int32Array(width * height).fill(-1);
+    if (palette.length === 0) return indices;
+    const matchColor = createColorMatcher(palette, metric);
+
+    const kernel = DIFFUSION_KERNELS[method];
+    const bayerSize = { bayer2: 2, bayer4: 4, bayer8: 8 }[method];
+    const matrix = bayerSize ? bayerMatrix(bayerSize) : null;
+    // Ordered dithering nudges each pixel by up to about one palette step
+    const spread = 255 / Math.cbrt(palette.length);
+
+    // Working copy of the channels so diffused error can accumulate
+    const channels = new Float32Array(width * height * 3);
+    for (let i = 0; i < width * height; i++) {
+        channels[i * 3] = data[i * 4];
+        channels[i * 3 + 1] = data[i * 4 + 1];
+        channels[i * 3 + 2] = data[i * 4 + 2];
+    }
 
-        // Check for convergence (allow small tolerance)
-        const tolerance = 1e-4;
-        if (lastCentroids && newCentroids.every((centroid, i) => {
-            const old = lastCentroids[i];
-            return Math.abs(centroid.r - old.r) < tolerance &&
-                   Math.abs(centroid.g - old.g) < tolerance &&
-                   Math.abs(centroid.b - old.b) < tolerance;
-        })) {
-            // console.log(`K-means converged after ${iterations + 1} iterations.`);
-            break;
+    for (let y = 0; y < height; y++) {
+        if (onProgress) onProgress(y / height);
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (isTransparent(data[i * 4 + 3])) continue;
+
+            const color = { r: channels[i * 3], g: channels[i * 3 + 1], b: channels[i * 3 + 2] };
+            if (matrix) {
+                const threshold = ((matrix[y % bayerSize][x % bayerSize] + 0.5) / (bayerSize * bayerSize) - 0.5) * spread * strength;
+                color.r += threshold;
+                color.g += threshold;
+                color.b += threshold;
+            }
+
+            const index = matchColor(color);
+            indices[i] = index;
+
+            if (kernel && strength > 0) {
+                const chosen = palette[index];
+                const errors = [color.r - chosen.r, color.g - chosen.g, color.b - chosen.b];
+                kernel.forEach(([dx, dy, weight]) => {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || nx >= width || ny >= height) return;
+                    const n = ny * width + nx;
+                    if (isTransparent(data[n * 4 + 3])) return;
+                    for (let c = 0; c < 3; c++) {
+                        channels[n * 3 + c] += errors[c] * weight * strength;
+                    }
+                });
+            }
         }
+    }
+    return indices;
+};
+
+export const ALPHA_MODES = [
+    { id: 'threshold', label: 'Threshold' },
+    { id: 'levels', label: 'Levels' },
+    { id: 'exact', label: 'Keep exact' },
+];
 
-        lastCentroids = newCentroids;
-        centroids.splice(0, centroids.length, ...newCentroids);
-        iterations++;
+/**
+ * Builds the function that turns a pixel's 0-255 alpha into the imported opacity (0 to 1,
+ * where 0 leaves the pixel empty).
+ * @param {string} mode - One of the ALPHA_MODES ids.
+ * @param {Object} [options] - Mode settings.
+ * @param {number} [options.cutoff=128] - 'threshold': alpha at or below this is transparent, above it opaque.
+ * @param {number} [options.levels=4] - 'levels': number of opacity steps above transparent.
+ * @returns {function(number): number} The alpha mapping.
+ */
+export const createAlphaMapper = (mode, { cutoff = 128, levels = 4 } = {}) => {
+    if (mode === 'levels') {
+        const steps = Math.max(1, Math.round(levels));
+        return (alpha) => Math.round((alpha / 255) * steps) / steps;
     }
+    if (mode === 'exact') {
+        return (alpha) => Math.round((alpha / 255) * 1000) / 1000;
+    }
+    return (alpha) => (alpha > cutoff ? 1 : 0);
+};
+
+// Building the palette takes the first part of the reported progress, mapping pixels the rest
+const PALETTE_PROGRESS_SHARE = 0.6;
 
-    // if (iterations === maxIterations) {
-    //     console.log('K-means reached max iterations.');
-    // }
+export const QUANTIZERS = [
+    { id: 'kmeans', label: 'K-means++' },
+    { id: 'median-cut', label: 'Median cut' },
+    { id: 'octree', label: 'Octree' },
+    { id: 'palette', label: 'Project palette' },
+];
+
+/**
+ * Reduces an image to a limited palette and turns it into a pixel grid.
+ * With the 'palette' quantizer the image is mapped onto the given palette as is, and the
+ * grid holds the palette's own color strings so they line up with its slots.
+ * @param {ImageData} imageData - The image, already scaled to the grid size.
+ * @param {Object} [options] - Quantization options.
+ * @param {number} [options.maxColors=32] - Maximum number of colors (ignored for 'palette').
+ * @param {string} [options.quantizer='kmeans'] - One of the QUANTIZERS ids.
+ * @param {string} [options.metric='rgb'] - One of the COLOR_METRICS ids.
+ * @param {number} [options.seed=1] - Seed for k-means++ initialization.
+ * @param {Array<string>} [options.palette=[]] - Colors to map onto with the 'palette' quantizer.
+ * @param {string} [options.dither='none'] - One of the DITHER_METHODS ids.
+ * @param {number} [options.ditherStrength=1] - Dithering strength from 0 to 1.
+ * @param {string} [options.alphaMode='threshold'] - One of the ALPHA_MODES ids. Partly transparent
+ *   pixels come out as rgba() colors; fully opaque ones keep the quantized color as is.
+ * @param {number} [options.alphaCutoff=128] - Cutoff for the 'threshold' mode (0-255).
+ * @param {number} [options.alphaLevels=4] - Number of opacity steps for the 'levels' mode.
+ * @param {function(number): void} [options.onProgress] - Called with the overall fraction done (0 to 1).
+ * @returns {{grid: Array<Array<string|null>>, colors: Array<string>}} The grid and the colors it uses.
+ */
+export const quantizeImageData = (imageData, {
+    maxColors = 32,
+    quantizer = 'kmeans',
+    metric = 'rgb',
+    seed = 1,
+    palette: lockedPalette = [],
+    dither = 'none',
+    ditherStrength = 1,
+    alphaMode = 'threshold',
+    alphaCutoff = 128,
+    alphaLevels = 4,
+    onProgress,
+} = {}) => {
+    const { data, width, height } = imageData;
+    const report = (fraction) => {
+        if (onProgress) onProgress(fraction);
+    };
+    const mapAlpha = createAlphaMapper(alphaMode, { cutoff: alphaCutoff, levels: alphaLevels });
+    const isTransparent = (alpha) => mapAlpha(alpha) === 0;
+    const pixels = [];
+    for (let i = 0; i < data.length; i += 4) {
+        if (!isTransparent(data[i + 3])) { // Only include non-transparent pixels
+            pixels.push({ r: data[i], g: data[i + 1], b: data[i + 2], index: i / 4 });
+        }
+    }
+
+    let palette;
+    let colorStrings;
+    if (quantizer === 'palette') {
+        const usable = lockedPalette
+            .map(color => ({ color, rgb: parseColor(color) }))
+            .filter(entry => entry.rgb);
+        if (usable.length === 0) {
+            throw new Error('The project palette has no colors to map onto');
+        }
+        palette = usable.map(entry => entry.rgb);
+        colorStrings = usable.map(entry => entry.color);
+    } else {
+        if (quantizer === 'median-cut') {
+            palette = medianCut(buildHistogram(pixels), maxColors);
+        } else if (quantizer === 'octree') {
+            palette = octreeQuantize(buildHistogram(pixels), maxColors);
+        } else {
+            palette = kMeansClustering(pixels, maxColors, {
+                seed,
+                metric,
+                onProgress: (fraction) => report(fraction * PALETTE_PROGRESS_SHARE),
+            }).map(cluster => cluster.center);
+        }
+        colorStrings = palette.map(color => rgbToHex(color.r, color.g, color.b));
+    }
+
+    report(PALETTE_PROGRESS_SHARE);
+    const indices = ditherImage(data, width, height, palette, {
+        method: dither,
+        strength: ditherStrength,
+        metric,
+        onProgress: (fraction) => report(PALETTE_PROGRESS_SHARE + fraction * (1 - PALETTE_PROGRESS_SHARE)),
+        isTransparent,
+    });
+
+    const usedColors = new Set();
+    const grid = Array.from({ length: height }, (_, y) => Array.from({ length: width }, (_, x) => {
+        const i = y * width + x;
+        const index = indices[i];
+        if (index === -1) return null;
+        const alpha = mapAlpha(data[i * 4 + 3]);
+        const { r, g, b } = palette[index];
+        const color = alpha < 1 ? `rgba(${r}, ${g}, ${b}, ${alpha})` : colorStrings[index];
+        usedColors.add(color);
+        return color;
+    }));
+    report(1);
+    return { grid, colors: [...usedColors] };
+};
+
+// Exact imports larger than this per side are almost certainly not upscaled pixel art
+export const MAX_EXACT_IMPORT_SIZE = 512;
+
+const greatestCommonDivisor = (a, b) => (b === 0 ? a : greatestCommonDivisor(b, a % b));
+
+// Positions along one axis where the color changes, from any row (or column)
+const findBoundaries = (length, lineCount, keyAt) => {
+    const boundaries = new Set();
+    for (let line = 0; line < lineCount; line++) {
+        for (let position = 1; position < length; position++) {
+            if (keyAt(position, line) !== keyAt(position - 1, line)) boundaries.add(position);
+        }
+    }
+    return [...boundaries].sort((a, b) => a - b);
+};
+
+// The block size along one axis: the common divisor of the gaps between boundaries
+// (null with fewer than two boundaries, where gaps say nothing)
+const periodOf = (boundaries) => (
+    boundaries.length < 2
+        ? null
+        : boundaries.reduce((period, position) => greatestCommonDivisor(period, position - boundaries[0]), 0)
+);
+
+/**
+ * Detects the integer upscale factor and grid offset of upscaled pixel art.
+ * Every logical pixel is a scale × scale block of one color; offsets say where the first
+ * whole block starts (non-zero when the image was cropped off the grid). Fully transparent
+ * pixels count as one color whatever their RGB. Works on lossless images only.
+ * @param {ImageData} imageData - The source image at its natural size.
+ * @param {Object} [options] - Detection options.
+ * @param {number} [options.scale] - Use this scale instead of detecting it; only the offsets are detected.
+ * @returns {{scale: number, offsetX: number, offsetY: number}} The detected grid.
+ */
+export const detectPixelScale = ({ data, width, height }, { scale: forcedScale } = {}) => {
+    const keyAt = (x, y) => {
+        const i = (y * width + x) * 4;
+        if (data[i + 3] === 0) return -1;
+        return ((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | data[i + 3]) >>> 0;
+    };
+    const columns = findBoundaries(width, height, keyAt);
+    const rows = findBoundaries(height, width, (y, x) => keyAt(x, y));
+
+    let scale = forcedScale > 0 ? Math.floor(forcedScale) : null;
+    if (!scale) {
+        const periods = [periodOf(columns), periodOf(rows)].filter(Boolean);
+        if (periods.length > 0) {
+            scale = periods.reduce(greatestCommonDivisor);
+        } else {
+            // Too few edges to measure gaps: assume the image edges line up with the blocks
+            const edgePeriods = [
+                ...columns.map(x => greatestCommonDivisor(x, width - x)),
+                ...rows.map(y => greatestCommonDivisor(y, height - y)),
+            ];
+            scale = edgePeriods.reduce(greatestCommonDivisor, greatestCommonDivisor(width, height));
+        }
+    }
+    return {
+        scale,
+        offsetX: columns.length > 0 ? columns[0] % scale : 0,
+        offsetY: rows.length > 0 ? rows[0] % scale : 0,
+    };
+};
+
+/**
+ * Size of the grid sampleExactGrid builds: whole logical pixels only.
+ * @param {{width: number, height: number}} image - The source image size.
+ * @param {Object} grid - The pixel grid, as returned by detectPixelScale.
+ * @returns {{width: number, height: number}} The grid size in cells.
+ */
+export const getExactGridSize = ({ width, height }, { scale, offsetX = 0, offsetY = 0 }) => ({
+    width: Math.max(0, Math.floor((width - offsetX) / scale)),
+    height: Math.max(0, Math.floor((height - offsetY) / scale)),
+});
+
+/**
+ * Samples one color per logical pixel of upscaled pixel art, without quantizing.
+ * Partial blocks at the edges are dropped.
+ * @param {ImageData} imageData - The source image at its natural size.
+ * @param {Object} grid - The pixel grid, as returned by detectPixelScale.
+ * @param {number} grid.scale - Size of one logical pixel in source pixels.
+ * @param {number} [grid.offsetX=0] - Where the first whole column of blocks starts.
+ * @param {number} [grid.offsetY=0] - Where the first whole row of blocks starts.
+ * @param {Object} [options] - Alpha handling, as for quantizeImageData.
+ * @param {string} [options.alphaMode='threshold'] - One of the ALPHA_MODES ids.
+ * @param {number} [options.alphaCutoff=128] - Cutoff for the 'threshold' mode (0-255).
+ * @param {number} [options.alphaLevels=4] - Number of opacity steps for the 'levels' mode.
+ * @returns {{grid: Array<Array<string|null>>, colors: Array<string>}} The grid and the colors it uses.
+ */
+export const sampleExactGrid = ({ data, width, height }, { scale, offsetX = 0, offsetY = 0 }, {
+    alphaMode = 'threshold',
+    alphaCutoff = 128,
+    alphaLevels = 4,
+} = {}) => {
+    const mapAlpha = createAlphaMapper(alphaMode, { cutoff: alphaCutoff, levels: alphaLevels });
+    const { width: columns, height: rows } = getExactGridSize({ width, height }, { scale, offsetX, offsetY });
+    const center = Math.floor(scale / 2);
 
-    // Return clusters, filtering out any that might have ended up empty
-    // although the reinitialization logic should prevent this.
-    return clusters.filter(c => c.pixels.length > 0);
-}; 
\ No newline at end of file
+    const usedColors = new Set();
+    const grid = Array.from({ length: rows }, (_, row) => Array.from({ length: columns }, (_, column) => {
+        const i = ((offsetY + row * scale + center) * width + offsetX + column * scale + center) * 4;
+        const alpha = mapAlpha(data[i + 3]);
+        if (alpha === 0) return null;
+        const color = alpha < 1
+            ? `rgba(${data[i]}, ${data[i + 1]}, ${data[i + 2]}, ${alpha})`
+            : rgbToHex(data[i], data[i + 1], data[i + 2]);
+        usedColors.add(color);
+        return color;
+    }));
+    return { grid, colors: [...usedColors] };
+};
@@ -0,0 +1,180 @@
+import { parseColor } from './colorUtils';
+import { resolveIndexedGrid } from './paletteUtils';
+
+export const LAYER_BLEND_MODES = ['normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'difference'];
+
+let layerCounter = 0;
+
+/**
+ * Generates a unique id for a new layer.
+ * @returns {string} The layer id.
+ */
+export const generateLayerId = () => {
+  layerCounter += 1;
+  return `layer-${Date.now().toString(36)}-${layerCounter}`;
+};
+
+/**
+ * Creates an empty grid of the given size.
+ * @param {number} width The grid width.
+ * @param {number} height The grid height.
+ * @returns {Array<Array<null>>} The empty grid.
+ */
+export const createEmptyGrid = (width, height) => {
+  return Array.from({ length: height }, () => new Array(width).fill(null));
+};
+
+/**
+ * Creates a new layer object.
+ * @param {Object} options Layer properties.
+ * @param {string} options.name The display name.
+ * @param {number} options.width The grid width, used when no grid is given.
+ * @param {number} options.height The grid height, used when no grid is given.
+ * @param {Array<Array<string|null>>} [options.grid] Initial pixel grid.
+ * @returns {Object} The layer ({ id, name, grid, visible, opacity, locked, blendMode }).
+ */
+export const createLayer = ({ name = 'Layer', width, height, grid } = {}) => ({
+  id: generateLayerId(),
+  name,
+  grid: grid || createEmptyGrid(width, height),
+  visible: true,
+  opacity: 1,
+  locked: false,
+  blendMode: 'normal',
+});
+
+/**
+ * Copies a layer stack deeply enough that later grid edits do not leak into it.
+ * @param {Array<Object>} layers The layer stack.
+ * @returns {Array<Object>} A copy of the stack with copied grids.
+ */
+export const cloneLayers = (layers) => {
+  return layers.map(layer => ({ ...layer, grid: layer.grid.map(row => [...row]) }));
+};
+
+/**
+ * Places a grid inside a new canvas size, shifting content by an offset.
+ * Content outside the new bounds is dropped; new cells are empty.
+ * @param {Array<Array<string|null>>} grid The source grid.
+ * @param {number} newWidth The new width.
+ * @param {number} newHeight The new height.
+ * @param {number} [offsetX=0] Horizontal shift applied to existing content.
+ * @param {number} [offsetY=0] Vertical shift applied to existing content.
+ * @returns {Array<Array<string|null>>} The reframed grid.
+ */
+export const reframeGrid = (grid, newWidth, newHeight, offsetX = 0, offsetY = 0) => {
+  const newGrid = createEmptyGrid(newWidth, newHeight);
+  grid.forEach((row, y) => {
+    const targetY = y + offsetY;
+    if (targetY < 0 || targetY >= newHeight) return;
+    row.forEach((color, x) => {
+      const targetX = x + offsetX;
+      if (targetX < 0 || targetX >= newWidth) return;
+      newGrid[targetY][targetX] = color ?? null; // Palette slot 0 is a valid cell
+    });
+  });
+  return newGrid;
+};
+
+// Separable blend functions on 0-1 channel values (W3C compositing spec)
+const blendChannel = {
+  normal: (cb, cs) => cs,
+  multiply: (cb, cs) => cb * cs,
+  screen: (cb, cs) => cb + cs - cb * cs,
+  overlay: (cb, cs) => (cb <= 0.5 ? 2 * cb * cs : 1 - 2 * (1 - cb) * (1 - cs)),
+  darken: (cb, cs) => Math.min(cb, cs),
+  lighten: (cb, cs) => Math.max(cb, cs),
+  difference: (cb, cs) => Math.abs(cb - cs),
+};
+
+/**
+ * Composites a source color over a backdrop color with a blend mode.
+ * @param {{r: number, g: number, b: number, a: number}|null} backdrop The color below (0-255 channels).
+ * @param {{r: number, g: number, b: number, a: number}} source The color above (0-255 channels).
+ * @param {string} blendMode One of LAYER_BLEND_MODES.
+ * @returns {{r: number, g: number, b: number, a: number}} The composited color.
+ */
+export const blendColors = (backdrop, source, blendMode = 'normal') => {
+  if (!backdrop || backdrop.a === 0) return { ...source };
+  const blend = blendChannel[blendMode] || blendChannel.normal;
+
+  const as = source.a;
+  const ab = backdrop.a;
+  const ao = as + ab * (1 - as);
+  if (ao === 0) return { r: 0, g: 0, b: 0, a: 0 };
+
+  const mix = (cbRaw, csRaw) => {
+    const cb = cbRaw / 255;
+    const cs = csRaw / 255;
+    // Blend result is weighted by how much backdrop is under the source
+    const blended = (1 - ab) * cs + ab * blend(cb, cs);
+    const premultiplied = as * blended + ab * cb * (1 - as);
+    return (premultiplied / ao) * 255;
+  };
+
+  return {
+    r: mix(backdrop.r, source.r),
+    g: mix(backdrop.g, source.g),
+    b: mix(backdrop.b, source.b),
+    a: ao,
+  };
+};
+
+const formatColor = ({ r, g, b, a }) => {
+  const alpha = Math.round(a * 1000) / 1000;
+  return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${alpha})`;
+};
+
+/**
+ * Flattens a layer stack (bottom layer first) into a single grid of color strings.
+ * Hidden layers are skipped. Pixels covered only by an opaque normal layer keep
+ * their original color string, so a single plain layer renders exactly as before.
+ * @param {Array<Object>} layers The layer stack.
+ * @param {number} width The grid width.
+ * @param {number} height The grid height.
+ * @param {Array<string>|null} [palette=null] Colors for grids in indexed mode, whose cells are palette slots.
+ * @returns {Array<Array<string|null>>} The composited grid.
+ */
+export const compositeLayers = (layers, width, height, palette = null) => {
+  const visibleLayers = layers.filter(layer => layer.visible && layer.opacity > 0);
+
+  // Fast path: one plain layer needs no blending at all
+  if (visibleLayers.length === 1) {
+    const [layer] = visibleLayers;
+    if (layer.opacity === 1 && layer.grid.length === height && (layer.grid[0]?.length ?? 0) === width) {
+      return palette ? resolveIndexedGrid(layer.grid, palette) : layer.grid;
+    }
+  }
+
+  const result = createEmptyGrid(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let current = null; // Parsed color so far
+      let passthrough = null; // Original string while no blending has happened
+
+      visibleLayers.forEach(layer => {
+        const cell = layer.grid[y]?.[x];
+        const color = typeof cell === 'number' ? palette?.[cell] : cell;
+        if (!color) return;
+        const parsed = parseColor(color);
+        if (!parsed) return;
+
+        const source = { ...parsed, a: parsed.a * layer.opacity };
+        const isPlain = layer.opacity === 1 && (layer.blendMode === 'normal' || !current);
+        if (isPlain && (parsed.a === 1 || !current)) {
+          current = parsed;
+          passthrough = color;
+          return;
+        }
+
+        current = blendColors(current, source, layer.blendMode);
+        passthrough = null;
+      });
+
+      if (current) {
+        result[y][x] = passthrough || formatColor(current);
+      }
+    }
+  }
+  return result;
+};
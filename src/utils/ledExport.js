@@ -0,0 +1,213 @@
+import { parseColor } from './colorUtils';
+
+/**
+ * Exports for LED matrices: C/Arduino headers and WLED presets.
+ * Pixels are listed in the order the LEDs are wired, either row by row or serpentine
+ * (every other row runs right to left). LEDs have no transparency, so alpha is folded
+ * into the color and empty pixels are off.
+ */
+
+export const LED_COLOR_FORMATS = ['rgb888', 'rgb565', 'indexed'];
+export const LED_WIRING_ORDERS = ['row-major', 'serpentine'];
+export const MAX_LED_BRIGHTNESS = 255;
+
+const MAX_INDEXED_COLORS = 256;
+const VALUES_PER_LINE = 8;
+
+/**
+ * Lists a grid's cells in LED wiring order.
+ * @param {Array<Array<*>>} grid Grid of cells.
+ * @param {string} [wiring='row-major'] 'row-major' or 'serpentine'.
+ * @returns {Array<*>} The cells, first LED first.
+ */
+export const orderLedPixels = (grid, wiring = 'row-major') => grid.flatMap((row, y) => (
+  wiring === 'serpentine' && y % 2 === 1 ? [...row].reverse() : row
+));
+
+/**
+ * Converts a pixel color to LED channels, folding in alpha and the brightness cap.
+ * @param {string|null} color Color string, or null for an empty pixel.
+ * @param {number} [brightness=255] Brightness cap, 0-255; full white is scaled down to it.
+ * @returns {[number, number, number]} 8-bit red, green and blue.
+ */
+export const toLedChannels = (color, brightness = MAX_LED_BRIGHTNESS) => {
+  const parsed = color ? parseColor(color) : null;
+  if (!parsed) return [0, 0, 0];
+  const factor = parsed.a * (brightness / MAX_LED_BRIGHTNESS);
+  return [parsed.r, parsed.g, parsed.b].map(channel => Math.round(channel * factor));
+};
+
+const toRgb888 = ([r, g, b]) => (r << 16) | (g << 8) | b;
+const toRgb565 = ([r, g, b]) => ((r >> 3) << 11) | ((g >> 2) << 5) | (b >> 3);
+const toHex = (value, digits) => `0x${value.toString(16).toUpperCase().padStart(digits, '0')}`;
+
+/**
+ * Turns a file name into a C identifier prefix, e.g. "space ship" -> "SPACE_SHIP".
+ * @param {string} name File or project name.
+ * @returns {string} An uppercase identifier, "PIXEL_ART" when nothing usable is left.
+ */
+export const toCIdentifier = (name) => {
+  const identifier = (String(name || '').match(/[A-Za-z0-9]+/g) || []).join('_').toUpperCase();
+  if (!identifier) return 'PIXEL_ART';
+  return /^[0-9]/.test(identifier) ? `PIXEL_ART_${identifier}` : identifier;
+};
+
+const formatValues = (values, indent) => {
+  const lines = [];
+  for (let i = 0; i < values.length; i += VALUES_PER_LINE) {
+    lines.push(`${indent}${values.slice(i, i + VALUES_PER_LINE).join(', ')},`);
+  }
+  return lines;
+};
+
+/**
+ * Builds a C/Arduino header with the pixels of every frame in wiring order.
+ * A single frame is written as `<NAME>_PIXELS`; animations as `<NAME>_FRAMES` plus
+ * `<NAME>_FRAME_DURATIONS` in milliseconds. Indexed output adds `<NAME>_PALETTE` (RGB888).
+ * @param {Array<{grid: Array<Array<string|null>>, duration: number}>} frames Frames to export.
+ * @param {Object} [options] Export options.
+ * @param {string} [options.name='pixel-art'] Name used for the identifiers.
+ * @param {string} [options.colorFormat='rgb888'] 'rgb888', 'rgb565' or 'indexed'.
+ * @param {string} [options.wiring='row-major'] 'row-major' or 'serpentine'.
+ * @param {number} [options.brightness=255] Brightness cap, 0-255.
+ * @returns {string} The header source.
+ * @throws {Error} If indexed output would need more than 256 colors.
+ */
+export const buildLedHeader = (frames, {
+  name = 'pixel-art',
+  colorFormat = 'rgb888',
+  wiring = 'row-major',
+  brightness = MAX_LED_BRIGHTNESS,
+} = {}) => {
+  const prefix = toCIdentifier(name);
+  const height = frames[0].grid.length;
+  const width = frames[0].grid[0]?.length || 0;
+  const isAnimated = frames.length > 1;
+  const ledFrames = frames.map(frame => orderLedPixels(frame.grid, wiring).map(color => toLedChannels(color, brightness)));
+
+  let valueType;
+  let palette = null;
+  let frameValues;
+  if (colorFormat === 'indexed') {
+    const paletteIndex = new Map(); // RGB888 -> index, in order of first use
+    frameValues = ledFrames.map(leds => leds.map(channels => {
+      const value = toRgb888(channels);
+      if (!paletteIndex.has(value)) paletteIndex.set(value, paletteIndex.size);
+      return String(paletteIndex.get(value));
+    }));
+    if (paletteIndex.size > MAX_INDEXED_COLORS) {
+      throw new Error(`Indexed LED export supports up to ${MAX_INDEXED_COLORS} colors, but the artwork uses ${paletteIndex.size}. Use RGB565 or RGB888 instead.`);
+    }
+    palette = [...paletteIndex.keys()].map(value => toHex(value, 6));
+    valueType = 'uint8_t';
+  } else if (colorFormat === 'rgb565') {
+    frameValues = ledFrames.map(leds => leds.map(channels => toHex(toRgb565(channels), 4)));
+    valueType = 'uint16_t';
+  } else {
+    frameValues = ledFrames.map(leds => leds.map(channels => toHex(toRgb888(channels), 6)));
+    valueType = 'uint32_t';
+  }
+
+  const lines = [
+    `// ${name}: ${width}x${height} LED matrix, ${frames.length} frame${isAnimated ? 's' : ''}`,
+    `// ${colorFormat === 'indexed' ? 'Palette indices (palette in RGB888)' : colorFormat.toUpperCase()}, ${wiring} wiring, brightness cap ${brightness}/${MAX_LED_BRIGHTNESS}`,
+    '// Exported from PixelPop',
+    '#pragma once',
+    '#include <stdint.h>',
+    '#if defined(__AVR__)',
+    '#include <avr/pgmspace.h>',
+    '#endif',
+    '#ifndef PROGMEM',
+    '#define PROGMEM',
+    '#endif',
+    '',
+    `#define ${prefix}_WIDTH ${width}`,
+    `#define ${prefix}_HEIGHT ${height}`,
+    `#define ${prefix}_LED_COUNT ${width * height}`,
+  ];
+  if (isAnimated) lines.push(`#define ${prefix}_FRAME_COUNT ${frames.length}`);
+  if (palette) {
+    lines.push(
+      `#define ${prefix}_PALETTE_SIZE ${palette.length}`,
+      '',
+      `const uint32_t ${prefix}_PALETTE[${prefix}_PALETTE_SIZE] PROGMEM = {`,
+      ...formatValues(palette, '  '),
+      '};',
+    );
+  }
+  lines.push('');
+  if (isAnimated) {
+    lines.push(
+      `const uint16_t ${prefix}_FRAME_DURATIONS[${prefix}_FRAME_COUNT] PROGMEM = { ${frames.map(frame => Math.round(frame.duration)).join(', ')} };`,
+      '',
+      `const ${valueType} ${prefix}_FRAMES[${prefix}_FRAME_COUNT][${prefix}_LED_COUNT] PROGMEM = {`,
+    );
+    frameValues.forEach((values, index) => {
+      lines.push(`  { // Frame ${index + 1}`, ...formatValues(values, '    '), '  },');
+    });
+    lines.push('};');
+  } else {
+    lines.push(`const ${valueType} ${prefix}_PIXELS[${prefix}_LED_COUNT] PROGMEM = {`, ...formatValues(frameValues[0], '  '), '};');
+  }
+  lines.push('');
+  return lines.join('\n');
+};
+
+// WLED individual LED control: runs of one color become [start, stop, color], single LEDs [index, color]
+const toWledPixels = (grid, wiring) => {
+  const colors = orderLedPixels(grid, wiring).map(color => (
+    toLedChannels(color).map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase()
+  ));
+  const pixels = [];
+  let start = 0;
+  for (let i = 1; i <= colors.length; i++) {
+    if (i < colors.length && colors[i] === colors[start]) continue;
+    if (i - start > 1) pixels.push(start, i, colors[start]);
+    else pixels.push(start, colors[start]);
+    start = i;
+  }
+  return pixels;
+};
+
+/**
+ * Builds a WLED presets file. Each frame is a preset setting the LEDs one by one; an
+ * animation adds a playlist preset that steps through the frames with their durations.
+ * The brightness cap becomes the preset brightness, so colors are written at full strength.
+ * @param {Array<{grid: Array<Array<string|null>>, duration: number}>} frames Frames to export.
+ * @param {Object} [options] Export options.
+ * @param {string} [options.name='pixel-art'] Preset name.
+ * @param {string} [options.wiring='row-major'] 'row-major' or 'serpentine'.
+ * @param {number} [options.brightness=255] Brightness cap, 1-255.
+ * @returns {string} presets.json content, ready for WLED's restore presets.
+ */
+export const buildWledPresets = (frames, {
+  name = 'pixel-art',
+  wiring = 'row-major',
+  brightness = MAX_LED_BRIGHTNESS,
+} = {}) => {
+  const isAnimated = frames.length > 1;
+  const presets = { 0: {} };
+  frames.forEach((frame, index) => {
+    presets[index + 1] = {
+      n: isAnimated ? `${name} ${index + 1}` : name,
+      on: true,
+      bri: Math.max(1, Math.min(MAX_LED_BRIGHTNESS, Math.round(brightness))),
+      transition: 0,
+      seg: [{ id: 0, fx: 0, i: toWledPixels(frame.grid, wiring) }],
+    };
+  });
+  if (isAnimated) {
+    presets[frames.length + 1] = {
+      n: name,
+      on: true,
+      playlist: {
+        ps: frames.map((_, index) => index + 1),
+        // Playlist durations are in tenths of a second
+        dur: frames.map(frame => Math.max(1, Math.round(frame.duration / 100))),
+        transition: frames.map(() => 0),
+        repeat: 0,
+      },
+    };
+  }
+  return JSON.stringify(presets);
+};
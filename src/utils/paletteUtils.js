@@ -0,0 +1,496 @@
+import { parseColor, rgbToHex } from './colorUtils';
+
+export const PALETTE_FORMATS = ['gpl', 'pal', 'hex', 'ase'];
+
+// PICO-8's 16 colors, a common starting point for pixel art
+export const DEFAULT_PALETTE_COLORS = [
+  '#000000', '#1D2B53', '#7E2553', '#008751', '#AB5236', '#5F574F', '#C2C3C7', '#FFF1E8',
+  '#FF004D', '#FFA300', '#FFEC27', '#00E436', '#29ADFF', '#83769C', '#FF77A8', '#FFCCAA',
+];
+
+let paletteCounter = 0;
+
+/**
+ * Generates a unique id for a new palette.
+ * @returns {string} The palette id.
+ */
+export const generatePaletteId = () => {
+  paletteCounter += 1;
+  return `palette-${Date.now().toString(36)}-${paletteCounter}`;
+};
+
+// Highest color limit a palette can be given (GIF and Aseprite palettes hold 256)
+export const MAX_PALETTE_COLORS = 256;
+
+/**
+ * Creates a palette object.
+ * @param {Object} options Palette properties.
+ * @param {string} [options.name='Palette'] The display name.
+ * @param {Array<string>} [options.colors=[]] Color strings in palette order.
+ * @param {number|null} [options.maxColors=null] Most colors the palette may hold (a console limit), or null for no limit.
+ * @returns {{id: string, name: string, colors: Array<string>, maxColors: number|null}} The palette.
+ */
+export const createPalette = ({ name = 'Palette', colors = [], maxColors = null } = {}) => ({
+  id: generatePaletteId(),
+  name,
+  colors: [...colors],
+  maxColors,
+});
+
+/**
+ * Whether a palette has reached its color limit.
+ * @param {{colors: Array<string>, maxColors?: number|null}} palette The palette.
+ * @returns {boolean}
+ */
+export const isPaletteFull = ({ colors, maxColors }) => (
+  Boolean(maxColors) && colors.length >= maxColors
+);
+
+const toChannels = (color) => parseColor(color) || { r: 0, g: 0, b: 0, a: 1 };
+const toHex = ({ r, g, b }) => rgbToHex(r, g, b).toUpperCase();
+const clampChannel = (value) => Math.max(0, Math.min(255, Math.round(value)));
+
+// --- GIMP .gpl ---
+
+/**
+ * Parses a GIMP palette (.gpl).
+ * @param {string} text File contents.
+ * @returns {{name: string|null, colors: Array<string>}} The palette name and hex colors.
+ */
+export const parseGpl = (text) => {
+  const lines = text.split(/\r?\n/);
+  if (!lines[0] || !lines[0].trim().startsWith('GIMP Palette')) {
+    throw new Error('Not a GIMP palette file');
+  }
+  let name = null;
+  const colors = [];
+  lines.slice(1).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const nameMatch = trimmed.match(/^Name:\s*(.*)$/i);
+    if (nameMatch) {
+      name = nameMatch[1].trim();
+      return;
+    }
+    if (/^Columns:/i.test(trimmed)) return;
+    const match = trimmed.match(/^(\d+)\s+(\d+)\s+(\d+)/);
+    if (match) {
+      colors.push(toHex({ r: clampChannel(+match[1]), g: clampChannel(+match[2]), b: clampChannel(+match[3]) }));
+    }
+  });
+  return { name, colors };
+};
+
+/**
+ * Writes a GIMP palette (.gpl).
+ * @param {{name: string, colors: Array<string>}} palette The palette.
+ * @returns {string} File contents.
+ */
+export const serializeGpl = ({ name, colors }) => {
+  const lines = ['GIMP Palette', `Name: ${name}`, 'Columns: 8', '#'];
+  colors.forEach(color => {
+    const { r, g, b } = toChannels(color);
+    lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${toHex({ r, g, b })}`);
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+// --- JASC .pal ---
+
+/**
+ * Parses a JASC (Paint Shop Pro) palette (.pal).
+ * @param {string} text File contents.
+ * @returns {{name: null, colors: Array<string>}} The hex colors.
+ */
+export const parsePal = (text) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim());
+  if (lines[0] !== 'JASC-PAL') {
+    throw new Error('Not a JASC palette file');
+  }
+  const count = parseInt(lines[2], 10);
+  const colors = [];
+  lines.slice(3).forEach(line => {
+    const match = line.match(/^(\d+)\s+(\d+)\s+(\d+)/);
+    if (match && colors.length < (Number.isNaN(count) ? Infinity : count)) {
+      colors.push(toHex({ r: clampChannel(+match[1]), g: clampChannel(+match[2]), b: clampChannel(+match[3]) }));
+    }
+  });
+  return { name: null, colors };
+};
+
+/**
+ * Writes a JASC palette (.pal).
+ * @param {{colors: Array<string>}} palette The palette.
+ * @returns {string} File contents.
+ */
+export const serializePal = ({ colors }) => {
+  const lines = ['JASC-PAL', '0100', String(colors.length)];
+  colors.forEach(color => {
+    const { r, g, b } = toChannels(color);
+    lines.push(`${r} ${g} ${b}`);
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// --- Plain .hex (one RRGGBB per line, as used by Lospec) ---
+
+/**
+ * Parses a plain hex palette (.hex).
+ * @param {string} text File contents.
+ * @returns {{name: null, colors: Array<string>}} The hex colors.
+ */
+export const parseHex = (text) => {
+  const colors = text.split(/\r?\n/)
+    .map(line => line.trim().replace(/^#/, ''))
+    .filter(line => /^[0-9a-fA-F]{6}$/.test(line))
+    .map(line => `#${line.toUpperCase()}`);
+  if (colors.length === 0) {
+    throw new Error('No colors found in hex palette');
+  }
+  return { name: null, colors };
+};
+
+/**
+ * Writes a plain hex palette (.hex).
+ * @param {{colors: Array<string>}} palette The palette.
+ * @returns {string} File contents.
+ */
+export const serializeHex = ({ colors }) => {
+  return `${colors.map(color => toHex(toChannels(color)).slice(1).toLowerCase()).join('\n')}\n`;
+};
+
+// --- Adobe Swatch Exchange .ase ---
+
+// CIE Lab (D50, as Adobe uses) to sRGB
+const labToRgb = (l, a, b) => {
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const finv = (t) => (t ** 3 > 0.008856 ? t ** 3 : (t - 16 / 116) / 7.787);
+  const x = 0.96422 * finv(fx);
+  const y = 1.0 * finv(fy);
+  const z = 0.82521 * finv(fz);
+  // Bradford-adapted D50 XYZ to linear sRGB
+  const lr = 3.1338561 * x - 1.6168667 * y - 0.4906146 * z;
+  const lg = -0.9787684 * x + 1.9161415 * y + 0.0334540 * z;
+  const lb = 0.0719453 * x - 0.2289914 * y + 1.4052427 * z;
+  const gamma = (c) => (c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055);
+  return { r: clampChannel(gamma(lr) * 255), g: clampChannel(gamma(lg) * 255), b: clampChannel(gamma(lb) * 255) };
+};
+
+/**
+ * Parses an Adobe Swatch Exchange file (.ase). Groups are flattened; the first group
+ * name (if any) becomes the palette name.
+ * @param {ArrayBuffer} buffer File contents.
+ * @returns {{name: string|null, colors: Array<string>}} The palette name and hex colors.
+ */
+export const parseAse = (buffer) => {
+  const view = new DataView(buffer);
+  const signature = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+  if (signature !== 'ASEF') {
+    throw new Error('Not an Adobe Swatch Exchange file');
+  }
+  const blockCount = view.getUint32(8);
+  let offset = 12;
+  let name = null;
+  const colors = [];
+
+  const readName = (start) => {
+    const length = view.getUint16(start); // UTF-16 code units, including the terminator
+    let text = '';
+    for (let i = 0; i < length - 1; i++) {
+      text += String.fromCharCode(view.getUint16(start + 2 + i * 2));
+    }
+    return { text, end: start + 2 + length * 2 };
+  };
+
+  for (let block = 0; block < blockCount && offset + 6 <= buffer.byteLength; block++) {
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    const body = offset + 6;
+
+    if (type === 0xc001 && name === null) {
+      name = readName(body).text || null;
+    } else if (type === 0x0001) {
+      const { end } = readName(body);
+      const model = String.fromCharCode(view.getUint8(end), view.getUint8(end + 1), view.getUint8(end + 2), view.getUint8(end + 3));
+      const values = (count) => Array.from({ length: count }, (_, i) => view.getFloat32(end + 4 + i * 4));
+      let rgb = null;
+      if (model === 'RGB ') {
+        const [r, g, b] = values(3);
+        rgb = { r: clampChannel(r * 255), g: clampChannel(g * 255), b: clampChannel(b * 255) };
+      } else if (model === 'CMYK') {
+        const [c, m, y, k] = values(4);
+        rgb = {
+          r: clampChannel(255 * (1 - c) * (1 - k)),
+          g: clampChannel(255 * (1 - m) * (1 - k)),
+          b: clampChannel(255 * (1 - y) * (1 - k)),
+        };
+      } else if (model === 'Gray') {
+        const [gray] = values(1);
+        rgb = { r: clampChannel(gray * 255), g: clampChannel(gray * 255), b: clampChannel(gray * 255) };
+      } else if (model === 'LAB ') {
+        const [l, a, b] = values(3);
+        rgb = labToRgb(l * 100, a, b);
+      }
+      if (rgb) colors.push(toHex(rgb));
+    }
+    offset = body + length;
+  }
+
+  return { name, colors };
+};
+
+/**
+ * Writes an Adobe Swatch Exchange file (.ase) with one RGB swatch per color.
+ * @param {{name: string, colors: Array<string>}} palette The palette.
+ * @returns {Uint8Array} File contents.
+ */
+export const serializeAse = ({ name, colors }) => {
+  const bytes = [];
+  const pushUint16 = (value) => bytes.push((value >> 8) & 255, value & 255);
+  const pushUint32 = (value) => bytes.push((value >>> 24) & 255, (value >>> 16) & 255, (value >>> 8) & 255, value & 255);
+  const pushFloat32 = (value) => {
+    const view = new DataView(new ArrayBuffer(4));
+    view.setFloat32(0, value);
+    for (let i = 0; i < 4; i++) bytes.push(view.getUint8(i));
+  };
+  const nameBytes = (text) => {
+    const out = [];
+    const units = [...text].map(char => char.charCodeAt(0));
+    out.push(((units.length + 1) >> 8) & 255, (units.length + 1) & 255);
+    units.forEach(unit => out.push((unit >> 8) & 255, unit & 255));
+    out.push(0, 0);
+    return out;
+  };
+  const pushBlock = (type, body) => {
+    pushUint16(type);
+    pushUint32(body.length);
+    bytes.push(...body);
+  };
+
+  bytes.push(0x41, 0x53, 0x45, 0x46); // ASEF
+  pushUint16(1);
+  pushUint16(0);
+  pushUint32(colors.length + 2); // Group start + swatches + group end
+
+  pushBlock(0xc001, nameBytes(name || 'Palette'));
+  colors.forEach(color => {
+    const channels = toChannels(color);
+    const start = bytes.length;
+    // Build the swatch body in place, then move it into a block
+    bytes.push(...nameBytes(toHex(channels)));
+    bytes.push(0x52, 0x47, 0x42, 0x20); // 'RGB '
+    pushFloat32(channels.r / 255);
+    pushFloat32(channels.g / 255);
+    pushFloat32(channels.b / 255);
+    pushUint16(2); // Color type: normal
+    const body = bytes.splice(start);
+    pushBlock(0x0001, body);
+  });
+  pushBlock(0xc002, []);
+
+  return Uint8Array.from(bytes);
+};
+
+/**
+ * Whether parsed JSON is a Lospec palette ({ name, author, colors: ["1a1c2c", ...] }).
+ * @param {*} data Parsed JSON.
+ * @returns {boolean}
+ */
+export const isLospecPalette = (data) => (
+  Boolean(data) && typeof data === 'object' && !('gridDimensions' in data)
+  && Array.isArray(data.colors) && data.colors.length > 0
+  && data.colors.every(color => typeof color === 'string' && /^#?[0-9a-f]{6}$/i.test(color))
+);
+
+/**
+ * Reads a Lospec palette downloaded as JSON.
+ * @param {Object} data Parsed Lospec palette JSON.
+ * @param {string} [fallbackName='Lospec Palette'] Name used when the file has none.
+ * @returns {{name: string, colors: Array<string>}} The palette name and hex colors.
+ */
+export const parseLospecPalette = (data, fallbackName = 'Lospec Palette') => {
+  if (!isLospecPalette(data)) {
+    throw new Error('Not a Lospec palette');
+  }
+  return {
+    name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : fallbackName,
+    colors: data.colors.map(color => `#${color.replace('#', '').toUpperCase()}`),
+  };
+};
+
+/**
+ * Reads a palette file, choosing the parser from the file extension.
+ * @param {string} fileName The file name (used for the extension and default palette name).
+ * @param {string|ArrayBuffer} contents Text for .gpl/.pal/.hex, an ArrayBuffer for .ase.
+ * @returns {{name: string, colors: Array<string>}} The palette name and hex colors.
+ */
+export const parsePaletteFile = (fileName, contents) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+  let parsed;
+  switch (extension) {
+    case 'gpl':
+      parsed = parseGpl(contents);
+      break;
+    case 'pal':
+      parsed = parsePal(contents);
+      break;
+    case 'hex':
+    case 'txt':
+      parsed = parseHex(contents);
+      break;
+    case 'ase':
+      parsed = parseAse(contents);
+      break;
+    default:
+      throw new Error(`Unsupported palette format: .${extension}`);
+  }
+  if (parsed.colors.length === 0) {
+    throw new Error('The palette file contains no colors');
+  }
+  return { name: parsed.name || baseName, colors: parsed.colors };
+};
+
+/**
+ * Writes a palette in one of PALETTE_FORMATS.
+ * @param {{name: string, colors: Array<string>}} palette The palette.
+ * @param {string} format One of PALETTE_FORMATS.
+ * @returns {{data: string|Uint8Array, mimeType: string, extension: string}} File data and type.
+ */
+export const serializePaletteFile = (palette, format) => {
+  switch (format) {
+    case 'gpl':
+      return { data: serializeGpl(palette), mimeType: 'text/plain', extension: 'gpl' };
+    case 'pal':
+      return { data: serializePal(palette), mimeType: 'text/plain', extension: 'pal' };
+    case 'hex':
+      return { data: serializeHex(palette), mimeType: 'text/plain', extension: 'hex' };
+    case 'ase':
+      return { data: serializeAse(palette), mimeType: 'application/octet-stream', extension: 'ase' };
+    default:
+      throw new Error(`Unsupported palette format: ${format}`);
+  }
+};
+
+// --- Indexed color mode ---
+
+// 'literal' grids hold color strings; 'indexed' grids hold slot numbers into the active palette
+export const COLOR_MODES = ['literal', 'indexed'];
+
+/**
+ * Finds the palette slot closest to a color (squared RGBA distance, alpha weighted like a channel).
+ * @param {string|null} color The color to match.
+ * @param {Array<string>} colors The palette colors.
+ * @returns {number|null} The slot index, or null for empty cells and empty palettes.
+ */
+export const findNearestPaletteIndex = (color, colors) => {
+  if (color === null || color === undefined || colors.length === 0) return null;
+  if (typeof color === 'number') return color;
+  const exact = colors.indexOf(color);
+  if (exact !== -1) return exact;
+
+  const target = parseColor(color);
+  if (!target) return null;
+  let bestIndex = 0;
+  let bestDistance = Infinity;
+  colors.forEach((candidate, index) => {
+    const parsed = parseColor(candidate);
+    if (!parsed) return;
+    const distance = (parsed.r - target.r) ** 2
+      + (parsed.g - target.g) ** 2
+      + (parsed.b - target.b) ** 2
+      + ((parsed.a - target.a) * 255) ** 2;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestIndex = index;
+    }
+  });
+  return bestIndex;
+};
+
+// Shown for slots the palette does not have, so they stand out instead of looking erased
+export const MISSING_SLOT_COLOR = '#FF00FF';
+
+/**
+ * Replaces palette slot numbers in a grid with their colors; color strings are left as they are.
+ * Slots past the end of the palette resolve to MISSING_SLOT_COLOR. Palette switches remap
+ * such slots first (see remapIndexedGrid), so they only show up in damaged data.
+ * @param {Array<Array<string|number|null>>} grid The grid.
+ * @param {Array<string>} colors The palette colors.
+ * @returns {Array<Array<string|null>>} A grid of color strings.
+ */
+export const resolveIndexedGrid = (grid, colors) => {
+  return grid.map(row => row.map(cell => {
+    if (typeof cell !== 'number') return cell;
+    return cell < colors.length ? colors[cell] : MISSING_SLOT_COLOR;
+  }));
+};
+
+/**
+ * Number of palette slots a set of indexed grids needs: the highest slot used plus one.
+ * @param {Array<Array<Array<string|number|null>>>} grids The grids to scan.
+ * @returns {number} 0 when no cell holds a slot.
+ */
+export const countUsedPaletteSlots = (grids) => {
+  let count = 0;
+  grids.forEach(grid => grid.forEach(row => row.forEach(cell => {
+    if (typeof cell === 'number' && cell >= count) count = cell + 1;
+  })));
+  return count;
+};
+
+/**
+ * Moves an indexed grid to another palette. Slots the new palette has are kept, so
+ * palette swaps recolor the artwork; slots past its end move to the new palette's
+ * color nearest to the one they had.
+ * @param {Array<Array<string|number|null>>} grid The indexed grid.
+ * @param {Array<string>} fromColors The palette the grid was drawn with.
+ * @param {Array<string>} toColors The palette to move to; must not be empty.
+ * @returns {Array<Array<number|null>>} A grid of slots into `toColors`.
+ */
+export const remapIndexedGrid = (grid, fromColors, toColors) => {
+  const cache = new Map();
+  return grid.map(row => row.map(cell => {
+    if (typeof cell !== 'number' || cell < toColors.length) return cell;
+    if (!cache.has(cell)) cache.set(cell, findNearestPaletteIndex(fromColors[cell] ?? MISSING_SLOT_COLOR, toColors));
+    return cache.get(cell);
+  }));
+};
+
+/**
+ * Replaces colors in a grid with the nearest palette slot numbers.
+ * @param {Array<Array<string|number|null>>} grid The grid.
+ * @param {Array<string>} colors The palette colors.
+ * @returns {Array<Array<number|null>>} A grid of slot numbers.
+ */
+export const indexGrid = (grid, colors) => {
+  const cache = new Map(); // Artwork rarely has many distinct colors
+  return grid.map(row => row.map(cell => {
+    if (!cache.has(cell)) cache.set(cell, findNearestPaletteIndex(cell, colors));
+    return cache.get(cell);
+  }));
+};
+
+/**
+ * Appends every color used by the grids that the palette does not already contain,
+ * so converting to indexed mode keeps the artwork exactly as it looks. Colors past
+ * the palette's limit are left out; they take the nearest slot when indexed.
+ * @param {Array<string>} colors The palette colors.
+ * @param {Array<Array<Array<string|number|null>>>} grids The grids to scan.
+ * @param {number|null} [maxColors=null] The palette's color limit.
+ * @returns {Array<string>} The palette colors, extended if needed.
+ */
+export const extendPaletteWithGridColors = (colors, grids, maxColors = null) => {
+  const limit = maxColors || Infinity;
+  const known = new Set(colors);
+  const extended = [...colors];
+  grids.forEach(grid => grid.forEach(row => row.forEach(cell => {
+    if (typeof cell === 'string' && !known.has(cell) && extended.length < limit) {
+      known.add(cell);
+      extended.push(cell);
+    }
+  })));
+  return extended.length === colors.length ? colors : extended;
+};
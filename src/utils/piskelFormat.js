@@ -0,0 +1,141 @@
+import { channelsToColor } from './colorUtils';
+import { compositeLayers, createEmptyGrid, generateLayerId } from './layerUtils';
+import { DEFAULT_FRAME_DURATION, clampFrameDuration, generateFrameId } from './animationUtils';
+import { PROJECT_VERSION } from './projectSchema';
+
+/**
+ * Piskel (.piskel) sprite files: JSON holding every layer's frames as base64 PNGs.
+ * Model version 2 stores each layer as a JSON string whose chunks place frames on a
+ * grid (`layout[column][row]` is a frame index); version 1 puts all frames of a
+ * layer side by side in one strip.
+ */
+
+const MAX_COLOR_HISTORY = 256; // Same as the color history in useToolState
+
+/**
+ * Whether parsed JSON is a Piskel file.
+ * @param {*} data Parsed JSON.
+ * @returns {boolean}
+ */
+export const isPiskelFile = (data) => (
+  Boolean(data) && typeof data === 'object' && 'modelVersion' in data && Array.isArray(data.piskel?.layers)
+);
+
+// Browser PNG decoder: draws the image on a canvas to read its pixels
+const loadImageData = (dataUrl) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      reject(new Error('Failed to get canvas context.'));
+      return;
+    }
+    ctx.drawImage(img, 0, 0);
+    resolve(ctx.getImageData(0, 0, canvas.width, canvas.height));
+  };
+  img.onerror = () => reject(new Error('Corrupt Piskel file: a layer image could not be decoded'));
+  img.src = dataUrl;
+});
+
+/**
+ * Converts a Piskel file into project data (not yet validated or given defaults).
+ * The palette and color history are filled with the colors the sprite uses.
+ * @param {Object} data Parsed .piskel JSON.
+ * @param {Object} [options] Parse options.
+ * @param {string} [options.name='Piskel'] Project name when the file has none.
+ * @param {function(string): Promise<{data: Uint8ClampedArray, width: number, height: number}>} [options.decodeImage]
+ *   Decodes a PNG data URL into RGBA pixels; uses the browser's decoder by default.
+ * @returns {Promise<Object>} Project data with layers, animation frames, palette and color history.
+ * @throws {Error} If the file is not a readable Piskel sprite.
+ */
+export const parsePiskel = async (data, { name = 'Piskel', decodeImage = loadImageData } = {}) => {
+  if (!isPiskelFile(data)) throw new Error('Not a Piskel file');
+  const { modelVersion, piskel } = data;
+  if (modelVersion !== 1 && modelVersion !== 2) {
+    throw new Error(`Unsupported Piskel model version ${modelVersion}`);
+  }
+  const { width, height } = piskel;
+  if (!(Number.isInteger(width) && width > 0 && Number.isInteger(height) && height > 0)) {
+    throw new Error('Corrupt Piskel file: the sprite size is missing');
+  }
+
+  const piskelLayers = piskel.layers.map((layer, index) => {
+    if (typeof layer !== 'string') return layer;
+    try {
+      return JSON.parse(layer);
+    } catch {
+      throw new Error(`Corrupt Piskel file: layer ${index + 1} could not be read`);
+    }
+  });
+  if (piskelLayers.length === 0) throw new Error('The Piskel file has no layers');
+  const frameCount = Math.max(1, ...piskelLayers.map(layer => layer.frameCount || 0));
+
+  // grids[frame][layer]
+  const grids = Array.from({ length: frameCount }, () => piskelLayers.map(() => createEmptyGrid(width, height)));
+  const colorCounts = new Map(); // Insertion order is first use
+  for (let layerIndex = 0; layerIndex < piskelLayers.length; layerIndex++) {
+    const layer = piskelLayers[layerIndex];
+    const chunks = modelVersion === 1
+      ? [{ base64PNG: layer.base64PNG, layout: Array.from({ length: frameCount }, (_, i) => [i]) }]
+      : layer.chunks || [];
+    for (const chunk of chunks) {
+      if (!chunk.base64PNG) continue;
+      const image = await decodeImage(chunk.base64PNG);
+      chunk.layout.forEach((column, columnIndex) => column.forEach((frameIndex, rowIndex) => {
+        const grid = grids[frameIndex]?.[layerIndex];
+        if (!grid) return;
+        for (let y = 0; y < height; y++) {
+          const sourceY = rowIndex * height + y;
+          if (sourceY >= image.height) break;
+          for (let x = 0; x < width; x++) {
+            const sourceX = columnIndex * width + x;
+            if (sourceX >= image.width) break;
+            const i = (sourceY * image.width + sourceX) * 4;
+            if (image.data[i + 3] === 0) continue;
+            const color = channelsToColor(image.data[i], image.data[i + 1], image.data[i + 2], image.data[i + 3]);
+            grid[y][x] = color;
+            colorCounts.set(color, (colorCounts.get(color) || 0) + 1);
+          }
+        }
+      }));
+    }
+  }
+
+  const layerIds = piskelLayers.map(() => generateLayerId());
+  const duration = piskel.fps > 0 ? clampFrameDuration(1000 / piskel.fps) : DEFAULT_FRAME_DURATION;
+  const frames = grids.map(frameGrids => ({
+    id: generateFrameId(),
+    duration,
+    layers: piskelLayers.map((layer, layerIndex) => ({
+      id: layerIds[layerIndex],
+      name: layer.name || `Layer ${layerIndex + 1}`,
+      visible: true,
+      opacity: typeof layer.opacity === 'number' ? Math.min(1, Math.max(0, layer.opacity)) : 1,
+      locked: false,
+      blendMode: 'normal',
+      grid: frameGrids[layerIndex],
+    })),
+  }));
+  const [firstFrame] = frames;
+
+  const projectName = piskel.name || name;
+  const usedColors = [...colorCounts.keys()];
+  const mostUsedColors = [...usedColors].sort((a, b) => colorCounts.get(b) - colorCounts.get(a));
+  return {
+    version: PROJECT_VERSION,
+    filename: projectName,
+    gridDimensions: { width, height },
+    pixelGrid: compositeLayers(firstFrame.layers, width, height),
+    layers: firstFrame.layers,
+    activeLayerId: layerIds[layerIds.length - 1],
+    animation: { frames, currentFrameIndex: 0 },
+    ...(usedColors.length > 0 ? {
+      activeColor: mostUsedColors[0],
+      colorHistory: mostUsedColors.slice(0, MAX_COLOR_HISTORY),
+      palettes: [{ name: projectName, colors: usedColors }],
+    } : {}),
+  };
+};
@@ -0,0 +1,227 @@
+import { compressBytes, decompressBytes } from './compression';
+
+/**
+ * Project file encodings.
+ *
+ * - `json`: the project as pretty-printed JSON.
+ * - `compact`: JSON where every grid is run-length encoded against one shared
+ *   table of cell values (colors, or palette slots in indexed mode).
+ * - `binary`: a `.pixelpop` file holding the compact JSON, deflated with
+ *   CompressionStream where the browser supports it.
+ *
+ * Binary layout: the magic bytes "PXPP", a format version byte, a flags byte
+ * (bit 0 set when the payload is deflated), then the UTF-8 compact JSON.
+ * Loading detects the encoding from the file contents.
+ */
+
+export const PROJECT_FORMATS = ['json', 'compact', 'binary'];
+
+export const COMPACT_ENCODING = 'pixelpop-rle';
+
+const BINARY_MAGIC = [0x50, 0x58, 0x50, 0x50]; // "PXPP"
+const BINARY_FORMAT_VERSION = 1;
+const BINARY_HEADER_SIZE = BINARY_MAGIC.length + 2;
+const FLAG_DEFLATED = 1;
+const COMPRESSION_FORMAT = 'deflate';
+
+// --- Run-length encoding ---
+
+/**
+ * Run-length encodes a grid against a shared value table.
+ * Runs are flat [count, index] pairs in row-major order; index 0 is an empty
+ * cell and index i is table entry i - 1. New values are appended to the table.
+ * @param {Array<Array<*>>} grid - The grid.
+ * @param {Array<string|number>} table - Shared cell values (extended in place).
+ * @param {Map<string|number, number>} lookup - Value to table index, kept in sync with `table`.
+ * @returns {Array<number>} The runs.
+ */
+export const encodeGridRuns = (grid, table, lookup) => {
+  const runs = [];
+  let runIndex = -1;
+  let runLength = 0;
+  grid.forEach(row => {
+    row.forEach(cell => {
+      let index = 0;
+      if (cell !== null && cell !== undefined) {
+        if (!lookup.has(cell)) {
+          table.push(cell);
+          lookup.set(cell, table.length);
+        }
+        index = lookup.get(cell);
+      }
+      if (index === runIndex) {
+        runLength++;
+      } else {
+        if (runLength > 0) runs.push(runLength, runIndex);
+        runIndex = index;
+        runLength = 1;
+      }
+    });
+  });
+  if (runLength > 0) runs.push(runLength, runIndex);
+  return runs;
+};
+
+/**
+ * Expands runs from encodeGridRuns back into a grid.
+ * @param {Array<number>} runs - Flat [count, index] pairs.
+ * @param {Array<string|number>} table - Shared cell values.
+ * @param {number} width - Grid width.
+ * @param {number} height - Grid height.
+ * @returns {Array<Array<*>>} The grid.
+ * @throws {Error} If the runs do not cover the grid exactly or reference missing values.
+ */
+export const decodeGridRuns = (runs, table, width, height) => {
+  if (!Array.isArray(runs) || runs.length % 2 !== 0) {
+    throw new Error('Corrupt pixel data: runs must be count/value pairs');
+  }
+  const size = width * height;
+  const cells = [];
+  let covered = 0;
+  for (let i = 0; i < runs.length; i += 2) {
+    const [count, index] = [runs[i], runs[i + 1]];
+    if (!Number.isInteger(count) || count < 1 || !Number.isInteger(index) || index < 0 || index > table.length) {
+      throw new Error(`Corrupt pixel data: invalid run at position ${i / 2}`);
+    }
+    // Checked before expanding, so a huge count cannot exhaust memory
+    covered += count;
+    if (covered > size) {
+      throw new Error(`Corrupt pixel data: runs cover more than ${size} cells`);
+    }
+    const value = index === 0 ? null : table[index - 1];
+    for (let n = 0; n < count; n++) cells.push(value);
+  }
+  if (covered !== size) {
+    throw new Error(`Corrupt pixel data: runs cover ${covered} cells, expected ${size}`);
+  }
+  return Array.from({ length: height }, (_, y) => cells.slice(y * width, (y + 1) * width));
+};
+
+// Applies `transform` to every grid a project holds
+const mapProjectGrids = (project, transform) => {
+  const mapLayers = (layers) => (Array.isArray(layers)
+    ? layers.map(layer => ({ ...layer, grid: transform(layer.grid) }))
+    : layers);
+  const mapped = {
+    ...project,
+    pixelGrid: transform(project.pixelGrid),
+    layers: mapLayers(project.layers),
+  };
+  if (project.layers === undefined) delete mapped.layers;
+  if (Array.isArray(project.animation?.frames)) {
+    mapped.animation = {
+      ...project.animation,
+      frames: project.animation.frames.map(frame => ({ ...frame, layers: mapLayers(frame.layers) })),
+    };
+  }
+  return mapped;
+};
+
+/**
+ * Whether parsed project data uses the compact grid encoding.
+ * @param {Object} data - Parsed project data.
+ * @returns {boolean}
+ */
+export const isCompactProject = (data) => data?.encoding === COMPACT_ENCODING;
+
+/**
+ * Replaces every grid in a project with runs against one shared value table.
+ * @param {Object} project - Project data with plain grids.
+ * @returns {Object} Compact project data.
+ */
+export const compactProject = (project) => {
+  const table = [];
+  const lookup = new Map();
+  const compacted = mapProjectGrids(project, grid => encodeGridRuns(grid, table, lookup));
+  return { encoding: COMPACT_ENCODING, cellTable: table, ...compacted };
+};
+
+/**
+ * Restores plain grids in compact project data. Other data is returned unchanged.
+ * @param {Object} data - Parsed project data.
+ * @returns {Object} Project data with plain grids.
+ * @throws {Error} If the compact data is damaged.
+ */
+export const expandProject = (data) => {
+  if (!isCompactProject(data)) return data;
+  const { encoding: _encoding, cellTable, ...project } = data;
+  const { width, height } = project.gridDimensions || {};
+  if (!Array.isArray(cellTable)) throw new Error('Corrupt pixel data: missing cell table');
+  if (!(Number.isInteger(width) && width > 0 && Number.isInteger(height) && height > 0)) {
+    throw new Error('Invalid project file format: gridDimensions is missing');
+  }
+  return mapProjectGrids(project, runs => (runs === undefined ? runs : decodeGridRuns(runs, cellTable, width, height)));
+};
+
+// --- Binary container ---
+
+export const canCompress = () => typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+const hasBinaryMagic = (bytes) => (
+  bytes.length >= BINARY_HEADER_SIZE && BINARY_MAGIC.every((byte, i) => bytes[i] === byte)
+);
+
+/**
+ * Encodes a project for saving.
+ * @param {Object} project - Project data (as built for saving).
+ * @param {'json'|'compact'|'binary'} [format='json'] - The encoding.
+ * @returns {Promise<{bytes: Uint8Array, extension: string, mimeType: string}>} The file contents.
+ */
+export const encodeProjectFile = async (project, format = 'json') => {
+  if (!PROJECT_FORMATS.includes(format)) throw new Error(`Unknown project format "${format}"`);
+  const encoder = new TextEncoder();
+  if (format === 'json') {
+    return { bytes: encoder.encode(JSON.stringify(project, null, 2)), extension: 'json', mimeType: 'application/json' };
+  }
+
+  const compactJson = encoder.encode(JSON.stringify(compactProject(project)));
+  if (format === 'compact') {
+    return { bytes: compactJson, extension: 'json', mimeType: 'application/json' };
+  }
+
+  const deflate = canCompress();
+  const payload = deflate ? await compressBytes(compactJson, COMPRESSION_FORMAT) : compactJson;
+  const bytes = new Uint8Array(BINARY_HEADER_SIZE + payload.length);
+  bytes.set(BINARY_MAGIC, 0);
+  bytes[BINARY_MAGIC.length] = BINARY_FORMAT_VERSION;
+  bytes[BINARY_MAGIC.length + 1] = deflate ? FLAG_DEFLATED : 0;
+  bytes.set(payload, BINARY_HEADER_SIZE);
+  return { bytes, extension: 'pixelpop', mimeType: 'application/octet-stream' };
+};
+
+/**
+ * Decodes a project file in any supported encoding, detected from its contents.
+ * @param {ArrayBuffer|Uint8Array} buffer - The file contents.
+ * @returns {Promise<Object>} Project data with plain grids (not yet migrated or validated).
+ * @throws {Error} If the file is not a readable project.
+ */
+export const decodeProjectFile = async (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  let text;
+  if (hasBinaryMagic(bytes)) {
+    const formatVersion = bytes[BINARY_MAGIC.length];
+    if (formatVersion > BINARY_FORMAT_VERSION) {
+      throw new Error(`Unsupported binary project format version ${formatVersion}`);
+    }
+    let payload = bytes.subarray(BINARY_HEADER_SIZE);
+    if (bytes[BINARY_MAGIC.length + 1] & FLAG_DEFLATED) {
+      if (!canCompress()) throw new Error('This browser cannot decompress .pixelpop files');
+      try {
+        payload = await decompressBytes(payload, COMPRESSION_FORMAT);
+      } catch {
+        throw new Error('Corrupt project file: the compressed data could not be read');
+      }
+    }
+    text = new TextDecoder().decode(payload);
+  } else {
+    text = new TextDecoder().decode(bytes);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Invalid project file format: not JSON or a .pixelpop file');
+  }
+  return expandProject(data);
+};
@@ -0,0 +1,356 @@
+import { DEFAULT_SYMMETRY, SYMMETRY_MODES } from './symmetryUtils';
+import { DEFAULT_ONION_SKIN } from './animationUtils';
+import { LAYER_BLEND_MODES } from './layerUtils';
+import { countUsedPaletteSlots, MAX_PALETTE_COLORS } from './paletteUtils';
+import {
+  DEFAULT_CORNER_RADIUS,
+  DEFAULT_GLOW_SETTINGS,
+  DEFAULT_BULB_SETTINGS,
+  DEFAULT_CUSTOM_SHAPE,
+} from './canvasEffects';
+
+/**
+ * Project file schema, validation and version migrations.
+ *
+ * Version history:
+ *   1.0.0  No version field. Effect and UI settings were stored at the top level.
+ *   1.0.1  Effects grouped under `effects`, UI settings under `ui`. Layers,
+ *          animation, palettes and color mode were added later without a bump.
+ *   1.1.0  Effect settings use the effect state's names: glow `opacity`
+ *          (was `intensity`) and bulb `blendMode` (was `blend`).
+ */
+
+export const PROJECT_VERSION = '1.1.0';
+
+const LEGACY_EFFECT_KEYS = ['cornerRadius', 'glowEnabled', 'glowSettings', 'bulbEnabled', 'bulbSettings', 'pixelShape', 'customShape'];
+const LEGACY_UI_KEYS = ['mode', 'showGrid', 'rendererType'];
+
+const renameKey = (object, from, to) => {
+  if (!object || typeof object !== 'object' || !(from in object)) return object;
+  const { [from]: value, ...rest } = object;
+  return to in rest ? rest : { ...rest, [to]: value };
+};
+
+/**
+ * Migrations from each version to the next, applied in order.
+ */
+export const PROJECT_MIGRATIONS = [
+  {
+    from: '1.0.0',
+    to: '1.0.1',
+    migrate: (project) => {
+      const migrated = { ...project };
+      const pick = (keys) => {
+        const group = {};
+        keys.forEach(key => {
+          if (key in migrated) {
+            group[key] = migrated[key];
+            delete migrated[key];
+          }
+        });
+        return Object.keys(group).length > 0 ? group : undefined;
+      };
+      const effects = pick(LEGACY_EFFECT_KEYS);
+      const ui = pick(LEGACY_UI_KEYS);
+      if (effects && !migrated.effects) migrated.effects = effects;
+      if (ui && !migrated.ui) migrated.ui = ui;
+      return migrated;
+    },
+  },
+  {
+    from: '1.0.1',
+    to: '1.1.0',
+    migrate: (project) => {
+      if (!project.effects || typeof project.effects !== 'object') return project;
+      return {
+        ...project,
+        effects: {
+          ...project.effects,
+          glowSettings: renameKey(project.effects.glowSettings, 'intensity', 'opacity'),
+          bulbSettings: renameKey(project.effects.bulbSettings, 'blend', 'blendMode'),
+        },
+      };
+    },
+  },
+];
+
+/**
+ * Upgrades project data of any supported version to the current version.
+ * Files without a version are treated as 1.0.0.
+ * @param {Object} project - Parsed project data.
+ * @returns {Object} The project at PROJECT_VERSION.
+ * @throws {Error} If the version is unknown or newer than this app.
+ */
+export const migrateProject = (project) => {
+  let migrated = project;
+  let version = project.version || '1.0.0';
+  while (version !== PROJECT_VERSION) {
+    const step = PROJECT_MIGRATIONS.find(migration => migration.from === version);
+    if (!step) {
+      throw new Error(`Unsupported project version "${version}" (this version of PixelPop reads up to ${PROJECT_VERSION})`);
+    }
+    migrated = { ...step.migrate(migrated), version: step.to };
+    version = step.to;
+  }
+  return migrated;
+};
+
+// --- Validation ---
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const checkType = (errors, path, value, type) => {
+  if (value === undefined) return;
+  const valid = type === 'array' ? Array.isArray(value)
+    : type === 'object' ? isObject(value)
+      : typeof value === type;
+  if (!valid) errors.push(`${path} must be ${type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`}`);
+};
+
+// Literal cells are color strings; indexed layer cells are palette slot numbers
+const checkGrid = (errors, path, grid, { width, height }, { indexed = false } = {}) => {
+  if (!Array.isArray(grid)) {
+    errors.push(`${path} must be an array of rows`);
+    return;
+  }
+  if (grid.length !== height) {
+    errors.push(`${path} has ${grid.length} rows, expected ${height}`);
+  }
+  for (let y = 0; y < grid.length; y++) {
+    const row = grid[y];
+    if (!Array.isArray(row)) {
+      errors.push(`${path}[${y}] must be an array`);
+      return;
+    }
+    if (row.length !== width) {
+      errors.push(`${path}[${y}] has ${row.length} cells, expected ${width}`);
+      return;
+    }
+    for (let x = 0; x < row.length; x++) {
+      const cell = row[x];
+      const valid = cell === null || (indexed ? Number.isInteger(cell) && cell >= 0 : typeof cell === 'string');
+      if (!valid) {
+        errors.push(`${path}[${y}][${x}] must be ${indexed ? 'a palette slot number' : 'a color string'} or null`);
+        return;
+      }
+    }
+  }
+};
+
+const checkLayers = (errors, path, layers, dimensions, indexed) => {
+  if (!Array.isArray(layers)) {
+    errors.push(`${path} must be an array`);
+    return;
+  }
+  if (layers.length === 0) {
+    errors.push(`${path} must contain at least one layer`);
+    return;
+  }
+  layers.forEach((layer, index) => {
+    const layerPath = `${path}[${index}]`;
+    if (!isObject(layer)) {
+      errors.push(`${layerPath} must be an object`);
+      return;
+    }
+    checkGrid(errors, `${layerPath}.grid`, layer.grid, dimensions, { indexed });
+    checkType(errors, `${layerPath}.name`, layer.name, 'string');
+    checkType(errors, `${layerPath}.visible`, layer.visible, 'boolean');
+    checkType(errors, `${layerPath}.locked`, layer.locked, 'boolean');
+    checkType(errors, `${layerPath}.opacity`, layer.opacity, 'number');
+    if (typeof layer.opacity === 'number' && (layer.opacity < 0 || layer.opacity > 1)) {
+      errors.push(`${layerPath}.opacity must be between 0 and 1`);
+    }
+    if (layer.blendMode !== undefined && !LAYER_BLEND_MODES.includes(layer.blendMode)) {
+      errors.push(`${layerPath}.blendMode must be one of ${LAYER_BLEND_MODES.join(', ')}`);
+    }
+  });
+};
+
+const checkSettings = (errors, path, settings, defaults) => {
+  checkType(errors, path, settings, 'object');
+  if (!isObject(settings)) return;
+  // null is what JSON makes of a NaN setting; it loads as the default
+  Object.entries(defaults).forEach(([key, defaultValue]) => {
+    if (settings[key] !== null) checkType(errors, `${path}.${key}`, settings[key], typeof defaultValue);
+  });
+};
+
+/**
+ * Checks project data at the current version against the schema.
+ * @param {Object} project - Project data, already migrated.
+ * @returns {Array<string>} Error messages with the path of each problem; empty if valid.
+ */
+export const validateProject = (project) => {
+  const errors = [];
+  if (!isObject(project)) return ['Project must be an object'];
+
+  const { gridDimensions } = project;
+  if (!isObject(gridDimensions)) {
+    errors.push('gridDimensions is missing');
+  } else {
+    if (!isPositiveInteger(gridDimensions.width)) errors.push('gridDimensions.width must be a positive integer');
+    if (!isPositiveInteger(gridDimensions.height)) errors.push('gridDimensions.height must be a positive integer');
+  }
+  if (project.pixelGrid === undefined) errors.push('pixelGrid is missing');
+  // Grids can only be checked against valid dimensions
+  if (errors.length > 0) return errors;
+
+  const indexed = project.colorMode === 'indexed';
+  if (project.colorMode !== undefined && project.colorMode !== 'indexed' && project.colorMode !== 'literal') {
+    errors.push('colorMode must be "literal" or "indexed"');
+  }
+  checkGrid(errors, 'pixelGrid', project.pixelGrid, gridDimensions);
+  if (project.layers !== undefined) checkLayers(errors, 'layers', project.layers, gridDimensions, indexed);
+
+  checkType(errors, 'animation', project.animation, 'object');
+  if (isObject(project.animation)) {
+    const { frames } = project.animation;
+    checkType(errors, 'animation.frames', frames, 'array');
+    (Array.isArray(frames) ? frames : []).forEach((frame, index) => {
+      if (!isObject(frame)) {
+        errors.push(`animation.frames[${index}] must be an object`);
+        return;
+      }
+      checkLayers(errors, `animation.frames[${index}].layers`, frame.layers, gridDimensions, indexed);
+      checkType(errors, `animation.frames[${index}].duration`, frame.duration, 'number');
+    });
+    checkType(errors, 'animation.currentFrameIndex', project.animation.currentFrameIndex, 'number');
+    checkType(errors, 'animation.onionSkin', project.animation.onionSkin, 'object');
+  }
+
+  checkType(errors, 'palettes', project.palettes, 'array');
+  (Array.isArray(project.palettes) ? project.palettes : []).forEach((palette, index) => {
+    if (!isObject(palette)) {
+      errors.push(`palettes[${index}] must be an object`);
+      return;
+    }
+    checkType(errors, `palettes[${index}].name`, palette.name, 'string');
+    if (!Array.isArray(palette.colors) || palette.colors.some(color => typeof color !== 'string')) {
+      errors.push(`palettes[${index}].colors must be an array of color strings`);
+    }
+    if (palette.maxColors !== undefined && palette.maxColors !== null
+      && !(isPositiveInteger(palette.maxColors) && palette.maxColors <= MAX_PALETTE_COLORS)) {
+      errors.push(`palettes[${index}].maxColors must be a whole number from 1 to ${MAX_PALETTE_COLORS}, or null`);
+    }
+  });
+  if (indexed && !(Array.isArray(project.palettes) && project.palettes.length > 0)) {
+    errors.push('Indexed color mode requires at least one palette');
+  } else if (indexed && errors.length === 0) {
+    // Every slot the artwork uses must exist in the palette it is drawn with
+    const palette = project.palettes.find(item => item.id === project.activePaletteId) || project.palettes[0];
+    const grids = [
+      ...(project.layers || []),
+      ...(project.animation?.frames || []).flatMap(frame => frame.layers),
+    ].map(layer => layer.grid);
+    const usedSlots = countUsedPaletteSlots(grids);
+    if (usedSlots > palette.colors.length) {
+      errors.push(`Indexed layers use ${usedSlots} palette slots but the active palette has ${palette.colors.length} color(s)`);
+    }
+  }
+
+  ['filename', 'backgroundColor', 'activeTool', 'activeColor', 'activeLayerId', 'activePaletteId'].forEach(key => {
+    checkType(errors, key, project[key], 'string');
+  });
+  checkType(errors, 'pixelSize', project.pixelSize, 'number');
+  checkType(errors, 'gridGap', project.gridGap, 'number');
+  checkType(errors, 'colorHistory', project.colorHistory, 'array');
+
+  checkType(errors, 'effects', project.effects, 'object');
+  if (isObject(project.effects)) {
+    const { effects } = project;
+    checkSettings(errors, 'effects.cornerRadius', effects.cornerRadius, DEFAULT_CORNER_RADIUS);
+    checkType(errors, 'effects.glowEnabled', effects.glowEnabled, 'boolean');
+    checkSettings(errors, 'effects.glowSettings', effects.glowSettings, DEFAULT_GLOW_SETTINGS);
+    checkType(errors, 'effects.bulbEnabled', effects.bulbEnabled, 'boolean');
+    checkSettings(errors, 'effects.bulbSettings', effects.bulbSettings, DEFAULT_BULB_SETTINGS);
+    checkType(errors, 'effects.pixelShape', effects.pixelShape, 'string');
+    checkSettings(errors, 'effects.customShape', effects.customShape, DEFAULT_CUSTOM_SHAPE);
+  }
+
+  checkType(errors, 'ui', project.ui, 'object');
+  if (isObject(project.ui)) {
+    const { ui } = project;
+    if (ui.mode !== undefined && ui.mode !== 'edit' && ui.mode !== 'preview') {
+      errors.push('ui.mode must be "edit" or "preview"');
+    }
+    checkType(errors, 'ui.showGrid', ui.showGrid, 'boolean');
+    checkType(errors, 'ui.rendererType', ui.rendererType, 'string');
+    checkType(errors, 'ui.symmetry', ui.symmetry, 'object');
+    if (ui.symmetry?.mode !== undefined && !SYMMETRY_MODES.includes(ui.symmetry.mode)) {
+      errors.push(`ui.symmetry.mode must be one of ${SYMMETRY_MODES.join(', ')}`);
+    }
+  }
+
+  return errors;
+};
+
+// Fills every optional field with its default so loading can apply values directly
+const mergeSettings = (defaults, settings = {}) => {
+  const merged = { ...defaults };
+  Object.entries(settings).forEach(([key, value]) => {
+    if (value !== null) merged[key] = value;
+  });
+  return merged;
+};
+
+const withDefaults = (project) => ({
+  ...project,
+  pixelSize: project.pixelSize || 24,
+  gridGap: project.gridGap || 0,
+  backgroundColor: project.backgroundColor || 'rgba(240, 240, 240, 1)',
+  activeTool: project.activeTool || 'pencil',
+  activeColor: project.activeColor || 'rgba(0, 0, 0, 1)',
+  colorHistory: project.colorHistory || [project.activeColor || 'rgba(0, 0, 0, 1)'],
+  colorMode: project.colorMode === 'indexed' ? 'indexed' : 'literal',
+  effects: {
+    cornerRadius: mergeSettings(DEFAULT_CORNER_RADIUS, project.effects?.cornerRadius),
+    glowEnabled: project.effects?.glowEnabled || false,
+    glowSettings: mergeSettings(DEFAULT_GLOW_SETTINGS, project.effects?.glowSettings),
+    bulbEnabled: project.effects?.bulbEnabled || false,
+    bulbSettings: mergeSettings(DEFAULT_BULB_SETTINGS, project.effects?.bulbSettings),
+    pixelShape: project.effects?.pixelShape || 'rectangle',
+    customShape: mergeSettings(DEFAULT_CUSTOM_SHAPE, project.effects?.customShape),
+  },
+  ui: {
+    mode: project.ui?.mode || 'edit',
+    showGrid: project.ui?.showGrid ?? true,
+    rendererType: project.ui?.rendererType || 'canvas',
+    symmetry: { ...DEFAULT_SYMMETRY, ...project.ui?.symmetry },
+  },
+  animation: project.animation && {
+    ...project.animation,
+    onionSkin: { ...DEFAULT_ONION_SKIN, ...project.animation.onionSkin },
+  },
+});
+
+/**
+ * Migrates, validates and completes loaded project data.
+ * @param {Object} data - Parsed project file contents.
+ * @returns {Object} Project data at the current version with every optional field filled in.
+ * @throws {Error} Listing every schema problem if the project is invalid.
+ */
+export const parseProject = (data) => {
+  if (!isObject(data)) throw new Error('Invalid project file format: Project must be an object');
+  const project = migrateProject(data);
+  const errors = validateProject(project);
+  if (errors.length > 0) {
+    throw new Error(`Invalid project file format: ${errors.join('; ')}`);
+  }
+  return withDefaults(project);
+};
+
+/**
+ * Stamps project data with the current version for saving, checking it first.
+ * @param {Object} project - Project data built from the app state.
+ * @returns {Object} The project data to write.
+ * @throws {Error} If the state does not match the schema.
+ */
+export const serializeProject = (project) => {
+  const versioned = { ...project, version: PROJECT_VERSION };
+  const errors = validateProject(versioned);
+  if (errors.length > 0) {
+    throw new Error(`Project state does not match the file format: ${errors.join('; ')}`);
+  }
+  return versioned;
+};
@@ -0,0 +1,205 @@
+const DB_NAME = 'pixel-pop';
+const DB_VERSION = 2;
+// Gallery entries (name, size, timestamps and thumbnail) and the full project data are
+// kept apart, so listing projects never reads every stored project
+export const PROJECTS_STORE = 'projects';
+export const PROJECT_DATA_STORE = 'projectData';
+
+// Oldest projects beyond this are dropped when a project is saved
+export const MAX_STORED_PROJECTS = 24;
+
+let projectCounter = 0;
+
+/**
+ * Generates a unique ID for a stored project
+ * @returns {string} A unique project ID
+ */
+export const generateProjectId = () => {
+  projectCounter += 1;
+  return `project-${Date.now().toString(36)}-${projectCounter}`;
+};
+
+/**
+ * Formats a record timestamp for display
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} Localized date and time
+ */
+export const formatSavedTime = (timestamp) => new Date(timestamp).toLocaleString(undefined, {
+  dateStyle: 'medium',
+  timeStyle: 'short',
+});
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Version 1 kept the project data in the gallery records
+const splitVersion1Records = (transaction) => {
+  const dataStore = transaction.objectStore(PROJECT_DATA_STORE);
+  const request = transaction.objectStore(PROJECTS_STORE).openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    const { data, ...entry } = cursor.value;
+    dataStore.put({ id: entry.id, data });
+    cursor.update({ ...entry, thumbnail: data?.pixelGrid || null });
+    cursor.continue();
+  };
+};
+
+/**
+ * Storage backend that keeps records in IndexedDB object stores, one per store name.
+ * The database is opened on first use.
+ * @param {IDBFactory} [factory] - The IndexedDB factory.
+ * @returns {{get: Function, getAll: Function, put: Function, delete: Function}} The backend;
+ *   every method takes the store name first.
+ */
+export const createIndexedDbBackend = (factory = globalThis.indexedDB) => {
+  let databasePromise = null;
+
+  const openDatabase = () => {
+    if (!databasePromise) {
+      databasePromise = new Promise((resolve, reject) => {
+        const request = factory.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+          const database = request.result;
+          if (!database.objectStoreNames.contains(PROJECTS_STORE)) {
+            database.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+          }
+          if (!database.objectStoreNames.contains(PROJECT_DATA_STORE)) {
+            database.createObjectStore(PROJECT_DATA_STORE, { keyPath: 'id' });
+          }
+          if (event.oldVersion === 1) splitVersion1Records(request.transaction);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          databasePromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return databasePromise;
+  };
+
+  const run = async (storeName, mode, operation) => {
+    const database = await openDatabase();
+    const store = database.transaction(storeName, mode).objectStore(storeName);
+    return requestToPromise(operation(store));
+  };
+
+  return {
+    get: (storeName, id) => run(storeName, 'readonly', store => store.get(id)),
+    getAll: (storeName) => run(storeName, 'readonly', store => store.getAll()),
+    put: (storeName, record) => run(storeName, 'readwrite', store => store.put(record)),
+    delete: (storeName, id) => run(storeName, 'readwrite', store => store.delete(id)),
+  };
+};
+
+/**
+ * Storage backend that keeps records in memory, for environments without
+ * IndexedDB. Records are copied in and out like IndexedDB does.
+ * @returns {{get: Function, getAll: Function, put: Function, delete: Function}} The backend;
+ *   every method takes the store name first.
+ */
+export const createMemoryBackend = () => {
+  const stores = new Map();
+  const recordsOf = (storeName) => {
+    if (!stores.has(storeName)) stores.set(storeName, new Map());
+    return stores.get(storeName);
+  };
+  const copy = (record) => (record === undefined ? undefined : JSON.parse(JSON.stringify(record)));
+
+  return {
+    get: async (storeName, id) => copy(recordsOf(storeName).get(id)),
+    getAll: async (storeName) => [...recordsOf(storeName).values()].map(copy),
+    put: async (storeName, record) => {
+      recordsOf(storeName).set(record.id, copy(record));
+      return record.id;
+    },
+    delete: async (storeName, id) => {
+      recordsOf(storeName).delete(id);
+    },
+  };
+};
+
+/**
+ * Creates the store for autosaved projects. Each project is a gallery entry with
+ * its name, grid size, timestamps and a thumbnail (the flattened pixel grid):
+ * { id, name, width, height, createdAt, updatedAt, thumbnail }
+ * and, stored separately, the saved project data. listProjects returns entries only;
+ * getProject and duplicateProject add the data.
+ * @param {Object} [backend] - Storage backend; IndexedDB when available, memory otherwise.
+ * @returns {Object} Project store functions.
+ */
+export const createProjectStore = (backend = (
+  typeof indexedDB !== 'undefined' ? createIndexedDbBackend() : createMemoryBackend()
+)) => {
+  // Most recently saved first
+  const listProjects = async () => {
+    const entries = await backend.getAll(PROJECTS_STORE);
+    return entries.sort((a, b) => b.updatedAt - a.updatedAt);
+  };
+
+  const getProject = async (id) => {
+    const entry = await backend.get(PROJECTS_STORE, id);
+    const stored = entry && await backend.get(PROJECT_DATA_STORE, id);
+    return stored ? { ...entry, data: stored.data } : null;
+  };
+
+  const deleteProject = async (id) => {
+    await backend.delete(PROJECTS_STORE, id);
+    await backend.delete(PROJECT_DATA_STORE, id);
+  };
+
+  // Data first, so a listed entry always has its data
+  const putProject = async ({ data, ...entry }) => {
+    await backend.put(PROJECT_DATA_STORE, { id: entry.id, data });
+    await backend.put(PROJECTS_STORE, entry);
+  };
+
+  const saveProject = async ({ id, name, data }) => {
+    const existing = await backend.get(PROJECTS_STORE, id);
+    const now = Date.now();
+    const record = {
+      id,
+      name: name || 'Untitled Pixel Art',
+      width: data.gridDimensions?.width || 0,
+      height: data.gridDimensions?.height || 0,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      thumbnail: data.pixelGrid || null,
+      data,
+    };
+    await putProject(record);
+
+    const entries = await listProjects();
+    await Promise.all(entries.slice(MAX_STORED_PROJECTS).map(old => deleteProject(old.id)));
+    return record;
+  };
+
+  const duplicateProject = async (id) => {
+    const original = await getProject(id);
+    if (!original) throw new Error('The project no longer exists');
+    const now = Date.now();
+    const name = `${original.name} copy`;
+    const copy = {
+      ...original,
+      id: generateProjectId(),
+      name,
+      createdAt: now,
+      updatedAt: now,
+      data: { ...original.data, filename: name },
+    };
+    await putProject(copy);
+    return copy;
+  };
+
+  return {
+    listProjects,
+    getProject,
+    saveProject,
+    deleteProject,
+    duplicateProject,
+  };
+};
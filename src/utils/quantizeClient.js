@@ -0,0 +1,118 @@
+import { handleQuantizeMessage, decodeImagePixels } from '../workers/quantizeWorker';
+
+let nextJobId = 1;
+
+/**
+ * Stand-in with the Worker interface that runs the protocol handler on the main thread
+ * (asynchronously). Used where Web Workers are unavailable, such as the test environment.
+ * @returns {{postMessage: function(Object): void, terminate: function(): void, onmessage: ?function, onerror: ?function}}
+ */
+export const createInlineWorker = () => {
+  let terminated = false;
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    postMessage: (message) => {
+      setTimeout(() => {
+        if (terminated) return;
+        handleQuantizeMessage(message, (reply) => {
+          if (!terminated && worker.onmessage) worker.onmessage({ data: reply });
+        });
+      }, 0);
+    },
+    terminate: () => {
+      terminated = true;
+    },
+  };
+  return worker;
+};
+
+const createQuantizeWorker = () => (
+  typeof Worker !== 'undefined'
+    ? new Worker(new URL('../workers/quantizeWorker.js', import.meta.url), { type: 'module' })
+    : createInlineWorker()
+);
+
+// Posts one job to its own worker and settles with the reply
+const runJob = (input, options, { onProgress, signal, createWorker }) => new Promise((resolve, reject) => {
+  const abortError = () => new DOMException('Image import was cancelled', 'AbortError');
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+
+  const id = nextJobId++;
+  const worker = createWorker();
+
+  const finish = () => {
+    worker.terminate();
+    signal?.removeEventListener('abort', handleAbort);
+  };
+  const handleAbort = () => {
+    finish();
+    reject(abortError());
+  };
+  signal?.addEventListener('abort', handleAbort);
+
+  worker.onmessage = (event) => {
+    const reply = event.data;
+    if (reply?.id !== id) return;
+    if (reply.type === 'progress') {
+      if (onProgress) onProgress(reply.progress);
+    } else if (reply.type === 'result') {
+      finish();
+      resolve({ grid: reply.grid, colors: reply.colors, ...(reply.detected && { detected: reply.detected }) });
+    } else if (reply.type === 'error') {
+      finish();
+      reject(new Error(reply.message));
+    }
+  };
+  worker.onerror = (event) => {
+    finish();
+    reject(new Error(event?.message || 'The quantization worker failed'));
+  };
+
+  if (input.image) {
+    const { image, crop, width, height } = input;
+    worker.postMessage({ type: 'quantize', id, image, crop, width, height, options });
+    return;
+  }
+  // Copy the pixels so the caller's ImageData stays usable, then hand the copy over
+  const buffer = input.data.slice().buffer;
+  worker.postMessage({
+    type: 'quantize',
+    id,
+    width: input.width,
+    height: input.height,
+    buffer,
+    options,
+  }, [buffer]);
+});
+
+/**
+ * Quantizes an image in a Web Worker. Each job gets its own worker, which is
+ * terminated when the job finishes or is cancelled.
+ * @param {ImageData|{image: Blob, crop: ?Object, width: ?number, height: ?number}} source - Either pixels,
+ *   already scaled to the grid size (they are copied), or an encoded image that the worker decodes,
+ *   crops to crop { x, y, width, height } and scales to width × height without smoothing.
+ * @param {Object} options - quantizeImageData options (maxColors, quantizer, metric, seed, palette, dither,
+ *   ditherStrength), or { exact: true, pixelScale, ...alpha options } to sample upscaled pixel art 1:1.
+ * @param {Object} [control] - Job control.
+ * @param {function(number): void} [control.onProgress] - Called with progress from 0 to 1.
+ * @param {AbortSignal} [control.signal] - Aborting stops the worker and rejects with an AbortError.
+ * @param {function(): Worker} [control.createWorker] - Worker factory.
+ * @returns {Promise<{grid: ?Array<Array<string|null>>, colors: Array<string>, detected?: Object}>} The grid;
+ *   exact jobs add the detected { scale, offsetX, offsetY, width, height } and have no grid when it is
+ *   over MAX_EXACT_IMPORT_SIZE per side.
+ */
+export const quantizeInWorker = async (source, options, {
+  onProgress,
+  signal,
+  createWorker = createQuantizeWorker,
+} = {}) => {
+  // Browsers without OffscreenCanvas cannot draw in a worker, so read the pixels here instead
+  const input = source.image && typeof OffscreenCanvas === 'undefined'
+    ? await decodeImagePixels(source.image, source.crop, source.width, source.height)
+    : source;
+  return runJob(input, options, { onProgress, signal, createWorker });
+};
@@ -0,0 +1,155 @@
+import { compositeLayers } from './layerUtils';
+import { DEFAULT_FRAME_DURATION } from './animationUtils';
+
+export const SPRITE_SHEET_LAYOUTS = ['row', 'column', 'grid'];
+export const ATLAS_FORMATS = ['hash', 'array'];
+
+/**
+ * Places sprites in equally sized cells. Each cell leaves room for extruded edges,
+ * and `padding` pixels separate the cells from each other and from the sheet border.
+ * @param {Array<{width: number, height: number}>} sizes Sprite sizes in pixels.
+ * @param {Object} options Layout options.
+ * @param {string} [options.layout='grid'] One of SPRITE_SHEET_LAYOUTS.
+ * @param {number} [options.columns] Columns for the grid layout (defaults to a near-square grid).
+ * @param {number} [options.padding=0] Space between cells in pixels.
+ * @param {number} [options.extrude=0] Edge pixels repeated around each sprite.
+ * @returns {{width: number, height: number, rects: Array<{x: number, y: number, w: number, h: number}>}} Sheet size and sprite rects.
+ */
+export const layoutSpriteSheet = (sizes, { layout = 'grid', columns, padding = 0, extrude = 0 } = {}) => {
+  const count = sizes.length;
+  if (count === 0) return { width: 0, height: 0, rects: [] };
+
+  let columnCount;
+  if (layout === 'row') {
+    columnCount = count;
+  } else if (layout === 'column') {
+    columnCount = 1;
+  } else {
+    columnCount = Math.max(1, Math.min(count, columns || Math.ceil(Math.sqrt(count))));
+  }
+  const rowCount = Math.ceil(count / columnCount);
+
+  const cellWidth = Math.max(...sizes.map(size => size.width)) + extrude * 2;
+  const cellHeight = Math.max(...sizes.map(size => size.height)) + extrude * 2;
+
+  const rects = sizes.map((size, index) => ({
+    x: padding + (index % columnCount) * (cellWidth + padding) + extrude,
+    y: padding + Math.floor(index / columnCount) * (cellHeight + padding) + extrude,
+    w: size.width,
+    h: size.height,
+  }));
+
+  return {
+    width: padding + columnCount * (cellWidth + padding),
+    height: padding + rowCount * (cellHeight + padding),
+    rects,
+  };
+};
+
+/**
+ * Repeats a sprite's edge pixels outwards so texture filtering in game engines
+ * does not bleed neighbouring sprites into it.
+ * @param {CanvasRenderingContext2D} ctx The sheet context (the sprite is already drawn).
+ * @param {HTMLCanvasElement} source The sprite canvas.
+ * @param {{x: number, y: number, w: number, h: number}} rect Where the sprite was drawn.
+ * @param {number} extrude How many pixels to extrude.
+ */
+export const extrudeSpriteEdges = (ctx, source, rect, extrude) => {
+  if (extrude <= 0) return;
+  const { x, y, w, h } = rect;
+  ctx.imageSmoothingEnabled = false;
+  // Edges
+  ctx.drawImage(source, 0, 0, 1, h, x - extrude, y, extrude, h);
+  ctx.drawImage(source, w - 1, 0, 1, h, x + w, y, extrude, h);
+  ctx.drawImage(source, 0, 0, w, 1, x, y - extrude, w, extrude);
+  ctx.drawImage(source, 0, h - 1, w, 1, x, y + h, w, extrude);
+  // Corners
+  ctx.drawImage(source, 0, 0, 1, 1, x - extrude, y - extrude, extrude, extrude);
+  ctx.drawImage(source, w - 1, 0, 1, 1, x + w, y - extrude, extrude, extrude);
+  ctx.drawImage(source, 0, h - 1, 1, 1, x - extrude, y + h, extrude, extrude);
+  ctx.drawImage(source, w - 1, h - 1, 1, 1, x + w, y + h, extrude, extrude);
+};
+
+/**
+ * Builds TexturePacker-style JSON atlas data (JSON Hash or JSON Array) for a sprite sheet.
+ * Frame durations are included per frame, as Aseprite and most engine importers expect.
+ * @param {Array<{name: string, rect: {x: number, y: number, w: number, h: number}, duration?: number}>} sprites The packed sprites.
+ * @param {Object} options Atlas options.
+ * @param {string} options.image The sheet image filename.
+ * @param {number} options.width The sheet width.
+ * @param {number} options.height The sheet height.
+ * @param {string} [options.format='hash'] 'hash' (frames keyed by name) or 'array'.
+ * @returns {Object} The atlas object, ready for JSON.stringify.
+ */
+export const buildSpriteAtlas = (sprites, { image, width, height, format = 'hash' }) => {
+  const toFrame = ({ rect, duration }) => ({
+    frame: { x: rect.x, y: rect.y, w: rect.w, h: rect.h },
+    rotated: false,
+    trimmed: false,
+    spriteSourceSize: { x: 0, y: 0, w: rect.w, h: rect.h },
+    sourceSize: { w: rect.w, h: rect.h },
+    duration: duration ?? DEFAULT_FRAME_DURATION,
+  });
+
+  const frames = format === 'array'
+    ? sprites.map(sprite => ({ filename: sprite.name, ...toFrame(sprite) }))
+    : Object.fromEntries(sprites.map(sprite => [sprite.name, toFrame(sprite)]));
+
+  return {
+    frames,
+    meta: {
+      app: 'PixelPop',
+      version: '1.0',
+      image,
+      format: 'RGBA8888',
+      size: { w: width, h: height },
+      scale: '1',
+    },
+  };
+};
+
+/**
+ * Reads the frames of a saved PixelPop project so they can be added to a sprite sheet.
+ * Animated projects give one entry per frame; older projects give a single entry.
+ * @param {Object} projectData Parsed project JSON.
+ * @param {string} name Base name for the sprites.
+ * @returns {Array<{name: string, grid: Array<Array<string|null>>, duration: number}>} The flattened frames.
+ */
+export const extractProjectFrames = (projectData, name) => {
+  const { width, height } = projectData?.gridDimensions || {};
+  if (!(width > 0 && height > 0)) {
+    throw new Error('Invalid project file format: Missing gridDimensions');
+  }
+
+  // Indexed projects store slots of their active palette in the layer grids
+  const palettes = Array.isArray(projectData.palettes) ? projectData.palettes : [];
+  const palette = projectData.colorMode === 'indexed'
+    ? (palettes.find(item => item.id === projectData.activePaletteId) || palettes[0])?.colors || []
+    : null;
+
+  const flatten = (layers) => compositeLayers(
+    layers.map(layer => ({ visible: true, opacity: 1, blendMode: 'normal', ...layer })),
+    width,
+    height,
+    palette
+  );
+
+  let frames;
+  if (Array.isArray(projectData.animation?.frames) && projectData.animation.frames.length > 0) {
+    frames = projectData.animation.frames.map(frame => ({
+      grid: flatten(frame.layers || []),
+      duration: frame.duration ?? DEFAULT_FRAME_DURATION,
+    }));
+  } else if (Array.isArray(projectData.layers) && projectData.layers.length > 0) {
+    frames = [{ grid: flatten(projectData.layers), duration: DEFAULT_FRAME_DURATION }];
+  } else if (Array.isArray(projectData.pixelGrid)) {
+    frames = [{ grid: projectData.pixelGrid, duration: DEFAULT_FRAME_DURATION }];
+  } else {
+    throw new Error('Invalid project file format: Missing pixelGrid');
+  }
+
+  return frames.map((frame, index) => ({
+    ...frame,
+    name: frames.length === 1 ? name : `${name}_${index}`,
+  }));
+};
@@ -0,0 +1,275 @@
+import { parseColor, rgbToHex } from './colorUtils';
+
+/**
+ * Standalone SVG export, built from the pixel grid rather than the live renderer.
+ *
+ * Every color becomes one compound path. Square pixels without gaps or rounded
+ * corners are merged into region outlines; other shapes get one subpath per
+ * pixel. Glow is an SVG filter and the bulb highlight a radial gradient tiled
+ * once per cell, matching the canvas and SVG renderers.
+ */
+
+const GRID_LINE_COLOR = 'rgba(128, 128, 128, 0.5)'; // Same as drawGrid
+
+const num = (value) => String(Math.round(value * 1000) / 1000);
+
+const escapeAttribute = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;');
+
+// Fill attributes for a color: hex plus fill-opacity, which every SVG tool understands
+const fillAttributes = (color) => {
+  const parsed = parseColor(color);
+  if (!parsed) return `fill="${escapeAttribute(color)}"`;
+  const hex = rgbToHex(parsed.r, parsed.g, parsed.b);
+  return parsed.a < 1 ? `fill="${hex}" fill-opacity="${num(parsed.a)}"` : `fill="${hex}"`;
+};
+
+/**
+ * Traces the outlines of every same-color region of a grid.
+ * Boundary edges run clockwise around each region (holes run the other way), so the
+ * loops fill correctly with the default nonzero fill rule.
+ * @param {Array<Array<string|null>>} grid Grid of color strings.
+ * @returns {Map<string, Array<Array<[number, number]>>>} Corner points of each loop, in cell units, per color.
+ */
+export const traceColorRegions = (grid) => {
+  const height = grid.length;
+  const width = grid[0]?.length || 0;
+  const edgesByColor = new Map(); // color -> Map<"x,y", Array<[x, y]>> of edge ends by edge start
+  const addEdge = (edges, x1, y1, x2, y2) => {
+    const key = `${x1},${y1}`;
+    if (!edges.has(key)) edges.set(key, []);
+    edges.get(key).push([x2, y2]);
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const color = grid[y][x];
+      if (!color) continue;
+      if (!edgesByColor.has(color)) edgesByColor.set(color, new Map());
+      const edges = edgesByColor.get(color);
+      if (y === 0 || grid[y - 1][x] !== color) addEdge(edges, x, y, x + 1, y);
+      if (x === width - 1 || grid[y][x + 1] !== color) addEdge(edges, x + 1, y, x + 1, y + 1);
+      if (y === height - 1 || grid[y + 1][x] !== color) addEdge(edges, x + 1, y + 1, x, y + 1);
+      if (x === 0 || grid[y][x - 1] !== color) addEdge(edges, x, y + 1, x, y);
+    }
+  }
+
+  const regions = new Map();
+  edgesByColor.forEach((edges, color) => {
+    const loops = [];
+    edges.forEach((_ends, startKey) => {
+      while (edges.get(startKey)?.length) {
+        const [startX, startY] = startKey.split(',').map(Number);
+        const points = [[startX, startY]];
+        let key = startKey;
+        for (;;) {
+          const ends = edges.get(key);
+          const [nextX, nextY] = ends.pop();
+          if (ends.length === 0) edges.delete(key);
+          if (nextX === startX && nextY === startY) break;
+          points.push([nextX, nextY]);
+          key = `${nextX},${nextY}`;
+        }
+        // Keep only the corners
+        const corners = points.filter((point, i) => {
+          const previous = points[(i + points.length - 1) % points.length];
+          const next = points[(i + 1) % points.length];
+          return !((previous[0] === point[0] && point[0] === next[0]) || (previous[1] === point[1] && point[1] === next[1]));
+        });
+        loops.push(corners);
+      }
+    });
+    regions.set(color, loops);
+  });
+  return regions;
+};
+
+const loopToPath = (corners, cellSize) => {
+  const [first, ...rest] = corners;
+  let path = `M${num(first[0] * cellSize)} ${num(first[1] * cellSize)}`;
+  let previous = first;
+  rest.forEach(point => {
+    path += point[1] === previous[1] ? `H${num(point[0] * cellSize)}` : `V${num(point[1] * cellSize)}`;
+    previous = point;
+  });
+  return `${path}Z`;
+};
+
+// One pixel's outline as a subpath, following the renderers' shape geometry
+const pixelPath = (x, y, size, pixelShape, cornerRadius) => {
+  const half = size / 2;
+  switch (pixelShape) {
+    case 'circle':
+      return `M${num(x)} ${num(y + half)}a${num(half)} ${num(half)} 0 1 0 ${num(size)} 0a${num(half)} ${num(half)} 0 1 0 ${num(-size)} 0Z`;
+    case 'diamond':
+      return `M${num(x + half)} ${num(y)}l${num(half)} ${num(half)}l${num(-half)} ${num(half)}l${num(-half)} ${num(-half)}Z`;
+    case 'triangle':
+      return `M${num(x + half)} ${num(y)}L${num(x + size)} ${num(y + size)}H${num(x)}Z`;
+    case 'hexagon': {
+      const points = Array.from({ length: 6 }, (_, i) => {
+        const angle = (i * Math.PI) / 3;
+        return `${num(x + half + half * Math.cos(angle))} ${num(y + half + half * Math.sin(angle))}`;
+      });
+      return `M${points.join('L')}Z`;
+    }
+    case 'rectangle':
+    default: {
+      if (!cornerRadius?.enabled) {
+        return `M${num(x)} ${num(y)}h${num(size)}v${num(size)}h${num(-size)}Z`;
+      }
+      const radius = (corner) => Math.min((size * (cornerRadius[corner] || 0)) / 100, half);
+      const [tl, tr, br, bl] = [radius('topLeft'), radius('topRight'), radius('bottomRight'), radius('bottomLeft')];
+      return `M${num(x + tl)} ${num(y)}H${num(x + size - tr)}Q${num(x + size)} ${num(y)} ${num(x + size)} ${num(y + tr)}`
+        + `V${num(y + size - br)}Q${num(x + size)} ${num(y + size)} ${num(x + size - br)} ${num(y + size)}`
+        + `H${num(x + bl)}Q${num(x)} ${num(y + size)} ${num(x)} ${num(y + size - bl)}`
+        + `V${num(y + tl)}Q${num(x)} ${num(y)} ${num(x + tl)} ${num(y)}Z`;
+    }
+  }
+};
+
+/**
+ * Builds a standalone SVG document for a grid of colors.
+ * @param {Array<Array<string|null>>} grid Grid of color strings.
+ * @param {Object} options Rendering options.
+ * @param {number} options.pixelSize Pixel size in SVG units.
+ * @param {number} [options.gridGap=0] Gap between pixels.
+ * @param {string} [options.pixelShape='rectangle'] 'rectangle', 'circle', 'diamond', 'triangle', 'hexagon' or 'custom'.
+ * @param {Object} [options.cornerRadius] Rounded corner settings for rectangles.
+ * @param {{path: string, viewBox: string}} [options.customShape] Shape used by the 'custom' pixel shape.
+ * @param {boolean} [options.glowEnabled=false] Whether to add the glow filter.
+ * @param {Object} [options.glowSettings] Glow settings (size, opacity, spread, offsets, blend mode).
+ * @param {boolean} [options.bulbEnabled=false] Whether to add the bulb highlight.
+ * @param {Object} [options.bulbSettings] Bulb settings (intensity, radius, position, color, blend mode).
+ * @param {number} [options.scale=1] Output size multiplier.
+ * @param {number} [options.padding=0] Padding around the artwork, in output pixels.
+ * @param {string|null} [options.background=null] Background color, or null for transparent.
+ * @param {boolean} [options.includeGrid=false] Whether to draw grid lines on top.
+ * @returns {string} The SVG document.
+ */
+export const buildSvg = (grid, {
+  pixelSize,
+  gridGap = 0,
+  pixelShape = 'rectangle',
+  cornerRadius = null,
+  customShape = null,
+  glowEnabled = false,
+  glowSettings = {},
+  bulbEnabled = false,
+  bulbSettings = {},
+  scale = 1,
+  padding = 0,
+  background = null,
+  includeGrid = false,
+} = {}) => {
+  const gridHeight = grid.length;
+  const gridWidth = grid[0]?.length || 0;
+  const cellSize = pixelSize + gridGap;
+  const baseWidth = gridWidth * cellSize;
+  const baseHeight = gridHeight * cellSize;
+  // Padding is in output pixels, so the view box grows by padding / scale around the artwork
+  const margin = padding / scale;
+  const viewBox = [-margin, -margin, baseWidth + margin * 2, baseHeight + margin * 2];
+  const outputWidth = Math.floor(baseWidth * scale) + padding * 2;
+  const outputHeight = Math.floor(baseHeight * scale) + padding * 2;
+
+  const isCustom = pixelShape === 'custom' && Boolean(customShape?.path);
+  const canMerge = !isCustom && (pixelShape === 'rectangle' || !pixelShape) && !cornerRadius?.enabled && gridGap === 0;
+  const hasEffects = glowEnabled || bulbEnabled;
+
+  // Shape element of every color, keyed in order of first use; called with extra attributes
+  const colorShapes = new Map();
+  if (canMerge) {
+    traceColorRegions(grid).forEach((loops, color) => {
+      const d = loops.map(loop => loopToPath(loop, cellSize)).join('');
+      colorShapes.set(color, (attributes) => `<path d="${d}" ${attributes}/>`);
+    });
+  } else {
+    const cells = new Map();
+    grid.forEach((row, y) => row.forEach((color, x) => {
+      if (!color) return;
+      if (!cells.has(color)) cells.set(color, []);
+      cells.get(color).push([x * cellSize + gridGap / 2, y * cellSize + gridGap / 2]);
+    }));
+    cells.forEach((positions, color) => {
+      if (isCustom) {
+        const uses = positions.map(([x, y]) => `<use href="#pixel-shape" x="${num(x)}" y="${num(y)}" width="${num(pixelSize)}" height="${num(pixelSize)}"/>`).join('');
+        colorShapes.set(color, (attributes) => `<g ${attributes}>${uses}</g>`);
+      } else {
+        const d = positions.map(([x, y]) => pixelPath(x, y, pixelSize, pixelShape, cornerRadius)).join('');
+        colorShapes.set(color, (attributes) => `<path d="${d}" ${attributes}/>`);
+      }
+    });
+  }
+
+  const defs = [];
+  const body = [];
+  if (isCustom) {
+    defs.push(`<symbol id="pixel-shape" viewBox="${escapeAttribute(customShape.viewBox || '0 0 100 100')}"><path d="${escapeAttribute(customShape.path)}"/></symbol>`);
+  }
+  if (background) {
+    body.push(`<rect x="${num(viewBox[0])}" y="${num(viewBox[1])}" width="${num(viewBox[2])}" height="${num(viewBox[3])}" ${fillAttributes(background)}/>`);
+  }
+
+  const colorIds = new Map();
+  if (hasEffects) {
+    // Shapes are defined once and reused by the glow, pixel and bulb passes
+    [...colorShapes.keys()].forEach((color, index) => colorIds.set(color, `c${index}`));
+    colorShapes.forEach((shape, color) => defs.push(shape(`id="${colorIds.get(color)}"`)));
+  }
+  const useColor = (color, fill) => `<use href="#${colorIds.get(color)}" ${fill}/>`;
+
+  if (glowEnabled) {
+    const spread = ((glowSettings.spread || 0) / 100) * pixelSize;
+    defs.push([
+      `<filter id="glow" filterUnits="userSpaceOnUse" x="${num(viewBox[0])}" y="${num(viewBox[1])}" width="${num(viewBox[2])}" height="${num(viewBox[3])}" color-interpolation-filters="sRGB">`,
+      spread > 0 ? `<feMorphology operator="dilate" radius="${num(spread)}"/>` : '',
+      `<feOffset dx="${num(glowSettings.offsetX || 0)}" dy="${num(glowSettings.offsetY || 0)}"/>`,
+      `<feGaussianBlur stdDeviation="${num((glowSettings.size || 0) / 2)}"/>`,
+      `<feComponentTransfer><feFuncA type="linear" slope="${num((glowSettings.opacity || 0) / 100)}"/></feComponentTransfer>`,
+      '</filter>',
+    ].join(''));
+    body.push(`<g filter="url(#glow)" style="mix-blend-mode:${glowSettings.blendMode || 'normal'}">${
+      [...colorShapes.keys()].map(color => useColor(color, fillAttributes(color))).join('')
+    }</g>`);
+  }
+
+  if (hasEffects) {
+    body.push(`<g>${[...colorShapes.keys()].map(color => useColor(color, fillAttributes(color))).join('')}</g>`);
+  } else {
+    colorShapes.forEach((shape, color) => body.push(shape(fillAttributes(color))));
+  }
+
+  if (bulbEnabled) {
+    // One gradient per cell: a pattern tile holding a pixel-sized square filled with the gradient
+    const bulbColor = escapeAttribute(bulbSettings.color || '#ffffff');
+    defs.push([
+      `<radialGradient id="bulb-gradient" cx="${num(bulbSettings.positionX ?? 50)}%" cy="${num(bulbSettings.positionY ?? 50)}%" r="${num(bulbSettings.radius ?? 50)}%">`,
+      `<stop offset="0" stop-color="${bulbColor}" stop-opacity="${num((bulbSettings.intensity || 0) / 100)}"/>`,
+      `<stop offset="1" stop-color="${bulbColor}" stop-opacity="0"/>`,
+      '</radialGradient>',
+      `<pattern id="bulb" patternUnits="userSpaceOnUse" width="${num(cellSize)}" height="${num(cellSize)}">`,
+      `<rect x="${num(gridGap / 2)}" y="${num(gridGap / 2)}" width="${num(pixelSize)}" height="${num(pixelSize)}" fill="url(#bulb-gradient)"/>`,
+      '</pattern>',
+    ].join(''));
+    body.push(`<g style="mix-blend-mode:${bulbSettings.blendMode || 'screen'}">${
+      [...colorShapes.keys()].map(color => useColor(color, 'fill="url(#bulb)"')).join('')
+    }</g>`);
+  }
+
+  if (includeGrid) {
+    let lines = '';
+    for (let x = 0; x <= gridWidth; x++) lines += `M${num(x * cellSize)} 0V${num(baseHeight)}`;
+    for (let y = 0; y <= gridHeight; y++) lines += `M0 ${num(y * cellSize)}H${num(baseWidth)}`;
+    body.push(`<path d="${lines}" fill="none" stroke="${GRID_LINE_COLOR}" stroke-width="1"/>`);
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${outputWidth}" height="${outputHeight}" viewBox="${viewBox.map(num).join(' ')}" shape-rendering="crispEdges">`,
+    ...(defs.length > 0 ? [`<defs>${defs.join('')}</defs>`] : []),
+    ...body,
+    '</svg>',
+    '',
+  ].join('\n');
+};
@@ -0,0 +1,121 @@
+/**
+ * Symmetry helpers used by the drawing tools.
+ *
+ * Axis positions are measured in cells along the grid edge, so an axis at 16 on a
+ * 32-wide grid runs between columns 15 and 16. Axes snap to half cells, which keeps
+ * every mirrored pixel on a whole cell. A null axis means "centered on the grid".
+ */
+
+export const SYMMETRY_MODES = ['none', 'vertical', 'horizontal', 'quad', 'radial'];
+
+export const DEFAULT_SYMMETRY = {
+  mode: 'none',
+  axisX: null, // Vertical axis position (mirrors left/right)
+  axisY: null, // Horizontal axis position (mirrors top/bottom)
+  radialCount: 6,
+};
+
+/**
+ * Snaps an axis position to the nearest half cell and clamps it to the grid.
+ * @param {number} value The axis position in cells.
+ * @param {number} size The grid size along that axis.
+ * @returns {number} The snapped axis position.
+ */
+export const snapAxis = (value, size) => {
+  const snapped = Math.round(value * 2) / 2;
+  return Math.min(Math.max(snapped, 0), size);
+};
+
+/**
+ * Resolves the effective axis positions for a grid, filling in centered defaults.
+ * @param {Object} symmetry The symmetry settings.
+ * @param {number} width The grid width.
+ * @param {number} height The grid height.
+ * @returns {{axisX: number, axisY: number}} The axis positions in cells.
+ */
+export const resolveSymmetryAxes = (symmetry, width, height) => {
+  const axisX = symmetry?.axisX ?? width / 2;
+  const axisY = symmetry?.axisY ?? height / 2;
+  return {
+    axisX: snapAxis(axisX, width),
+    axisY: snapAxis(axisY, height),
+  };
+};
+
+/**
+ * Builds the list of point transforms for the current symmetry mode.
+ * The first transform is always the identity, so index 0 is the original stroke.
+ * @param {Object} symmetry The symmetry settings.
+ * @param {number} width The grid width.
+ * @param {number} height The grid height.
+ * @returns {Array<function(number, number): {x: number, y: number}>} The transforms.
+ */
+export const getSymmetryTransforms = (symmetry, width, height) => {
+  const identity = (x, y) => ({ x, y });
+  if (!symmetry || symmetry.mode === 'none') return [identity];
+
+  const { axisX, axisY } = resolveSymmetryAxes(symmetry, width, height);
+  // Mirroring cell x across a line at axisX lands on cell 2 * axisX - x - 1
+  const mirrorX = (x) => 2 * axisX - x - 1;
+  const mirrorY = (y) => 2 * axisY - y - 1;
+
+  switch (symmetry.mode) {
+    case 'vertical':
+      return [identity, (x, y) => ({ x: mirrorX(x), y })];
+    case 'horizontal':
+      return [identity, (x, y) => ({ x, y: mirrorY(y) })];
+    case 'quad':
+      return [
+        identity,
+        (x, y) => ({ x: mirrorX(x), y }),
+        (x, y) => ({ x, y: mirrorY(y) }),
+        (x, y) => ({ x: mirrorX(x), y: mirrorY(y) }),
+      ];
+    case 'radial': {
+      const count = Math.max(2, Math.min(16, Math.round(symmetry.radialCount) || 2));
+      const transforms = [identity];
+      for (let i = 1; i < count; i++) {
+        const angle = (2 * Math.PI * i) / count;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        transforms.push((x, y) => {
+          // Rotate the cell center around the axis intersection
+          const dx = x + 0.5 - axisX;
+          const dy = y + 0.5 - axisY;
+          return {
+            x: Math.floor(axisX + dx * cos - dy * sin),
+            y: Math.floor(axisY + dx * sin + dy * cos),
+          };
+        });
+      }
+      return transforms;
+    }
+    default:
+      return [identity];
+  }
+};
+
+/**
+ * Returns every in-bounds point a stroke at (x, y) should touch, without duplicates.
+ * @param {number} x The x-coordinate of the original point.
+ * @param {number} y The y-coordinate of the original point.
+ * @param {Object} symmetry The symmetry settings.
+ * @param {number} width The grid width.
+ * @param {number} height The grid height.
+ * @returns {Array<{x: number, y: number}>} The symmetric points, starting with the original.
+ */
+export const getSymmetryPoints = (x, y, symmetry, width, height) => {
+  const seen = new Set();
+  const points = [];
+
+  getSymmetryTransforms(symmetry, width, height).forEach(transform => {
+    const point = transform(x, y);
+    if (point.x < 0 || point.x >= width || point.y < 0 || point.y >= height) return;
+    const key = `${point.x},${point.y}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    points.push(point);
+  });
+
+  return points;
+};
@@ -0,0 +1,132 @@
+import * as THREE from 'three';
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { parseColor } from './colorUtils';
+import { faceNormal } from './voxelMesh';
+
+/**
+ * Voxel model files built from `buildVoxelFaces`: OBJ with an MTL palette, binary STL
+ * and binary glTF (.glb) with vertex colors. Models keep their origin at the back
+ * bottom-left corner; `unitSize` is the size of one pixel in model units
+ * (millimeters for 3D printing).
+ */
+
+export const VOXEL_FORMATS = ['obj', 'stl', 'glb'];
+
+const materialName = (color) => `color_${color.slice(1).toLowerCase()}`;
+
+/**
+ * Builds an indexed geometry from voxel faces, with flat normals and linear vertex colors.
+ * @param {Array<{color: string, vertices: Array<[number, number, number]>}>} faces Voxel faces.
+ * @param {Object} [options] Geometry options.
+ * @param {number} [options.unitSize=1] Size of one pixel in model units.
+ * @param {boolean} [options.vertexColors=true] Whether to add a color attribute.
+ * @returns {THREE.BufferGeometry}
+ */
+export const createVoxelGeometry = (faces, { unitSize = 1, vertexColors = true } = {}) => {
+  const vertexCount = faces.reduce((sum, { vertices }) => sum + vertices.length, 0);
+  const positions = new Float32Array(vertexCount * 3);
+  const normals = new Float32Array(vertexCount * 3);
+  const colors = vertexColors ? new Float32Array(vertexCount * 3) : null;
+  const indices = [];
+  const color = new THREE.Color();
+  let vertex = 0;
+  faces.forEach(({ color: hex, vertices }) => {
+    const normal = faceNormal(vertices);
+    color.set(hex); // Converted to the linear working color space
+    vertices.forEach((corner, i) => {
+      positions.set(corner.map(value => value * unitSize), (vertex + i) * 3);
+      normals.set(normal, (vertex + i) * 3);
+      if (colors) colors.set([color.r, color.g, color.b], (vertex + i) * 3);
+    });
+    // Fan triangulation of each convex face
+    for (let i = 1; i < vertices.length - 1; i++) indices.push(vertex, vertex + i, vertex + i + 1);
+    vertex += vertices.length;
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+  if (colors) geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geometry.setIndex(indices);
+  return geometry;
+};
+
+/**
+ * Writes an OBJ model with one object per color and the matching MTL palette.
+ * @param {Array<{color: string, vertices: Array<[number, number, number]>}>} faces Voxel faces.
+ * @param {Object} [options] Export options.
+ * @param {string} [options.name='model'] File name without extension, used for the mtllib reference.
+ * @param {number} [options.unitSize=1] Size of one pixel in model units.
+ * @returns {{obj: string, mtl: string}}
+ */
+export const writeVoxelObj = (faces, { name = 'model', unitSize = 1 } = {}) => {
+  const facesByColor = new Map();
+  faces.forEach(voxelFace => {
+    if (!facesByColor.has(voxelFace.color)) facesByColor.set(voxelFace.color, []);
+    facesByColor.get(voxelFace.color).push(voxelFace);
+  });
+
+  const scene = new THREE.Scene();
+  const mtl = ['# Exported from PixelPop'];
+  facesByColor.forEach((colorFaces, color) => {
+    const material = new THREE.MeshBasicMaterial();
+    material.name = materialName(color);
+    const mesh = new THREE.Mesh(createVoxelGeometry(colorFaces, { unitSize, vertexColors: false }), material);
+    mesh.name = material.name;
+    scene.add(mesh);
+
+    const { r, g, b } = parseColor(color);
+    mtl.push(
+      '',
+      `newmtl ${material.name}`,
+      'Ka 0 0 0',
+      `Kd ${[r, g, b].map(channel => (channel / 255).toFixed(4)).join(' ')}`,
+      'Ks 0 0 0',
+      'd 1',
+      'illum 1',
+    );
+  });
+
+  const obj = `# Exported from PixelPop\nmtllib ${name}.mtl\n${new OBJExporter().parse(scene)}`;
+  scene.traverse(object => object.geometry?.dispose());
+  return { obj, mtl: `${mtl.join('\n')}\n` };
+};
+
+/**
+ * Writes a binary STL model for 3D printing.
+ * @param {Array<{color: string, vertices: Array<[number, number, number]>}>} faces Voxel faces.
+ * @param {Object} [options] Export options.
+ * @param {number} [options.unitSize=1] Size of one pixel in millimeters.
+ * @returns {Uint8Array} The STL file.
+ */
+export const writeVoxelStl = (faces, { unitSize = 1 } = {}) => {
+  const geometry = createVoxelGeometry(faces, { unitSize, vertexColors: false });
+  const view = new STLExporter().parse(new THREE.Mesh(geometry), { binary: true });
+  geometry.dispose();
+  return new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+};
+
+/**
+ * Writes a binary glTF (.glb) model with vertex colors.
+ * @param {Array<{color: string, vertices: Array<[number, number, number]>}>} faces Voxel faces.
+ * @param {Object} [options] Export options.
+ * @param {string} [options.name='model'] Mesh name.
+ * @param {number} [options.unitSize=1] Size of one pixel in model units.
+ * @returns {Promise<ArrayBuffer>} The GLB file.
+ */
+export const writeVoxelGlb = async (faces, { name = 'model', unitSize = 1 } = {}) => {
+  const geometry = createVoxelGeometry(faces, { unitSize });
+  const material = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 1, metalness: 0 });
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = name;
+  const scene = new THREE.Scene();
+  scene.add(mesh);
+  try {
+    return await new GLTFExporter().parseAsync(scene, { binary: true });
+  } finally {
+    geometry.dispose();
+    material.dispose();
+  }
+};
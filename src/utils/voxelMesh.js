@@ -0,0 +1,170 @@
+import { parseColor, rgbToHex } from './colorUtils';
+
+/**
+ * Extrudes a pixel grid into 3D faces, one unit per pixel.
+ * x runs right, y up (the grid's first row is on top) and z out of the picture,
+ * from the back at z = 0 to the front at z = depth. Faces are lists of corners in
+ * counter-clockwise order seen from outside.
+ *
+ * Flat voxels merge coplanar faces: same-color rectangles on the front and back,
+ * and same-color runs along the sides. Beveled tiles are one closed tile per pixel
+ * with chamfered front edges.
+ */
+
+export const DEFAULT_VOXEL_SETTINGS = {
+  depth: 2, // In pixels
+  bevel: 0, // Chamfer size in pixels, 0 for flat voxels
+};
+export const MAX_VOXEL_DEPTH = 16;
+export const MAX_VOXEL_BEVEL = 0.45;
+
+const subtract = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+/**
+ * Unit normal of a planar face from its winding.
+ * @param {Array<[number, number, number]>} vertices Face corners, counter-clockwise from outside.
+ * @returns {[number, number, number]}
+ */
+export const faceNormal = (vertices) => {
+  const normal = cross(subtract(vertices[1], vertices[0]), subtract(vertices[2], vertices[0]));
+  const length = Math.hypot(...normal) || 1;
+  return normal.map(value => value / length);
+};
+
+// Builds a face, reversing the corners when they wind away from the outward direction
+const face = (color, vertices, outward) => (
+  dot(cross(subtract(vertices[1], vertices[0]), subtract(vertices[2], vertices[0])), outward) < 0
+    ? { color, vertices: [...vertices].reverse() }
+    : { color, vertices }
+);
+
+// Opaque hex colors per cell; empty and fully transparent pixels become null
+const toSolidGrid = (grid) => {
+  const cache = new Map();
+  return grid.map(row => row.map(color => {
+    if (!color) return null;
+    if (!cache.has(color)) {
+      const parsed = parseColor(color);
+      cache.set(color, parsed && parsed.a > 0 ? rgbToHex(parsed.r, parsed.g, parsed.b) : null);
+    }
+    return cache.get(color);
+  }));
+};
+
+// Greedy meshing: covers each color with maximal rectangles, row by row
+const mergeRectangles = (cells, width, height) => {
+  const covered = cells.map(row => row.map(() => false));
+  const rectangles = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const color = cells[y][x];
+      if (!color || covered[y][x]) continue;
+      let w = 1;
+      while (x + w < width && cells[y][x + w] === color && !covered[y][x + w]) w++;
+      let h = 1;
+      while (y + h < height && Array.from({ length: w }, (_, i) => cells[y + h][x + i] === color && !covered[y + h][x + i]).every(Boolean)) h++;
+      for (let j = 0; j < h; j++) for (let i = 0; i < w; i++) covered[y + j][x + i] = true;
+      rectangles.push({ x, y, w, h, color });
+    }
+  }
+  return rectangles;
+};
+
+const flatVoxelFaces = (cells, width, height, depth) => {
+  const faces = [];
+  const isFilled = (x, y) => x >= 0 && y >= 0 && x < width && y < height && Boolean(cells[y][x]);
+
+  mergeRectangles(cells, width, height).forEach(({ x, y, w, h, color }) => {
+    const left = x;
+    const right = x + w;
+    const top = height - y;
+    const bottom = height - y - h;
+    faces.push(face(color, [[left, bottom, depth], [right, bottom, depth], [right, top, depth], [left, top, depth]], [0, 0, 1]));
+    faces.push(face(color, [[left, bottom, 0], [right, bottom, 0], [right, top, 0], [left, top, 0]], [0, 0, -1]));
+  });
+
+  // Sides facing up and down: runs along each row of same-color cells with an empty neighbor
+  [[-1, [0, 1, 0], 0], [1, [0, -1, 0], 1]].forEach(([dy, outward, edge]) => {
+    for (let y = 0; y < height; y++) {
+      const planeY = height - y - edge;
+      for (let x = 0; x < width;) {
+        const color = cells[y][x];
+        if (!color || isFilled(x, y + dy)) {
+          x++;
+          continue;
+        }
+        let end = x + 1;
+        while (end < width && cells[y][end] === color && !isFilled(end, y + dy)) end++;
+        faces.push(face(color, [[x, planeY, 0], [end, planeY, 0], [end, planeY, depth], [x, planeY, depth]], outward));
+        x = end;
+      }
+    }
+  });
+
+  // Sides facing left and right: runs down each column
+  [[-1, [-1, 0, 0], 0], [1, [1, 0, 0], 1]].forEach(([dx, outward, edge]) => {
+    for (let x = 0; x < width; x++) {
+      const planeX = x + edge;
+      for (let y = 0; y < height;) {
+        const color = cells[y][x];
+        if (!color || isFilled(x + dx, y)) {
+          y++;
+          continue;
+        }
+        let end = y + 1;
+        while (end < height && cells[end][x] === color && !isFilled(x + dx, end)) end++;
+        const top = height - y;
+        const bottom = height - end;
+        faces.push(face(color, [[planeX, bottom, 0], [planeX, top, 0], [planeX, top, depth], [planeX, bottom, depth]], outward));
+        y = end;
+      }
+    }
+  });
+  return faces;
+};
+
+const beveledTileFaces = (cells, width, height, depth, bevel) => {
+  const faces = [];
+  const b = Math.min(bevel, MAX_VOXEL_BEVEL, depth / 2);
+  const shoulder = depth - b;
+  cells.forEach((row, y) => row.forEach((color, x) => {
+    if (!color) return;
+    const [x0, x1, y0, y1] = [x, x + 1, height - y - 1, height - y];
+    const [ix0, ix1, iy0, iy1] = [x0 + b, x1 - b, y0 + b, y1 - b];
+    faces.push(
+      face(color, [[ix0, iy0, depth], [ix1, iy0, depth], [ix1, iy1, depth], [ix0, iy1, depth]], [0, 0, 1]),
+      face(color, [[x0, y0, 0], [x1, y0, 0], [x1, y1, 0], [x0, y1, 0]], [0, 0, -1]),
+      // Sides up to the shoulder of the chamfer
+      face(color, [[x0, y1, 0], [x1, y1, 0], [x1, y1, shoulder], [x0, y1, shoulder]], [0, 1, 0]),
+      face(color, [[x0, y0, 0], [x1, y0, 0], [x1, y0, shoulder], [x0, y0, shoulder]], [0, -1, 0]),
+      face(color, [[x0, y0, 0], [x0, y1, 0], [x0, y1, shoulder], [x0, y0, shoulder]], [-1, 0, 0]),
+      face(color, [[x1, y0, 0], [x1, y1, 0], [x1, y1, shoulder], [x1, y0, shoulder]], [1, 0, 0]),
+      // Chamfers from the shoulder to the inset front
+      face(color, [[x0, y1, shoulder], [x1, y1, shoulder], [ix1, iy1, depth], [ix0, iy1, depth]], [0, 1, 1]),
+      face(color, [[x0, y0, shoulder], [x1, y0, shoulder], [ix1, iy0, depth], [ix0, iy0, depth]], [0, -1, 1]),
+      face(color, [[x0, y0, shoulder], [x0, y1, shoulder], [ix0, iy1, depth], [ix0, iy0, depth]], [-1, 0, 1]),
+      face(color, [[x1, y0, shoulder], [x1, y1, shoulder], [ix1, iy1, depth], [ix1, iy0, depth]], [1, 0, 1]),
+    );
+  }));
+  return faces;
+};
+
+/**
+ * Extrudes every non-empty pixel of a grid.
+ * Colors are made opaque; fully transparent pixels are skipped.
+ * @param {Array<Array<string|null>>} grid Grid of color strings.
+ * @param {Object} [options] Extrusion options.
+ * @param {number} [options.depth=2] Extrusion depth in pixels.
+ * @param {number} [options.bevel=0] Chamfer size in pixels; above 0 every pixel becomes a beveled tile.
+ * @returns {Array<{color: string, vertices: Array<[number, number, number]>}>} Quads, counter-clockwise from outside.
+ */
+export const buildVoxelFaces = (grid, { depth = DEFAULT_VOXEL_SETTINGS.depth, bevel = DEFAULT_VOXEL_SETTINGS.bevel } = {}) => {
+  const height = grid.length;
+  const width = grid[0]?.length || 0;
+  const cells = toSolidGrid(grid);
+  return bevel > 0
+    ? beveledTileFaces(cells, width, height, depth, bevel)
+    : flatVoxelFaces(cells, width, height, depth);
+};
@@ -0,0 +1,95 @@
+import { describe, it, expect, vi } from 'vitest';
+import { handleQuantizeMessage } from '../quantizeWorker';
+import { MAX_EXACT_IMPORT_SIZE } from '../../utils/imageProcessing';
+
+const request = (pixels, width, height, options = {}) => ({
+  type: 'quantize',
+  id: 7,
+  width,
+  height,
+  buffer: Uint8ClampedArray.from(pixels).buffer,
+  options,
+});
+
+describe('quantizeWorker', () => {
+  it('reports progress and replies with the grid', async () => {
+    const replies = [];
+    await handleQuantizeMessage(request([255, 0, 0, 255, 0, 0, 0, 0], 2, 1, { maxColors: 2 }), reply => replies.push(reply));
+
+    const progress = replies.filter(reply => reply.type === 'progress').map(reply => reply.progress);
+    expect(progress.length).toBeGreaterThan(0);
+    expect(progress).toEqual([...progress].sort((a, b) => a - b));
+    expect(progress[progress.length - 1]).toBe(1);
+    expect(replies[replies.length - 1]).toEqual({ type: 'result', id: 7, grid: [['#ff0000', null]], colors: ['#ff0000'] });
+  });
+
+  it('replies with an error for a mismatched buffer', async () => {
+    const replies = [];
+    await handleQuantizeMessage(request([0, 0, 0, 255], 2, 2), reply => replies.push(reply));
+    expect(replies).toEqual([{ type: 'error', id: 7, message: expect.stringContaining('does not match') }]);
+  });
+
+  it('ignores unknown messages', async () => {
+    const replies = [];
+    await handleQuantizeMessage({ type: 'ping' }, reply => replies.push(reply));
+    expect(replies).toEqual([]);
+  });
+
+  it('decodes image requests at the requested crop and size', async () => {
+    const image = new Blob(['png']);
+    const crop = { x: 1, y: 2, width: 4, height: 4 };
+    const decodeImage = vi.fn(async () => ({ data: Uint8ClampedArray.from([0, 255, 0, 255]), width: 1, height: 1 }));
+    const replies = [];
+    await handleQuantizeMessage(
+      { type: 'quantize', id: 3, image, crop, width: 1, height: 1, options: { maxColors: 2 } },
+      reply => replies.push(reply),
+      { decodeImage }
+    );
+
+    expect(decodeImage).toHaveBeenCalledWith(image, crop, 1, 1);
+    expect(replies[replies.length - 1]).toEqual({ type: 'result', id: 3, grid: [['#00ff00']], colors: ['#00ff00'] });
+  });
+
+  it('samples exact jobs per logical pixel and replies with the detected grid', async () => {
+    const red = [255, 0, 0, 255];
+    const blue = [0, 0, 255, 255];
+    // 2× upscale of a red, blue pixel pair
+    const pixels = [...red, ...red, ...blue, ...blue, ...red, ...red, ...blue, ...blue];
+    const replies = [];
+    await handleQuantizeMessage(request(pixels, 4, 2, { exact: true }), reply => replies.push(reply));
+
+    expect(replies).toEqual([{
+      type: 'result',
+      id: 7,
+      grid: [['#ff0000', '#0000ff']],
+      colors: ['#ff0000', '#0000ff'],
+      detected: { scale: 2, offsetX: 0, offsetY: 0, width: 2, height: 1 },
+    }]);
+  });
+
+  it('replies with only the detected size when an exact grid is over the limit', async () => {
+    // A photo-like image, every pixel different: scale 1, one cell per pixel
+    const width = MAX_EXACT_IMPORT_SIZE + 1;
+    const pixels = Array.from({ length: width }, (_, x) => [x % 256, x >> 8, 0, 255]).flat();
+    const replies = [];
+    await handleQuantizeMessage(request(pixels, width, 1, { exact: true }), reply => replies.push(reply));
+
+    expect(replies).toEqual([{
+      type: 'result',
+      id: 7,
+      grid: null,
+      colors: [],
+      detected: { scale: 1, offsetX: 0, offsetY: 0, width, height: 1 },
+    }]);
+  });
+
+  it('replies with an error when the image cannot be decoded', async () => {
+    const replies = [];
+    await handleQuantizeMessage(
+      { type: 'quantize', id: 4, image: new Blob(['?']), options: {} },
+      reply => replies.push(reply),
+      { decodeImage: async () => { throw new Error('The source image could not be decoded'); } }
+    );
+    expect(replies).toEqual([{ type: 'error', id: 4, message: 'The source image could not be decoded' }]);
+  });
+});
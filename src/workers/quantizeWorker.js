@@ -0,0 +1,110 @@
+import {
+  quantizeImageData,
+  detectPixelScale,
+  getExactGridSize,
+  sampleExactGrid,
+  MAX_EXACT_IMPORT_SIZE,
+} from '../utils/imageProcessing';
+
+/**
+ * Decodes an image and reads its pixels, optionally cropped and resized without smoothing.
+ * Uses an OffscreenCanvas, so it runs inside the worker; falls back to a DOM canvas on the main thread.
+ * @param {Blob|ImageBitmapSource} image - The encoded image.
+ * @param {Object} [crop] - Region to read, in image pixels. The whole image when omitted.
+ * @param {number} [width] - Output width. The crop width when omitted.
+ * @param {number} [height] - Output height. The crop height when omitted.
+ * @returns {Promise<ImageData>} The pixels.
+ */
+export const decodeImagePixels = async (image, crop, width, height) => {
+  const bitmap = crop
+    ? await createImageBitmap(image, crop.x, crop.y, crop.width, crop.height)
+    : await createImageBitmap(image);
+  const outputWidth = width || bitmap.width;
+  const outputHeight = height || bitmap.height;
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(outputWidth, outputHeight)
+    : Object.assign(document.createElement('canvas'), { width: outputWidth, height: outputHeight });
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    bitmap.close();
+    throw new Error('Failed to get a canvas context to decode the image');
+  }
+  // Disable smoothing for pixelated effect
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(bitmap, 0, 0, outputWidth, outputHeight);
+  bitmap.close();
+  return ctx.getImageData(0, 0, outputWidth, outputHeight);
+};
+
+/**
+ * Image import quantization, run off the main thread.
+ *
+ * Protocol (one job per message):
+ *   request  { type: 'quantize', id, width, height, buffer, options }
+ *            buffer is the RGBA pixel data as an ArrayBuffer (transferred).
+ *   request  { type: 'quantize', id, image, crop, width, height, options }
+ *            image is an encoded image Blob, decoded here; crop { x, y, width, height }
+ *            is optional and in image pixels. The crop is drawn at width × height without
+ *            smoothing, or at its own size when they are omitted.
+ *            options are the quantizeImageData options, or { exact: true, pixelScale, ...alpha options }
+ *            to sample one cell per logical pixel of upscaled pixel art instead.
+ *   replies  { type: 'progress', id, progress }  progress from 0 to 1, at most once per percent
+ *            { type: 'result', id, grid, colors }  exact jobs add detected { scale, offsetX, offsetY, width, height };
+ *            their grid is null (and colors empty) when it is over MAX_EXACT_IMPORT_SIZE per side
+ *            { type: 'error', id, message }
+ *
+ * Quantization is synchronous inside the worker, so cancelling means terminating it.
+ * @param {Object} message - The request.
+ * @param {function(Object): void} postMessage - Sends a reply.
+ * @param {Object} [deps] - Overrides for tests.
+ * @param {function} [deps.decodeImage=decodeImagePixels] - Decodes image requests.
+ * @returns {Promise<void>} Settles once the reply is posted.
+ */
+export const handleQuantizeMessage = async (message, postMessage, { decodeImage = decodeImagePixels } = {}) => {
+  if (message?.type !== 'quantize') return;
+  const { id, width, height, buffer, image, crop, options } = message;
+
+  let lastPercent = -1;
+  const onProgress = (progress) => {
+    const percent = Math.floor(progress * 100);
+    if (percent === lastPercent) return;
+    lastPercent = percent;
+    postMessage({ type: 'progress', id, progress: percent / 100 });
+  };
+
+  try {
+    let imageData;
+    if (image) {
+      imageData = await decodeImage(image, crop, width, height);
+    } else {
+      const data = new Uint8ClampedArray(buffer);
+      if (data.length !== width * height * 4) {
+        throw new Error('Pixel buffer does not match the image size');
+      }
+      imageData = { data, width, height };
+    }
+
+    if (options?.exact) {
+      const { pixelScale, alphaMode, alphaCutoff, alphaLevels } = options;
+      const scale = detectPixelScale(imageData, { scale: pixelScale });
+      const detected = { ...scale, ...getExactGridSize(imageData, scale) };
+      // A photo detects as scale 1: report its size without building millions of cells
+      if (detected.width > MAX_EXACT_IMPORT_SIZE || detected.height > MAX_EXACT_IMPORT_SIZE) {
+        postMessage({ type: 'result', id, grid: null, colors: [], detected });
+        return;
+      }
+      const { grid, colors } = sampleExactGrid(imageData, scale, { alphaMode, alphaCutoff, alphaLevels });
+      postMessage({ type: 'result', id, grid, colors, detected });
+      return;
+    }
+    const { grid, colors } = quantizeImageData(imageData, { ...options, onProgress });
+    postMessage({ type: 'result', id, grid, colors });
+  } catch (error) {
+    postMessage({ type: 'error', id, message: error.message });
+  }
+};
+
+// Only listen when loaded as a worker (tests import the handler directly)
+if (typeof window === 'undefined' && typeof self !== 'undefined') {
+  self.onmessage = (event) => handleQuantizeMessage(event.data, (reply) => self.postMessage(reply));
+}